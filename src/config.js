@@ -94,6 +94,13 @@ export const DEFAULT_CONFIG = {
     textureCache: true,
     enhanceMaterials: true,
     supportedFormats: ['.jpg', '.png', '.hdr', '.exr'],
+    historySize: 50, // undo steps kept by the material editor
+  },
+
+  // User material and lighting presets (added, saved or imported at runtime)
+  presets: {
+    persist: true, // keep them in localStorage across sessions
+    storageKey: 'product-viewer-presets',
   },
 
   // Model loading settings
@@ -103,9 +110,52 @@ export const DEFAULT_CONFIG = {
     enableDraco: true,
     enableKTX2: true,
     enableMeshOpt: true,
+    useWorker: true, // Parse glTF in a Web Worker when available
     center: true,
     optimize: true,
     maxCacheSize: 10,
+
+    // Persistent IndexedDB tier for raw model bytes across sessions
+    persistentCache: {
+      enabled: false,
+      maxBytes: 200 * 1024 * 1024, // 200MB
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days for responses without ETag/Last-Modified
+    },
+  },
+
+  // Pointer picking on model meshes
+  picking: {
+    enabled: true,
+    dragThreshold: 5, // pixels a press may travel and still count as a click
+    hover: {
+      mode: 'emissive', // 'emissive' | 'outline' | 'none'
+      color: 0x00bcd4,
+      intensity: 0.35, // emissive intensity
+      thickness: 0.015, // outline width relative to the mesh radius
+    },
+  },
+
+  // Light edit mode gizmos, see ProductViewer.setLightEditMode
+  lightEditor: {
+    handleSize: 0.25, // radius of the light handles in scene units
+  },
+
+  // Hotspot labels anchored to model surfaces
+  annotations: {
+    enabled: true,
+    occlusion: true, // fade labels hidden behind geometry
+    occlusionInterval: 100, // ms between occlusion raycasts
+    occludedOpacity: 0.25,
+    viewDistance: 2, // camera distance from the hotspot when no view is stored
+    flyDuration: 1000, // ms
+  },
+
+  // Animation playback settings
+  animations: {
+    autoPlay: true,
+    loop: 'repeat', // 'once' | 'repeat' | 'pingpong'
+    speed: 1.0,
+    crossFadeDuration: 0.3, // seconds
   },
 
   // Performance budgets
@@ -357,14 +407,20 @@ export const MATERIAL_PRESETS = {
     description: 'Woven carbon fiber pattern',
     type: 'MeshStandardMaterial',
     properties: {
-      color: 0x1a1a1a,
+      color: 0xffffff,
       metalness: 0.8,
-      roughness: 0.4,
+      roughness: 1.0,
       emissive: 0x000000,
       emissiveIntensity: 0.0,
       transparent: false,
       opacity: 1.0,
     },
+    // Procedural textures by material property, see src/utils/procedural-textures.js
+    textures: {
+      map: { procedural: 'weave', scale: 16, repeat: 4 },
+      normalMap: { procedural: 'weave', scale: 16, repeat: 4 },
+      roughnessMap: { procedural: 'weave', scale: 16, repeat: 4 },
+    },
   },
 };
 
@@ -0,0 +1,456 @@
+import * as THREE from 'three';
+
+/**
+ * AnimationManager handles playback of model animation clips
+ * Maintains one AnimationMixer per model with play, pause, seek, loop, speed and crossfade control
+ */
+export class AnimationManager extends THREE.EventDispatcher {
+  constructor(config = {}) {
+    super();
+
+    this.config = config;
+
+    // Mixer storage keyed by model uuid
+    this.entries = new Map();
+    this.activeModelId = null;
+
+    // Loop mode lookup
+    this.loopModes = {
+      once: THREE.LoopOnce,
+      repeat: THREE.LoopRepeat,
+      pingpong: THREE.LoopPingPong,
+    };
+
+    this._disposed = false;
+
+    console.log('AnimationManager: Initialized');
+  }
+
+  /**
+   * Register a model and its animation clips
+   * @param {THREE.Object3D} model - Model the clips animate
+   * @param {Array<THREE.AnimationClip>} clips - Animation clips (defaults to model.animations)
+   * @returns {Object|null} Mixer entry or null if the model has no clips
+   */
+  addModel(model, clips = null) {
+    if (!model) {
+      throw new Error('AnimationManager: Model is required');
+    }
+
+    const modelClips = clips || model.animations || [];
+    if (modelClips.length === 0) {
+      console.log('AnimationManager: Model has no animation clips');
+      return null;
+    }
+
+    // Replace any existing mixer for the same model
+    if (this.entries.has(model.uuid)) {
+      this.removeModel(model);
+    }
+
+    const animationConfig = this.config.animations || {};
+    const mixer = new THREE.AnimationMixer(model);
+
+    const entry = {
+      model,
+      mixer,
+      clips: new Map(modelClips.map(clip => [clip.name, clip])),
+      currentAction: null,
+      loopMode: animationConfig.loop || 'repeat',
+      speed: animationConfig.speed || 1.0,
+      isPaused: false,
+    };
+
+    // Forward mixer events
+    entry.onFinished = event => {
+      this.dispatchEvent({
+        type: 'animationFinished',
+        clip: event.action.getClip().name,
+        model,
+      });
+    };
+    entry.onLoop = event => {
+      this.dispatchEvent({
+        type: 'animationLoop',
+        clip: event.action.getClip().name,
+        model,
+      });
+    };
+    mixer.addEventListener('finished', entry.onFinished);
+    mixer.addEventListener('loop', entry.onLoop);
+
+    this.entries.set(model.uuid, entry);
+    this.activeModelId = model.uuid;
+
+    console.log(
+      `AnimationManager: Registered ${entry.clips.size} clips for model ${model.uuid}`
+    );
+    this.dispatchEvent({
+      type: 'clipsChanged',
+      model,
+      clips: this.getClips(model),
+    });
+
+    // Start the first clip automatically if configured
+    if (animationConfig.autoPlay !== false) {
+      this.play(modelClips[0].name, { model });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove a model and release its mixer
+   * @param {THREE.Object3D} model - Model to remove
+   * @returns {boolean} Success status
+   */
+  removeModel(model) {
+    const entry = model ? this.entries.get(model.uuid) : null;
+    if (!entry) {
+      return false;
+    }
+
+    entry.mixer.removeEventListener('finished', entry.onFinished);
+    entry.mixer.removeEventListener('loop', entry.onLoop);
+    entry.mixer.stopAllAction();
+    entry.mixer.uncacheRoot(entry.model);
+
+    this.entries.delete(model.uuid);
+
+    if (this.activeModelId === model.uuid) {
+      this.activeModelId = null;
+      this.dispatchEvent({ type: 'clipsChanged', model: null, clips: [] });
+    }
+
+    console.log(`AnimationManager: Removed mixer for model ${model.uuid}`);
+    return true;
+  }
+
+  /**
+   * Set the model that playback methods act on by default
+   * @param {THREE.Object3D} model - Registered model
+   * @returns {boolean} Success status
+   */
+  setActiveModel(model) {
+    if (!model || !this.entries.has(model.uuid)) {
+      console.warn('AnimationManager: Model has no registered animations');
+      return false;
+    }
+
+    this.activeModelId = model.uuid;
+    this.dispatchEvent({
+      type: 'clipsChanged',
+      model,
+      clips: this.getClips(model),
+    });
+    return true;
+  }
+
+  /**
+   * Resolve the mixer entry for a model
+   * @param {THREE.Object3D} model - Target model (optional, uses active model if not provided)
+   * @returns {Object|null} Mixer entry
+   * @private
+   */
+  _getEntry(model = null) {
+    const id = model ? model.uuid : this.activeModelId;
+    return id ? this.entries.get(id) || null : null;
+  }
+
+  /**
+   * Play an animation clip
+   * @param {string} clipName - Clip name
+   * @param {Object} options - Playback options (model, crossFade, loop, repetitions)
+   * @returns {boolean} Success status
+   */
+  play(clipName, options = {}) {
+    const entry = this._getEntry(options.model);
+    if (!entry) {
+      console.warn('AnimationManager: No animated model available');
+      return false;
+    }
+
+    const clip = entry.clips.get(clipName);
+    if (!clip) {
+      console.warn(`AnimationManager: Clip "${clipName}" not found`);
+      return false;
+    }
+
+    const action = entry.mixer.clipAction(clip);
+    const previousAction = entry.currentAction;
+
+    if (options.loop) {
+      entry.loopMode = options.loop;
+    }
+    this._applyLoop(action, entry.loopMode, options.repetitions);
+
+    action.reset();
+    action.enabled = true;
+    action.setEffectiveWeight(1);
+
+    const crossFade =
+      options.crossFade ?? this.config.animations?.crossFadeDuration ?? 0;
+
+    if (previousAction && previousAction !== action && crossFade > 0) {
+      action.play();
+      previousAction.crossFadeTo(action, crossFade, false);
+    } else {
+      if (previousAction && previousAction !== action) {
+        previousAction.stop();
+      }
+      action.play();
+    }
+
+    entry.currentAction = action;
+    entry.isPaused = false;
+    entry.mixer.timeScale = entry.speed;
+
+    console.log(`AnimationManager: Playing clip "${clipName}"`);
+    this.dispatchEvent({
+      type: 'animationStarted',
+      clip: clipName,
+      duration: clip.duration,
+      model: entry.model,
+    });
+
+    return true;
+  }
+
+  /**
+   * Crossfade from the current clip to another clip
+   * @param {string} clipName - Clip to fade to
+   * @param {number} duration - Fade duration in seconds
+   * @param {THREE.Object3D} model - Target model (optional)
+   * @returns {boolean} Success status
+   */
+  crossFadeTo(clipName, duration = 0.5, model = null) {
+    return this.play(clipName, { model, crossFade: duration });
+  }
+
+  /**
+   * Pause playback
+   * @param {THREE.Object3D} model - Target model (optional)
+   */
+  pause(model = null) {
+    const entry = this._getEntry(model);
+    if (!entry || entry.isPaused) return;
+
+    entry.isPaused = true;
+    entry.mixer.timeScale = 0;
+
+    this.dispatchEvent({ type: 'animationPaused', model: entry.model });
+  }
+
+  /**
+   * Resume playback after pause
+   * @param {THREE.Object3D} model - Target model (optional)
+   */
+  resume(model = null) {
+    const entry = this._getEntry(model);
+    if (!entry || !entry.currentAction) return;
+
+    // Restart a clip that is paused or already ran to completion
+    const action = entry.currentAction;
+    if (!entry.isPaused && action.isRunning()) return;
+
+    if (!action.isRunning()) {
+      const { time } = action;
+      const { duration } = action.getClip();
+      action.reset();
+      action.time = time >= duration ? 0 : time;
+      action.play();
+    }
+
+    entry.isPaused = false;
+    entry.mixer.timeScale = entry.speed;
+
+    this.dispatchEvent({ type: 'animationResumed', model: entry.model });
+  }
+
+  /**
+   * Stop playback and reset to the rest pose
+   * @param {THREE.Object3D} model - Target model (optional)
+   */
+  stop(model = null) {
+    const entry = this._getEntry(model);
+    if (!entry) return;
+
+    entry.mixer.stopAllAction();
+    entry.currentAction = null;
+    entry.isPaused = false;
+
+    this.dispatchEvent({ type: 'animationStopped', model: entry.model });
+  }
+
+  /**
+   * Seek the current clip to a specific time
+   * @param {number} time - Time in seconds
+   * @param {THREE.Object3D} model - Target model (optional)
+   */
+  seek(time, model = null) {
+    const entry = this._getEntry(model);
+    if (!entry || !entry.currentAction) return;
+
+    const action = entry.currentAction;
+    const { duration } = action.getClip();
+
+    // A finished LoopOnce action must be re-enabled before it can be posed
+    if (!action.isRunning()) {
+      action.reset();
+      action.play();
+    }
+
+    action.time = THREE.MathUtils.clamp(time, 0, duration);
+
+    // Apply the pose immediately, even while paused
+    entry.mixer.update(0);
+
+    this.dispatchEvent({
+      type: 'animationSeeked',
+      time: action.time,
+      model: entry.model,
+    });
+  }
+
+  /**
+   * Set loop mode for the current and future clips
+   * @param {string} mode - Loop mode ('once', 'repeat', 'pingpong')
+   * @param {number} repetitions - Number of repetitions (Infinity by default)
+   * @param {THREE.Object3D} model - Target model (optional)
+   */
+  setLoop(mode, repetitions = Infinity, model = null) {
+    const entry = this._getEntry(model);
+    if (!entry) return;
+
+    if (!this.loopModes[mode]) {
+      console.warn(`AnimationManager: Unknown loop mode "${mode}"`);
+      return;
+    }
+
+    entry.loopMode = mode;
+    if (entry.currentAction) {
+      this._applyLoop(entry.currentAction, mode, repetitions);
+    }
+
+    console.log(`AnimationManager: Loop mode set to ${mode}`);
+  }
+
+  /**
+   * Apply loop settings to an action
+   * @param {THREE.AnimationAction} action - Action to configure
+   * @param {string} mode - Loop mode
+   * @param {number} repetitions - Number of repetitions
+   * @private
+   */
+  _applyLoop(action, mode, repetitions = Infinity) {
+    action.setLoop(this.loopModes[mode] || THREE.LoopRepeat, repetitions);
+    action.clampWhenFinished = mode === 'once';
+  }
+
+  /**
+   * Set playback speed multiplier
+   * @param {number} speed - Speed multiplier (0.1 - 4.0)
+   * @param {THREE.Object3D} model - Target model (optional)
+   */
+  setSpeed(speed, model = null) {
+    const entry = this._getEntry(model);
+    if (!entry) return;
+
+    entry.speed = Math.max(0.1, Math.min(4.0, speed));
+    if (!entry.isPaused) {
+      entry.mixer.timeScale = entry.speed;
+    }
+
+    console.log(`AnimationManager: Speed set to ${entry.speed}x`);
+  }
+
+  /**
+   * Update all mixers (call every frame)
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    if (this.entries.size === 0) return;
+
+    for (const entry of this.entries.values()) {
+      entry.mixer.update(deltaTime);
+    }
+  }
+
+  /**
+   * Get clips available for a model
+   * @param {THREE.Object3D} model - Target model (optional)
+   * @returns {Array} Array of clip information
+   */
+  getClips(model = null) {
+    const entry = this._getEntry(model);
+    if (!entry) return [];
+
+    return Array.from(entry.clips.values()).map(clip => ({
+      name: clip.name,
+      duration: clip.duration,
+      tracks: clip.tracks.length,
+    }));
+  }
+
+  /**
+   * Get playback state for a model
+   * @param {THREE.Object3D} model - Target model (optional)
+   * @returns {Object|null} Playback state
+   */
+  getState(model = null) {
+    const entry = this._getEntry(model);
+    if (!entry) return null;
+
+    const action = entry.currentAction;
+
+    return {
+      clip: action ? action.getClip().name : null,
+      time: action ? action.time : 0,
+      duration: action ? action.getClip().duration : 0,
+      isPlaying: !!action && action.isRunning() && !entry.isPaused,
+      isPaused: entry.isPaused,
+      loopMode: entry.loopMode,
+      speed: entry.speed,
+    };
+  }
+
+  /**
+   * Check if a model has animations
+   * @param {THREE.Object3D} model - Target model (optional)
+   * @returns {boolean} Whether animations are available
+   */
+  hasAnimations(model = null) {
+    return !!this._getEntry(model);
+  }
+
+  /**
+   * Get animation manager information
+   * @returns {Object} Manager information
+   */
+  getInfo() {
+    return {
+      animatedModels: this.entries.size,
+      clipCount: this.getClips().length,
+      state: this.getState(),
+    };
+  }
+
+  /**
+   * Clean up and dispose of all resources
+   */
+  dispose() {
+    if (this._disposed) return;
+
+    console.log('AnimationManager: Starting cleanup...');
+
+    for (const entry of Array.from(this.entries.values())) {
+      this.removeModel(entry.model);
+    }
+
+    this.entries.clear();
+    this.activeModelId = null;
+
+    this._disposed = true;
+    console.log('AnimationManager: Cleanup completed');
+  }
+}
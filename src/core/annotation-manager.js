@@ -0,0 +1,628 @@
+import * as THREE from 'three';
+
+/**
+ * Convert an array, {x, y, z} object or vector to a new Vector3
+ * @param {Array<number>|Object} value - Vector-like value
+ * @returns {THREE.Vector3} Vector
+ */
+function toVector3(value) {
+  if (Array.isArray(value)) {
+    return new THREE.Vector3().fromArray(value);
+  }
+  return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+/**
+ * AnnotationManager keeps DOM hotspots attached to points on model surfaces
+ * Points, normals and stored camera views are local to the anchoring model, so hotspots
+ * follow its transform. Labels are projected every frame and fade when the point is
+ * hidden behind geometry. Clicking a hotspot dispatches 'annotationClick'.
+ */
+export class AnnotationManager extends THREE.EventDispatcher {
+  constructor(camera, container, config = {}) {
+    super();
+
+    this.camera = camera;
+    this.container = container;
+    this.config = config;
+
+    const annotationConfig = config.annotations || {};
+    this.options = {
+      occlusion: true,
+      occlusionInterval: 100,
+      occludedOpacity: 0.25,
+      viewDistance: 2,
+      ...annotationConfig,
+    };
+
+    this.enabled = annotationConfig.enabled !== false;
+    this.visible = true;
+
+    // Annotations by id, in the order they were added
+    this.annotations = new Map();
+    this.nextId = 1;
+
+    // Scene access, provided by the viewer
+    this.getAnchor = () => null;
+    this.getOccluders = () => [];
+
+    this.raycaster = new THREE.Raycaster();
+    this.lastOcclusionTest = 0;
+
+    // Reused per-frame vectors
+    this._point = new THREE.Vector3();
+    this._projected = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._toCamera = new THREE.Vector3();
+    this._cameraPosition = new THREE.Vector3();
+    this._normalMatrix = new THREE.Matrix3();
+
+    this.layer = null;
+    this.handleClick = this.handleClick.bind(this);
+
+    this.init();
+
+    console.log('AnnotationManager: Initialized');
+  }
+
+  /**
+   * Create the label layer over the viewport
+   */
+  init() {
+    this.addAnnotationStyles();
+
+    this.layer = document.createElement('div');
+    this.layer.className = 'annotation-layer';
+    this.layer.style.setProperty(
+      '--annotation-occluded-opacity',
+      this.options.occludedOpacity
+    );
+    this.layer.hidden = !this.enabled;
+    this.layer.addEventListener('click', this.handleClick);
+
+    this.container.appendChild(this.layer);
+  }
+
+  /**
+   * Add CSS styles for hotspots
+   */
+  addAnnotationStyles() {
+    if (document.getElementById('annotation-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'annotation-styles';
+    styles.textContent = `
+      .annotation-layer {
+        position: absolute;
+        inset: 0;
+        overflow: hidden;
+        pointer-events: none;
+        z-index: 400;
+      }
+
+      .annotation-hotspot {
+        position: absolute;
+        top: 0;
+        left: 0;
+        display: flex;
+        align-items: flex-start;
+        gap: 8px;
+        padding: 0;
+        border: none;
+        background: none;
+        font: inherit;
+        text-align: left;
+        cursor: pointer;
+        pointer-events: auto;
+        transition: opacity 0.2s ease;
+      }
+
+      .annotation-hotspot[hidden] {
+        display: none;
+      }
+
+      .annotation-hotspot.is-occluded {
+        opacity: var(--annotation-occluded-opacity);
+        pointer-events: none;
+      }
+
+      .annotation-marker {
+        flex: none;
+        width: 16px;
+        height: 16px;
+        margin: -8px 0 0 -8px;
+        border: 2px solid white;
+        border-radius: 50%;
+        background: #2196f3;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.4);
+      }
+
+      .annotation-hotspot:hover .annotation-marker,
+      .annotation-hotspot:focus-visible .annotation-marker {
+        transform: scale(1.25);
+      }
+
+      .annotation-text {
+        margin-top: -12px;
+        padding: 4px 8px;
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.7);
+        color: white;
+        font-size: 12px;
+        white-space: nowrap;
+      }
+
+      .annotation-description {
+        display: none;
+        max-width: 220px;
+        margin-top: 2px;
+        white-space: normal;
+        opacity: 0.85;
+      }
+
+      .annotation-hotspot:hover .annotation-description,
+      .annotation-hotspot:focus-visible .annotation-description {
+        display: block;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Set the lookup of anchoring models
+   * @param {Function} getAnchor - Returns the model object for a model id, or null
+   */
+  setAnchorResolver(getAnchor) {
+    this.getAnchor = getAnchor;
+  }
+
+  /**
+   * Set the provider of objects that hide hotspots behind them
+   * @param {Function} getOccluders - Returns the root objects to raycast against
+   */
+  setOccluders(getOccluders) {
+    this.getOccluders = getOccluders;
+  }
+
+  /**
+   * Add a hotspot, replacing any with the same id
+   * @param {Object} options - Annotation settings
+   * @param {string} options.id - Annotation id (generated if omitted)
+   * @param {string} options.modelId - Id of the anchoring model
+   * @param {Array<number>|Object} options.position - Model-local surface point
+   * @param {Array<number>|Object} options.normal - Model-local surface normal
+   * @param {string} options.label - Label text
+   * @param {string} options.description - Text shown on hover or focus
+   * @param {Object} options.view - Model-local camera view { position, target }
+   * @returns {Object} Annotation data
+   */
+  add(options = {}) {
+    if (!options.position) {
+      throw new Error('AnnotationManager: Annotation position is required');
+    }
+
+    const id = options.id || `annotation-${this.nextId++}`;
+    if (this.annotations.has(id)) {
+      this.remove(id);
+    }
+
+    const annotation = {
+      id,
+      modelId: options.modelId,
+      position: toVector3(options.position),
+      normal: options.normal
+        ? toVector3(options.normal).normalize()
+        : new THREE.Vector3(),
+      label: options.label || '',
+      description: options.description || '',
+      view: null,
+      occluded: false,
+      element: null,
+    };
+
+    if (options.view) {
+      this._setLocalView(annotation, options.view);
+    }
+
+    annotation.element = this._createElement(annotation);
+    this.layer.appendChild(annotation.element);
+    this.annotations.set(id, annotation);
+
+    this.dispatchEvent({ type: 'annotationAdded', id });
+    return this._serialize(annotation);
+  }
+
+  /**
+   * Change a hotspot
+   * @param {string} id - Annotation id
+   * @param {Object} changes - Settings to change (see add)
+   * @returns {Object|null} Updated annotation data, or null if not found
+   */
+  update(id, changes = {}) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) return null;
+
+    ['modelId', 'label', 'description'].forEach(key => {
+      if (changes[key] !== undefined) {
+        annotation[key] = changes[key];
+      }
+    });
+    if (changes.position) {
+      annotation.position = toVector3(changes.position);
+    }
+    if (changes.normal) {
+      annotation.normal = toVector3(changes.normal).normalize();
+    }
+    if (changes.view !== undefined) {
+      annotation.view = null;
+      if (changes.view) {
+        this._setLocalView(annotation, changes.view);
+      }
+    }
+
+    this._renderElement(annotation);
+    this.dispatchEvent({ type: 'annotationUpdated', id });
+    return this._serialize(annotation);
+  }
+
+  /**
+   * Remove a hotspot
+   * @param {string} id - Annotation id
+   * @returns {boolean} True if the annotation existed
+   */
+  remove(id) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) return false;
+
+    annotation.element.remove();
+    this.annotations.delete(id);
+
+    this.dispatchEvent({ type: 'annotationRemoved', id });
+    return true;
+  }
+
+  /**
+   * Remove all hotspots, or those of one model
+   * @param {string} modelId - Only remove annotations anchored to this model
+   */
+  clear(modelId) {
+    Array.from(this.annotations.values())
+      .filter(annotation => !modelId || annotation.modelId === modelId)
+      .forEach(annotation => this.remove(annotation.id));
+  }
+
+  /**
+   * Get a hotspot
+   * @param {string} id - Annotation id
+   * @returns {Object|null} Annotation data, or null if not found
+   */
+  get(id) {
+    const annotation = this.annotations.get(id);
+    return annotation ? this._serialize(annotation) : null;
+  }
+
+  /**
+   * List hotspots
+   * @param {string} modelId - Only list annotations anchored to this model
+   * @returns {Array<Object>} Annotation data in the order they were added
+   */
+  list(modelId) {
+    return Array.from(this.annotations.values())
+      .filter(annotation => !modelId || annotation.modelId === modelId)
+      .map(annotation => this._serialize(annotation));
+  }
+
+  /**
+   * Get the camera view of a hotspot in world space
+   * Without a stored view the camera looks at the point along its normal.
+   * @param {string} id - Annotation id
+   * @returns {Object|null} { position, target } or null if not anchored
+   */
+  getWorldView(id) {
+    const annotation = this.annotations.get(id);
+    const anchor = annotation ? this.getAnchor(annotation.modelId) : null;
+    if (!anchor) return null;
+
+    anchor.updateWorldMatrix(true, false);
+
+    if (annotation.view) {
+      return {
+        position: anchor.localToWorld(annotation.view.position.clone()),
+        target: anchor.localToWorld(annotation.view.target.clone()),
+      };
+    }
+
+    const target = anchor.localToWorld(annotation.position.clone());
+    const normal = this._getWorldNormal(anchor, annotation);
+    if (normal.lengthSq() === 0) {
+      // Keep the current viewing direction
+      this.camera.getWorldDirection(normal).negate();
+    }
+
+    return {
+      position: target
+        .clone()
+        .addScaledVector(normal, this.options.viewDistance),
+      target,
+    };
+  }
+
+  /**
+   * Store a world-space camera view on a hotspot
+   * @param {string} id - Annotation id
+   * @param {THREE.Vector3} position - Camera position
+   * @param {THREE.Vector3} target - Point the camera looks at
+   * @returns {boolean} Success status
+   */
+  setWorldView(id, position, target) {
+    const annotation = this.annotations.get(id);
+    const anchor = annotation ? this.getAnchor(annotation.modelId) : null;
+    if (!anchor) return false;
+
+    anchor.updateWorldMatrix(true, false);
+    annotation.view = {
+      position: anchor.worldToLocal(position.clone()),
+      target: anchor.worldToLocal(target.clone()),
+    };
+
+    this.dispatchEvent({ type: 'annotationUpdated', id });
+    return true;
+  }
+
+  /**
+   * Enable or disable hotspots
+   * @param {boolean} enabled - Whether hotspots are shown
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.layer.hidden = !enabled || !this.visible;
+  }
+
+  /**
+   * Temporarily show or hide the label layer (e.g. while the view is split)
+   * @param {boolean} visible - Whether labels are shown
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.layer.hidden = !this.enabled || !visible;
+  }
+
+  /**
+   * Project the labels and test their occlusion, once per frame
+   */
+  updateLabels() {
+    if (this.layer.hidden || this.annotations.size === 0) return;
+
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+
+    // Occlusion raycasts are throttled, projection follows every frame
+    const now = performance.now();
+    const testOcclusion =
+      this.options.occlusion &&
+      now - this.lastOcclusionTest >= this.options.occlusionInterval;
+    if (testOcclusion) {
+      this.lastOcclusionTest = now;
+    }
+
+    this.camera.updateMatrixWorld();
+    this.camera.getWorldPosition(this._cameraPosition);
+
+    this.annotations.forEach(annotation => {
+      this._updateLabel(annotation, width, height, testOcclusion);
+    });
+  }
+
+  /**
+   * Position one label over its point
+   * @param {Object} annotation - Annotation
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @param {boolean} testOcclusion - Whether to raycast for occlusion
+   * @private
+   */
+  _updateLabel(annotation, width, height, testOcclusion) {
+    const { element } = annotation;
+    const anchor = this.getAnchor(annotation.modelId);
+
+    if (!anchor || !this._isVisible(anchor)) {
+      element.hidden = true;
+      return;
+    }
+
+    const point = anchor.localToWorld(this._point.copy(annotation.position));
+    const projected = this._projected.copy(point).project(this.camera);
+
+    // Behind the camera or outside the view
+    element.hidden =
+      projected.z < -1 ||
+      projected.z > 1 ||
+      Math.abs(projected.x) > 1 ||
+      Math.abs(projected.y) > 1;
+    if (element.hidden) return;
+
+    const x = ((projected.x + 1) / 2) * width;
+    const y = ((1 - projected.y) / 2) * height;
+    element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+
+    // Nearer hotspots stack on top
+    element.style.zIndex = Math.round((1 - projected.z) * 500);
+
+    if (testOcclusion) {
+      annotation.occluded = this._isOccluded(anchor, annotation, point);
+      element.classList.toggle('is-occluded', annotation.occluded);
+    }
+  }
+
+  /**
+   * Check if a hotspot is hidden by geometry
+   * @param {THREE.Object3D} anchor - Anchoring model
+   * @param {Object} annotation - Annotation
+   * @param {THREE.Vector3} point - World-space hotspot point
+   * @returns {boolean} True if occluded
+   * @private
+   */
+  _isOccluded(anchor, annotation, point) {
+    const toCamera = this._toCamera.subVectors(this._cameraPosition, point);
+    const distance = toCamera.length();
+
+    // A surface facing away from the camera hides its own point
+    const normal = this._getWorldNormal(anchor, annotation);
+    if (normal.dot(toCamera) < 0) return true;
+
+    // Anything between the camera and the point, short of the surface itself
+    this.raycaster.set(this._cameraPosition, toCamera.negate().normalize());
+    this.raycaster.near = 0;
+    this.raycaster.far = distance * 0.999;
+
+    return this.raycaster
+      .intersectObjects(this.getOccluders(), true)
+      .some(hit => hit.object.isMesh && this._isVisible(hit.object));
+  }
+
+  /**
+   * Get a hotspot's normal in world space
+   * @param {THREE.Object3D} anchor - Anchoring model
+   * @param {Object} annotation - Annotation
+   * @returns {THREE.Vector3} World normal (zero if the annotation has none)
+   * @private
+   */
+  _getWorldNormal(anchor, annotation) {
+    this._normalMatrix.getNormalMatrix(anchor.matrixWorld);
+    return this._normal
+      .copy(annotation.normal)
+      .applyMatrix3(this._normalMatrix)
+      .normalize();
+  }
+
+  /**
+   * Check if an object and all of its ancestors are visible
+   * @param {THREE.Object3D} object - Object to check
+   * @returns {boolean} True if visible
+   * @private
+   */
+  _isVisible(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Store a model-local camera view
+   * @param {Object} annotation - Annotation
+   * @param {Object} view - { position, target } as arrays or vectors
+   * @private
+   */
+  _setLocalView(annotation, view) {
+    annotation.view = {
+      position: toVector3(view.position),
+      target: toVector3(view.target || annotation.position),
+    };
+  }
+
+  /**
+   * Create the hotspot element
+   * @param {Object} annotation - Annotation
+   * @returns {HTMLButtonElement} Hotspot element
+   * @private
+   */
+  _createElement(annotation) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'annotation-hotspot';
+    element.dataset.annotationId = annotation.id;
+    element.hidden = true; // Until the first projection
+
+    const marker = document.createElement('span');
+    marker.className = 'annotation-marker';
+
+    const text = document.createElement('span');
+    text.className = 'annotation-text';
+
+    const label = document.createElement('span');
+    label.className = 'annotation-label';
+
+    const description = document.createElement('span');
+    description.className = 'annotation-description';
+
+    text.append(label, description);
+    element.append(marker, text);
+
+    annotation.element = element;
+    this._renderElement(annotation);
+    return element;
+  }
+
+  /**
+   * Show an annotation's text on its element
+   * @param {Object} annotation - Annotation
+   * @private
+   */
+  _renderElement(annotation) {
+    const { element, label, description } = annotation;
+
+    element.querySelector('.annotation-label').textContent = label;
+    element.querySelector('.annotation-description').textContent = description;
+    element.querySelector('.annotation-text').hidden = !label && !description;
+    element.setAttribute('aria-label', label || 'Annotation');
+  }
+
+  /**
+   * Describe an annotation as plain data
+   * @param {Object} annotation - Annotation
+   * @returns {Object} { id, modelId, position, normal, label, description, view, occluded }
+   * @private
+   */
+  _serialize(annotation) {
+    const { view } = annotation;
+
+    return {
+      id: annotation.id,
+      modelId: annotation.modelId,
+      position: annotation.position.toArray(),
+      normal: annotation.normal.toArray(),
+      label: annotation.label,
+      description: annotation.description,
+      view: view
+        ? { position: view.position.toArray(), target: view.target.toArray() }
+        : null,
+      occluded: annotation.occluded,
+    };
+  }
+
+  /**
+   * Dispatch clicks on hotspots
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    const element = e.target.closest('.annotation-hotspot');
+    if (!element) return;
+
+    const id = element.dataset.annotationId;
+    this.dispatchEvent({
+      type: 'annotationClick',
+      id,
+      annotation: this.get(id),
+      originalEvent: e,
+    });
+  }
+
+  /**
+   * Remove the label layer and all hotspots
+   */
+  dispose() {
+    this.layer.removeEventListener('click', this.handleClick);
+    this.layer.remove();
+
+    this.annotations.clear();
+    this.getAnchor = () => null;
+    this.getOccluders = () => [];
+    this.layer = null;
+    this.camera = null;
+    this.container = null;
+
+    console.log('AnnotationManager: Cleanup completed');
+  }
+}
@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+/**
+ * Gizmo modes: move the light itself, or aim it by moving its target
+ */
+const GIZMO_MODES = ['move', 'aim'];
+
+/**
+ * LightGizmoManager shows the LightingManager's lights as gizmos that can be picked and dragged
+ * Each positioned light gets its three.js helper and a handle; directional and spot lights
+ * also get a target handle. TransformControls move the selected light or its target.
+ * Ambient lights have no position, so they can be selected but show no gizmo.
+ * Dispatches lightSelect, lightMove, draggingChanged and change (gizmo needs a render).
+ */
+export class LightGizmoManager extends THREE.EventDispatcher {
+  constructor(lightingManager, camera, domElement, config = {}) {
+    super();
+
+    this.lightingManager = lightingManager;
+    this.scene = lightingManager.scene;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.config = config;
+
+    const editorConfig = config.lightEditor || {};
+    this.options = {
+      handleSize: editorConfig.handleSize ?? 0.25,
+      dragThreshold: config.picking?.dragThreshold ?? 5,
+    };
+
+    this.enabled = false;
+    this.mode = 'move';
+    this.selected = null; // Name of the selected light
+
+    // Gizmos by light name: { light, helper, handle, targetHandle }
+    this.gizmos = new Map();
+    this.group = new THREE.Group();
+    this.group.name = 'lightGizmos';
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.press = null;
+
+    this.transformControls = new TransformControls(camera, domElement);
+    this.transformControls.enabled = false;
+    this.transformControls.addEventListener('dragging-changed', event => {
+      this.dispatchEvent({ type: 'draggingChanged', dragging: event.value });
+    });
+    this.transformControls.addEventListener('objectChange', () => {
+      this._onObjectChange();
+    });
+    this.transformControls.addEventListener('change', () => {
+      this.dispatchEvent({ type: 'change' });
+    });
+
+    // Registered after TransformControls, so a press on its handles is already a drag
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.addEventListener('pointerup', this.handlePointerUp);
+
+    this._disposed = false;
+
+    console.log('LightGizmoManager: Initialized');
+  }
+
+  /**
+   * Show or hide the gizmos
+   * @param {boolean} enabled - Whether lights can be edited
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+
+    this.enabled = enabled;
+    this.transformControls.enabled = enabled;
+
+    if (enabled) {
+      this.scene.add(this.group, this.transformControls.getHelper());
+      this.refresh();
+    } else {
+      this.select(null);
+      this.scene.remove(this.group, this.transformControls.getHelper());
+      this._clearGizmos();
+    }
+
+    this.dispatchEvent({ type: 'change' });
+    console.log(
+      `LightGizmoManager: Light editing ${enabled ? 'enabled' : 'disabled'}`
+    );
+  }
+
+  /**
+   * Rebuild the gizmos from the current lights, e.g. after a preset replaced them
+   * The selection is kept when a light of the same name is still there.
+   */
+  refresh() {
+    if (!this.enabled) return;
+
+    this._clearGizmos();
+    this.lightingManager.lights.forEach((light, name) => {
+      const gizmo = this._createGizmo(name, light);
+      if (gizmo) {
+        this.gizmos.set(name, gizmo);
+      }
+    });
+    this.update();
+
+    const { selected } = this;
+    this.selected = null;
+    this.select(this.lightingManager.lights.has(selected) ? selected : null);
+  }
+
+  /**
+   * Select a light and attach the transform gizmo to it
+   * @param {string|null} name - Light name, or null to clear the selection
+   * @param {string} mode - 'move' or 'aim' (defaults to the current mode)
+   * @returns {boolean} Success status
+   */
+  select(name, mode = this.mode) {
+    const light = name ? this.lightingManager.getLight(name) : null;
+    if (name && !light) {
+      console.warn(`LightGizmoManager: Light "${name}" not found`);
+      return false;
+    }
+    if (!GIZMO_MODES.includes(mode)) {
+      console.warn(`LightGizmoManager: Unknown gizmo mode "${mode}"`);
+      return false;
+    }
+
+    this.selected = name;
+    this.mode = mode === 'aim' && light && !light.target ? 'move' : mode;
+
+    const gizmo = name ? this.gizmos.get(name) : null;
+    const object = this.mode === 'aim' ? light?.target : light;
+    if (this.enabled && gizmo && object) {
+      this.transformControls.attach(object);
+    } else {
+      this.transformControls.detach();
+    }
+
+    this.gizmos.forEach((entry, gizmoName) => {
+      entry.handle.scale.setScalar(gizmoName === name ? 1.5 : 1);
+    });
+
+    this.dispatchEvent({ type: 'lightSelect', name, light, mode: this.mode });
+    return true;
+  }
+
+  /**
+   * Switch between moving the selected light and aiming it
+   * Lights without a target can only be moved.
+   * @param {string} mode - 'move' or 'aim'
+   * @returns {boolean} Success status
+   */
+  setMode(mode) {
+    return this.select(this.selected, mode);
+  }
+
+  /**
+   * Keep the gizmos on their lights, e.g. after properties changed or lights animated
+   */
+  update() {
+    if (!this.enabled) return;
+
+    this.gizmos.forEach(({ light, helper, handle, targetHandle }) => {
+      light.updateMatrixWorld();
+      light.getWorldPosition(handle.position);
+      handle.material.color.copy(light.color);
+
+      if (targetHandle) {
+        light.target.updateMatrixWorld();
+        light.target.getWorldPosition(targetHandle.position);
+      }
+      helper.update();
+    });
+  }
+
+  /**
+   * Remember where a press started, and whether it grabbed the transform gizmo
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    if (!this.enabled || e.button !== 0) return;
+
+    this.press = {
+      x: e.clientX,
+      y: e.clientY,
+      dragging: this.transformControls.dragging,
+    };
+  }
+
+  /**
+   * Select the light whose handle was clicked
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    const { press } = this;
+    this.press = null;
+    if (!press || press.dragging || !this.enabled) return;
+
+    const distance = Math.hypot(e.clientX - press.x, e.clientY - press.y);
+    if (distance > this.options.dragThreshold) return;
+
+    const handle = this.pick(e.clientX, e.clientY);
+    if (handle) {
+      const { lightName, part } = handle.userData;
+      this.select(lightName, part === 'target' ? 'aim' : 'move');
+    }
+  }
+
+  /**
+   * Raycast the light handles at a pointer position
+   * @param {number} clientX - Pointer x in client pixels
+   * @param {number} clientY - Pointer y in client pixels
+   * @returns {THREE.Mesh|null} Nearest handle, or null
+   */
+  pick(clientX, clientY) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    const handles = [];
+    this.gizmos.forEach(({ handle, targetHandle }) => {
+      handles.push(handle);
+      if (targetHandle) handles.push(targetHandle);
+    });
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const [hit] = this.raycaster.intersectObjects(handles, false);
+    return hit ? hit.object : null;
+  }
+
+  /**
+   * Sync the dragged light's gizmo and report the move
+   * @private
+   */
+  _onObjectChange() {
+    const name = this.selected;
+    const light = this.lightingManager.getLight(name);
+    if (!light) return;
+
+    this.update();
+    this.dispatchEvent({
+      type: 'lightMove',
+      name,
+      light,
+      part: this.mode === 'aim' ? 'target' : 'position',
+    });
+  }
+
+  /**
+   * Create the helper and handles of a light
+   * @param {string} name - Light name
+   * @param {THREE.Light} light - Light to show
+   * @returns {Object|null} Gizmo, or null for lights without a position
+   * @private
+   */
+  _createGizmo(name, light) {
+    const { handleSize } = this.options;
+
+    let helper;
+    if (light.isDirectionalLight) {
+      helper = new THREE.DirectionalLightHelper(light, handleSize * 4);
+    } else if (light.isSpotLight) {
+      helper = new THREE.SpotLightHelper(light);
+    } else if (light.isPointLight) {
+      helper = new THREE.PointLightHelper(light, handleSize * 2);
+    } else if (light.isHemisphereLight) {
+      helper = new THREE.HemisphereLightHelper(light, handleSize * 4);
+    } else {
+      return null;
+    }
+
+    // Handles stay visible through the model, so lights behind it can still be picked
+    const createHandle = (geometry, part) => {
+      const handle = new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({
+          color: light.color,
+          depthTest: false,
+          transparent: true,
+          opacity: part === 'target' ? 0.6 : 0.9,
+        })
+      );
+      handle.renderOrder = 999;
+      handle.userData = { lightName: name, part };
+      return handle;
+    };
+
+    const handle = createHandle(
+      new THREE.SphereGeometry(handleSize, 16, 8),
+      'position'
+    );
+    const targetHandle = light.target
+      ? createHandle(new THREE.OctahedronGeometry(handleSize * 0.6), 'target')
+      : null;
+
+    this.group.add(helper, handle);
+    if (targetHandle) {
+      this.group.add(targetHandle);
+    }
+
+    return { light, helper, handle, targetHandle };
+  }
+
+  /**
+   * Remove and dispose of all gizmos
+   * @private
+   */
+  _clearGizmos() {
+    this.gizmos.forEach(({ helper, handle, targetHandle }) => {
+      this.group.remove(helper, handle);
+      helper.dispose();
+      [handle, targetHandle].forEach(mesh => {
+        if (!mesh) return;
+        this.group.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      });
+    });
+    this.gizmos.clear();
+  }
+
+  /**
+   * Clean up and dispose of all resources
+   */
+  dispose() {
+    if (this._disposed) return;
+
+    this.setEnabled(false);
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.transformControls.dispose();
+
+    this._disposed = true;
+    console.log('LightGizmoManager: Disposed');
+  }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getRetryOptions, withRetry } from '../utils/retry-policy.js';
 
 /**
  * LightingManager handles all lighting operations
@@ -20,6 +21,7 @@ export class LightingManager extends THREE.EventDispatcher {
     this.environmentMap = null;
     this.cubeTextureLoader = new THREE.CubeTextureLoader();
     this.rgbeLoader = null; // Will be initialized if needed
+    this.exrLoader = null; // Will be initialized if needed
 
     // Current state
     this.currentPreset = 'studio';
@@ -365,7 +367,7 @@ export class LightingManager extends THREE.EventDispatcher {
           config.color,
           config.intensity,
           config.distance || 0,
-          config.decay || 1
+          config.decay ?? 1
         );
         if (config.position) {
           light.position.set(...config.position);
@@ -382,7 +384,7 @@ export class LightingManager extends THREE.EventDispatcher {
           config.distance || 0,
           config.angle || Math.PI / 3,
           config.penumbra || 0,
-          config.decay || 1
+          config.decay ?? 1
         );
         if (config.position) {
           light.position.set(...config.position);
@@ -416,6 +418,12 @@ export class LightingManager extends THREE.EventDispatcher {
     }
 
     light.name = config.name;
+
+    // Whether the light itself casts shadows, while shadows can be off globally
+    if (light.shadow) {
+      light.userData.castShadow = !!config.castShadow;
+      light.userData.shadowSetup = !!config.castShadow;
+    }
     return light;
   }
 
@@ -443,8 +451,8 @@ export class LightingManager extends THREE.EventDispatcher {
     }
 
     // Improve shadow quality
-    light.shadow.bias = -0.0001;
-    light.shadow.normalBias = 0.02;
+    light.shadow.bias = config.shadowBias ?? -0.0001;
+    light.shadow.normalBias = config.shadowNormalBias ?? 0.02;
   }
 
   /**
@@ -462,6 +470,8 @@ export class LightingManager extends THREE.EventDispatcher {
 
     light.shadow.camera.near = 0.1;
     light.shadow.camera.far = light.distance || 25;
+    light.shadow.bias = config.shadowBias ?? 0;
+    light.shadow.normalBias = config.shadowNormalBias ?? 0;
   }
 
   /**
@@ -480,6 +490,8 @@ export class LightingManager extends THREE.EventDispatcher {
     light.shadow.camera.near = 0.1;
     light.shadow.camera.far = light.distance || 25;
     light.shadow.camera.fov = (light.angle * 180) / Math.PI;
+    light.shadow.bias = config.shadowBias ?? 0;
+    light.shadow.normalBias = config.shadowNormalBias ?? 0;
   }
 
   /**
@@ -636,6 +648,161 @@ export class LightingManager extends THREE.EventDispatcher {
     });
   }
 
+  /**
+   * Change several properties of a light at once
+   * Intensity is the light's own intensity, before the global multiplier. Turning on
+   * castShadow sets up the light's shadow like a preset light with castShadow.
+   * @param {string} lightName - Name of the light
+   * @param {Object} properties - Any of color, groundColor, intensity, distance, decay,
+   *   angle (radians), penumbra, castShadow, shadowBias, position and target ([x, y, z])
+   * @returns {boolean} Success status
+   */
+  updateLight(lightName, properties) {
+    const light = this.lights.get(lightName);
+    if (!light) {
+      console.warn(`LightingManager: Light "${lightName}" not found`);
+      return false;
+    }
+
+    const {
+      color,
+      groundColor,
+      intensity,
+      castShadow,
+      shadowBias,
+      position,
+      target,
+      ...numbers
+    } = properties;
+
+    if (color !== undefined) light.color.set(color);
+    if (groundColor !== undefined && light.groundColor) {
+      light.groundColor.set(groundColor);
+    }
+    if (intensity !== undefined) {
+      light.userData.originalIntensity = intensity;
+      light.intensity = intensity * this.globalIntensity;
+    }
+
+    ['distance', 'decay', 'angle', 'penumbra'].forEach(key => {
+      if (numbers[key] !== undefined && key in light) {
+        light[key] = numbers[key];
+      }
+    });
+
+    if (position) light.position.fromArray(position);
+    if (target && light.target) light.target.position.fromArray(target);
+
+    if (castShadow !== undefined && light.shadow) {
+      if (castShadow && !light.userData.shadowSetup) {
+        this._setupShadows(light);
+      }
+      light.castShadow = castShadow && this.shadowsEnabled;
+      light.userData.castShadow = castShadow;
+    }
+    if (shadowBias !== undefined && light.shadow) {
+      light.shadow.bias = shadowBias;
+    }
+
+    this.dispatchEvent({ type: 'lightUpdated', lightName, properties });
+    return true;
+  }
+
+  /**
+   * Set up the shadow of a light that was created without one
+   * @param {THREE.Light} light - Directional, point or spot light
+   * @private
+   */
+  _setupShadows(light) {
+    const config = { shadowMapSize: [1024, 1024] };
+    if (light.isDirectionalLight) {
+      this.setupDirectionalLightShadows(light, config);
+    } else if (light.isSpotLight) {
+      this.setupSpotLightShadows(light, config);
+    } else {
+      this.setupPointLightShadows(light, config);
+    }
+    light.userData.shadowSetup = true;
+  }
+
+  /**
+   * Describe a light as a preset light configuration
+   * The result recreates the light through createLightFromConfig.
+   * @param {string} lightName - Name of the light
+   * @returns {Object|null} Light configuration, or null if the light is not found
+   */
+  getLightConfig(lightName) {
+    const light = this.lights.get(lightName);
+    if (!light) return null;
+
+    const config = {
+      type: light.type,
+      name: lightName,
+      intensity: light.userData.originalIntensity ?? light.intensity,
+    };
+
+    if (light.isHemisphereLight) {
+      config.skyColor = light.color.getHex();
+      config.groundColor = light.groundColor.getHex();
+    } else {
+      config.color = light.color.getHex();
+    }
+
+    if (!light.isAmbientLight) {
+      config.position = light.position.toArray();
+    }
+    if (light.target) {
+      config.target = light.target.position.toArray();
+    }
+    if (light.isPointLight || light.isSpotLight) {
+      config.distance = light.distance;
+      config.decay = light.decay;
+    }
+    if (light.isSpotLight) {
+      config.angle = light.angle;
+      config.penumbra = light.penumbra;
+    }
+
+    if (light.shadow) {
+      // Shadows switched off globally still belong to the light
+      config.castShadow = light.userData.castShadow ?? light.castShadow;
+      if (config.castShadow) {
+        config.shadowMapSize = light.shadow.mapSize.toArray();
+        config.shadowBias = light.shadow.bias;
+        config.shadowNormalBias = light.shadow.normalBias;
+      }
+      if (config.castShadow && light.isDirectionalLight) {
+        const { near, far, left, right, top, bottom } = light.shadow.camera;
+        config.shadowCamera = { near, far, left, right, top, bottom };
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Create a lighting preset from the lights in the scene
+   * The current preset's environment map is kept.
+   * @param {string} name - Preset name
+   * @param {string} description - Preset description
+   * @returns {Object} Lighting preset for addLightingPreset
+   */
+  createPresetFromLights(name, description = '') {
+    const lights = [...this.lights.keys()].map(lightName =>
+      this.getLightConfig(lightName)
+    );
+
+    return {
+      name,
+      description:
+        description ||
+        `Custom lighting with ${lights.length} light${lights.length === 1 ? '' : 's'}`,
+      lights,
+      environment:
+        this.lightPresets.get(this.currentPreset)?.environment ?? null,
+    };
+  }
+
   /**
    * Enable or disable shadows globally
    * @param {boolean} enabled - Shadow enabled state
@@ -645,7 +812,7 @@ export class LightingManager extends THREE.EventDispatcher {
 
     for (const [name, light] of this.lights) {
       if (light.castShadow !== undefined) {
-        light.castShadow = enabled;
+        light.castShadow = enabled && (light.userData.castShadow ?? true);
       }
     }
 
@@ -659,23 +826,29 @@ export class LightingManager extends THREE.EventDispatcher {
   /**
    * Load and apply environment map for IBL
    * @param {string|Array} environmentPath - Path to environment map or array of cube faces
+   * @param {Object} options - Loading options
+   * @param {Map<string, string>} options.urlMap - Virtual file map resolving paths to object URLs
    * @returns {Promise<THREE.Texture>} Loaded environment map
    */
-  async loadEnvironmentMap(environmentPath) {
+  async loadEnvironmentMap(environmentPath, options = {}) {
     try {
       console.log('LightingManager: Loading environment map...');
 
+      // Resolve virtual paths (e.g. files unpacked from an archive) to object URLs
+      const resolve = path => options.urlMap?.get(path) || path;
+
       let envMap;
 
       if (Array.isArray(environmentPath)) {
         // Load cube texture from 6 faces
-        envMap = await this.loadCubeTexture(environmentPath);
+        envMap = await this.loadCubeTexture(environmentPath.map(resolve));
       } else if (
         environmentPath.endsWith('.hdr') ||
         environmentPath.endsWith('.exr')
       ) {
-        // Load HDR/EXR environment map
-        envMap = await this.loadHDRTexture(environmentPath);
+        // Load HDR/EXR environment map, by the path as object URLs have no extension
+        const format = environmentPath.endsWith('.exr') ? 'exr' : 'hdr';
+        envMap = await this.loadHDRTexture(resolve(environmentPath), format);
       } else {
         throw new Error('Unsupported environment map format');
       }
@@ -722,20 +895,70 @@ export class LightingManager extends THREE.EventDispatcher {
 
   /**
    * Load HDR texture for environment mapping
-   * @param {string} url - HDR file URL
+   * Transient network failures are retried with backoff per config.errors
+   * @param {string} url - HDR or EXR file URL
+   * @param {string} format - 'hdr' (Radiance RGBE) or 'exr' (OpenEXR)
    * @returns {Promise<THREE.Texture>} Loaded HDR texture
    */
-  async loadHDRTexture(url) {
-    // Dynamically import RGBELoader if needed
+  async loadHDRTexture(url, format = 'hdr') {
+    const loader = await this._getHDRLoader(format);
+
+    return withRetry(() => this._loadHDRTextureOnce(url, loader), {
+      ...getRetryOptions(this.config),
+      onRetry: ({ attempt, maxRetries, delay, error }) => {
+        console.warn(
+          `LightingManager: HDR load failed (${error.message}), retry ${attempt}/${maxRetries} in ${delay}ms`
+        );
+        this.dispatchEvent({
+          type: 'loadProgress',
+          progress: 0,
+          url,
+          stage: 'retrying',
+          attempt,
+          maxRetries,
+          delay,
+          error: error.message,
+        });
+      },
+    });
+  }
+
+  /**
+   * Get the loader for an HDR format, importing it on first use
+   * @param {string} format - 'hdr' or 'exr'
+   * @returns {Promise<THREE.DataTextureLoader>} RGBELoader or EXRLoader
+   * @private
+   */
+  async _getHDRLoader(format) {
+    if (format === 'exr') {
+      if (!this.exrLoader) {
+        const { EXRLoader } = await import(
+          'three/examples/jsm/loaders/EXRLoader.js'
+        );
+        this.exrLoader = new EXRLoader();
+      }
+      return this.exrLoader;
+    }
+
     if (!this.rgbeLoader) {
       const { RGBELoader } = await import(
         'three/examples/jsm/loaders/RGBELoader.js'
       );
       this.rgbeLoader = new RGBELoader();
     }
+    return this.rgbeLoader;
+  }
 
+  /**
+   * Load an HDR texture with a single request
+   * @param {string} url - HDR or EXR file URL
+   * @param {THREE.DataTextureLoader} loader - Loader for the file's format
+   * @returns {Promise<THREE.Texture>} Loaded HDR texture
+   * @private
+   */
+  _loadHDRTextureOnce(url, loader) {
     return new Promise((resolve, reject) => {
-      this.rgbeLoader.load(
+      loader.load(
         url,
         texture => {
           texture.mapping = THREE.EquirectangularReflectionMapping;
@@ -1,4 +1,105 @@
 import * as THREE from 'three';
+import { selectTargetMeshes } from '../utils/mesh-selector.js';
+import {
+  createProceduralTexture,
+  createProceduralTextureUrl,
+  getProceduralOutput,
+  isProceduralTextureUrl,
+  parseProceduralTextureUrl,
+} from '../utils/procedural-textures.js';
+import {
+  applyTextureTransform,
+  toKHRTextureTransform,
+  validateTextureTransform,
+} from '../utils/texture-transform.js';
+
+/**
+ * Prefix of preset names that select a KHR_materials_variants variant (e.g. 'variant:Red')
+ */
+export const VARIANT_PRESET_PREFIX = 'variant:';
+
+/**
+ * How a preset changes a mesh
+ * 'replace' swaps in a new material built from the preset. 'override' copies the mesh's
+ * original material and sets only the preset's scalar properties, keeping its texture maps.
+ */
+export const PRESET_MODES = ['replace', 'override'];
+
+/**
+ * Material properties holding textures, saved as texture references in presets
+ */
+export const TEXTURE_SLOTS = [
+  'map',
+  'normalMap',
+  'roughnessMap',
+  'metalnessMap',
+  'aoMap',
+  'emissiveMap',
+  'clearcoatNormalMap',
+  'transmissionMap',
+  'sheenColorMap',
+];
+
+/**
+ * Display names of the texture slots
+ */
+export const TEXTURE_SLOT_LABELS = {
+  map: 'Base color',
+  normalMap: 'Normal',
+  roughnessMap: 'Roughness',
+  metalnessMap: 'Metalness',
+  aoMap: 'Occlusion',
+  emissiveMap: 'Emissive',
+  clearcoatNormalMap: 'Clearcoat normal',
+  transmissionMap: 'Transmission',
+  sheenColorMap: 'Sheen color',
+};
+
+/**
+ * Texture slots holding colors, which are sampled as sRGB; the others hold linear data
+ */
+const COLOR_TEXTURE_SLOTS = [
+  'map',
+  'emissiveMap',
+  'sheenColorMap',
+  'specularColorMap',
+];
+
+/**
+ * Scalar material properties saved in presets
+ */
+const PRESET_PROPERTIES = [
+  'color',
+  'metalness',
+  'roughness',
+  'emissive',
+  'emissiveIntensity',
+  'transparent',
+  'opacity',
+  'clearcoat',
+  'clearcoatRoughness',
+  'transmission',
+  'thickness',
+  'ior',
+  'sheen',
+  'sheenRoughness',
+  'sheenColor',
+];
+
+let physicalMaterial = null;
+
+/**
+ * Check if a standard material needs upgrading to MeshPhysicalMaterial for a property
+ * @param {THREE.Material} material - Material to check
+ * @param {string} property - Material property, e.g. 'clearcoat'
+ * @returns {boolean} True if only the physical material has the property
+ */
+function needsPhysicalMaterial(material, property) {
+  if (!material.isMeshStandardMaterial || property in material) return false;
+
+  physicalMaterial ??= new THREE.MeshPhysicalMaterial();
+  return property in physicalMaterial;
+}
 
 /**
  * MaterialManager handles all material-related operations
@@ -15,10 +116,14 @@ export class MaterialManager extends THREE.EventDispatcher {
     this.presets = new Map();
     this.appliedMaterials = new Map(); // Track applied materials by object
     this.originalMaterials = new Map(); // Store original materials for restoration
+    this.modelPresets = new Map(); // Preset applied to each model, by model uuid
+    this.variantMaterials = new Map(); // KHR_materials_variants material by variant name, by mesh uuid
+    this.propertyHistory = []; // Undo steps of updateMaterialProperty, newest last
 
     // Texture loading
     this.textureLoader = new THREE.TextureLoader();
     this.cubeTextureLoader = new THREE.CubeTextureLoader();
+    this.ktx2Loader = null; // Shared with the model loader, see setKTX2Loader
     this.textureCache = new Map();
 
     // Current state
@@ -85,14 +190,10 @@ export class MaterialManager extends THREE.EventDispatcher {
         name: 'Matte',
         description: 'Non-reflective matte finish',
         type: 'MeshStandardMaterial',
+        mode: 'override', // finish on the model's own colors and maps
         properties: {
-          color: 0xffffff,
           metalness: 0.0,
           roughness: 0.9,
-          emissive: 0x000000,
-          emissiveIntensity: 0.0,
-          transparent: false,
-          opacity: 1.0,
         },
       },
 
@@ -100,14 +201,10 @@ export class MaterialManager extends THREE.EventDispatcher {
         name: 'Glossy',
         description: 'Smooth glossy surface with some reflection',
         type: 'MeshStandardMaterial',
+        mode: 'override',
         properties: {
-          color: 0xffffff,
           metalness: 0.1,
           roughness: 0.1,
-          emissive: 0x000000,
-          emissiveIntensity: 0.0,
-          transparent: false,
-          opacity: 1.0,
         },
       },
 
@@ -162,14 +259,19 @@ export class MaterialManager extends THREE.EventDispatcher {
         description: 'Woven carbon fiber pattern',
         type: 'MeshStandardMaterial',
         properties: {
-          color: 0x1a1a1a,
+          color: 0xffffff,
           metalness: 0.8,
-          roughness: 0.4,
+          roughness: 1.0,
           emissive: 0x000000,
           emissiveIntensity: 0.0,
           transparent: false,
           opacity: 1.0,
         },
+        textures: {
+          map: { procedural: 'weave', scale: 16, repeat: 4 },
+          normalMap: { procedural: 'weave', scale: 16, repeat: 4 },
+          roughnessMap: { procedural: 'weave', scale: 16, repeat: 4 },
+        },
       },
     };
 
@@ -224,6 +326,7 @@ export class MaterialManager extends THREE.EventDispatcher {
 
     // Apply properties
     this.applyMaterialProperties(material, preset.properties);
+    this.applyPresetTextures(material, preset.textures);
 
     // Set material name
     material.name = preset.name || 'Unnamed Material';
@@ -231,6 +334,132 @@ export class MaterialManager extends THREE.EventDispatcher {
     return material;
   }
 
+  /**
+   * Create an override material from a mesh's original material
+   * The copy keeps the original's maps and other settings. Only scalar preset properties
+   * (numbers, booleans and colors) are set, and only on properties of the same kind, so a
+   * preset cannot replace a texture slot. A MeshPhysicalMaterial preset upgrades
+   * standard materials so physical properties like transmission can apply.
+   * @param {THREE.Material} original - Material to start from
+   * @param {Object} preset - Material preset
+   * @returns {THREE.Material} Created material
+   */
+  createOverrideMaterial(original, preset) {
+    let material;
+
+    if (
+      preset.type === 'MeshPhysicalMaterial' &&
+      original.isMeshStandardMaterial &&
+      !original.isMeshPhysicalMaterial
+    ) {
+      material = this._toPhysicalMaterial(original);
+    } else {
+      material = original.clone();
+    }
+
+    const scalars = Object.fromEntries(
+      Object.entries(preset.properties || {}).filter(([key, value]) => {
+        const current = material[key];
+        if (current?.isColor) {
+          return value?.isColor || ['number', 'string'].includes(typeof value);
+        }
+        return (
+          ['number', 'boolean'].includes(typeof value) &&
+          typeof value === typeof current
+        );
+      })
+    );
+    this.applyMaterialProperties(material, scalars);
+    this.applyPresetTextures(material, preset.textures);
+
+    material.name = original.name
+      ? `${original.name} (${preset.name || 'Override'})`
+      : preset.name || 'Unnamed Material';
+
+    return material;
+  }
+
+  /**
+   * Copy a standard material into a MeshPhysicalMaterial
+   * @param {THREE.MeshStandardMaterial} material - Material to copy
+   * @returns {THREE.MeshPhysicalMaterial} Physical material with the same settings and maps
+   * @private
+   */
+  _toPhysicalMaterial(material) {
+    const physical = new THREE.MeshPhysicalMaterial();
+    THREE.MeshStandardMaterial.prototype.copy.call(physical, material);
+
+    // The standard copy resets defines, without PHYSICAL the shader ignores IOR and specular
+    physical.defines = { STANDARD: '', PHYSICAL: '' };
+    return physical;
+  }
+
+  /**
+   * Apply a preset's texture references to a material
+   * A reference is a texture URL, a procedural texture URL, a texture,
+   * { procedural: name, ...params } or { url }. The objects may add a transform in
+   * KHR_texture_transform terms (see texture-transform.js). Procedural textures are
+   * generated right away, other URLs load in the background.
+   * @param {THREE.Material} material - Material to modify
+   * @param {Object} textures - Texture references by material property (map, normalMap, etc.)
+   */
+  applyPresetTextures(material, textures = {}) {
+    for (const [property, reference] of Object.entries(textures || {})) {
+      if (!(property in material)) continue;
+
+      if (reference?.isTexture) {
+        material[property] = reference;
+        continue;
+      }
+
+      let url = reference;
+      let transform = null;
+      if (typeof reference !== 'string') {
+        const {
+          procedural,
+          transform: referenceTransform,
+          ...params
+        } = reference;
+        transform = referenceTransform || null;
+        url = reference.url || createProceduralTextureUrl(procedural, params);
+      }
+
+      if (isProceduralTextureUrl(url)) {
+        const texture = this.getProceduralTexture(url, property);
+        material[property] = transform
+          ? this._copyTexture(texture, transform)
+          : texture;
+      } else {
+        // Failures are reported through textureError
+        this.loadAndApplyTexture(url, material, property, transform).catch(
+          () => {}
+        );
+      }
+    }
+
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Get a procedural texture for a material property, generating it once
+   * The output defaults to what the property needs (color for map, normal for normalMap...).
+   * @param {string} url - Procedural texture URL, e.g. 'procedural:knurl?scale=24'
+   * @param {string} property - Material property the texture is for
+   * @returns {THREE.Texture} Cached or generated texture
+   */
+  getProceduralTexture(url, property = 'map') {
+    const { name, params } = parseProceduralTextureUrl(url);
+    const options = { output: getProceduralOutput(property), ...params };
+    const key = createProceduralTextureUrl(name, options);
+
+    if (!this.textureCache.has(key)) {
+      console.log(`MaterialManager: Generating texture ${key}`);
+      this.textureCache.set(key, createProceduralTexture(name, options));
+    }
+
+    return this.textureCache.get(key);
+  }
+
   /**
    * Apply properties to a material
    * @param {THREE.Material} material - Material to modify
@@ -238,10 +467,9 @@ export class MaterialManager extends THREE.EventDispatcher {
    */
   applyMaterialProperties(material, properties) {
     for (const [key, value] of Object.entries(properties)) {
-      if (material.hasOwnProperty(key)) {
-        if (typeof value === 'number' && key === 'color') {
-          material[key] = new THREE.Color(value);
-        } else if (typeof value === 'number' && key === 'emissive') {
+      // Physical properties like transmission are accessors on the prototype
+      if (key in material) {
+        if (material[key]?.isColor && !value?.isColor) {
           material[key] = new THREE.Color(value);
         } else {
           material[key] = value;
@@ -254,11 +482,16 @@ export class MaterialManager extends THREE.EventDispatcher {
 
   /**
    * Apply material preset to the current model
+   * 'variant:<name>' selects a material variant. On models with material variants,
+   * 'default' is the authored look rather than the plain default material.
+   * With a target only the matching meshes change, and the model's preset stays as it was.
    * @param {string} presetName - Name of the preset to apply
    * @param {THREE.Object3D} model - Model to apply material to (optional, uses current model if not provided)
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to change (optional, see
+   *   selectTargetMeshes): mesh or material name patterns, { meshes, materials }, or picked meshes
    * @returns {Promise<boolean>} Success status
    */
-  async applyMaterialPreset(presetName, model = null) {
+  async applyMaterialPreset(presetName, model = null, target = null) {
     const targetModel = model || this.currentModel;
 
     if (!targetModel) {
@@ -268,49 +501,57 @@ export class MaterialManager extends THREE.EventDispatcher {
       return false;
     }
 
+    // Variants switch every mapped mesh at once
+    if (presetName.startsWith(VARIANT_PRESET_PREFIX)) {
+      return this.setVariant(
+        presetName.slice(VARIANT_PRESET_PREFIX.length),
+        targetModel
+      );
+    }
+
+    if (
+      presetName === 'default' &&
+      this.getMaterialVariants(targetModel).length > 0
+    ) {
+      return this.setVariant(null, targetModel);
+    }
+
     const preset = this.presets.get(presetName);
     if (!preset) {
       console.warn(`MaterialManager: Preset "${presetName}" not found`);
       return false;
     }
 
+    const meshes = this.selectMeshes(targetModel, target);
+    if (target !== null && meshes.length === 0) {
+      console.warn('MaterialManager: No meshes match the material target');
+      return false;
+    }
+
     console.log(
-      `MaterialManager: Applying material preset "${presetName}" to model`
+      `MaterialManager: Applying material preset "${presetName}" to ${target === null ? 'model' : `${meshes.length} meshes`}`
     );
 
     try {
-      // Store original materials if this is the first time
-      if (this.currentPreset === 'default' && presetName !== 'default') {
-        this.storeOriginalMaterials(targetModel);
-      }
-
-      // Create material from preset
-      const material = this.createMaterialFromPreset(preset);
-
-      // Apply to all meshes in the model
-      let appliedCount = 0;
-      targetModel.traverse(child => {
-        if (child.isMesh) {
-          // Store reference to applied material
-          this.appliedMaterials.set(child.uuid, child.material);
+      // Apply to the targeted meshes, storing their originals first
+      const materials = this._applyPreset(preset, meshes);
 
-          // Apply new material
-          child.material = material;
-          appliedCount++;
-        }
-      });
-
-      this.currentPreset = presetName;
+      if (target === null) {
+        this._setModelPreset(targetModel, presetName);
+      }
 
       console.log(
-        `MaterialManager: Applied "${presetName}" to ${appliedCount} meshes`
+        `MaterialManager: Applied "${presetName}" to ${meshes.length} meshes`
       );
 
       this.dispatchEvent({
         type: 'materialPresetApplied',
         preset: presetName,
-        material: material,
-        appliedCount,
+        material: materials[0] || null,
+        materials,
+        appliedCount: meshes.length,
+        meshes,
+        target,
       });
 
       return true;
@@ -325,35 +566,160 @@ export class MaterialManager extends THREE.EventDispatcher {
     }
   }
 
+  /**
+   * Apply a material preset to some meshes, leaving the rest of their model alone
+   * Originals are stored first, so restoreOriginalMaterials still returns to them
+   * @param {string|Object} preset - Preset name or preset definition
+   * @param {Array<THREE.Mesh>} meshes - Meshes to change
+   * @returns {Array<THREE.Material>|null} Materials created for the meshes, or null if the preset was not found
+   */
+  applyPresetToMeshes(preset, meshes) {
+    const definition =
+      typeof preset === 'string' ? this.presets.get(preset) : preset;
+    if (!definition) {
+      console.warn(`MaterialManager: Preset "${preset}" not found`);
+      return null;
+    }
+
+    const materials = this._applyPreset(definition, meshes);
+
+    this.dispatchEvent({
+      type: 'materialPresetApplied',
+      preset: typeof preset === 'string' ? preset : definition.name,
+      material: materials[0] || null,
+      materials,
+      appliedCount: meshes.length,
+      meshes,
+    });
+
+    return materials;
+  }
+
+  /**
+   * Put a preset's material(s) on meshes in the preset's mode
+   * @param {Object} preset - Material preset
+   * @param {Array<THREE.Mesh>} meshes - Meshes to change
+   * @returns {Array<THREE.Material>} Created materials
+   * @private
+   */
+  _applyPreset(preset, meshes) {
+    const mode = preset.mode || 'replace';
+    if (!PRESET_MODES.includes(mode)) {
+      throw new Error(`MaterialManager: Unknown preset mode "${mode}"`);
+    }
+
+    this.clearPropertyHistory();
+
+    if (mode === 'replace') {
+      const material = this.createMaterialFromPreset(preset);
+      this._replaceMaterials(meshes, material);
+      return [material];
+    }
+
+    // One override per original material
+    const overrides = new Map();
+    const override = original => {
+      if (!overrides.has(original)) {
+        overrides.set(original, this.createOverrideMaterial(original, preset));
+      }
+      return overrides.get(original);
+    };
+
+    meshes.forEach(mesh => {
+      this._storeOriginalMaterial(mesh);
+
+      const original = this.getOriginalMaterial(mesh);
+      const material = Array.isArray(original)
+        ? original.map(override)
+        : override(original);
+
+      this.appliedMaterials.set(mesh.uuid, mesh.material);
+      mesh.material = material;
+    });
+
+    return [...overrides.values()];
+  }
+
+  /**
+   * Resolve a target selector to meshes of a model
+   * Material name patterns match the materials the meshes were loaded with.
+   * @param {THREE.Object3D} model - Model to search
+   * @param {string|RegExp|Array|Object|THREE.Mesh|null} target - Selector, or null for every mesh
+   * @returns {Array<THREE.Mesh>} Matching meshes
+   */
+  selectMeshes(model, target = null) {
+    return selectTargetMeshes(model, target, mesh =>
+      this.getOriginalMaterial(mesh)
+    );
+  }
+
+  /**
+   * Put a material on meshes, storing their originals first
+   * @param {Array<THREE.Mesh>} meshes - Meshes to change
+   * @param {THREE.Material} material - Material to assign
+   * @private
+   */
+  _replaceMaterials(meshes, material) {
+    meshes.forEach(mesh => {
+      this._storeOriginalMaterial(mesh);
+
+      // Store reference to applied material
+      this.appliedMaterials.set(mesh.uuid, mesh.material);
+      mesh.material = material;
+    });
+  }
+
   /**
    * Store original materials for restoration
+   * Meshes whose originals are already stored keep them
    * @param {THREE.Object3D} model - Model to store materials from
    */
   storeOriginalMaterials(model) {
-    this.originalMaterials.clear();
+    let storedCount = 0;
 
     model.traverse(child => {
-      if (child.isMesh && child.material) {
-        // Clone the material to preserve original state
-        const originalMaterial = Array.isArray(child.material)
-          ? child.material.map(mat => mat.clone())
-          : child.material.clone();
-
-        this.originalMaterials.set(child.uuid, originalMaterial);
+      if (child.isMesh && this._storeOriginalMaterial(child)) {
+        storedCount++;
       }
     });
 
-    console.log(
-      `MaterialManager: Stored ${this.originalMaterials.size} original materials`
-    );
+    console.log(`MaterialManager: Stored ${storedCount} original materials`);
+  }
+
+  /**
+   * Store a mesh's material for restoration, unless already stored
+   * @param {THREE.Mesh} mesh - Mesh to store the material of
+   * @returns {boolean} True if the material was stored
+   * @private
+   */
+  _storeOriginalMaterial(mesh) {
+    if (!mesh.material || this.originalMaterials.has(mesh.uuid)) return false;
+
+    // Clone the material to preserve original state
+    const originalMaterial = Array.isArray(mesh.material)
+      ? mesh.material.map(mat => mat.clone())
+      : mesh.material.clone();
+
+    this.originalMaterials.set(mesh.uuid, originalMaterial);
+    return true;
+  }
+
+  /**
+   * Get the material a mesh was loaded with
+   * @param {THREE.Mesh} mesh - Mesh to check
+   * @returns {THREE.Material|Array<THREE.Material>} Stored original, or the current material
+   */
+  getOriginalMaterial(mesh) {
+    return this.originalMaterials.get(mesh.uuid) || mesh.material;
   }
 
   /**
    * Restore original materials to the model
    * @param {THREE.Object3D} model - Model to restore materials to (optional)
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to restore (optional, see applyMaterialPreset)
    * @returns {boolean} Success status
    */
-  restoreOriginalMaterials(model = null) {
+  restoreOriginalMaterials(model = null, target = null) {
     const targetModel = model || this.currentModel;
 
     if (!targetModel || this.originalMaterials.size === 0) {
@@ -362,16 +728,19 @@ export class MaterialManager extends THREE.EventDispatcher {
     }
 
     console.log('MaterialManager: Restoring original materials');
+    this.clearPropertyHistory();
 
     let restoredCount = 0;
-    targetModel.traverse(child => {
-      if (child.isMesh && this.originalMaterials.has(child.uuid)) {
-        child.material = this.originalMaterials.get(child.uuid);
+    this.selectMeshes(targetModel, target).forEach(mesh => {
+      if (this.originalMaterials.has(mesh.uuid)) {
+        mesh.material = this.originalMaterials.get(mesh.uuid);
         restoredCount++;
       }
     });
 
-    this.currentPreset = 'original';
+    if (target === null) {
+      this._setModelPreset(targetModel, 'original');
+    }
 
     console.log(
       `MaterialManager: Restored ${restoredCount} original materials`
@@ -381,6 +750,130 @@ export class MaterialManager extends THREE.EventDispatcher {
     return true;
   }
 
+  /**
+   * Register the KHR_materials_variants materials of a loaded model
+   * @param {THREE.Object3D} object - Loaded model or LOD level, whose meshes carry
+   *   userData.variantMaterials from ModelManager
+   * @param {Array<THREE.Material>} materials - Variant materials table
+   * @returns {number} Number of meshes with variants
+   */
+  registerMaterialVariants(object, materials) {
+    let meshCount = 0;
+
+    object.traverse(child => {
+      const variants = child.isMesh && child.userData.variantMaterials;
+      if (!variants) return;
+
+      this.variantMaterials.set(
+        child.uuid,
+        new Map(
+          Object.entries(variants).map(([name, index]) => [
+            name,
+            materials[index],
+          ])
+        )
+      );
+      meshCount++;
+    });
+
+    console.log(
+      `MaterialManager: Registered material variants of ${meshCount} meshes`
+    );
+    return meshCount;
+  }
+
+  /**
+   * Get the KHR_materials_variants variant names of a model
+   * @param {THREE.Object3D} model - Model to check (optional, uses current model if not provided)
+   * @returns {Array<string>} Variant names, empty if the model has none
+   */
+  getMaterialVariants(model = null) {
+    const targetModel = model || this.currentModel;
+    const names = new Set();
+
+    targetModel?.traverse(child => {
+      child.userData.variantNames?.forEach(name => names.add(name));
+    });
+
+    return Array.from(names);
+  }
+
+  /**
+   * Get the material variant shown on a model
+   * @param {THREE.Object3D} model - Model to check (optional, uses current model if not provided)
+   * @returns {string|null} Variant name, or null if no variant is selected
+   */
+  getActiveVariant(model = null) {
+    const targetModel = model || this.currentModel;
+    const preset = targetModel ? this.getModelPreset(targetModel) : '';
+
+    return preset.startsWith(VARIANT_PRESET_PREFIX)
+      ? preset.slice(VARIANT_PRESET_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Switch a model to one of its KHR_materials_variants variants
+   * Meshes the variant does not map show their authored material, as the extension
+   * specifies. Originals are stored first, so restoreOriginalMaterials still works.
+   * @param {string|null} name - Variant name, or null for the authored materials
+   * @param {THREE.Object3D} model - Model to change (optional, uses current model if not provided)
+   * @returns {boolean} Success status
+   */
+  setVariant(name, model = null) {
+    const targetModel = model || this.currentModel;
+
+    if (!targetModel) {
+      console.warn('MaterialManager: No model available for variant switch');
+      return false;
+    }
+
+    if (
+      name !== null &&
+      !this.getMaterialVariants(targetModel).includes(name)
+    ) {
+      console.warn(`MaterialManager: Variant "${name}" not found`);
+      return false;
+    }
+
+    // The authored look only needs the meshes that were replaced put back
+    if (name !== null) {
+      this.storeOriginalMaterials(targetModel);
+    }
+    this.clearPropertyHistory();
+
+    let appliedCount = 0;
+    targetModel.traverse(child => {
+      if (!child.isMesh) return;
+
+      const material =
+        (name !== null && this.variantMaterials.get(child.uuid)?.get(name)) ||
+        this.originalMaterials.get(child.uuid);
+      if (!material || material === child.material) return;
+
+      this.appliedMaterials.set(child.uuid, child.material);
+      child.material = material;
+      appliedCount++;
+    });
+
+    this._setModelPreset(
+      targetModel,
+      name === null ? 'default' : `${VARIANT_PRESET_PREFIX}${name}`
+    );
+
+    console.log(
+      `MaterialManager: Applied variant "${name ?? 'default'}" to ${appliedCount} meshes`
+    );
+    this.dispatchEvent({
+      type: 'materialVariantApplied',
+      variant: name,
+      model: targetModel,
+      appliedCount,
+    });
+
+    return true;
+  }
+
   /**
    * Create a custom material with specific properties
    * @param {string} name - Material name
@@ -403,41 +896,103 @@ export class MaterialManager extends THREE.EventDispatcher {
   }
 
   /**
-   * Load texture and apply to material property
+   * Set the loader for KTX2 textures
+   * The loader needs transcoder support detected for the renderer, so it is shared with
+   * the model loader rather than created here.
+   * @param {KTX2Loader} loader - KTX2 loader
+   */
+  setKTX2Loader(loader) {
+    this.ktx2Loader = loader;
+  }
+
+  /**
+   * Get a texture by URL, loading it once
+   * Procedural texture URLs (see procedural-textures.js) are generated instead of loaded
    * @param {string} textureUrl - Texture file URL
-   * @param {THREE.Material} material - Material to apply texture to
-   * @param {string} property - Material property name (map, normalMap, etc.)
-   * @returns {Promise<THREE.Texture>} Loaded texture
+   * @param {string} property - Material property the texture is for (sets its color space)
+   * @param {Object} options - Loading options
+   * @param {string} options.extension - File extension, for URLs without one (e.g. object URLs)
+   * @param {boolean} options.flipY - Whether the model's UVs expect flipped images (glTF does not)
+   * @param {string} options.name - Texture name, e.g. the file name of an object URL
+   * @returns {Promise<THREE.Texture>} Cached or loaded texture
    */
-  async loadAndApplyTexture(textureUrl, material, property = 'map') {
-    try {
-      // Check cache first
-      if (this.textureCache.has(textureUrl)) {
-        const texture = this.textureCache.get(textureUrl);
-        material[property] = texture;
-        material.needsUpdate = true;
-        return texture;
+  async getTexture(textureUrl, property = 'map', options = {}) {
+    if (isProceduralTextureUrl(textureUrl)) {
+      return this.getProceduralTexture(textureUrl, property);
+    }
+
+    // Check cache first
+    if (this.textureCache.has(textureUrl)) {
+      return this.textureCache.get(textureUrl);
+    }
+
+    console.log(
+      `MaterialManager: Loading texture ${textureUrl} for ${property}`
+    );
+
+    const texture = await this.loadTexture(textureUrl, options.extension);
+
+    // Configure texture
+    texture.name = options.name || texture.name;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.colorSpace = COLOR_TEXTURE_SLOTS.includes(property)
+      ? THREE.SRGBColorSpace
+      : THREE.LinearSRGBColorSpace;
+
+    if (options.flipY !== undefined) {
+      // Compressed textures cannot be flipped on upload, so they flip through the UV transform
+      if (!texture.isCompressedTexture) {
+        texture.flipY = options.flipY;
+      } else if (options.flipY) {
+        texture.repeat.y = -1;
+        texture.offset.y = 1;
       }
+    }
 
-      console.log(
-        `MaterialManager: Loading texture ${textureUrl} for ${property}`
-      );
+    // Cache texture
+    this.textureCache.set(textureUrl, texture);
+
+    return texture;
+  }
 
-      const texture = await this.loadTexture(textureUrl);
+  /**
+   * Find the URL a texture was loaded or generated from
+   * @param {THREE.Texture} texture - Texture to look up
+   * @returns {string|null} Texture URL, or null for textures that did not come from getTexture
+   */
+  getTextureUrl(texture) {
+    // Transformed copies remember the URL of the texture they were made from
+    if (texture.userData?.url) return texture.userData.url;
+
+    for (const [url, cached] of this.textureCache) {
+      if (cached === texture) return url;
+    }
+    return null;
+  }
 
-      // Configure texture
-      texture.wrapS = THREE.RepeatWrapping;
-      texture.wrapT = THREE.RepeatWrapping;
-      texture.colorSpace =
-        property === 'map' ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
+  /**
+   * Load texture and apply to material property
+   * @param {string} textureUrl - Texture file URL or procedural texture URL
+   * @param {THREE.Material} material - Material to apply texture to
+   * @param {string} property - Material property name (map, normalMap, etc.)
+   * @param {Object} transform - Texture transform to apply to a copy (optional, see setTextureTransform)
+   * @returns {Promise<THREE.Texture>} Loaded texture
+   */
+  async loadAndApplyTexture(
+    textureUrl,
+    material,
+    property = 'map',
+    transform = null
+  ) {
+    try {
+      const loaded = await this.getTexture(textureUrl, property);
+      const texture = transform ? this._copyTexture(loaded, transform) : loaded;
 
       // Apply to material
       material[property] = texture;
       material.needsUpdate = true;
 
-      // Cache texture
-      this.textureCache.set(textureUrl, texture);
-
       console.log(`MaterialManager: Applied texture to ${property}`);
       this.dispatchEvent({
         type: 'textureApplied',
@@ -463,12 +1018,30 @@ export class MaterialManager extends THREE.EventDispatcher {
 
   /**
    * Load texture with promise wrapper
+   * KTX2 textures load through the loader set with setKTX2Loader, other formats as images.
    * @param {string} url - Texture URL
+   * @param {string} extension - File extension (optional, read from the URL by default)
    * @returns {Promise<THREE.Texture>} Loaded texture
    */
-  loadTexture(url) {
+  loadTexture(url, extension = null) {
+    const type = (
+      extension ||
+      url.split(/[?#]/)[0].match(/\.[^./]*$/)?.[0] ||
+      ''
+    ).toLowerCase();
+
+    let loader = this.textureLoader;
+    if (type === '.ktx2') {
+      if (!this.ktx2Loader) {
+        return Promise.reject(
+          new Error('MaterialManager: KTX2 textures need setKTX2Loader')
+        );
+      }
+      loader = this.ktx2Loader;
+    }
+
     return new Promise((resolve, reject) => {
-      this.textureLoader.load(
+      loader.load(
         url,
         texture => resolve(texture),
         progress => {
@@ -481,11 +1054,18 @@ export class MaterialManager extends THREE.EventDispatcher {
 
   /**
    * Update material property in real-time
+   * Materials the updated meshes share with other meshes, or that are stored originals
+   * or variants, are copied first so the change stays on the updated meshes. Standard
+   * materials become MeshPhysicalMaterial for physical properties like clearcoat.
+   * Each update is an undo step; consecutive updates of one property on the same meshes
+   * (e.g. dragging a slider) make a single step.
    * @param {string} propertyName - Property to update
-   * @param {*} value - New value
+   * @param {*} value - New value, or a function returning each material's new value from
+   *   (currentValue, material)
    * @param {THREE.Object3D} model - Target model (optional)
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to update (optional, see applyMaterialPreset)
    */
-  updateMaterialProperty(propertyName, value, model = null) {
+  updateMaterialProperty(propertyName, value, model = null, target = null) {
     const targetModel = model || this.currentModel;
 
     if (!targetModel) {
@@ -493,35 +1073,310 @@ export class MaterialManager extends THREE.EventDispatcher {
       return;
     }
 
+    const meshes = this.selectMeshes(targetModel, target).filter(
+      mesh => mesh.material
+    );
+    const previous = new Map(meshes.map(mesh => [mesh, mesh.material]));
+
+    meshes.forEach(mesh => this._storeOriginalMaterial(mesh));
+    this._separateMaterials(targetModel, meshes);
+    this._replaceMeshMaterials(meshes, material =>
+      needsPhysicalMaterial(material, propertyName)
+        ? this._toPhysicalMaterial(material)
+        : material
+    );
+
+    const step = {
+      property: propertyName,
+      meshes,
+      replaced: meshes
+        .filter(mesh => mesh.material !== previous.get(mesh))
+        .map(mesh => ({
+          mesh,
+          previous: previous.get(mesh),
+          material: mesh.material,
+        })),
+      values: [],
+    };
+
     let updatedCount = 0;
-    targetModel.traverse(child => {
-      if (child.isMesh && child.material) {
-        const materials = Array.isArray(child.material)
-          ? child.material
-          : [child.material];
-
-        materials.forEach(material => {
-          if (material.hasOwnProperty(propertyName)) {
-            if (propertyName === 'color' || propertyName === 'emissive') {
-              material[propertyName] = new THREE.Color(value);
-            } else {
-              material[propertyName] = value;
-            }
-            material.needsUpdate = true;
-            updatedCount++;
-          }
+    const updated = new Set();
+    meshes.forEach(mesh => {
+      const materials = Array.isArray(mesh.material)
+        ? mesh.material
+        : [mesh.material];
+
+      materials.forEach(material => {
+        if (updated.has(material) || !(propertyName in material)) return;
+
+        const current = material[propertyName];
+        step.values.push({
+          material,
+          value: current?.isColor ? current.clone() : current,
         });
-      }
+
+        const next =
+          typeof value === 'function' ? value(current, material) : value;
+        if (current?.isColor && !next?.isColor) {
+          material[propertyName] = new THREE.Color(next);
+        } else {
+          material[propertyName] = next;
+        }
+        material.needsUpdate = true;
+        updated.add(material);
+        updatedCount++;
+      });
     });
 
+    if (updatedCount > 0) {
+      this._pushHistoryStep(step);
+    }
+
     console.log(
-      `MaterialManager: Updated ${propertyName} to ${value} on ${updatedCount} materials`
+      `MaterialManager: Updated ${propertyName} to ${typeof value === 'function' ? 'computed values' : value} on ${updatedCount} materials`
     );
     this.dispatchEvent({
       type: 'materialPropertyUpdated',
       property: propertyName,
       value,
       updatedCount,
+      meshes,
+      target,
+    });
+  }
+
+  /**
+   * Change the transform of a texture slot on a model's materials
+   * Each texture is replaced by a transformed copy, shared by the materials that shared the
+   * texture, so the change stays on the target meshes and is an undo step like
+   * updateMaterialProperty. Values read from glTF KHR_texture_transform round-trip on export.
+   * @param {string} slot - Texture slot, e.g. 'map' or 'normalMap'
+   * @param {Object} transform - { offset: [u, v], rotation, scale: [u, v], texCoord }, every
+   *   field optional (see texture-transform.js)
+   * @param {THREE.Object3D} model - Target model (optional)
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to update (optional, see applyMaterialPreset)
+   * @returns {boolean} True if any texture changed
+   */
+  setTextureTransform(slot, transform, model = null, target = null) {
+    const problem = validateTextureTransform(transform);
+    if (problem) {
+      throw new Error(`MaterialManager: Invalid texture transform, ${problem}`);
+    }
+
+    const targetModel = model || this.currentModel;
+    if (!targetModel) {
+      console.warn('MaterialManager: No model available for texture transform');
+      return false;
+    }
+
+    const copies = new Map();
+    this.updateMaterialProperty(
+      slot,
+      current => {
+        if (!current?.isTexture) return current;
+
+        if (!copies.has(current)) {
+          copies.set(current, this._copyTexture(current, transform));
+        }
+        return copies.get(current);
+      },
+      targetModel,
+      target
+    );
+
+    this._disposeUnusedCopies([...copies.keys()], targetModel, slot);
+    return copies.size > 0;
+  }
+
+  /**
+   * Copy a texture with a transform, sharing its image
+   * @param {THREE.Texture} texture - Texture to copy
+   * @param {Object} transform - Transform (see setTextureTransform)
+   * @returns {THREE.Texture} Transformed copy
+   * @private
+   */
+  _copyTexture(texture, transform) {
+    const url = this.getTextureUrl(texture);
+
+    const copy = texture.clone();
+    copy.userData.transformCopy = true;
+    if (url) {
+      copy.userData.url = url;
+    }
+    applyTextureTransform(copy, transform);
+
+    return copy;
+  }
+
+  /**
+   * Dispose transformed copies that were replaced and can no longer come back
+   * Copies made while dragging a control are in no undo step once the next one replaces them.
+   * @param {Array<THREE.Texture>} textures - Replaced textures
+   * @param {THREE.Object3D} model - Model the textures were replaced on
+   * @param {string} slot - Texture slot
+   * @private
+   */
+  _disposeUnusedCopies(textures, model, slot) {
+    const used = new Set(
+      this.propertyHistory.flatMap(step =>
+        step.values.map(({ value }) => value)
+      )
+    );
+    model.traverse(child => {
+      if (!child.isMesh) return;
+      [child.material].flat().forEach(material => used.add(material?.[slot]));
+    });
+
+    textures.forEach(texture => {
+      if (texture.userData.transformCopy && !used.has(texture)) {
+        texture.dispose();
+      }
+    });
+  }
+
+  /**
+   * Add an undo step, merging it into the last one when it continues the same edit
+   * @param {Object} step - { property, meshes, replaced, values }
+   * @private
+   */
+  _pushHistoryStep(step) {
+    const last = this.propertyHistory[this.propertyHistory.length - 1];
+    const continues =
+      last &&
+      !last.closed &&
+      step.replaced.length === 0 &&
+      last.property === step.property &&
+      last.meshes.length === step.meshes.length &&
+      last.meshes.every((mesh, index) => mesh === step.meshes[index]);
+
+    // The last step already holds the values from before the edit
+    if (continues) return;
+
+    this.propertyHistory.push(step);
+
+    const limit = this.config.materials?.historySize ?? 50;
+    if (this.propertyHistory.length > limit) {
+      this.propertyHistory.splice(0, this.propertyHistory.length - limit);
+    }
+  }
+
+  /**
+   * Undo the last updateMaterialProperty step
+   * Presets, variants and restores clear the history, as they replace the edited materials.
+   * @returns {boolean} True if a step was undone
+   */
+  undoMaterialProperty() {
+    const step = this.propertyHistory.pop();
+    if (!step) return false;
+
+    // Edits after an undo start a new step
+    if (this.propertyHistory.length > 0) {
+      this.propertyHistory[this.propertyHistory.length - 1].closed = true;
+    }
+
+    step.values.forEach(({ material, value }) => {
+      material[step.property] = value;
+      material.needsUpdate = true;
+    });
+
+    // Put back materials swapped for copies, disposing the copies
+    step.replaced.forEach(({ mesh, previous, material }) => {
+      if (mesh.material !== material) return;
+
+      mesh.material = previous;
+      const before = Array.isArray(previous) ? previous : [previous];
+      (Array.isArray(material) ? material : [material]).forEach(copy => {
+        if (!before.includes(copy)) {
+          copy.dispose();
+        }
+      });
+    });
+
+    console.log(`MaterialManager: Undid ${step.property} update`);
+    this.dispatchEvent({
+      type: 'materialPropertyUndone',
+      property: step.property,
+      meshes: step.meshes,
+    });
+
+    return true;
+  }
+
+  /**
+   * Check if there are property updates to undo
+   * @returns {boolean} True if undoMaterialProperty can undo a step
+   */
+  canUndoMaterialProperty() {
+    return this.propertyHistory.length > 0;
+  }
+
+  /**
+   * Forget the undo history of property updates
+   */
+  clearPropertyHistory() {
+    this.propertyHistory = [];
+  }
+
+  /**
+   * Give meshes their own copies of materials they share with the rest of a model
+   * Stored originals and variant materials are copied too, so in-place edits never reach
+   * restoreOriginalMaterials or setVariant. One copy is made per material, so the
+   * selected meshes keep sharing among themselves.
+   * @param {THREE.Object3D} model - Model the meshes belong to
+   * @param {Array<THREE.Mesh>} meshes - Selected meshes
+   * @private
+   */
+  _separateMaterials(model, meshes) {
+    const selected = new Set(meshes);
+    const shared = new Set();
+    const share = material =>
+      (Array.isArray(material) ? material : [material]).forEach(item =>
+        shared.add(item)
+      );
+
+    this.originalMaterials.forEach(share);
+    this.variantMaterials.forEach(variants => variants.forEach(share));
+
+    model.traverse(child => {
+      if (child.isMesh && !selected.has(child) && child.material) {
+        share(child.material);
+      }
+    });
+
+    this._replaceMeshMaterials(meshes, material =>
+      shared.has(material) ? material.clone() : material
+    );
+  }
+
+  /**
+   * Swap materials of meshes for converted ones
+   * Each material is converted once, so meshes sharing a material keep sharing.
+   * @param {Array<THREE.Mesh>} meshes - Meshes to change
+   * @param {Function} convert - Returns the replacement for a material, or the material itself
+   * @private
+   */
+  _replaceMeshMaterials(meshes, convert) {
+    const converted = new Map();
+    const replace = material => {
+      if (!converted.has(material)) {
+        converted.set(material, convert(material));
+      }
+      return converted.get(material);
+    };
+
+    meshes.forEach(mesh => {
+      const material = Array.isArray(mesh.material)
+        ? mesh.material.map(replace)
+        : replace(mesh.material);
+
+      const changed = Array.isArray(material)
+        ? material.some((item, index) => item !== mesh.material[index])
+        : material !== mesh.material;
+
+      if (changed) {
+        this.appliedMaterials.set(mesh.uuid, mesh.material);
+        mesh.material = material;
+      }
     });
   }
 
@@ -531,6 +1386,7 @@ export class MaterialManager extends THREE.EventDispatcher {
    */
   setCurrentModel(model) {
     this.currentModel = model;
+    this.currentPreset = model ? this.getModelPreset(model) : 'default';
 
     if (model) {
       // Analyze model materials
@@ -545,6 +1401,55 @@ export class MaterialManager extends THREE.EventDispatcher {
     }
   }
 
+  /**
+   * Get the preset applied to a model
+   * @param {THREE.Object3D} model - Model to check
+   * @returns {string} Preset name ('default' if none was applied)
+   */
+  getModelPreset(model) {
+    return this.modelPresets.get(model.uuid) || 'default';
+  }
+
+  /**
+   * Record the preset applied to a model
+   * @param {THREE.Object3D} model - Model the preset was applied to
+   * @param {string} presetName - Preset name
+   * @private
+   */
+  _setModelPreset(model, presetName) {
+    this.modelPresets.set(model.uuid, presetName);
+
+    if (model === this.currentModel) {
+      this.currentPreset = presetName;
+    }
+  }
+
+  /**
+   * Forget a model removed from the scene, releasing its stored materials
+   * @param {THREE.Object3D} model - Removed model
+   */
+  removeModel(model) {
+    model.traverse(child => {
+      this.appliedMaterials.delete(child.uuid);
+      this.variantMaterials.delete(child.uuid);
+
+      const original = this.originalMaterials.get(child.uuid);
+      if (original) {
+        (Array.isArray(original) ? original : [original]).forEach(material =>
+          material.dispose()
+        );
+        this.originalMaterials.delete(child.uuid);
+      }
+    });
+
+    this.modelPresets.delete(model.uuid);
+    this.clearPropertyHistory();
+
+    if (model === this.currentModel) {
+      this.setCurrentModel(null);
+    }
+  }
+
   /**
    * Analyze materials in a model
    * @param {THREE.Object3D} model - Model to analyze
@@ -592,6 +1497,7 @@ export class MaterialManager extends THREE.EventDispatcher {
       name: preset.name,
       description: preset.description,
       type: preset.type,
+      mode: preset.mode || 'replace',
     }));
   }
 
@@ -603,6 +1509,55 @@ export class MaterialManager extends THREE.EventDispatcher {
     return this.currentPreset;
   }
 
+  /**
+   * Describe a material as a preset definition
+   * Textures are saved as their URLs, or { url, transform } when transformed; textures
+   * without a URL (e.g. embedded in the model) are kept as texture objects, which work in
+   * this session but not in exported JSON.
+   * @param {THREE.Material} material - Material to describe
+   * @param {string} name - Preset name
+   * @param {string} description - Preset description (optional)
+   * @returns {Object} Preset definition for addMaterialPreset
+   */
+  createPresetFromMaterial(material, name, description = '') {
+    const types = [
+      'MeshPhysicalMaterial',
+      'MeshStandardMaterial',
+      'MeshLambertMaterial',
+      'MeshPhongMaterial',
+    ];
+
+    const properties = {};
+    PRESET_PROPERTIES.forEach(property => {
+      if (!(property in material)) return;
+
+      const value = material[property];
+      properties[property] = value?.isColor ? value.getHex() : value;
+    });
+
+    const textures = {};
+    TEXTURE_SLOTS.forEach(slot => {
+      const texture = material[slot];
+      if (texture?.isTexture) {
+        const url = this.getTextureUrl(texture);
+        const transform = url ? toKHRTextureTransform(texture) : null;
+        textures[slot] = transform ? { url, transform } : url || texture;
+      }
+    });
+
+    return {
+      name,
+      description:
+        description ||
+        `Custom material based on ${material.name || material.type}`,
+      type: types.includes(material.type)
+        ? material.type
+        : 'MeshStandardMaterial',
+      properties,
+      textures,
+    };
+  }
+
   /**
    * Add a custom material preset
    * @param {string} id - Preset ID
@@ -680,6 +1635,9 @@ export class MaterialManager extends THREE.EventDispatcher {
     this.presets.clear();
     this.appliedMaterials.clear();
     this.originalMaterials.clear();
+    this.modelPresets.clear();
+    this.variantMaterials.clear();
+    this.propertyHistory = [];
     this.currentModel = null;
 
     this._disposed = true;
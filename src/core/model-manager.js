@@ -3,10 +3,19 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
 import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import {
+  MODEL_HEADER_SIZE,
+  matchesModelFormat,
+} from '../utils/model-formats.js';
+import { getRetryOptions, withRetry } from '../utils/retry-policy.js';
+import { PersistentModelCache } from '../utils/persistent-cache.js';
+import { createUrlModifier } from '../utils/url-resolver.js';
+import { GLTFWorkerLoader } from '../utils/gltf-worker-loader.js';
 
 /**
  * ModelManager handles all 3D model loading, caching, and optimization
  * Supports GLTF/GLB with Draco compression, KTX2 textures, and Meshopt compression
+ * OBJ/MTL, FBX, STL, PLY and 3MF are loaded through a pluggable loader registry
  */
 export class ModelManager extends THREE.EventDispatcher {
   constructor(renderer, config = {}) {
@@ -22,22 +31,37 @@ export class ModelManager extends THREE.EventDispatcher {
 
     // Caching system
     this.modelCache = new Map();
-    this.maxCacheSize = config.maxCacheSize || 10;
+    this.maxCacheSize = config.model?.maxCacheSize || 10;
+    this.maxCacheBytes = (config.performance?.maxMemoryMB || 500) * 1024 * 1024;
     this.cacheStats = {
       hits: 0,
       misses: 0,
+      persistentHits: 0,
+      persistentMisses: 0,
       totalSize: 0,
     };
 
+    // Optional IndexedDB tier holding raw model bytes across sessions
+    const persistentConfig = config.model?.persistentCache || {};
+    this.persistentCache =
+      persistentConfig.enabled && PersistentModelCache.isSupported()
+        ? new PersistentModelCache(persistentConfig)
+        : null;
+
     // Loading queue and state
     this.loadingQueue = [];
     this.isLoading = false;
     this.loadingProgress = 0;
+    this.activeLoad = null;
 
     // Loaders
     this.gltfLoader = null;
     this.dracoLoader = null;
     this.ktx2Loader = null;
+    this.workerLoader = null;
+
+    // Format loader registry keyed by format name
+    this.loaderRegistry = new Map();
 
     // Disposed state
     this._disposed = false;
@@ -62,79 +86,508 @@ export class ModelManager extends THREE.EventDispatcher {
     this.ktx2Loader.detectSupport(this.renderer);
 
     // Initialize GLTF loader with extensions
-    this.gltfLoader = new GLTFLoader();
+    this.gltfLoader = this._createGLTFLoader();
+
+    // Parse glTF off the main thread where workers are available
+    if (
+      this.config.model?.useWorker !== false &&
+      GLTFWorkerLoader.isSupported()
+    ) {
+      this.workerLoader = new GLTFWorkerLoader({
+        dracoDecoderPath:
+          this.config.model?.enableDraco !== false ? '/draco/' : null,
+        basisTranscoderPath:
+          this.config.model?.enableKTX2 !== false ? '/basis/' : null,
+        ktx2Support: this.ktx2Loader.workerConfig,
+        enableMeshOpt: this.config.model?.enableMeshOpt !== false,
+      });
+    }
+
+    // Register built-in model formats
+    this._registerDefaultLoaders();
+
+    console.log('ModelManager: Loaders initialized with compression support');
+  }
+
+  /**
+   * Register a loader for a model format
+   * @param {string} format - Format name (e.g. 'stl')
+   * @param {Object} definition - Loader definition
+   * @param {Array<string>} definition.extensions - File extensions handled by the loader
+   * @param {Function} definition.load - async (url, manager, onProgress, options) => { scene, animations },
+   * where options.signal cancels the attempt and options.resolver describes how the manager resolves resources
+   * @param {Function} definition.sniff - Header check (bytes, size) => boolean (optional)
+   */
+  registerLoader(format, definition) {
+    if (!definition || typeof definition.load !== 'function') {
+      throw new Error(
+        `ModelManager: Loader for "${format}" must provide a load function`
+      );
+    }
+
+    this.loaderRegistry.set(format, {
+      extensions: [],
+      sniff: (bytes, size) => matchesModelFormat(format, bytes, size),
+      ...definition,
+      format,
+    });
+
+    console.log(`ModelManager: Registered loader for "${format}"`);
+  }
+
+  /**
+   * Get all file extensions handled by registered loaders
+   * @returns {Array<string>} Supported extensions
+   */
+  getSupportedExtensions() {
+    return Array.from(this.loaderRegistry.values()).flatMap(
+      definition => definition.extensions
+    );
+  }
+
+  /**
+   * Register the built-in glTF, OBJ/MTL, FBX, STL, PLY and 3MF loaders
+   * Non-glTF loaders are imported on first use to keep the main bundle small
+   * @private
+   */
+  _registerDefaultLoaders() {
+    this.registerLoader('gltf', {
+      extensions: ['.glb', '.gltf'],
+      load: (url, manager, onProgress, options) =>
+        this._loadGLTF(url, manager, onProgress, options),
+    });
+
+    this.registerLoader('fbx', {
+      extensions: ['.fbx'],
+      load: (url, manager, onProgress) =>
+        this._loadFBX(url, manager, onProgress),
+    });
+
+    this.registerLoader('ply', {
+      extensions: ['.ply'],
+      load: (url, manager, onProgress, options) =>
+        this._loadPLY(url, manager, onProgress, options),
+    });
+
+    this.registerLoader('3mf', {
+      extensions: ['.3mf'],
+      load: (url, manager, onProgress, options) =>
+        this._load3MF(url, manager, onProgress, options),
+    });
+
+    this.registerLoader('stl', {
+      extensions: ['.stl'],
+      load: (url, manager, onProgress, options) =>
+        this._loadSTL(url, manager, onProgress, options),
+    });
+
+    this.registerLoader('obj', {
+      extensions: ['.obj'],
+      load: (url, manager, onProgress) =>
+        this._loadOBJ(url, manager, onProgress),
+    });
+  }
+
+  /**
+   * Load a glTF/GLB model, parsing in the worker when possible
+   * Models the worker cannot rebuild (e.g. MSFT_lod) fall back to the main-thread parser
+   * @param {string} url - Model URL
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Loading options (signal, resolver)
+   * @returns {Promise<Object>} Loaded glTF result with scene and animations
+   * @private
+   */
+  async _loadGLTF(url, manager, onProgress, options = {}) {
+    if (this.workerLoader?.isAvailable()) {
+      try {
+        return await this.workerLoader.load(url, {
+          resolver: options.resolver,
+          signal: options.signal,
+          onProgress,
+        });
+      } catch (error) {
+        if (error.name !== 'WorkerFallbackError') throw error;
+        console.warn(
+          `ModelManager: ${error.message}, parsing on the main thread`
+        );
+      }
+    }
+
+    const loader = manager ? this._createGLTFLoader(manager) : this.gltfLoader;
+    return loader.loadAsync(url, onProgress);
+  }
+
+  /**
+   * Load an FBX model
+   * @param {string} url - Model URL
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} Loaded scene and animations
+   * @private
+   */
+  async _loadFBX(url, manager, onProgress) {
+    const { FBXLoader } = await import(
+      'three/examples/jsm/loaders/FBXLoader.js'
+    );
+    const object = await new FBXLoader(manager).loadAsync(url, onProgress);
+
+    return { scene: object, animations: object.animations || [] };
+  }
+
+  /**
+   * Load a PLY mesh or point cloud
+   * @param {string} url - Model URL
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Loading options (upAxis)
+   * @returns {Promise<Object>} Loaded scene and animations
+   * @private
+   */
+  async _loadPLY(url, manager, onProgress, options = {}) {
+    const { PLYLoader } = await import(
+      'three/examples/jsm/loaders/PLYLoader.js'
+    );
+    const geometry = await new PLYLoader(manager).loadAsync(url, onProgress);
+    const vertexColors = !!geometry.attributes.color;
+    const color = vertexColors ? 0xffffff : 0xb0b0b0;
+
+    // Files without faces are point clouds
+    let object;
+    if (geometry.index) {
+      object = new THREE.Mesh(
+        geometry,
+        new THREE.MeshStandardMaterial({ color, vertexColors, roughness: 0.6 })
+      );
+    } else {
+      geometry.computeBoundingSphere();
+      object = new THREE.Points(
+        geometry,
+        new THREE.PointsMaterial({
+          color,
+          vertexColors,
+          size: geometry.boundingSphere.radius / 500,
+        })
+      );
+    }
+
+    return {
+      scene: this._createModelGroup(object, options.upAxis),
+      animations: [],
+    };
+  }
+
+  /**
+   * Load a 3MF model
+   * @param {string} url - Model URL
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Loading options (upAxis)
+   * @returns {Promise<Object>} Loaded scene and animations
+   * @private
+   */
+  async _load3MF(url, manager, onProgress, options = {}) {
+    const { ThreeMFLoader } = await import(
+      'three/examples/jsm/loaders/3MFLoader.js'
+    );
+    const object = await new ThreeMFLoader(manager).loadAsync(url, onProgress);
+
+    // 3MF is Z-up by specification
+    return {
+      scene: this._createModelGroup(object, options.upAxis || 'z'),
+      animations: [],
+    };
+  }
+
+  /**
+   * Load an ASCII or binary STL mesh
+   * @param {string} url - Model URL
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Loading options (upAxis)
+   * @returns {Promise<Object>} Loaded scene and animations
+   * @private
+   */
+  async _loadSTL(url, manager, onProgress, options = {}) {
+    const { STLLoader } = await import(
+      'three/examples/jsm/loaders/STLLoader.js'
+    );
+    const geometry = await new STLLoader(manager).loadAsync(url, onProgress);
+    const mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshStandardMaterial({
+        color: geometry.hasColors ? 0xffffff : 0xb0b0b0,
+        vertexColors: !!geometry.hasColors,
+        metalness: 0.1,
+        roughness: 0.6,
+      })
+    );
+
+    // CAD exports are conventionally Z-up
+    return {
+      scene: this._createModelGroup(mesh, options.upAxis || 'z'),
+      animations: [],
+    };
+  }
+
+  /**
+   * Load an OBJ model with its MTL material library when referenced
+   * @param {string} url - Model URL
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} Loaded scene and animations
+   * @private
+   */
+  async _loadOBJ(url, manager, onProgress) {
+    const [{ OBJLoader }, { MTLLoader }] = await Promise.all([
+      import('three/examples/jsm/loaders/OBJLoader.js'),
+      import('three/examples/jsm/loaders/MTLLoader.js'),
+    ]);
+    const text = await new THREE.FileLoader(manager).loadAsync(url, onProgress);
+    const objLoader = new OBJLoader(manager);
+
+    // Material libraries are resolved relative to the OBJ file
+    const mtlLib = text.match(/^\s*mtllib\s+(.+?)\s*$/m);
+    if (mtlLib) {
+      try {
+        const materials = await new MTLLoader(manager).loadAsync(
+          THREE.LoaderUtils.extractUrlBase(url) + mtlLib[1]
+        );
+        materials.preload();
+        objLoader.setMaterials(materials);
+      } catch (error) {
+        console.warn(
+          `ModelManager: Failed to load material library "${mtlLib[1]}", using default materials:`,
+          error
+        );
+      }
+    }
+
+    return { scene: objLoader.parse(text), animations: [] };
+  }
+
+  /**
+   * Wrap a loaded object in a group, converting Z-up content to Y-up
+   * @param {THREE.Object3D} object - Loaded object
+   * @param {string} upAxis - Source up axis ('y' or 'z')
+   * @returns {THREE.Group} Model group
+   * @private
+   */
+  _createModelGroup(object, upAxis = 'y') {
+    const group = new THREE.Group();
+
+    if (upAxis === 'z') {
+      object.rotation.x = -Math.PI / 2;
+    }
+
+    group.add(object);
+    return group;
+  }
+
+  /**
+   * Resolve the registered loader for a model URL
+   * Uses options.format, then the file extension, then magic-byte sniffing
+   * @param {string} url - Model URL
+   * @param {Object} options - Loading options (format, fileName)
+   * @returns {Promise<Object>} Loader definition
+   * @private
+   */
+  async _resolveLoader(url, options = {}) {
+    if (options.format) {
+      const definition = this.loaderRegistry.get(options.format);
+      if (!definition) {
+        throw new Error(`Unsupported model format "${options.format}"`);
+      }
+      return definition;
+    }
+
+    const extension = this._getExtension(options.fileName || url);
+    for (const definition of this.loaderRegistry.values()) {
+      if (definition.extensions.includes(extension)) {
+        return definition;
+      }
+    }
+
+    // Object URLs and extensionless endpoints fall back to sniffing the header
+    let header;
+    try {
+      header = await this._readHeader(url, options.signal);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      console.warn(
+        'ModelManager: Could not read model header, assuming glTF:',
+        error
+      );
+      return this.loaderRegistry.get('gltf');
+    }
+
+    for (const definition of this.loaderRegistry.values()) {
+      if (definition.sniff && definition.sniff(header.bytes, header.size)) {
+        return definition;
+      }
+    }
+
+    throw new Error('Unable to determine model format');
+  }
+
+  /**
+   * Get the lowercase extension of a URL or file name
+   * @param {string} path - URL or file name
+   * @returns {string} Extension including the dot, or empty string
+   * @private
+   */
+  _getExtension(path) {
+    const cleanPath = path.split(/[?#]/)[0];
+    const dotIndex = cleanPath.lastIndexOf('.');
+
+    return dotIndex > cleanPath.lastIndexOf('/')
+      ? cleanPath.slice(dotIndex).toLowerCase()
+      : '';
+  }
+
+  /**
+   * Read the first bytes of a model for format sniffing
+   * @param {string} url - Model URL
+   * @param {AbortSignal} signal - Abort signal (optional)
+   * @returns {Promise<Object>} Header bytes and total size (0 if unknown)
+   * @private
+   */
+  async _readHeader(url, signal = undefined) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const size = Number(response.headers.get('content-length')) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+
+    while (length < MODEL_HEADER_SIZE) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+    reader.cancel();
+
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return { bytes, size };
+  }
+
+  /**
+   * Create a GLTF loader configured with the shared compression decoders
+   * @param {THREE.LoadingManager} manager - Loading manager (optional)
+   * @returns {GLTFLoader} Configured loader
+   * @private
+   */
+  _createGLTFLoader(manager = undefined) {
+    const loader = new GLTFLoader(manager);
 
     if (this.config.model?.enableDraco !== false) {
-      this.gltfLoader.setDRACOLoader(this.dracoLoader);
+      loader.setDRACOLoader(this.dracoLoader);
     }
 
     if (this.config.model?.enableKTX2 !== false) {
-      this.gltfLoader.setKTX2Loader(this.ktx2Loader);
+      loader.setKTX2Loader(this.ktx2Loader);
     }
 
     if (this.config.model?.enableMeshOpt !== false) {
-      this.gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+      loader.setMeshoptDecoder(MeshoptDecoder);
     }
 
-    console.log('ModelManager: Loaders initialized with compression support');
+    return loader;
+  }
+
+  /**
+   * Create a per-load loading manager, so aborting one load never affects another
+   * External resources resolve through the source's resolver (see createUrlModifier)
+   * @param {Object} resolver - Resolution settings ({ rootUrl, urlMap, rootPath, originalUrl })
+   * @returns {THREE.LoadingManager} Loading manager
+   * @private
+   */
+  _createLoadingManager(resolver) {
+    const manager = new THREE.LoadingManager();
+
+    const modifier = createUrlModifier(resolver);
+    if (modifier) {
+      manager.setURLModifier(modifier);
+    }
+
+    return manager;
   }
 
   /**
    * Load a 3D model from URL with caching and progress tracking
-   * @param {string} url - Model file URL
+   * An array of URLs is loaded progressively as LOD levels, coarsest first
+   * @param {string|Array<string>} url - Model file URL, or LOD level URLs ordered from finest to coarsest
    * @param {Object} options - Loading options
-   * @returns {Promise<THREE.Group>} Loaded and processed model
+   * @param {Map<string, string>} options.urlMap - Relative path to object URL map for external resources
+   * @param {string} options.rootPath - Directory of the root file within urlMap
+   * @param {string} options.fileName - Original file name, used to pick a loader for object URLs
+   * @param {string} options.format - Explicit loader format, skipping detection
+   * @param {string} options.upAxis - Source up axis for formats without a convention ('y' or 'z')
+   * @param {AbortSignal} options.signal - Signal that cancels the load
+   * @param {Array<number>} options.lodDistances - Camera distance per LOD level, finest first
+   * @param {boolean} options.exclusive - Set to false to load alongside the active load without
+   *   superseding it or replacing the current model (e.g. models added to a collection)
+   * @returns {Promise<THREE.Group>} Loaded and processed model (rejects with an AbortError when cancelled)
    */
   async loadModel(url, options = {}) {
-    if (!url) {
+    if (!url || url.length === 0) {
       throw new Error('ModelManager: Model URL is required');
     }
 
-    console.log(`ModelManager: Loading model from ${url}`);
-    this.dispatchEvent({ type: 'loadStart', url, options });
-
-    try {
-      // Check cache first
-      if (this.modelCache.has(url) && !options.forceReload) {
-        console.log(`ModelManager: Loading model from cache: ${url}`);
-        this.cacheStats.hits++;
-        const cachedModel = this.modelCache.get(url);
-        return this._processLoadedModel(cachedModel.clone(), url, options);
-      }
-
-      this.cacheStats.misses++;
-
-      // Set loading state
-      this.isLoading = true;
-      this.loadingProgress = 0;
+    // Only one exclusive load may be in flight, a newer request supersedes the previous one
+    const exclusive = options.exclusive !== false;
+    if (exclusive) {
+      this.abortLoad();
+    }
 
-      // Load model with progress tracking
-      const gltf = await this._loadModelWithProgress(url, options);
+    const controller = new AbortController();
+    const { signal } = controller;
+    const load = { url, controller };
+    if (exclusive) {
+      this.activeLoad = load;
+    }
 
-      if (!gltf || !gltf.scene) {
-        throw new Error(`Invalid model data received from ${url}`);
-      }
+    // Dispatch synchronously so listeners see loadAborted before the next loadStart
+    const onAbort = () => {
+      console.log(`ModelManager: Load aborted: ${url}`);
+      this.isLoading = false;
+      this.dispatchEvent({ type: 'loadAborted', url });
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
 
-      // Process the loaded model
-      const processedModel = await this._processLoadedModel(
-        gltf.scene,
-        url,
-        options
-      );
+    const forwardAbort = () => controller.abort();
+    if (options.signal?.aborted) {
+      controller.abort();
+    } else {
+      options.signal?.addEventListener('abort', forwardAbort, { once: true });
+    }
 
-      // Cache the original model for reuse
-      this._addToCache(url, gltf.scene.clone());
+    try {
+      this._throwIfAborted(signal);
 
-      this.isLoading = false;
-      this.dispatchEvent({
-        type: 'loadComplete',
-        model: processedModel,
-        url,
-        animations: gltf.animations || [],
-      });
+      console.log(`ModelManager: Loading model from ${url}`);
+      this.dispatchEvent({ type: 'loadStart', url, options });
 
-      return processedModel;
+      return await (Array.isArray(url)
+        ? this._loadLODModel(url, { ...options, signal })
+        : this._loadModel(url, { ...options, signal }));
     } catch (error) {
+      if (signal.aborted) {
+        throw this._createAbortError(url);
+      }
+
       this.isLoading = false;
       const enhancedError = new Error(
         `Failed to load model from ${url}: ${error.message}`
@@ -144,62 +597,759 @@ export class ModelManager extends THREE.EventDispatcher {
 
       this.dispatchEvent({ type: 'loadError', error: enhancedError, url });
       throw enhancedError;
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+      options.signal?.removeEventListener('abort', forwardAbort);
+      if (this.activeLoad === load) {
+        this.activeLoad = null;
+      }
+    }
+  }
+
+  /**
+   * Abort the in-flight model load, if any
+   * @returns {boolean} True if a load was aborted
+   */
+  abortLoad() {
+    if (!this.activeLoad) {
+      return false;
+    }
+
+    const { controller } = this.activeLoad;
+    this.activeLoad = null;
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Load, process and cache a model
+   * @param {string} url - Model file URL
+   * @param {Object} options - Loading options including the internal abort signal
+   * @returns {Promise<THREE.Group>} Loaded and processed model
+   * @private
+   */
+  async _loadModel(url, options) {
+    const { scene, animations, fromCache, variantMaterials } =
+      await this._fetchModel(url, options);
+
+    // Process the loaded model
+    const processedModel = await this._processLoadedModel(scene, url, options);
+
+    this.isLoading = false;
+    this.dispatchEvent({
+      type: 'loadComplete',
+      model: processedModel,
+      url,
+      animations,
+      fromCache,
+      variantMaterials,
+      options,
+    });
+
+    return processedModel;
+  }
+
+  /**
+   * Fetch a model from cache or network without processing it
+   * @param {string} url - Model file URL
+   * @param {Object} options - Loading options including the internal abort signal
+   * @returns {Promise<Object>} Raw scene, animations, KHR_materials_variants materials and
+   *   whether it came from cache
+   * @private
+   */
+  async _fetchModel(url, options) {
+    const { signal } = options;
+
+    // Check cache first
+    if (this.modelCache.has(url) && !options.forceReload) {
+      console.log(`ModelManager: Loading model from cache: ${url}`);
+      this.cacheStats.hits++;
+      const entry = this.modelCache.get(url);
+
+      // Re-insert so eviction drops the least recently used entry first
+      this.modelCache.delete(url);
+      this.modelCache.set(url, entry);
+
+      const scene = entry.model.clone();
+      return {
+        scene,
+        animations: scene.animations,
+        fromCache: true,
+        variantMaterials: entry.variantMaterials,
+      };
+    }
+
+    this.cacheStats.misses++;
+
+    // Set loading state
+    this.isLoading = true;
+    this.loadingProgress = 0;
+
+    // Load model with progress tracking, retrying transient network failures
+    const loaded = await withRetry(
+      () => this._loadModelWithProgress(url, options),
+      {
+        ...getRetryOptions(this.config),
+        signal,
+        onRetry: ({ attempt, maxRetries, delay, error }) => {
+          console.warn(
+            `ModelManager: Load failed (${error.message}), retry ${attempt}/${maxRetries} in ${delay}ms`
+          );
+          this.loadingProgress = 0;
+          this.dispatchEvent({
+            type: 'loadProgress',
+            progress: 0,
+            url,
+            stage: 'retrying',
+            attempt,
+            maxRetries,
+            delay,
+            error: error.message,
+          });
+        },
+      }
+    );
+
+    if (!loaded || !loaded.scene) {
+      throw new Error(`Invalid model data received from ${url}`);
+    }
+
+    // Discard results that arrive after the load was cancelled
+    if (signal.aborted) {
+      this._disposeModel(loaded.scene);
+      throw this._createAbortError(url);
+    }
+
+    // Assemble MSFT_lod alternates into THREE.LOD objects
+    if (this.config.performance?.enableLOD !== false) {
+      await this._buildMSFTLods(loaded);
     }
+
+    // Resolve KHR_materials_variants while the parser is still available
+    const variantMaterials = await this._loadMaterialVariants(loaded);
+
+    // Keep clips on the scene so they survive cloning into the cache
+    loaded.scene.animations = loaded.animations || [];
+
+    // Cache the original model for reuse
+    this._addToCache(url, loaded.scene.clone(), variantMaterials);
+
+    return {
+      scene: loaded.scene,
+      animations: loaded.scene.animations,
+      fromCache: false,
+      variantMaterials,
+    };
+  }
+
+  /**
+   * Progressively load LOD levels into a THREE.LOD
+   * The coarsest level is processed and shown first, finer levels are swapped in as they arrive.
+   * A finer level that fails to load is reported with lodLevelError and skipped, since the
+   * model is already shown.
+   * @param {Array<string>} urls - Level URLs ordered from finest to coarsest
+   * @param {Object} options - Loading options (lodDistances overrides the computed switch distances)
+   * @returns {Promise<THREE.LOD>} LOD model once every level is loaded
+   * @private
+   */
+  async _loadLODModel(urls, options) {
+    const { signal } = options;
+
+    // Without LOD support only the finest level is loaded
+    if (this.config.performance?.enableLOD === false) {
+      return this._loadModel(urls[0], options);
+    }
+
+    const lastIndex = urls.length - 1;
+    const lod = new THREE.LOD();
+    lod.name = 'LOD';
+
+    // Show the coarsest level immediately as a placeholder
+    const coarsest = await this._fetchModel(urls[lastIndex], options);
+    coarsest.scene.userData.lodLevel = lastIndex;
+    lod.addLevel(coarsest.scene, 0);
+    lod.animations = coarsest.animations;
+
+    const model = await this._processLoadedModel(lod, urls[lastIndex], options);
+    const distances =
+      options.lodDistances || this._getLODDistances(lod, urls.length);
+
+    this.dispatchEvent({
+      type: 'loadComplete',
+      model,
+      url: urls[lastIndex],
+      animations: coarsest.animations,
+      fromCache: coarsest.fromCache,
+      variantMaterials: coarsest.variantMaterials,
+      lodLevel: lastIndex,
+      options,
+    });
+
+    // Swap in finer levels as they arrive
+    const failedLevels = [];
+    for (let index = lastIndex - 1; index >= 0; index--) {
+      let level;
+      try {
+        level = await this._fetchModel(urls[index], options);
+      } catch (error) {
+        this._throwIfAborted(signal);
+
+        console.warn(
+          `ModelManager: LOD level ${index} failed to load: ${error.message}`
+        );
+        failedLevels.push(index);
+        this.dispatchEvent({
+          type: 'lodLevelError',
+          model,
+          level: index,
+          levels: urls.length,
+          url: urls[index],
+          error,
+        });
+        continue;
+      }
+      this._throwIfAborted(signal);
+
+      level.scene.userData.lodLevel = index;
+      this._prepareLODLevel(level.scene, options);
+      lod.addLevel(level.scene, 0);
+      this._updateLODDistances(lod, distances);
+
+      console.log(`ModelManager: LOD level ${index} loaded`);
+      this.dispatchEvent({
+        type: 'lodLevelLoaded',
+        model,
+        object: level.scene,
+        level: index,
+        levels: urls.length,
+        url: urls[index],
+        variantMaterials: level.variantMaterials,
+      });
+    }
+
+    this.isLoading = false;
+    this.dispatchEvent({
+      type: 'lodComplete',
+      model,
+      levels: urls.length,
+      failedLevels,
+    });
+
+    return model;
+  }
+
+  /**
+   * Apply per-mesh processing to a LOD level added after the model was processed
+   * @param {THREE.Object3D} object - Level object
+   * @param {Object} options - Processing options
+   * @private
+   */
+  _prepareLODLevel(object, options = {}) {
+    this._storeOriginalMaterials(object, true);
+
+    if (options.optimize !== false) {
+      this._optimizeModel(object);
+    }
+
+    if (options.enhanceMaterials !== false) {
+      this._enhanceMaterials(object);
+    }
+
+    if (this.config.renderer?.shadowMap?.enabled) {
+      this._setupShadows(object);
+    }
+  }
+
+  /**
+   * Compute default LOD switch distances from the model size
+   * @param {THREE.Object3D} object - Model to measure
+   * @param {number} count - Number of levels
+   * @returns {Array<number>} Distance per level, finest first
+   * @private
+   */
+  _getLODDistances(object, count) {
+    const sphere = new THREE.Box3()
+      .setFromObject(object)
+      .getBoundingSphere(new THREE.Sphere());
+
+    // Each coarser level takes over at twice the previous distance
+    return Array.from({ length: count }, (_, index) =>
+      index === 0 ? 0 : sphere.radius * 2 ** (index + 1)
+    );
+  }
+
+  /**
+   * Reassign LOD distances after a level arrives
+   * The finest level loaded so far covers every distance below the next coarser level
+   * @param {THREE.LOD} lod - LOD object
+   * @param {Array<number>} distances - Distance per level, finest first
+   * @private
+   */
+  _updateLODDistances(lod, distances) {
+    for (const level of lod.levels) {
+      level.distance = distances[level.object.userData.lodLevel] ?? 0;
+    }
+
+    lod.levels.sort((a, b) => a.distance - b.distance);
+    lod.levels[0].distance = 0;
+  }
+
+  /**
+   * Replace nodes using the MSFT_lod extension with THREE.LOD objects
+   * The whole file is parsed up front, so levels are assembled rather than streamed
+   * @param {Object} gltf - Loaded glTF result
+   * @private
+   */
+  async _buildMSFTLods(gltf) {
+    const { parser } = gltf;
+    if (!parser?.json?.extensionsUsed?.includes('MSFT_lod')) {
+      return;
+    }
+
+    const nodeDefs = parser.json.nodes || [];
+    const halfFov = THREE.MathUtils.degToRad(this.config.camera?.fov || 45) / 2;
+
+    // Collect first, the scene graph is modified below
+    const targets = [];
+    gltf.scene.traverse(object => {
+      const nodeIndex = parser.associations.get(object)?.nodes;
+      if (nodeDefs[nodeIndex]?.extensions?.MSFT_lod) {
+        targets.push({ object, nodeDef: nodeDefs[nodeIndex] });
+      }
+    });
+
+    gltf.scene.updateMatrixWorld(true);
+
+    for (const { object, nodeDef } of targets) {
+      const { ids = [] } = nodeDef.extensions.MSFT_lod;
+      const coarser = await Promise.all(
+        ids.map(id => parser.getDependency('node', id))
+      );
+      const levels = [object, ...coarser];
+
+      // Screen coverage thresholds convert to distances via the bounding radius
+      const coverage = nodeDef.extras?.MSFT_screencoverage;
+      const sphere = new THREE.Box3()
+        .setFromObject(object)
+        .getBoundingSphere(new THREE.Sphere());
+      const distances = Array.isArray(coverage)
+        ? levels.map((level, index) =>
+            index === 0
+              ? 0
+              : sphere.radius / (coverage[index - 1] * Math.tan(halfFov))
+          )
+        : this._getLODDistances(object, levels.length);
+
+      const lod = new THREE.LOD();
+      lod.name = object.name;
+      lod.position.copy(object.position);
+      lod.quaternion.copy(object.quaternion);
+      lod.scale.copy(object.scale);
+
+      const { parent } = object;
+      parent.remove(object);
+
+      levels.forEach((level, index) => {
+        level.position.set(0, 0, 0);
+        level.quaternion.identity();
+        level.scale.set(1, 1, 1);
+        lod.addLevel(level, distances[index]);
+      });
+
+      parent.add(lod);
+    }
+
+    console.log(`ModelManager: Built ${targets.length} MSFT_lod objects`);
+  }
+
+  /**
+   * Load the materials of KHR_materials_variants
+   * Only plain data goes in userData, so it survives cloning from the cache: the scene gets
+   * the variant names (variantNames) and each mapped mesh its material per variant name as
+   * an index into the returned table (variantMaterials).
+   * @param {Object} gltf - Loaded glTF result
+   * @returns {Promise<Array<THREE.Material>|null>} Variant materials, or null without variants
+   * @private
+   */
+  async _loadMaterialVariants(gltf) {
+    const { parser } = gltf;
+    const extension = parser?.json?.extensions?.KHR_materials_variants;
+    if (!extension) return null;
+
+    const names = (extension.variants || []).map(
+      (variant, index) => variant.name || `Variant ${index + 1}`
+    );
+
+    const meshes = [];
+    gltf.scene.traverse(object => {
+      if (
+        object.isMesh &&
+        object.userData.gltfExtensions?.KHR_materials_variants
+      ) {
+        meshes.push(object);
+      }
+    });
+
+    const materials = [];
+    const tableIndices = new Map();
+
+    for (const mesh of meshes) {
+      const { mappings = [] } =
+        mesh.userData.gltfExtensions.KHR_materials_variants;
+      const authored = mesh.material;
+      const variants = {};
+
+      for (const mapping of mappings) {
+        // assignFinalMaterial adapts the material to the mesh (vertex colors, flat shading, ...)
+        mesh.material = await parser.getDependency(
+          'material',
+          mapping.material
+        );
+        parser.assignFinalMaterial(mesh);
+
+        if (!tableIndices.has(mesh.material)) {
+          tableIndices.set(mesh.material, materials.length);
+          materials.push(mesh.material);
+        }
+
+        mapping.variants.forEach(variantIndex => {
+          variants[names[variantIndex]] = tableIndices.get(mesh.material);
+        });
+      }
+
+      mesh.material = authored;
+      mesh.userData.variantMaterials = variants;
+    }
+
+    gltf.scene.userData.variantNames = names;
+
+    console.log(
+      `ModelManager: Loaded ${names.length} material variants (${materials.length} materials)`
+    );
+    return materials;
+  }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   * @param {AbortSignal} signal - Abort signal
+   * @private
+   */
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this._createAbortError();
+    }
+  }
+
+  /**
+   * Create an error identifying a cancelled load
+   * @param {string} url - Model URL (optional)
+   * @returns {DOMException} AbortError
+   * @private
+   */
+  _createAbortError(url = '') {
+    return new DOMException(
+      url ? `Model load aborted: ${url}` : 'Model load aborted',
+      'AbortError'
+    );
   }
 
   /**
    * Load model with detailed progress tracking
    * @param {string} url - Model URL
    * @param {Object} options - Loading options
-   * @returns {Promise<Object>} GLTF object
+   * @returns {Promise<Object>} Loaded result with scene and animations
    * @private
    */
-  _loadModelWithProgress(url, options) {
+  async _loadModelWithProgress(url, options) {
+    const { signal } = options;
+    const definition = await this._resolveLoader(url, options);
+    this._throwIfAborted(signal);
+    console.log(`ModelManager: Using ${definition.format} loader`);
+
     return new Promise((resolve, reject) => {
       const timeout = this.config.model?.loadingTimeout || 30000;
+      let settled = false;
+      let source = null;
+
+      // Aborts the persistent tier request made for this attempt
+      const requests = new AbortController();
+
+      // Cancel outstanding requests made through this load's manager
+      const cancel = error => {
+        settled = true;
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+        requests.abort();
+        source?.manager.abort();
+        reject(error);
+      };
+      const onAbort = () => cancel(this._createAbortError(url));
 
       // Set up timeout
       const timeoutId = setTimeout(() => {
-        reject(new Error(`Loading timeout after ${timeout}ms`));
+        const error = new Error(`Loading timeout after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        cancel(error);
       }, timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
 
-      // Load with progress callback
-      this.gltfLoader.load(
-        url,
-        // onLoad callback
-        gltf => {
-          clearTimeout(timeoutId);
-          this.loadingProgress = 100;
+      // onProgress callback
+      const onProgress = progress => {
+        if (progress.lengthComputable) {
+          const percentComplete = (progress.loaded / progress.total) * 100;
+          this.loadingProgress = percentComplete;
           this.dispatchEvent({
             type: 'loadProgress',
-            progress: 100,
+            progress: percentComplete,
+            loaded: progress.loaded,
+            total: progress.total,
             url,
-            stage: 'complete',
+            stage: 'downloading',
           });
-          resolve(gltf);
-        },
-        // onProgress callback
-        progress => {
-          if (progress.lengthComputable) {
-            const percentComplete = (progress.loaded / progress.total) * 100;
-            this.loadingProgress = percentComplete;
+        }
+      };
+
+      // Load with progress callback
+      this._openModelSource(url, options, requests.signal, onProgress)
+        .then(opened => {
+          source = opened;
+          if (settled) return null;
+          return definition.load(source.url, source.manager, onProgress, {
+            ...options,
+            signal: requests.signal,
+            resolver: source.resolver,
+          });
+        })
+        .then(
+          // onLoad callback
+          loaded => {
+            source?.release();
+
+            // Decode work that finishes after an abort or timeout is released
+            if (settled) {
+              this._disposeModel(loaded?.scene);
+              return;
+            }
+
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+            this.loadingProgress = 100;
             this.dispatchEvent({
               type: 'loadProgress',
-              progress: percentComplete,
-              loaded: progress.loaded,
-              total: progress.total,
+              progress: 100,
               url,
-              stage: 'downloading',
+              stage: 'complete',
             });
+            resolve(loaded);
+          },
+          // onError callback
+          error => {
+            source?.release();
+            if (settled) return;
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+            reject(error);
           }
-        },
-        // onError callback
-        error => {
-          clearTimeout(timeoutId);
-          reject(error);
-        }
+        );
+    });
+  }
+
+  /**
+   * Resolve the URL and loading manager a loader should read a model from
+   * HTTP(S) models go through the persistent tier when it is enabled
+   * @param {string} url - Model URL
+   * @param {Object} options - Loading options
+   * @param {AbortSignal} signal - Signal that cancels the persistent tier request
+   * @param {Function} onProgress - Download progress callback
+   * @returns {Promise<Object>} Source with url, resolver, manager and release()
+   * @private
+   */
+  async _openModelSource(url, options, signal, onProgress) {
+    if (!this._usesPersistentCache(url, options)) {
+      // Resolve external resources through the URL map when provided
+      const resolver = {
+        rootUrl: url,
+        urlMap: options.urlMap,
+        rootPath: options.rootPath,
+      };
+
+      return {
+        url,
+        resolver,
+        manager: this._createLoadingManager(resolver),
+        release: () => {},
+      };
+    }
+
+    const blob = await this._fetchPersistent(url, options, signal, onProgress);
+    const objectUrl = URL.createObjectURL(blob);
+
+    // Relative resources still resolve against the original directory
+    const resolver = { rootUrl: objectUrl, originalUrl: url };
+
+    return {
+      url: objectUrl,
+      resolver,
+      manager: this._createLoadingManager(resolver),
+      release: () => URL.revokeObjectURL(objectUrl),
+    };
+  }
+
+  /**
+   * Check if a model should be read through the persistent tier
+   * Object URLs and multi-file drops are session-local and never persisted
+   * @param {string} url - Model URL
+   * @param {Object} options - Loading options
+   * @returns {boolean} True if the persistent tier applies
+   * @private
+   */
+  _usesPersistentCache(url, options) {
+    if (!this.persistentCache || options.urlMap) {
+      return false;
+    }
+
+    try {
+      const { protocol } = new URL(url, globalThis.location?.href);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Fetch raw model bytes through the persistent tier
+   * Stored entries are revalidated with their ETag or Last-Modified validator, entries
+   * without one are served until they expire; the stored copy is also served while offline
+   * @param {string} url - Model URL
+   * @param {Object} options - Loading options (forceReload skips the stored copy)
+   * @param {AbortSignal} signal - Abort signal
+   * @param {Function} onProgress - Download progress callback
+   * @returns {Promise<Blob>} Model bytes
+   * @private
+   */
+  async _fetchPersistent(url, options, signal, onProgress) {
+    const cache = this.persistentCache;
+
+    let stored = null;
+    if (!options.forceReload) {
+      stored = await cache.get(url).catch(error => {
+        console.warn('ModelManager: Persistent cache read failed:', error);
+        return null;
+      });
+    }
+
+    if (stored && cache.isFresh(stored)) {
+      console.log(`ModelManager: Loading model from persistent cache: ${url}`);
+      this.cacheStats.persistentHits++;
+      return stored.blob;
+    }
+
+    // Conditional request, answered with 304 when the stored copy is current
+    const headers = {};
+    if (stored?.etag) {
+      headers['If-None-Match'] = stored.etag;
+    } else if (stored?.lastModified) {
+      headers['If-Modified-Since'] = stored.lastModified;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { headers, signal });
+    } catch (error) {
+      if (!stored || signal.aborted) throw error;
+
+      console.warn(`ModelManager: Network unavailable, using stored ${url}`);
+      this.cacheStats.persistentHits++;
+      return stored.blob;
+    }
+
+    if (response.status === 304 && stored) {
+      console.log(`ModelManager: Persistent cache entry still valid: ${url}`);
+      this.cacheStats.persistentHits++;
+      return stored.blob;
+    }
+
+    if (!response.ok) {
+      const error = new Error(
+        `fetch for "${response.url}" responded with ${response.status}: ${response.statusText}`
       );
+      error.response = response;
+      throw error;
+    }
+
+    this.cacheStats.persistentMisses++;
+
+    const blob = await this._readResponse(response, onProgress);
+    const validators = {
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+    };
+
+    // Without server validators the content hash identifies the version
+    if (!validators.etag && !validators.lastModified) {
+      validators.hash = await this._hashBlob(blob);
+    }
+
+    // Store in the background so parsing is not delayed
+    const write =
+      validators.hash && stored?.hash === validators.hash
+        ? cache.touch(url, { storedAt: Date.now() })
+        : cache.put(url, blob, validators);
+    write.catch(error => {
+      console.warn('ModelManager: Persistent cache write failed:', error);
     });
+
+    return blob;
+  }
+
+  /**
+   * Read a response body into a Blob, reporting download progress
+   * @param {Response} response - Fetch response
+   * @param {Function} onProgress - Progress callback receiving { lengthComputable, loaded, total }
+   * @returns {Promise<Blob>} Response body
+   * @private
+   */
+  async _readResponse(response, onProgress) {
+    const type = response.headers.get('Content-Type') || '';
+    if (!response.body) {
+      return response.blob();
+    }
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      loaded += value.byteLength;
+      onProgress({ lengthComputable: total > 0, loaded, total });
+    }
+
+    return new Blob(chunks, { type });
+  }
+
+  /**
+   * Compute a SHA-256 content hash
+   * @param {Blob} blob - Data to hash
+   * @returns {Promise<string|null>} Hex digest, or null outside secure contexts
+   * @private
+   */
+  async _hashBlob(blob) {
+    if (!globalThis.crypto?.subtle) {
+      return null;
+    }
+
+    const digest = await crypto.subtle.digest(
+      'SHA-256',
+      await blob.arrayBuffer()
+    );
+    return Array.from(new Uint8Array(digest), byte =>
+      byte.toString(16).padStart(2, '0')
+    ).join('');
   }
 
   /**
@@ -246,7 +1396,9 @@ export class ModelManager extends THREE.EventDispatcher {
     }
 
     // Store reference to current model
-    this.currentModel = model;
+    if (options.exclusive !== false) {
+      this.currentModel = model;
+    }
 
     console.log('ModelManager: Model processing completed');
     this.dispatchEvent({
@@ -262,10 +1414,13 @@ export class ModelManager extends THREE.EventDispatcher {
   /**
    * Store original materials for later restoration
    * @param {THREE.Group} model - Model to analyze
+   * @param {boolean} append - Keep previously stored materials (for LOD levels added later)
    * @private
    */
-  _storeOriginalMaterials(model) {
-    this.originalMaterials.clear();
+  _storeOriginalMaterials(model, append = false) {
+    if (!append) {
+      this.originalMaterials.clear();
+    }
 
     model.traverse(child => {
       if (child.isMesh && child.material) {
@@ -436,31 +1591,77 @@ export class ModelManager extends THREE.EventDispatcher {
 
   /**
    * Add model to cache with size management
+   * Entries are evicted least recently used first until both the entry limit and
+   * the performance.maxMemoryMB byte budget are met
    * @param {string} url - Model URL
    * @param {THREE.Group} model - Model to cache
+   * @param {Array<THREE.Material>} variantMaterials - KHR_materials_variants materials of the model
    * @private
    */
-  _addToCache(url, model) {
-    // Remove oldest entry if cache is full
-    if (this.modelCache.size >= this.maxCacheSize) {
+  _addToCache(url, model, variantMaterials = null) {
+    const { estimatedBytes } = this._getModelStats(model);
+
+    if (estimatedBytes > this.maxCacheBytes) {
+      console.warn(
+        `ModelManager: ${url} (${this._formatMB(estimatedBytes)}) exceeds the cache budget, not cached`
+      );
+      return;
+    }
+
+    if (this.modelCache.has(url)) {
+      this._removeFromCache(url);
+    }
+
+    // Remove least recently used entries until the new model fits
+    while (
+      this.modelCache.size > 0 &&
+      (this.modelCache.size >= this.maxCacheSize ||
+        this.cacheStats.totalSize + estimatedBytes > this.maxCacheBytes)
+    ) {
       const firstKey = this.modelCache.keys().next().value;
-      const oldModel = this.modelCache.get(firstKey);
-      this._disposeModel(oldModel);
-      this.modelCache.delete(firstKey);
+      this._removeFromCache(firstKey);
       console.log(
         `ModelManager: Removed ${firstKey} from cache (size limit reached)`
       );
     }
 
     // Add to cache
-    this.modelCache.set(url, model);
-    this.cacheStats.totalSize = this.modelCache.size;
+    this.modelCache.set(url, {
+      model,
+      bytes: estimatedBytes,
+      variantMaterials,
+    });
+    this.cacheStats.totalSize += estimatedBytes;
 
     console.log(
-      `ModelManager: Added ${url} to cache (${this.modelCache.size}/${this.maxCacheSize})`
+      `ModelManager: Added ${url} to cache (${this.modelCache.size}/${this.maxCacheSize}, ${this._formatMB(this.cacheStats.totalSize)}/${this._formatMB(this.maxCacheBytes)})`
     );
   }
 
+  /**
+   * Remove a cache entry and dispose of its resources
+   * @param {string} url - Model URL
+   * @private
+   */
+  _removeFromCache(url) {
+    const entry = this.modelCache.get(url);
+    if (!entry) return;
+
+    this._disposeModel(entry.model);
+    this.modelCache.delete(url);
+    this.cacheStats.totalSize -= entry.bytes;
+  }
+
+  /**
+   * Format a byte count in megabytes for logging
+   * @param {number} bytes - Byte count
+   * @returns {string} Formatted size
+   * @private
+   */
+  _formatMB(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  }
+
   /**
    * Get current model bounds
    * @returns {THREE.Box3|null} Model bounding box
@@ -510,26 +1711,59 @@ export class ModelManager extends THREE.EventDispatcher {
    * @returns {Object} Cache statistics
    */
   getCacheStats() {
+    const { hits, misses, persistentHits, persistentMisses } = this.cacheStats;
+
     return {
       ...this.cacheStats,
       cacheSize: this.modelCache.size,
       maxCacheSize: this.maxCacheSize,
-      hitRate:
-        this.cacheStats.hits /
-          (this.cacheStats.hits + this.cacheStats.misses) || 0,
+      residentBytes: this.cacheStats.totalSize,
+      maxBytes: this.maxCacheBytes,
+      hitRate: hits / (hits + misses) || 0,
+      tiers: {
+        memory: {
+          hits,
+          misses,
+          hitRate: hits / (hits + misses) || 0,
+          entries: this.modelCache.size,
+          bytes: this.cacheStats.totalSize,
+          maxBytes: this.maxCacheBytes,
+        },
+        persistent: this.persistentCache
+          ? {
+              enabled: true,
+              hits: persistentHits,
+              misses: persistentMisses,
+              hitRate:
+                persistentHits / (persistentHits + persistentMisses) || 0,
+              ...this.persistentCache.getStats(),
+            }
+          : { enabled: false },
+      },
     };
   }
 
   /**
    * Clear model cache
+   * @param {Object} options - Clear options
+   * @param {boolean} options.persistent - Also wipe the persistent IndexedDB tier
+   * @returns {Promise<void>} Resolves once every requested tier is cleared
    */
-  clearCache() {
-    this.modelCache.forEach((model, url) => {
-      this._disposeModel(model);
+  async clearCache(options = {}) {
+    this.modelCache.forEach(entry => {
+      this._disposeModel(entry.model);
     });
     this.modelCache.clear();
     this.cacheStats.totalSize = 0;
     console.log('ModelManager: Cache cleared');
+
+    if (options.persistent && this.persistentCache) {
+      try {
+        await this.persistentCache.clear();
+      } catch (error) {
+        console.warn('ModelManager: Failed to clear persistent cache:', error);
+      }
+    }
   }
 
   /**
@@ -548,7 +1782,8 @@ export class ModelManager extends THREE.EventDispatcher {
       modelBounds: this.modelBounds,
       cache: this.getCacheStats(),
       modelStats: stats,
-      supportedFormats: ['gltf', 'glb'],
+      supportedFormats: Array.from(this.loaderRegistry.keys()),
+      supportedExtensions: this.getSupportedExtensions(),
       compressionSupport: {
         draco: this.config.model?.enableDraco !== false,
         ktx2: this.config.model?.enableKTX2 !== false,
@@ -559,6 +1794,8 @@ export class ModelManager extends THREE.EventDispatcher {
 
   /**
    * Get detailed statistics for a model
+   * Memory is estimated from geometry attribute sizes and texture dimensions; buffers and
+   * textures shared between meshes are counted once
    * @param {THREE.Group} model - Model to analyze
    * @returns {Object} Model statistics
    * @private
@@ -567,18 +1804,22 @@ export class ModelManager extends THREE.EventDispatcher {
     let meshCount = 0;
     let triangleCount = 0;
     let vertexCount = 0;
-    let materialCount = 0;
-    let textureCount = 0;
+    let geometryBytes = 0;
 
+    const buffers = new Set();
     const materials = new Set();
     const textures = new Set();
 
     model.traverse(child => {
+      const { geometry } = child;
+      if (geometry) {
+        geometryBytes += this._getGeometryBytes(geometry, buffers);
+      }
+
       if (child.isMesh) {
         meshCount++;
 
-        if (child.geometry) {
-          const geometry = child.geometry;
+        if (geometry) {
           if (geometry.index) {
             triangleCount += geometry.index.count / 3;
           } else if (geometry.attributes.position) {
@@ -609,15 +1850,90 @@ export class ModelManager extends THREE.EventDispatcher {
       }
     });
 
+    // Textures keep a decoded copy on the CPU and a mipmapped copy on the GPU
+    let textureCpuBytes = 0;
+    let textureGpuBytes = 0;
+    textures.forEach(texture => {
+      const { cpu, gpu } = this._getTextureBytes(texture);
+      textureCpuBytes += cpu;
+      textureGpuBytes += gpu;
+    });
+
+    // Geometry buffers are held in both memories once uploaded
+    const cpuBytes = geometryBytes + textureCpuBytes;
+    const gpuBytes = geometryBytes + textureGpuBytes;
+
     return {
       meshCount,
       triangleCount: Math.floor(triangleCount),
       vertexCount,
       materialCount: materials.size,
       textureCount: textures.size,
+      geometryBytes,
+      textureBytes: textureGpuBytes,
+      cpuBytes,
+      gpuBytes,
+      estimatedBytes: cpuBytes + gpuBytes,
     };
   }
 
+  /**
+   * Estimate the size of a geometry's attribute and index buffers
+   * @param {THREE.BufferGeometry} geometry - Geometry to measure
+   * @param {Set} buffers - Arrays already counted, shared buffers are skipped
+   * @returns {number} Size in bytes
+   * @private
+   */
+  _getGeometryBytes(geometry, buffers) {
+    const attributes = [
+      geometry.index,
+      ...Object.values(geometry.attributes),
+      ...Object.values(geometry.morphAttributes).flat(),
+    ];
+
+    let bytes = 0;
+    for (const attribute of attributes) {
+      if (!attribute) continue;
+
+      // Interleaved attributes share one buffer
+      const { array } = attribute.isInterleavedBufferAttribute
+        ? attribute.data
+        : attribute;
+
+      if (array && !buffers.has(array)) {
+        buffers.add(array);
+        bytes += array.byteLength;
+      }
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Estimate the CPU and GPU size of a texture
+   * @param {THREE.Texture} texture - Texture to measure
+   * @returns {Object} Size in bytes ({ cpu, gpu })
+   * @private
+   */
+  _getTextureBytes(texture) {
+    const { image, mipmaps } = texture;
+
+    // Compressed textures (KTX2) carry their mip chain as raw data
+    if (mipmaps?.length > 0 && mipmaps[0].data) {
+      const bytes = mipmaps.reduce((sum, mip) => sum + mip.data.byteLength, 0);
+      return { cpu: bytes, gpu: bytes };
+    }
+
+    // Data textures hold their pixels in a typed array
+    const cpu =
+      image?.data?.byteLength || (image?.width || 0) * (image?.height || 0) * 4;
+
+    // A full mip chain adds a third on top of the base level
+    const gpu = texture.generateMipmaps ? Math.round((cpu * 4) / 3) : cpu;
+
+    return { cpu, gpu };
+  }
+
   /**
    * Dispose of a model and its resources
    * @param {THREE.Group} model - Model to dispose
@@ -659,8 +1975,13 @@ export class ModelManager extends THREE.EventDispatcher {
 
     console.log('ModelManager: Starting cleanup...');
 
+    // Cancel any in-flight load
+    this.abortLoad();
+
     // Clear cache
     this.clearCache();
+    this.persistentCache?.dispose();
+    this.workerLoader?.dispose();
 
     // Dispose current model
     if (this.currentModel) {
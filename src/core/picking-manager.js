@@ -0,0 +1,451 @@
+import * as THREE from 'three';
+
+/**
+ * PickingManager raycasts model meshes under the pointer
+ * Highlights the hovered mesh and dispatches meshHover/meshClick events. A press that
+ * travels further than the drag threshold is an OrbitControls gesture, not a click.
+ */
+export class PickingManager extends THREE.EventDispatcher {
+  constructor(camera, domElement, config = {}) {
+    super();
+
+    this.camera = camera;
+    this.domElement = domElement;
+    this.config = config;
+
+    const pickingConfig = config.picking || {};
+    this.options = {
+      dragThreshold: pickingConfig.dragThreshold ?? 5,
+      hover: {
+        mode: 'emissive',
+        color: 0x00bcd4,
+        intensity: 0.35,
+        thickness: 0.015,
+        ...pickingConfig.hover,
+      },
+    };
+
+    this.enabled = pickingConfig.enabled !== false;
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    // Objects whose meshes can be picked, provided by the viewer
+    this.getTargets = () => [];
+
+    // Pointer state
+    this.pressedPointers = new Map(); // Press position by pointer id
+    this.pendingMove = null;
+    this.hoverFrame = null;
+
+    // Current hover: { mesh, hit, material, highlight }
+    this.hovered = null;
+
+    // Bind methods
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.addEventListener('pointermove', this.handlePointerMove);
+    this.domElement.addEventListener('pointerup', this.handlePointerUp);
+    this.domElement.addEventListener('pointercancel', this.handlePointerUp);
+    this.domElement.addEventListener('pointerleave', this.handlePointerLeave);
+
+    this._disposed = false;
+
+    console.log('PickingManager: Initialized');
+  }
+
+  /**
+   * Set the provider of pickable objects
+   * @param {Function} getTargets - Returns the root objects to raycast against
+   */
+  setTargets(getTargets) {
+    this.getTargets = getTargets;
+  }
+
+  /**
+   * Enable or disable picking
+   * @param {boolean} enabled - Whether picking is enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+
+    if (!enabled) {
+      this.pressedPointers.clear();
+      this._setHovered(null);
+    }
+  }
+
+  /**
+   * Change the hover highlight
+   * @param {Object} hover - Hover options (mode, color, intensity, thickness)
+   */
+  setHoverHighlight(hover) {
+    const { hovered } = this;
+    this._setHovered(null);
+
+    this.options.hover = { ...this.options.hover, ...hover };
+
+    if (hovered) {
+      this._setHovered(hovered.hit);
+    }
+  }
+
+  /**
+   * Raycast the pickable meshes at a pointer position
+   * @param {number} clientX - Pointer x in client pixels
+   * @param {number} clientY - Pointer y in client pixels
+   * @returns {Object|null} Nearest visible hit, or null
+   */
+  pick(clientX, clientY) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const hits = this.raycaster.intersectObjects(this.getTargets(), true);
+
+    // Raycasting ignores visibility, so skip meshes hidden directly or by an ancestor
+    return (
+      hits.find(hit => hit.object.isMesh && this._isVisible(hit.object)) || null
+    );
+  }
+
+  /**
+   * Check if an object and all of its ancestors are visible
+   * @param {THREE.Object3D} object - Object to check
+   * @returns {boolean} True if visible
+   * @private
+   */
+  _isVisible(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remember where a press started
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    if (!this.enabled) return;
+
+    this.pressedPointers.set(e.pointerId, {
+      x: e.clientX,
+      y: e.clientY,
+      button: e.button,
+      multiTouch: false,
+    });
+
+    // A second finger turns the gesture into a pinch
+    if (this.pressedPointers.size > 1) {
+      this.pressedPointers.forEach(press => {
+        press.multiTouch = true;
+      });
+    }
+  }
+
+  /**
+   * Update the hover at most once per frame
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    if (!this.enabled) return;
+
+    // Leave the hover alone while the controls are being dragged
+    if (this.pressedPointers.size > 0) return;
+
+    this.pendingMove = { x: e.clientX, y: e.clientY };
+    if (this.hoverFrame !== null) return;
+
+    this.hoverFrame = requestAnimationFrame(() => {
+      this.hoverFrame = null;
+      if (!this.pendingMove || !this.enabled) return;
+
+      const { x, y } = this.pendingMove;
+      this.pendingMove = null;
+      this._setHovered(this.pick(x, y));
+    });
+  }
+
+  /**
+   * Dispatch a click unless the press was a drag
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    const press = this.pressedPointers.get(e.pointerId);
+    this.pressedPointers.delete(e.pointerId);
+
+    if (!press || !this.enabled || e.type === 'pointercancel') return;
+    if (press.button !== 0 || press.multiTouch) return;
+
+    const distance = Math.hypot(e.clientX - press.x, e.clientY - press.y);
+    if (distance > this.options.dragThreshold) return;
+
+    const hit = this.pick(e.clientX, e.clientY);
+    if (hit) {
+      this.dispatchEvent({
+        type: 'meshClick',
+        ...this._describeHit(hit),
+        originalEvent: e,
+      });
+    }
+  }
+
+  /**
+   * Clear the hover when the pointer leaves the canvas
+   */
+  handlePointerLeave() {
+    this.pendingMove = null;
+    this._setHovered(null);
+  }
+
+  /**
+   * Move the hover to a new hit, dispatching meshHover when the hovered mesh changes
+   * @param {Object|null} hit - Raycast hit, or null to clear the hover
+   * @private
+   */
+  _setHovered(hit) {
+    const mesh = hit ? hit.object : null;
+    if (mesh === (this.hovered?.mesh || null)) {
+      if (hit) {
+        this.hovered.hit = hit;
+      }
+      return;
+    }
+
+    if (this.hovered) {
+      this._removeHighlight(this.hovered);
+      this.hovered = null;
+    }
+
+    if (hit) {
+      this.hovered = {
+        mesh: hit.object,
+        hit,
+        material: hit.object.material,
+        highlight: null,
+      };
+      this._addHighlight(this.hovered);
+    }
+
+    this.domElement.style.cursor = hit ? 'pointer' : '';
+    this.dispatchEvent({
+      type: 'meshHover',
+      ...(hit ? this._describeHit(hit) : { mesh: null }),
+    });
+  }
+
+  /**
+   * Describe a hit for event listeners
+   * @param {Object} hit - Raycast hit
+   * @returns {Object} { mesh, name, material, point, normal, distance, uv }
+   * @private
+   */
+  _describeHit(hit) {
+    const mesh = hit.object;
+
+    // Report the mesh's own material, not the hover highlight
+    const source =
+      this.hovered?.mesh === mesh ? this.hovered.material : mesh.material;
+    const material = Array.isArray(source)
+      ? source[hit.face?.materialIndex ?? 0]
+      : source;
+
+    const normal = hit.face
+      ? hit.face.normal.clone().transformDirection(mesh.matrixWorld)
+      : null;
+
+    return {
+      mesh,
+      name: mesh.name,
+      material,
+      materialName: material?.name || '',
+      point: hit.point.clone(),
+      normal,
+      distance: hit.distance,
+      uv: hit.uv ? hit.uv.clone() : null,
+      instanceId: hit.instanceId,
+    };
+  }
+
+  /**
+   * Apply the hover highlight to a mesh
+   * @param {Object} hovered - Hover state
+   * @private
+   */
+  _addHighlight(hovered) {
+    const { mode } = this.options.hover;
+
+    if (mode === 'emissive') {
+      hovered.highlight = this._createEmissiveHighlight(hovered.mesh);
+    } else if (mode === 'outline') {
+      hovered.highlight = this._createOutlineHighlight(hovered.mesh);
+    }
+  }
+
+  /**
+   * Swap in emissive copies of a mesh's materials
+   * Copies keep shared materials on other meshes unlit
+   * @param {THREE.Mesh} mesh - Hovered mesh
+   * @returns {Object|null} Highlight state
+   * @private
+   */
+  _createEmissiveHighlight(mesh) {
+    const { color, intensity } = this.options.hover;
+    const materials = Array.isArray(mesh.material)
+      ? mesh.material
+      : [mesh.material];
+    if (!materials.some(material => material?.emissive)) return null;
+
+    const copies = materials.map(material => {
+      if (!material?.emissive) return material;
+
+      const copy = material.clone();
+      copy.emissive.set(color);
+      copy.emissiveIntensity = intensity;
+      return copy;
+    });
+
+    mesh.material = Array.isArray(mesh.material) ? copies : copies[0];
+    return { type: 'emissive', material: mesh.material, copies };
+  }
+
+  /**
+   * Add a back-face hull around a mesh as an outline
+   * @param {THREE.Mesh} mesh - Hovered mesh
+   * @returns {Object} Highlight state
+   * @private
+   */
+  _createOutlineHighlight(mesh) {
+    const { color, thickness } = this.options.hover;
+    const { geometry } = mesh;
+
+    if (!geometry.boundingSphere) {
+      geometry.computeBoundingSphere();
+    }
+
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      side: THREE.BackSide,
+      depthWrite: false,
+    });
+    const offset = geometry.boundingSphere.radius * thickness;
+
+    // Push the hull out along the normals, by a uniform as every hull shares one cached program
+    material.onBeforeCompile = shader => {
+      shader.uniforms.outlineOffset = { value: offset };
+      const vertexShader = shader.vertexShader.replace(
+        '#include <begin_vertex>',
+        'vec3 transformed = vec3( position ) + normal * outlineOffset;'
+      );
+      shader.vertexShader = `uniform float outlineOffset;\n${vertexShader}`;
+    };
+
+    let hull;
+    if (mesh.isSkinnedMesh) {
+      hull = new THREE.SkinnedMesh(geometry, material);
+      hull.bind(mesh.skeleton, mesh.bindMatrix);
+    } else if (mesh.isInstancedMesh) {
+      hull = new THREE.InstancedMesh(geometry, material, mesh.count);
+      hull.instanceMatrix = mesh.instanceMatrix;
+    } else {
+      hull = new THREE.Mesh(geometry, material);
+    }
+
+    hull.name = 'hover-outline';
+    hull.raycast = () => {};
+    mesh.add(hull);
+
+    return { type: 'outline', hull };
+  }
+
+  /**
+   * Remove the hover highlight from a mesh
+   * @param {Object} hovered - Hover state
+   * @private
+   */
+  _removeHighlight(hovered) {
+    const { mesh, highlight } = hovered;
+    if (!highlight) return;
+
+    if (highlight.type === 'emissive') {
+      // Leave materials that were replaced while hovering (e.g. by a preset) alone
+      if (mesh.material === highlight.material) {
+        mesh.material = hovered.material;
+      }
+      const originals = Array.isArray(hovered.material)
+        ? hovered.material
+        : [hovered.material];
+      highlight.copies.forEach((copy, index) => {
+        if (copy !== originals[index]) {
+          copy.dispose();
+        }
+      });
+    } else if (highlight.type === 'outline') {
+      mesh.remove(highlight.hull);
+      highlight.hull.material.dispose();
+    }
+  }
+
+  /**
+   * Get the hovered mesh
+   * @returns {THREE.Mesh|null} Hovered mesh or null
+   */
+  getHoveredMesh() {
+    return this.hovered?.mesh || null;
+  }
+
+  /**
+   * Get a mesh's own material, without the hover highlight
+   * @param {THREE.Mesh} mesh - Mesh to read
+   * @returns {THREE.Material|Array<THREE.Material>} Mesh material
+   */
+  getMeshMaterial(mesh) {
+    return this.hovered?.mesh === mesh ? this.hovered.material : mesh.material;
+  }
+
+  /**
+   * Remove the hover highlight, e.g. before the hovered mesh's material is edited
+   * The next pointer move highlights again.
+   */
+  clearHover() {
+    this._setHovered(null);
+  }
+
+  /**
+   * Remove listeners and highlights
+   */
+  dispose() {
+    if (this._disposed) return;
+
+    this._setHovered(null);
+
+    if (this.hoverFrame !== null) {
+      cancelAnimationFrame(this.hoverFrame);
+      this.hoverFrame = null;
+    }
+
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointermove', this.handlePointerMove);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.domElement.removeEventListener('pointercancel', this.handlePointerUp);
+    this.domElement.removeEventListener(
+      'pointerleave',
+      this.handlePointerLeave
+    );
+
+    this.pressedPointers.clear();
+    this.getTargets = () => [];
+    this.camera = null;
+    this.domElement = null;
+
+    this._disposed = true;
+    console.log('PickingManager: Cleanup completed');
+  }
+}
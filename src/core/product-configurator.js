@@ -0,0 +1,470 @@
+import * as THREE from 'three';
+import { selectMeshes } from '../utils/mesh-selector.js';
+
+/**
+ * Convert a schema pattern to a name pattern
+ * Strings written as /source/flags become regular expressions
+ * @param {string} pattern - Schema pattern
+ * @returns {string|RegExp} Name pattern
+ */
+function toNamePattern(pattern) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return match ? new RegExp(match[1], match[2]) : pattern;
+}
+
+/**
+ * Convert a rule's option list to an array
+ * @param {string|Array<string>} options - Option id or ids
+ * @returns {Array<string>} Option ids
+ */
+function toOptionList(options) {
+  return Array.isArray(options) ? options : [options];
+}
+
+/**
+ * Check a variant schema and convert it to the form the configurator works with
+ * @param {Object} schema - Variant schema
+ * @returns {Object} Normalized schema
+ */
+function normalizeSchema(schema) {
+  const fail = message => {
+    throw new Error(`ProductConfigurator: Invalid schema, ${message}`);
+  };
+
+  if (!schema || !Array.isArray(schema.groups) || schema.groups.length === 0) {
+    fail('"groups" must be a non-empty array');
+  }
+
+  const groups = new Map();
+  schema.groups.forEach((group, index) => {
+    if (!group.id) fail(`group ${index} has no "id"`);
+    if (groups.has(group.id)) fail(`group "${group.id}" is defined twice`);
+
+    const targets = group.targets || {};
+    if (!targets.meshes?.length && !targets.materials?.length) {
+      fail(`group "${group.id}" needs "targets.meshes" or "targets.materials"`);
+    }
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      fail(`group "${group.id}" has no options`);
+    }
+
+    const options = new Map();
+    group.options.forEach(option => {
+      if (!option.id) fail(`an option of group "${group.id}" has no "id"`);
+      if (options.has(option.id)) {
+        fail(`option "${option.id}" of group "${group.id}" is defined twice`);
+      }
+      if (!option.preset) {
+        fail(`option "${group.id}.${option.id}" has no "preset"`);
+      }
+      options.set(option.id, { name: option.id, ...option });
+    });
+
+    if (group.default && !options.has(group.default)) {
+      fail(
+        `default "${group.default}" of group "${group.id}" is not an option`
+      );
+    }
+
+    groups.set(group.id, {
+      name: group.id,
+      ...group,
+      targets: {
+        meshes: (targets.meshes || []).map(toNamePattern),
+        materials: (targets.materials || []).map(toNamePattern),
+      },
+      options,
+    });
+  });
+
+  // Rules name groups and options that must exist
+  const checkReferences = (ruleIndex, references = {}) => {
+    const normalized = {};
+    Object.entries(references).forEach(([groupId, optionIds]) => {
+      const group = groups.get(groupId);
+      if (!group) fail(`rule ${ruleIndex} names unknown group "${groupId}"`);
+
+      normalized[groupId] = toOptionList(optionIds);
+      normalized[groupId].forEach(optionId => {
+        if (!group.options.has(optionId)) {
+          fail(
+            `rule ${ruleIndex} names unknown option "${groupId}.${optionId}"`
+          );
+        }
+      });
+    });
+    return normalized;
+  };
+
+  const rules = (schema.rules || []).map((rule, index) => {
+    if (!rule.when || (!rule.exclude && !rule.require)) {
+      fail(`rule ${index} needs "when" and "exclude" or "require"`);
+    }
+
+    return {
+      when: checkReferences(index, rule.when),
+      exclude: checkReferences(index, rule.exclude),
+      require: checkReferences(index, rule.require),
+    };
+  });
+
+  return {
+    id: schema.id || null,
+    name: schema.name || schema.id || '',
+    groups,
+    rules,
+    sku: { prefix: '', separator: '-', ...schema.sku },
+  };
+}
+
+/**
+ * ProductConfigurator applies option groups from a variant schema to parts of a model
+ * Each group targets meshes by mesh or material name patterns, and each option applies a
+ * material preset to them. Rules constrain which options can be combined; when a choice
+ * breaks a rule, other groups are adjusted. Dispatches 'configurationChanged' with the
+ * selections and SKU.
+ *
+ * Schema:
+ * {
+ *   id, name,
+ *   groups: [{ id, name, targets: { meshes, materials }, default,
+ *              options: [{ id, name, preset, sku }] }],
+ *   rules: [{ when: { group: option(s) }, exclude | require: { group: option(s) } }],
+ *   sku: { prefix, separator }
+ * }
+ * Patterns are names, globs or "/regex/flags" strings. A preset is a MaterialManager preset
+ * name or an inline { type, properties } definition. A mesh belongs to the first group
+ * that targets it.
+ */
+export class ProductConfigurator extends THREE.EventDispatcher {
+  constructor(materialManager, schema) {
+    super();
+
+    this.materialManager = materialManager;
+    this.schema = normalizeSchema(schema);
+
+    this.model = null;
+    this.groupMeshes = new Map(); // Targeted meshes by group id
+    this.groupMaterials = new Map(); // Applied materials by group id
+
+    // Selected option by group id, starting from the defaults
+    this.selections = new Map();
+    this.schema.groups.forEach((group, groupId) => {
+      this.selections.set(
+        groupId,
+        group.default || group.options.keys().next().value
+      );
+    });
+
+    if (!this._resolveConflicts(new Set())) {
+      throw new Error(
+        'ProductConfigurator: Invalid schema, the rules leave no valid default configuration'
+      );
+    }
+
+    this._disposed = false;
+
+    console.log(
+      `ProductConfigurator: Loaded ${this.schema.groups.size} option groups`
+    );
+  }
+
+  /**
+   * Attach the configurator to a model and apply the current selections
+   * Call again when the model's meshes change (e.g. a finer LOD level arrived)
+   * @param {THREE.Object3D|null} model - Model to configure, or null to detach
+   */
+  setModel(model) {
+    this.model = model;
+    this.groupMeshes.clear();
+    if (!model) return;
+
+    // Match against the loaded materials, not the ones applied by presets
+    const claimed = new Set();
+    this.schema.groups.forEach((group, groupId) => {
+      const meshes = selectMeshes(model, group.targets, mesh =>
+        this.materialManager.getOriginalMaterial(mesh)
+      ).filter(mesh => !claimed.has(mesh));
+
+      meshes.forEach(mesh => claimed.add(mesh));
+      this.groupMeshes.set(groupId, meshes);
+
+      if (meshes.length === 0) {
+        console.warn(
+          `ProductConfigurator: Group "${groupId}" matches no meshes`
+        );
+      }
+    });
+
+    this.schema.groups.forEach((group, groupId) => this._applyGroup(groupId));
+  }
+
+  /**
+   * Select an option, adjusting other groups that the rules no longer allow
+   * @param {string} groupId - Group id
+   * @param {string} optionId - Option id
+   * @returns {boolean} False if the option does not exist or no valid combination includes it
+   */
+  setOption(groupId, optionId) {
+    return this.setSelections({ [groupId]: optionId });
+  }
+
+  /**
+   * Select options in several groups at once
+   * @param {Object} selections - Option id by group id
+   * @returns {boolean} False if an option does not exist or the rules forbid the combination
+   */
+  setSelections(selections) {
+    const entries = Object.entries(selections);
+    const unknown = entries.find(
+      ([groupId, optionId]) =>
+        !this.schema.groups.get(groupId)?.options.has(optionId)
+    );
+    if (unknown) {
+      console.warn(
+        `ProductConfigurator: Unknown option "${unknown[0]}.${unknown[1]}"`
+      );
+      return false;
+    }
+
+    return this._select(selections, new Set(Object.keys(selections)));
+  }
+
+  /**
+   * Return every group to its default option
+   * @returns {boolean} Success status
+   */
+  reset() {
+    const defaults = {};
+    this.schema.groups.forEach((group, groupId) => {
+      defaults[groupId] = group.default || group.options.keys().next().value;
+    });
+
+    // Defaults give way to the rules, as when the schema was loaded
+    return this._select(defaults, new Set());
+  }
+
+  /**
+   * Select options, resolve the rules and apply the groups that changed
+   * @param {Object} selections - Option id by group id
+   * @param {Set<string>} locked - Groups the rules may not change
+   * @returns {boolean} False if the rules forbid the combination
+   * @private
+   */
+  _select(selections, locked) {
+    const previous = new Map(this.selections);
+    Object.entries(selections).forEach(([groupId, optionId]) => {
+      this.selections.set(groupId, optionId);
+    });
+
+    if (!this._resolveConflicts(locked)) {
+      this.selections = previous;
+      console.warn(
+        'ProductConfigurator: The rules do not allow this combination',
+        selections
+      );
+      return false;
+    }
+
+    const changed = Array.from(this.selections.keys()).filter(
+      groupId => this.selections.get(groupId) !== previous.get(groupId)
+    );
+    if (changed.length === 0) return true;
+
+    changed.forEach(groupId => this._applyGroup(groupId));
+
+    this.dispatchEvent({
+      type: 'configurationChanged',
+      selections: this.getSelections(),
+      sku: this.getSku(),
+      changed,
+      // Groups changed by rules rather than by the caller
+      adjusted: changed.filter(
+        groupId => this.selections.get(groupId) !== selections[groupId]
+      ),
+    });
+    return true;
+  }
+
+  /**
+   * Get the selected options
+   * @returns {Object} Option id by group id
+   */
+  getSelections() {
+    return Object.fromEntries(this.selections);
+  }
+
+  /**
+   * Get the SKU of the current configuration
+   * Joins the prefix and each selected option's sku (or id) in group order
+   * @returns {string} SKU
+   */
+  getSku() {
+    const { prefix, separator } = this.schema.sku;
+    const codes = Array.from(this.selections, ([groupId, optionId]) => {
+      const option = this.schema.groups.get(groupId).options.get(optionId);
+      return option.sku ?? option.id;
+    });
+
+    return [prefix, ...codes].filter(Boolean).join(separator);
+  }
+
+  /**
+   * Describe the groups and options for a configurator UI
+   * @returns {Array<Object>} Groups of { id, name, selected, meshCount, options: [{ id, name, sku, available }] }
+   */
+  getGroups() {
+    return Array.from(this.schema.groups, ([groupId, group]) => ({
+      id: groupId,
+      name: group.name,
+      selected: this.selections.get(groupId),
+      meshCount: this.groupMeshes.get(groupId)?.length || 0,
+      options: Array.from(group.options.values(), option => ({
+        id: option.id,
+        name: option.name,
+        sku: option.sku ?? option.id,
+        available: this.isOptionAvailable(groupId, option.id),
+      })),
+    }));
+  }
+
+  /**
+   * Check if the rules allow an option with the other current selections
+   * Unavailable options can still be selected, other groups are then adjusted
+   * @param {string} groupId - Group id
+   * @param {string} optionId - Option id
+   * @returns {boolean} True if available
+   */
+  isOptionAvailable(groupId, optionId) {
+    const selections = new Map(this.selections).set(groupId, optionId);
+    return !this._findViolation(selections);
+  }
+
+  /**
+   * Change groups until no rule is broken, keeping the locked groups as they are
+   * @param {Set<string>} locked - Ids of groups chosen by the caller
+   * @returns {boolean} False if no valid combination was found
+   * @private
+   */
+  _resolveConflicts(locked) {
+    // Every adjustment picks a different option, so this bounds the search
+    let remaining = Array.from(this.schema.groups.values()).reduce(
+      (sum, group) => sum + group.options.size,
+      0
+    );
+
+    for (; remaining >= 0; remaining--) {
+      const violation = this._findViolation(this.selections);
+      if (!violation) return true;
+
+      const { rule, groupId } = violation;
+
+      // Prefer changing the group the rule restricts, then a group its condition names
+      const candidates = [groupId, ...Object.keys(rule.when)].filter(
+        id => !locked.has(id)
+      );
+      const fixed = candidates.some(id => this._selectAlternative(id, rule));
+      if (!fixed) return false;
+    }
+
+    return false;
+  }
+
+  /**
+   * Select another option of a group that settles a broken rule
+   * @param {string} groupId - Group to change
+   * @param {Object} rule - Broken rule
+   * @returns {boolean} True if an option was selected
+   * @private
+   */
+  _selectAlternative(groupId, rule) {
+    const current = this.selections.get(groupId);
+
+    for (const optionId of this.schema.groups.get(groupId).options.keys()) {
+      if (optionId === current) continue;
+
+      const selections = new Map(this.selections).set(groupId, optionId);
+      const violation = this._findViolation(selections);
+      if (!violation || violation.rule !== rule) {
+        this.selections.set(groupId, optionId);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the first rule broken by a set of selections
+   * @param {Map} selections - Option id by group id
+   * @returns {Object|null} { rule, groupId } or null if every rule holds
+   * @private
+   */
+  _findViolation(selections) {
+    for (const rule of this.schema.rules) {
+      const applies = Object.entries(rule.when).every(([groupId, optionIds]) =>
+        optionIds.includes(selections.get(groupId))
+      );
+      if (!applies) continue;
+
+      for (const [groupId, optionIds] of Object.entries(rule.exclude)) {
+        if (optionIds.includes(selections.get(groupId))) {
+          return { rule, groupId };
+        }
+      }
+
+      for (const [groupId, optionIds] of Object.entries(rule.require)) {
+        if (!optionIds.includes(selections.get(groupId))) {
+          return { rule, groupId };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a group's selected option to its meshes
+   * @param {string} groupId - Group id
+   * @private
+   */
+  _applyGroup(groupId) {
+    const meshes = this.groupMeshes.get(groupId);
+    if (!this.model || !meshes || meshes.length === 0) return;
+
+    const option = this.schema.groups
+      .get(groupId)
+      .options.get(this.selections.get(groupId));
+    const materials = this.materialManager.applyPresetToMeshes(
+      option.preset,
+      meshes
+    );
+    if (!materials) return;
+
+    // The group's previous materials are no longer used by any mesh
+    const previous = this.groupMaterials.get(groupId) || [];
+    previous.forEach(material => {
+      if (!materials.includes(material)) {
+        material.dispose();
+      }
+    });
+    this.groupMaterials.set(groupId, materials);
+  }
+
+  /**
+   * Detach from the model
+   * The model keeps its configured materials until a preset or restore replaces them
+   */
+  dispose() {
+    if (this._disposed) return;
+
+    this.groupMeshes.clear();
+    this.groupMaterials.clear();
+    this.model = null;
+    this.materialManager = null;
+
+    this._disposed = true;
+    console.log('ProductConfigurator: Cleanup completed');
+  }
+}
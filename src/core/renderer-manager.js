@@ -225,6 +225,66 @@ export class RendererManager {
     this.frameCount++;
   }
 
+  /**
+   * Render several views side by side using the scissor test
+   * In 'split' mode each view gets its own viewport, in 'wipe' mode every view is rendered
+   * full size and the scissor reveals its part, for before/after comparisons
+   * @param {Array<Object>} views - Views ordered left to right ({ scene, camera, exclude })
+   * @param {Array<THREE.Object3D>} views[].exclude - Objects hidden while rendering the view
+   * @param {Object} options - Layout options
+   * @param {string} options.mode - 'split' or 'wipe'
+   * @param {number} options.split - Divider position as a fraction of the width (two views only)
+   */
+  renderViews(views, options = {}) {
+    if (!this.renderer || !this.shouldRender) return;
+
+    // Skip rendering if not needed (for render-on-demand)
+    if (this.renderOnDemand && !this.needsRender) return;
+
+    this.updatePerformanceMetrics();
+
+    const { mode = 'split', split = 0.5 } = options;
+    const { width, height } = this.getSize();
+    const edges =
+      views.length === 2
+        ? [0, split, 1]
+        : [...views.map((_, index) => index / views.length), 1];
+
+    this.renderer.setScissorTest(true);
+
+    views.forEach((view, index) => {
+      const left = Math.round(edges[index] * width);
+      const viewWidth = Math.round(edges[index + 1] * width) - left;
+      if (viewWidth <= 0) return;
+
+      const viewport =
+        mode === 'wipe' ? [0, 0, width, height] : [left, 0, viewWidth, height];
+
+      view.camera.aspect = viewport[2] / height;
+      view.camera.updateProjectionMatrix();
+
+      this.renderer.setViewport(...viewport);
+      this.renderer.setScissor(left, 0, viewWidth, height);
+
+      const hidden = (view.exclude || []).filter(object => object.visible);
+      hidden.forEach(object => {
+        object.visible = false;
+      });
+
+      this.renderer.render(view.scene, view.camera);
+
+      hidden.forEach(object => {
+        object.visible = true;
+      });
+    });
+
+    this.renderer.setScissorTest(false);
+    this.renderer.setViewport(0, 0, width, height);
+
+    this.needsRender = false;
+    this.frameCount++;
+  }
+
   /**
    * Update performance metrics (FPS, delta time)
    */
@@ -160,6 +160,33 @@ export class SceneManager {
     return new Map(this.objects);
   }
 
+  /**
+   * Get the metadata stored with an object
+   * @param {string} id - Object ID
+   * @returns {Object|null} Metadata or null if not found
+   */
+  getMetadata(id) {
+    const objectData = this.objects.get(id);
+    return objectData ? objectData.metadata : null;
+  }
+
+  /**
+   * Get tracked objects whose metadata has the given type, in insertion order
+   * @param {string} type - Metadata type (e.g. 'model')
+   * @returns {Array<Object>} Array of { id, object, metadata }
+   */
+  getObjectsByType(type) {
+    const results = [];
+
+    for (const [id, { object, metadata }] of this.objects) {
+      if (metadata.type === type) {
+        results.push({ id, object, metadata });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Clear all objects from the scene
    * @param {boolean} dispose - Whether to dispose of resources
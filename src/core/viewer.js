@@ -4,11 +4,51 @@ import { SceneManager } from './scene-manager.js';
 import { CameraManager } from './camera-manager.js';
 import { RendererManager } from './renderer-manager.js';
 import { ModelManager } from './model-manager.js';
-import { MaterialManager } from './material-manager.js';
+import {
+  MaterialManager,
+  TEXTURE_SLOTS,
+  TEXTURE_SLOT_LABELS,
+  VARIANT_PRESET_PREFIX,
+} from './material-manager.js';
 import { LightingManager } from './lighting-manager.js';
+import { LightGizmoManager } from './light-gizmo-manager.js';
+import { AnimationManager } from './animation-manager.js';
+import { PickingManager } from './picking-manager.js';
+import { AnnotationManager } from './annotation-manager.js';
+import { ProductConfigurator } from './product-configurator.js';
 import { FileDropHandler } from '../utils/file-drop-handler.js';
+import { MODEL_EXTENSIONS } from '../utils/model-formats.js';
+import { PresetStorage } from '../utils/preset-storage.js';
+import {
+  createPresetFile,
+  parsePresetFile,
+} from '../utils/preset-serializer.js';
+import { CompareDivider } from '../utils/compare-divider.js';
+import { describeSceneGraph } from '../utils/scene-graph.js';
 import { getConfig } from '../config.js';
 
+/**
+ * Collection id of the model loaded through loadModel, which each load replaces
+ */
+const PRIMARY_MODEL_ID = 'current-model';
+
+/**
+ * Compare mode layouts: separate viewports, or full-size views revealed by a wipe
+ */
+const COMPARE_MODES = ['split', 'wipe'];
+
+/**
+ * File name words that suggest the texture slot of a dropped image, e.g. 'wood_rough.png'
+ */
+const TEXTURE_SLOT_HINTS = {
+  normalMap: ['normal', 'nrm', 'nor'],
+  roughnessMap: ['roughness', 'rough', 'rgh'],
+  metalnessMap: ['metalness', 'metallic', 'metal'],
+  aoMap: ['ao', 'occlusion', 'ambientocclusion'],
+  emissiveMap: ['emissive', 'emission', 'glow'],
+  map: ['albedo', 'diffuse', 'basecolor', 'color', 'colour', 'diff', 'col'],
+};
+
 /**
  * ProductViewer - Enhanced 3D product viewer with materials and lighting
  * Now includes complete material and lighting management systems
@@ -46,10 +86,19 @@ export class ProductViewer extends THREE.EventDispatcher {
     this.modelManager = null;
     this.materialManager = null;
     this.lightingManager = null;
+    this.animationManager = null;
+    this.pickingManager = null;
+    this.pickingEnabled = false;
+    this.annotationManager = null;
+    this.lightGizmoManager = null;
 
     // File handling
     this.fileDropHandler = null;
 
+    // Presets added at runtime, kept in localStorage when persistence is on
+    this.userPresets = { materials: new Set(), lighting: new Set() };
+    this.presetStorage = null;
+
     // Controls
     this.controls = null;
 
@@ -57,8 +106,27 @@ export class ProductViewer extends THREE.EventDispatcher {
     this.isInitialized = false;
     this.isDisposed = false;
     this.isAnimating = false;
+    this.isScrubbingAnimation = false;
     this.currentModel = null;
 
+    // Model collection, stored in the SceneManager registry with type 'model'
+    this.selectedModelId = null;
+    this.pendingModels = new Map(); // Abort controllers of models still loading, by id
+    this.nextModelId = 1;
+
+    // Compare mode state, see enableCompareMode
+    this.compare = null;
+
+    // Outline of the node picked in the scene graph inspector
+    this.nodeHighlight = null;
+
+    // Camera animation to an annotation view, OrbitControls are paused meanwhile
+    this.cameraFlight = null;
+
+    // Product configurator and the collection id of the model it configures
+    this.configurator = null;
+    this.configuratorModelId = null;
+
     // Performance monitoring
     this.performanceStats = {
       fps: 0,
@@ -73,6 +141,8 @@ export class ProductViewer extends THREE.EventDispatcher {
       errorOverlay: null,
       controlPanel: null,
       performanceStats: null,
+      animationScrubber: null,
+      animationTime: null,
     };
 
     // Animation loop
@@ -107,9 +177,21 @@ export class ProductViewer extends THREE.EventDispatcher {
       // Initialize enhanced managers
       await this.initializeEnhancedManagers();
 
+      // Restore user presets from earlier sessions
+      this.setupPresetStorage();
+
       // Setup controls
       this.setupControls();
 
+      // Setup pointer picking
+      this.setupPicking();
+
+      // Setup annotation hotspots
+      this.setupAnnotations();
+
+      // Setup light editing gizmos
+      this.setupLightEditor();
+
       // Setup file handling
       this.setupFileHandling();
 
@@ -124,7 +206,14 @@ export class ProductViewer extends THREE.EventDispatcher {
 
       // Load default model if specified
       if (this.config.model?.defaultUrl) {
-        await this.loadModel(this.config.model.defaultUrl);
+        try {
+          await this.loadModel(this.config.model.defaultUrl);
+        } catch (error) {
+          // A model loaded during startup supersedes the default one
+          if (error.name !== 'AbortError') {
+            throw error;
+          }
+        }
       }
 
       // Hide loading overlay
@@ -172,6 +261,7 @@ export class ProductViewer extends THREE.EventDispatcher {
 
     // Initialize material manager
     this.materialManager = new MaterialManager(this.config);
+    this.materialManager.setKTX2Loader(this.modelManager.ktx2Loader);
 
     // Initialize lighting manager
     this.lightingManager = new LightingManager(
@@ -179,6 +269,9 @@ export class ProductViewer extends THREE.EventDispatcher {
       this.config
     );
 
+    // Initialize animation manager
+    this.animationManager = new AnimationManager(this.config);
+
     // Connect manager events
     this.setupManagerEvents();
 
@@ -197,13 +290,91 @@ export class ProductViewer extends THREE.EventDispatcher {
     });
 
     this.modelManager.addEventListener('loadProgress', event => {
-      this.updateLoadingProgress(event.progress, event.stage);
+      const message =
+        event.stage === 'retrying'
+          ? `Retrying (${event.attempt}/${event.maxRetries})...`
+          : event.stage;
+      this.updateLoadingProgress(event.progress, message);
     });
 
     this.modelManager.addEventListener('loadComplete', event => {
       this.hideLoadingOverlay();
-      this.handleModelLoaded(event.model);
-      this.dispatchEvent({ type: 'modelLoadComplete', model: event.model });
+
+      // Variants are registered before the initial preset, which keeps their authored look
+      if (event.variantMaterials) {
+        this.materialManager.registerMaterialVariants(
+          event.model,
+          event.variantMaterials
+        );
+      }
+
+      // Models loaded through addModel join the collection, others replace the primary model
+      const id = event.options?.modelId || PRIMARY_MODEL_ID;
+      if (id === PRIMARY_MODEL_ID) {
+        this.handleModelLoaded(event.model, event.animations);
+      } else {
+        this.handleModelAdded(id, event.model, event.animations, {
+          url: event.url,
+          ...event.options,
+        });
+      }
+
+      this.dispatchEvent({
+        type: 'modelLoadComplete',
+        model: event.model,
+        id,
+        variants: this.materialManager.getMaterialVariants(event.model),
+      });
+    });
+
+    this.modelManager.addEventListener('lodLevelLoaded', async event => {
+      const entry = this._findModelEntry(event.model);
+      if (!entry) return;
+
+      if (event.variantMaterials) {
+        this.materialManager.registerMaterialVariants(
+          event.object,
+          event.variantMaterials
+        );
+      }
+
+      // Finer levels arrive after the initial preset was applied
+      const preset = this.materialManager.getModelPreset(entry.object);
+      if (preset !== 'original') {
+        await this.materialManager.applyMaterialPreset(preset, event.object);
+      }
+
+      // Configure the meshes of the new level
+      if (entry.id === this.configuratorModelId) {
+        this.configurator.setModel(entry.object);
+      }
+
+      this._updateModelBounds(entry);
+      if (entry.id === this.selectedModelId) {
+        this.updateModelInfo(entry.object);
+      }
+      this.rendererManager.requestRender();
+      this.dispatchEvent({
+        type: 'modelLevelLoaded',
+        level: event.level,
+        levels: event.levels,
+      });
+    });
+
+    // The coarser levels stay on screen, so a finer level failing is no load error
+    this.modelManager.addEventListener('lodLevelError', event => {
+      this.dispatchEvent({
+        type: 'modelLevelError',
+        level: event.level,
+        levels: event.levels,
+        url: event.url,
+        error: event.error,
+      });
+    });
+
+    this.modelManager.addEventListener('loadAborted', event => {
+      this.hideLoadingOverlay();
+      this.dispatchEvent({ type: 'modelLoadAborted', url: event.url });
     });
 
     this.modelManager.addEventListener('loadError', event => {
@@ -221,6 +392,7 @@ export class ProductViewer extends THREE.EventDispatcher {
     // Lighting Manager Events
     this.lightingManager.addEventListener('lightingPresetApplied', event => {
       console.log(`Lighting preset "${event.preset}" applied`);
+      this.lightGizmoManager?.refresh();
       this.rendererManager.requestRender();
       this.dispatchEvent({ type: 'lightingChanged', preset: event.preset });
     });
@@ -228,44 +400,143 @@ export class ProductViewer extends THREE.EventDispatcher {
     this.lightingManager.addEventListener('globalIntensityChanged', event => {
       this.rendererManager.requestRender();
     });
+
+    // Environment map retries show in the loading bar like model retries
+    this.lightingManager.addEventListener('loadProgress', event => {
+      const message =
+        event.stage === 'retrying'
+          ? `Retrying environment map (${event.attempt}/${event.maxRetries})...`
+          : event.stage;
+      this.updateLoadingProgress(event.progress, message);
+    });
+
+    // Animation Manager Events
+    this.animationManager.addEventListener('clipsChanged', event => {
+      this.updateAnimationControls(event.clips);
+    });
+
+    this.animationManager.addEventListener('animationStarted', event => {
+      this.updateAnimationControls();
+      this.dispatchEvent({
+        type: 'animationStarted',
+        clip: event.clip,
+        duration: event.duration,
+      });
+    });
+
+    this.animationManager.addEventListener('animationFinished', event => {
+      this.updateAnimationControls();
+      this.dispatchEvent({ type: 'animationFinished', clip: event.clip });
+    });
   }
 
   /**
    * Handle successful model loading
    * @param {THREE.Object3D} model - Loaded model
+   * @param {Array<THREE.AnimationClip>} animations - Animation clips
    */
-  async handleModelLoaded(model) {
-    // Remove previous model if exists
-    if (this.currentModel) {
-      this.sceneManager.removeObject('current-model');
-    }
-
-    // Add new model to scene
-    this.sceneManager.addObject(model, 'current-model');
+  async handleModelLoaded(model, animations = []) {
+    // Replace the previous primary model, models added alongside it stay
+    const entry = this._registerModel(PRIMARY_MODEL_ID, model, animations);
     this.currentModel = model;
 
-    // Set current model for material manager
-    this.materialManager.setCurrentModel(model);
+    // Material operations and the info panel follow the selection
+    this.selectModel(PRIMARY_MODEL_ID);
 
     // Frame the model in view
-    await this.cameraManager.frameObject(model);
+    await this.cameraManager.frameObject(entry.object);
 
     // Apply initial material preset if specified
     const initialPreset = this.config.materials?.defaultPreset || 'default';
-    await this.materialManager.applyMaterialPreset(initialPreset);
+    await this.materialManager.applyMaterialPreset(initialPreset, entry.object);
 
     // Update UI
-    this.updateModelInfo(model);
+    this.updateModelInfo(entry.object);
 
     console.log('ProductViewer: Model loaded and processed successfully');
   }
 
+  /**
+   * Handle a model loaded through addModel
+   * @param {string} id - Collection id
+   * @param {THREE.Object3D} model - Loaded model
+   * @param {Array<THREE.AnimationClip>} animations - Animation clips
+   * @param {Object} options - Options passed to addModel
+   */
+  async handleModelAdded(id, model, animations = [], options = {}) {
+    const entry = this._registerModel(id, model, animations, options);
+
+    if (options.select !== false) {
+      this.selectModel(id);
+    }
+
+    const initialPreset =
+      options.materialPreset ||
+      this.config.materials?.defaultPreset ||
+      'default';
+    await this.materialManager.applyMaterialPreset(initialPreset, entry.object);
+
+    if (id === this.selectedModelId) {
+      this.updateModelInfo(entry.object);
+    }
+
+    if (options.frame !== false) {
+      await this.frameModels();
+    }
+
+    console.log(`ProductViewer: Model "${id}" added to the scene`);
+  }
+
+  /**
+   * Track presets added at runtime and restore the ones stored by earlier sessions
+   */
+  setupPresetStorage() {
+    const track = (kind, manager) => {
+      manager.addEventListener('presetAdded', event => {
+        this.userPresets[kind].add(event.id);
+        this.saveUserPresets();
+        this.updatePresetExportButton();
+      });
+      manager.addEventListener('presetRemoved', event => {
+        if (this.userPresets[kind].delete(event.id)) {
+          this.saveUserPresets();
+          this.updatePresetExportButton();
+        }
+      });
+    };
+    track('materials', this.materialManager);
+    track('lighting', this.lightingManager);
+
+    const presetConfig = this.config.presets || {};
+    if (presetConfig.persist === false || !PresetStorage.isSupported()) return;
+
+    // Storage is attached after restoring, so restored presets are not written back one by one
+    const storage = new PresetStorage(presetConfig);
+    const stored = storage.load();
+    if (stored) {
+      const ids = this._addPresets(stored);
+      console.log(
+        `ProductViewer: Restored ${ids.materials.length + ids.lighting.length} user presets`
+      );
+    }
+    this.presetStorage = storage;
+  }
+
+  /**
+   * Store the user presets, if persistence is enabled
+   */
+  saveUserPresets() {
+    if (!this.presetStorage) return;
+
+    this.presetStorage.save(this.exportPresets());
+  }
+
   /**
    * Setup file drop handling
    */
   setupFileHandling() {
     this.fileDropHandler = new FileDropHandler(this.container, {
-      allowedExtensions: ['.glb', '.gltf'],
+      allowedExtensions: this.modelManager.getSupportedExtensions(),
       maxFileSize: 50 * 1024 * 1024, // 50MB
       showDropZone: true,
       autoProcess: true,
@@ -273,23 +544,60 @@ export class ProductViewer extends THREE.EventDispatcher {
 
     // Handle file ready event
     this.fileDropHandler.addEventListener('fileready', async event => {
+      const { file, url, urlMap, rootPath, environmentPath, cleanup } =
+        event.detail;
+
       try {
-        const { file, url, cleanup } = event.detail;
         console.log(`Loading dropped file: ${file.name}`);
 
-        await this.loadModel(url);
+        // Companion files resolve the model's external buffers and textures
+        await this.loadModel(url, {
+          fileName: file.name,
+          ...(urlMap ? { urlMap, rootPath } : {}),
+        });
+
+        // Apply an environment map shipped alongside the model
+        if (environmentPath) {
+          try {
+            await this.lightingManager.loadEnvironmentMap(environmentPath, {
+              urlMap,
+            });
+          } catch (error) {
+            console.warn(
+              'ProductViewer: Failed to apply bundled environment map:',
+              error
+            );
+          }
+        }
 
-        // Cleanup object URL
+        // Cleanup object URLs
         cleanup();
 
         // Hide file drop overlay
         this.fileDropHandler.setProcessingComplete();
       } catch (error) {
-        this.handleError('File loading failed', error);
+        cleanup();
+
+        // A newer load superseded this one, nothing to report
+        if (error.name !== 'AbortError') {
+          this.handleError('File loading failed', error);
+        }
         this.fileDropHandler.resetState();
       }
     });
 
+    // Import dropped preset files, already validated by the drop handler
+    this.fileDropHandler.addEventListener('presetready', event => {
+      const { file, presets } = event.detail;
+      console.log(`Importing presets from: ${file.name}`);
+      this._importPresets(presets);
+    });
+
+    // Texture images dropped onto a part of a model
+    this.fileDropHandler.addEventListener('textureready', event => {
+      this.applyDroppedTexture(event.detail);
+    });
+
     // Handle file errors
     this.fileDropHandler.addEventListener('fileerror', event => {
       const { error } = event.detail;
@@ -299,6 +607,122 @@ export class ProductViewer extends THREE.EventDispatcher {
     console.log('ProductViewer: File drop handling initialized');
   }
 
+  /**
+   * Apply a texture image dropped onto the viewport to the mesh under the cursor
+   * The user picks the texture slot. The change is an undo step, and
+   * restoreOriginalMaterials brings back the model's own texture.
+   * @param {Object} drop - textureready event detail from FileDropHandler
+   */
+  async applyDroppedTexture({ file, url, extension, position, cleanup }) {
+    const hit =
+      position && this.pickingManager
+        ? this.pickingManager.pick(position.x, position.y)
+        : null;
+    const mesh = hit?.object || null;
+    const material = mesh ? this.getMeshMaterial(mesh) : null;
+    const slots = TEXTURE_SLOTS.filter(slot => material && slot in material);
+
+    if (slots.length === 0) {
+      cleanup();
+      this.fileDropHandler.showErrorState(
+        'Drop the image onto a part of the model to use it as a texture'
+      );
+      return;
+    }
+
+    // The slot the file name suggests is offered first
+    const words = file.name.toLowerCase().split(/[^a-z0-9]+/);
+    const suggested = slots.find(slot =>
+      TEXTURE_SLOT_HINTS[slot]?.some(hint => words.includes(hint))
+    );
+    if (suggested) {
+      slots.splice(slots.indexOf(suggested), 1);
+      slots.unshift(suggested);
+    }
+
+    const slot = await this.fileDropHandler.promptChoice({
+      icon: '🖼️',
+      title: 'Choose a Texture Slot',
+      message: `Use "${file.name}" on ${mesh.name || 'this part'} as`,
+      choices: slots.map(value => ({
+        label: `${TEXTURE_SLOT_LABELS[value] || value}${value === suggested ? ' (suggested)' : ''}`,
+        value,
+      })),
+    });
+    if (!slot) {
+      cleanup();
+      return;
+    }
+
+    const modelId = this._getModelIdOf(mesh);
+    if (modelId && modelId !== this.selectedModelId) {
+      this.selectModel(modelId);
+    }
+
+    const success = await this.setMaterialTexture(slot, url, [mesh], {
+      extension,
+      name: file.name,
+      flipY: this._getTextureFlipY(mesh),
+    });
+    cleanup();
+
+    if (!success) {
+      this.fileDropHandler.showErrorState(`Could not load "${file.name}"`);
+      return;
+    }
+
+    this.fileDropHandler.setProcessingComplete();
+    this.dispatchEvent({ type: 'textureDrop', mesh, modelId, slot, file });
+  }
+
+  /**
+   * Work out whether images need flipping on a mesh's UVs
+   * Image textures already on the model show its convention. Otherwise glTF models
+   * use unflipped images and the other formats flipped ones.
+   * @param {THREE.Mesh} mesh - Mesh of a model
+   * @returns {boolean} Value for Texture.flipY
+   * @private
+   */
+  _getTextureFlipY(mesh) {
+    const id = this._getModelIdOf(mesh);
+    const entry = id ? this._getModelEntry(id) : null;
+
+    let flipY = null;
+    (entry?.object || mesh).traverse(child => {
+      if (flipY !== null || !child.isMesh) return;
+
+      [this.pickingManager?.getMeshMaterial(child) ?? child.material]
+        .flat()
+        .forEach(material => {
+          TEXTURE_SLOTS.forEach(slot => {
+            const texture = material?.[slot];
+            if (
+              flipY === null &&
+              texture?.isTexture &&
+              !texture.isCompressedTexture &&
+              !texture.isDataTexture
+            ) {
+              ({ flipY } = texture);
+            }
+          });
+        });
+    });
+    if (flipY !== null) return flipY;
+
+    const source =
+      [entry?.name, entry?.url].find(
+        value => value && !value.startsWith('blob:')
+      ) || '';
+    const format =
+      MODEL_EXTENSIONS[
+        source
+          .split(/[?#]/)[0]
+          .match(/\.[^./]*$/)?.[0]
+          ?.toLowerCase()
+      ];
+    return !!format && format !== 'gltf';
+  }
+
   /**
    * Setup orbit controls
    */
@@ -340,6 +764,121 @@ export class ProductViewer extends THREE.EventDispatcher {
     console.log('ProductViewer: Controls initialized');
   }
 
+  /**
+   * Setup raycast picking of model meshes
+   */
+  setupPicking() {
+    this.pickingManager = new PickingManager(
+      this.cameraManager.getCamera(),
+      this.rendererManager.getCanvas(),
+      this.config
+    );
+
+    this.pickingEnabled = this.pickingManager.enabled;
+    this.pickingManager.setTargets(() =>
+      this.sceneManager.getObjectsByType('model').map(({ object }) => object)
+    );
+
+    // Forward pointer events with the collection id of the picked model
+    this.pickingManager.addEventListener('meshHover', event => {
+      this.rendererManager.requestRender();
+      this.dispatchEvent({
+        ...event,
+        type: 'meshHover',
+        modelId: event.mesh ? this._getModelIdOf(event.mesh) : null,
+      });
+    });
+
+    this.pickingManager.addEventListener('meshClick', event => {
+      this.dispatchEvent({
+        ...event,
+        type: 'meshClick',
+        modelId: this._getModelIdOf(event.mesh),
+      });
+    });
+
+    console.log('ProductViewer: Picking initialized');
+  }
+
+  /**
+   * Setup hotspot labels anchored to the models
+   */
+  setupAnnotations() {
+    this.annotationManager = new AnnotationManager(
+      this.cameraManager.getCamera(),
+      this.container,
+      this.config
+    );
+
+    // Hotspots are anchored to the model root, so they follow setTransform
+    this.annotationManager.setAnchorResolver(
+      id => this._getModelEntry(id)?.object || null
+    );
+    this.annotationManager.setOccluders(() =>
+      this.sceneManager.getObjectsByType('model').map(({ object }) => object)
+    );
+
+    ['annotationAdded', 'annotationUpdated', 'annotationRemoved'].forEach(
+      type => {
+        this.annotationManager.addEventListener(type, event => {
+          this.dispatchEvent({ type, id: event.id });
+        });
+      }
+    );
+
+    this.annotationManager.addEventListener('annotationClick', event => {
+      this.dispatchEvent({
+        type: 'annotationClick',
+        id: event.id,
+        annotation: event.annotation,
+      });
+      this.focusAnnotation(event.id);
+    });
+
+    console.log('ProductViewer: Annotations initialized');
+  }
+
+  /**
+   * Setup the gizmos that move and aim lights in light edit mode
+   */
+  setupLightEditor() {
+    this.lightGizmoManager = new LightGizmoManager(
+      this.lightingManager,
+      this.cameraManager.getCamera(),
+      this.rendererManager.getCanvas(),
+      this.config
+    );
+
+    // Dragging a gizmo must not orbit the camera
+    this.lightGizmoManager.addEventListener('draggingChanged', event => {
+      this.controls.enabled = !event.dragging;
+    });
+
+    this.lightGizmoManager.addEventListener('change', () => {
+      this.rendererManager.requestRender();
+    });
+
+    this.lightGizmoManager.addEventListener('lightSelect', event => {
+      this.dispatchEvent({
+        type: 'lightSelect',
+        name: event.name,
+        light: event.light,
+        mode: event.mode,
+      });
+    });
+
+    this.lightGizmoManager.addEventListener('lightMove', event => {
+      this.rendererManager.requestRender();
+      this.dispatchEvent({
+        type: 'lightChange',
+        name: event.name,
+        properties: [event.part],
+      });
+    });
+
+    console.log('ProductViewer: Light editor initialized');
+  }
+
   /**
    * Initialize UI elements
    */
@@ -350,6 +889,10 @@ export class ProductViewer extends THREE.EventDispatcher {
     this.ui.controlPanel = this.container.querySelector('#control-panel');
     this.ui.performanceStats =
       this.container.querySelector('#performance-stats');
+    this.ui.animationScrubber = this.container.querySelector(
+      '#animation-scrubber'
+    );
+    this.ui.animationTime = this.container.querySelector('#animation-time');
 
     // Setup control panel event listeners
     this.setupControlPanelEvents();
@@ -372,20 +915,7 @@ export class ProductViewer extends THREE.EventDispatcher {
    */
   populateUIPresets() {
     // Populate material presets
-    const materialSelector =
-      this.ui.controlPanel?.querySelector('#material-preset');
-    if (materialSelector && this.materialManager) {
-      const presets = this.materialManager.getAvailablePresets();
-      materialSelector.innerHTML = '';
-
-      presets.forEach(preset => {
-        const option = document.createElement('option');
-        option.value = preset.id;
-        option.textContent = preset.name;
-        option.title = preset.description;
-        materialSelector.appendChild(option);
-      });
-    }
+    this.updateMaterialSelector();
 
     // Populate lighting presets
     const lightingSelector =
@@ -401,7 +931,67 @@ export class ProductViewer extends THREE.EventDispatcher {
         option.title = preset.description;
         lightingSelector.appendChild(option);
       });
+
+      const current = this.lightingManager.getCurrentPreset();
+      if (current) {
+        lightingSelector.value = current;
+      }
+    }
+
+    this.updatePresetExportButton();
+  }
+
+  /**
+   * Enable the preset export button when there are user presets to export
+   */
+  updatePresetExportButton() {
+    const exportButton = this.ui.controlPanel?.querySelector('#export-presets');
+    if (exportButton) {
+      exportButton.disabled =
+        this.userPresets.materials.size + this.userPresets.lighting.size === 0;
+    }
+  }
+
+  /**
+   * Fill the material selector with the presets and the selected model's material variants
+   */
+  updateMaterialSelector() {
+    const materialSelector =
+      this.ui.controlPanel?.querySelector('#material-preset');
+    if (!materialSelector || !this.materialManager) return;
+
+    const createOption = (value, text, title = '') => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.title = title;
+      return option;
+    };
+
+    materialSelector.innerHTML = '';
+    this.materialManager.getAvailablePresets().forEach(preset => {
+      materialSelector.appendChild(
+        createOption(preset.id, preset.name, preset.description)
+      );
+    });
+
+    const variants = this.materialManager.getMaterialVariants();
+    if (variants.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Variants';
+      variants.forEach(name => {
+        group.appendChild(
+          createOption(
+            `${VARIANT_PRESET_PREFIX}${name}`,
+            name,
+            'Material variant'
+          )
+        );
+      });
+      materialSelector.appendChild(group);
     }
+
+    materialSelector.value = this.materialManager.getCurrentPreset();
   }
 
   /**
@@ -447,6 +1037,23 @@ export class ProductViewer extends THREE.EventDispatcher {
       });
     }
 
+    // Preset file export and import
+    const exportPresetsBtn =
+      this.ui.controlPanel.querySelector('#export-presets');
+    if (exportPresetsBtn) {
+      exportPresetsBtn.addEventListener('click', () => {
+        this.downloadPresets();
+      });
+    }
+
+    const importPresetsBtn =
+      this.ui.controlPanel.querySelector('#import-presets');
+    if (importPresetsBtn) {
+      importPresetsBtn.addEventListener('click', () => {
+        this.fileDropHandler?.showDropZone();
+      });
+    }
+
     // Lighting preset selector
     const lightingSelector =
       this.ui.controlPanel.querySelector('#lighting-preset');
@@ -482,6 +1089,64 @@ export class ProductViewer extends THREE.EventDispatcher {
         this.toggleShadows();
       });
     }
+
+    this.setupAnimationControlEvents();
+  }
+
+  /**
+   * Setup animation timeline control listeners
+   */
+  setupAnimationControlEvents() {
+    const panel = this.ui.controlPanel;
+
+    // Clip selector
+    const clipSelector = panel.querySelector('#animation-clip');
+    if (clipSelector) {
+      clipSelector.addEventListener('change', e => {
+        this.playAnimation(e.target.value);
+      });
+    }
+
+    // Play/pause button
+    const playPauseBtn = panel.querySelector('#animation-play-pause');
+    if (playPauseBtn) {
+      playPauseBtn.addEventListener('click', () => {
+        this.toggleAnimationPlayback();
+      });
+    }
+
+    // Timeline scrubber
+    const scrubber = panel.querySelector('#animation-scrubber');
+    if (scrubber) {
+      scrubber.addEventListener('pointerdown', () => {
+        this.isScrubbingAnimation = true;
+      });
+      scrubber.addEventListener('pointerup', () => {
+        this.isScrubbingAnimation = false;
+      });
+      scrubber.addEventListener('input', e => {
+        const state = this.animationManager?.getState();
+        if (state) {
+          this.seekAnimation(parseFloat(e.target.value) * state.duration);
+        }
+      });
+    }
+
+    // Loop mode selector
+    const loopSelector = panel.querySelector('#animation-loop');
+    if (loopSelector) {
+      loopSelector.addEventListener('change', e => {
+        this.setAnimationLoop(e.target.value);
+      });
+    }
+
+    // Speed slider
+    const speedSlider = panel.querySelector('#animation-speed');
+    if (speedSlider) {
+      speedSlider.addEventListener('input', e => {
+        this.setAnimationSpeed(parseFloat(e.target.value));
+      });
+    }
   }
 
   /**
@@ -547,8 +1212,10 @@ export class ProductViewer extends THREE.EventDispatcher {
 
       this.animationId = requestAnimationFrame(animate);
 
-      // Update controls
-      if (this.controls) {
+      // Update controls, unless an annotation view is being animated to
+      if (this.cameraFlight) {
+        this.rendererManager.requestRender();
+      } else if (this.controls) {
         this.controls.update();
       }
 
@@ -564,53 +1231,1145 @@ export class ProductViewer extends THREE.EventDispatcher {
         );
       }
 
-      // Render frame
-      if (this.sceneManager && this.cameraManager && this.rendererManager) {
+      // Update model animations (mixer expects seconds)
+      if (this.animationManager) {
+        this.animationManager.update(
+          this.rendererManager.getDeltaTime() / 1000
+        );
+        this.updateAnimationTimeline();
+      }
+
+      // Follow the highlighted node through animations
+      if (this.nodeHighlight) {
+        this.nodeHighlight.update();
+      }
+
+      // Keep light gizmos on animated lights
+      if (this.lightGizmoManager) {
+        this.lightGizmoManager.update();
+      }
+
+      // Render frame
+      if (this.compare) {
+        this._renderCompareViews();
+      } else if (
+        this.sceneManager &&
+        this.cameraManager &&
+        this.rendererManager
+      ) {
         this.rendererManager.render(
           this.sceneManager.getScene(),
           this.cameraManager.getCamera()
         );
       }
 
-      // Update performance stats
-      this.updatePerformanceStats();
-    };
+      // Keep hotspot labels on their points
+      if (this.annotationManager && !this.compare) {
+        this.annotationManager.updateLabels();
+      }
+
+      // Update performance stats
+      this.updatePerformanceStats();
+    };
+
+    animate();
+    console.log('ProductViewer: Animation loop started');
+  }
+
+  /**
+   * Stop the animation loop
+   */
+  stopAnimationLoop() {
+    if (!this.isAnimating) return;
+
+    this.isAnimating = false;
+
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+
+    console.log('ProductViewer: Animation loop stopped');
+  }
+
+  /**
+   * Load a 3D model, cancelling any load still in flight
+   * @param {string} url - Model URL
+   * @param {Object} options - Loading options (signal cancels the load)
+   * @returns {Promise<THREE.Object3D>} Loaded model (rejects with an AbortError when cancelled)
+   */
+  async loadModel(url, options = {}) {
+    console.log(`ProductViewer: Loading model from ${url}`);
+    return await this.modelManager.loadModel(url, options);
+  }
+
+  /**
+   * Add a model to the scene alongside the models already shown
+   * @param {string|Array<string>|THREE.Object3D} source - Model URL, LOD level URLs, or a loaded object
+   * @param {Object} options - Loading options plus collection settings
+   * @param {string} options.id - Collection id (generated if omitted, an existing id is replaced)
+   * @param {string} options.name - Display name (defaults to the file name)
+   * @param {Object} options.transform - Initial transform (see setTransform)
+   * @param {boolean} options.select - Select the model once added (default true)
+   * @param {boolean} options.frame - Frame all models once added (default true)
+   * @param {string} options.materialPreset - Initial material preset (defaults to the configured one)
+   * @returns {Promise<string>} Collection id (rejects with an AbortError when removed while loading)
+   */
+  async addModel(source, options = {}) {
+    const id = options.id || `model-${this.nextModelId++}`;
+
+    if (source?.isObject3D) {
+      await this.handleModelAdded(id, source, source.animations, options);
+      return id;
+    }
+
+    // Loads of other models keep running, a newer load of the same id supersedes this one
+    this.pendingModels.get(id)?.abort();
+    const controller = new AbortController();
+    this.pendingModels.set(id, controller);
+
+    const forwardAbort = () => controller.abort();
+    options.signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    try {
+      console.log(`ProductViewer: Adding model "${id}" from ${source}`);
+      await this.modelManager.loadModel(source, {
+        ...options,
+        url: Array.isArray(source) ? source[0] : source,
+        modelId: id,
+        exclusive: false,
+        signal: controller.signal,
+      });
+      return id;
+    } finally {
+      options.signal?.removeEventListener('abort', forwardAbort);
+      if (this.pendingModels.get(id) === controller) {
+        this.pendingModels.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Remove a model from the scene, cancelling it if still loading
+   * @param {string} id - Collection id
+   * @returns {boolean} True if a model was removed or its load cancelled
+   */
+  removeModel(id) {
+    const pending = this.pendingModels.get(id);
+    if (pending) {
+      this.pendingModels.delete(id);
+      pending.abort();
+    }
+
+    if (!this._unregisterModel(id)) {
+      return !!pending;
+    }
+
+    if (id === PRIMARY_MODEL_ID) {
+      this.currentModel = null;
+    }
+
+    // Hand the selection to the next model, if any
+    if (id === this.selectedModelId) {
+      const [next] = this.sceneManager.getObjectsByType('model');
+      this.selectModel(next ? next.id : null);
+    }
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'modelRemoved', id });
+    return true;
+  }
+
+  /**
+   * List the models in the scene
+   * @returns {Array<Object>} Model summaries in the order they were added
+   */
+  listModels() {
+    return this.sceneManager.getObjectsByType('model').map(({ id, object }) => {
+      const entry = this._getModelEntry(id);
+
+      return {
+        id,
+        name: entry.name,
+        url: entry.url,
+        selected: id === this.selectedModelId,
+        visible: object.visible,
+        position: object.position.toArray(),
+        rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
+        scale: object.scale.toArray(),
+        bounds: entry.bounds.clone(),
+      };
+    });
+  }
+
+  /**
+   * Get a model's root object, which carries its collection transform
+   * @param {string} id - Collection id
+   * @returns {THREE.Object3D|null} Model root or null if not found
+   */
+  getModel(id) {
+    return this._getModelEntry(id)?.object || null;
+  }
+
+  /**
+   * Get a model's world-space bounds
+   * @param {string} id - Collection id
+   * @returns {THREE.Box3|null} Bounds or null if not found
+   */
+  getModelBounds(id) {
+    return this._getModelEntry(id)?.bounds.clone() || null;
+  }
+
+  /**
+   * Set a model's transform, leaving omitted parts unchanged
+   * Vectors accept [x, y, z] arrays or { x, y, z } objects, rotation is in radians
+   * @param {string} id - Collection id
+   * @param {Object} transform - Transform to apply
+   * @param {Array|Object} transform.position - Position
+   * @param {Array|Object} transform.rotation - Euler rotation
+   * @param {Array|Object|number} transform.scale - Scale, or a uniform scale factor
+   * @returns {boolean} Success status
+   */
+  setTransform(id, transform = {}) {
+    const entry = this._getModelEntry(id);
+    if (!entry) {
+      console.warn(`ProductViewer: Model "${id}" not found`);
+      return false;
+    }
+
+    this._applyTransform(entry.object, transform);
+    this._updateModelBounds(entry);
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({
+      type: 'modelTransformChanged',
+      id,
+      bounds: entry.bounds.clone(),
+    });
+    return true;
+  }
+
+  /**
+   * Lay visible models out in a row, resting on a shared floor
+   * @param {Object} options - Layout options
+   * @param {string} options.axis - Row axis, 'x' or 'z' (default 'x')
+   * @param {number} options.spacing - Gap between models (defaults to 10% of the widest model)
+   * @param {boolean} options.frame - Frame all models afterwards (default true)
+   */
+  async arrangeSideBySide(options = {}) {
+    const { axis = 'x', frame = true } = options;
+    const across = axis === 'x' ? 'z' : 'x';
+
+    const entries = this.sceneManager
+      .getObjectsByType('model')
+      .map(({ id }) => this._getModelEntry(id))
+      .filter(entry => entry.object.visible);
+    if (entries.length === 0) return;
+
+    const boxes = entries.map(entry => this._updateModelBounds(entry));
+    const sizes = boxes.map(box => box.getSize(new THREE.Vector3()));
+    const spacing =
+      options.spacing ?? Math.max(...sizes.map(size => size[axis])) * 0.1;
+    const floor = Math.min(...boxes.map(box => box.min.y));
+    const rowLength =
+      sizes.reduce((sum, size) => sum + size[axis], 0) +
+      spacing * (entries.length - 1);
+
+    // Models are direct children of the scene, so world offsets apply to their positions
+    let cursor = -rowLength / 2;
+    entries.forEach((entry, index) => {
+      const box = boxes[index];
+      const offset = new THREE.Vector3();
+      offset[axis] = cursor - box.min[axis];
+      offset[across] = -box.getCenter(new THREE.Vector3())[across];
+      offset.y = floor - box.min.y;
+
+      entry.object.position.add(offset);
+      this._updateModelBounds(entry);
+      cursor += sizes[index][axis] + spacing;
+    });
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({
+      type: 'modelsArranged',
+      ids: entries.map(entry => entry.id),
+    });
+
+    if (frame) {
+      await this.frameModels();
+    }
+  }
+
+  /**
+   * Frame all visible models in view
+   */
+  async frameModels() {
+    const bounds = new THREE.Box3();
+
+    for (const { id, object } of this.sceneManager.getObjectsByType('model')) {
+      if (object.visible) {
+        bounds.union(this._getModelEntry(id).bounds);
+      }
+    }
+
+    if (!bounds.isEmpty()) {
+      await this.cameraManager.frameObject(bounds);
+    }
+  }
+
+  /**
+   * Select the model that material operations and the info panel act on
+   * @param {string|null} id - Collection id, or null to clear the selection
+   * @returns {boolean} Success status
+   */
+  selectModel(id) {
+    const entry = id === null ? null : this._getModelEntry(id);
+    if (id !== null && !entry) {
+      console.warn(`ProductViewer: Model "${id}" not found`);
+      return false;
+    }
+
+    this.selectedModelId = entry ? id : null;
+    this.materialManager.setCurrentModel(entry ? entry.object : null);
+
+    if (entry) {
+      if (entry.animations.length > 0) {
+        this.animationManager.setActiveModel(entry.model);
+      }
+      this.updateModelInfo(entry.object);
+    }
+
+    // Reflect the selected model's variants and preset in the control panel
+    this.updateMaterialSelector();
+
+    this.dispatchEvent({
+      type: 'selectionChanged',
+      id: this.selectedModelId,
+      name: entry?.name || null,
+      model: entry?.model || null,
+    });
+    return true;
+  }
+
+  /**
+   * Get the selected model's root object
+   * @returns {THREE.Object3D|null} Selected model root or null
+   */
+  getSelectedModel() {
+    return this.selectedModelId ? this.getModel(this.selectedModelId) : null;
+  }
+
+  /**
+   * Enable or disable mesh picking (meshHover/meshClick events)
+   * @param {boolean} enabled - Whether picking is enabled
+   */
+  setPickingEnabled(enabled) {
+    this.pickingEnabled = enabled;
+    this._syncPickingEnabled();
+  }
+
+  /**
+   * Pause picking while compare mode or light edit mode owns the pointer
+   * @private
+   */
+  _syncPickingEnabled() {
+    this.pickingManager?.setEnabled(
+      this.pickingEnabled && !this.compare && !this.lightGizmoManager?.enabled
+    );
+  }
+
+  /**
+   * Configure the hover highlight
+   * @param {Object} hover - Hover options
+   * @param {string} hover.mode - 'emissive', 'outline' or 'none'
+   * @param {number} hover.color - Highlight color
+   * @param {number} hover.intensity - Emissive intensity
+   * @param {number} hover.thickness - Outline width relative to the mesh radius
+   */
+  setHoverHighlight(hover) {
+    this.pickingManager?.setHoverHighlight(hover);
+    this.rendererManager.requestRender();
+  }
+
+  /**
+   * Compare two models or two scenes in split viewports that share one camera
+   * @param {string|THREE.Scene} left - Collection id or scene shown on the left
+   * @param {string|THREE.Scene} right - Collection id or scene shown on the right
+   * @param {Object} options - Compare options
+   * @param {string} options.mode - 'split' (separate viewports) or 'wipe' (before/after overlay)
+   * @param {number} options.split - Divider position as a fraction of the width (default 0.5)
+   * @param {Array<string>} options.labels - View labels (default to model names)
+   * @param {boolean} options.frame - Frame the left view (default true)
+   * @returns {boolean} Success status
+   */
+  enableCompareMode(left, right, options = {}) {
+    const { mode = 'split', split = 0.5, frame = true } = options;
+    if (!COMPARE_MODES.includes(mode)) {
+      console.warn(`ProductViewer: Unknown compare mode "${mode}"`);
+      return false;
+    }
+
+    const views = [left, right].map(source =>
+      this._resolveCompareSource(source)
+    );
+    if (views.includes(null)) return false;
+
+    this._teardownCompare();
+
+    const divider = new CompareDivider(this.container, {
+      split,
+      labels: options.labels || views.map(view => view.label),
+    });
+    divider.addEventListener('change', event => {
+      this.setCompareSplit(event.detail.split);
+    });
+
+    // Picking, light gizmos and hotspots use the main camera's full-size projection
+    this.setLightEditMode(false);
+    this.pickingManager?.setEnabled(false);
+    this.annotationManager?.setVisible(false);
+
+    // The right view follows the main camera, which OrbitControls drives
+    this.compare = {
+      mode,
+      split: divider.split,
+      views,
+      cameraManager: new CameraManager(this.config),
+      divider,
+    };
+
+    if (frame) {
+      const [view] = views;
+      this.cameraManager.frameObject(
+        view.id ? this._getModelEntry(view.id).bounds : view.scene
+      );
+    }
+
+    console.log(`ProductViewer: Compare mode enabled (${mode})`);
+    this._dispatchCompareChange();
+    return true;
+  }
+
+  /**
+   * Switch between split viewports and the before/after wipe
+   * @param {string} mode - 'split' or 'wipe'
+   * @returns {boolean} Success status
+   */
+  setCompareMode(mode) {
+    if (!this.compare || !COMPARE_MODES.includes(mode)) return false;
+
+    this.compare.mode = mode;
+    this._dispatchCompareChange();
+    return true;
+  }
+
+  /**
+   * Move the compare divider
+   * @param {number} split - Divider position as a fraction of the width
+   * @returns {boolean} Success status
+   */
+  setCompareSplit(split) {
+    if (!this.compare) return false;
+
+    this.compare.divider.setSplit(split);
+    this.compare.split = this.compare.divider.split;
+    this._dispatchCompareChange();
+    return true;
+  }
+
+  /**
+   * Leave compare mode and return to a single view
+   */
+  disableCompareMode() {
+    if (!this.compare) return;
+
+    this._teardownCompare();
+
+    // Split viewports narrowed the main camera
+    const size = this.rendererManager.getSize();
+    this.cameraManager.updateAspectRatio(size.width, size.height);
+    this._syncPickingEnabled();
+    this.annotationManager?.setVisible(true);
+
+    console.log('ProductViewer: Compare mode disabled');
+    this._dispatchCompareChange();
+  }
+
+  /**
+   * Get the compare mode state
+   * @returns {Object} { enabled, mode, split, views }
+   */
+  getCompareState() {
+    if (!this.compare) {
+      return { enabled: false, mode: null, split: null, views: [] };
+    }
+
+    const { mode, split, views } = this.compare;
+    return {
+      enabled: true,
+      mode,
+      split,
+      views: views.map(view => view.id || view.scene),
+    };
+  }
+
+  /**
+   * Describe a model's hierarchy for inspection
+   * @param {string} id - Collection id (defaults to the selected model)
+   * @returns {Object|null} Root node from describeSceneGraph, or null if not found
+   */
+  getSceneGraph(id = this.selectedModelId) {
+    const entry = id ? this._getModelEntry(id) : null;
+    return entry ? describeSceneGraph(entry.model) : null;
+  }
+
+  /**
+   * Outline a node of a model in the viewport
+   * @param {string|null} uuid - Node uuid, or null to clear the highlight
+   * @returns {boolean} Success status
+   */
+  highlightNode(uuid) {
+    this.clearNodeHighlight();
+    if (uuid === null) return true;
+
+    const node = this._findNode(uuid);
+    if (!node) {
+      console.warn(`ProductViewer: Node "${uuid}" not found`);
+      return false;
+    }
+
+    this.nodeHighlight = new THREE.BoxHelper(node, 0x00bcd4);
+    this.nodeHighlight.userData.target = node;
+    this.sceneManager.addObject(this.nodeHighlight, 'node-highlight', {
+      type: 'helper',
+    });
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'nodeHighlighted', uuid, node });
+    return true;
+  }
+
+  /**
+   * Remove the node highlight
+   */
+  clearNodeHighlight() {
+    if (!this.nodeHighlight) return;
+
+    this.sceneManager.removeObject('node-highlight');
+    this.nodeHighlight = null;
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'nodeHighlighted', uuid: null, node: null });
+  }
+
+  /**
+   * Show or hide a node of a model
+   * @param {string} uuid - Node uuid
+   * @param {boolean} visible - Visibility
+   * @returns {boolean} Success status
+   */
+  setNodeVisibility(uuid, visible) {
+    const node = this._findNode(uuid);
+    if (!node) {
+      console.warn(`ProductViewer: Node "${uuid}" not found`);
+      return false;
+    }
+
+    node.visible = visible;
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'nodeVisibilityChanged', uuid, visible });
+    return true;
+  }
+
+  /**
+   * Move the camera to frame a node of a model
+   * @param {string} uuid - Node uuid
+   * @returns {Promise<boolean>} Success status
+   */
+  async frameNode(uuid) {
+    const node = this._findNode(uuid);
+    if (!node) {
+      console.warn(`ProductViewer: Node "${uuid}" not found`);
+      return false;
+    }
+
+    const bounds = new THREE.Box3().setFromObject(node);
+    if (bounds.isEmpty()) return false;
+
+    await this.cameraManager.frameObject(bounds);
+    return true;
+  }
+
+  /**
+   * Add a hotspot anchored to a point on a model's surface
+   * Positions, normals and views are local to the model root (see getModel), e.g. a
+   * meshClick point converted with getModel(modelId).worldToLocal.
+   * @param {Object} options - Annotation settings
+   * @param {string} options.id - Annotation id (generated if omitted, an existing id is replaced)
+   * @param {string} options.modelId - Collection id (defaults to the selected model)
+   * @param {Array<number>|THREE.Vector3} options.position - Surface point
+   * @param {Array<number>|THREE.Vector3} options.normal - Surface normal, used to fade hotspots facing away
+   * @param {string} options.label - Label text
+   * @param {string} options.description - Text shown on hover or focus
+   * @param {Object} options.view - Camera view { position, target } to animate to when clicked
+   * @returns {Object|null} Annotation data, or null if the model was not found
+   */
+  addAnnotation(options = {}) {
+    const modelId = options.modelId || this.selectedModelId;
+    if (!this._getModelEntry(modelId)) {
+      console.warn(`ProductViewer: Model "${modelId}" not found`);
+      return null;
+    }
+
+    const annotation = this.annotationManager.add({ ...options, modelId });
+    this.rendererManager.requestRender();
+    return annotation;
+  }
+
+  /**
+   * Change a hotspot
+   * @param {string} id - Annotation id
+   * @param {Object} changes - Settings to change (see addAnnotation)
+   * @returns {Object|null} Updated annotation data, or null if not found
+   */
+  updateAnnotation(id, changes = {}) {
+    if (changes.modelId && !this._getModelEntry(changes.modelId)) {
+      console.warn(`ProductViewer: Model "${changes.modelId}" not found`);
+      return null;
+    }
+
+    return this.annotationManager.update(id, changes);
+  }
+
+  /**
+   * Remove a hotspot
+   * @param {string} id - Annotation id
+   * @returns {boolean} True if the annotation existed
+   */
+  removeAnnotation(id) {
+    return this.annotationManager.remove(id);
+  }
+
+  /**
+   * List hotspots
+   * @param {string} modelId - Only list the hotspots of this model
+   * @returns {Array<Object>} Annotation data in the order they were added
+   */
+  listAnnotations(modelId) {
+    return this.annotationManager.list(modelId);
+  }
+
+  /**
+   * Store the current camera view on a hotspot, to return to when it is clicked
+   * @param {string} id - Annotation id
+   * @returns {boolean} Success status
+   */
+  saveAnnotationView(id) {
+    return this.annotationManager.setWorldView(
+      id,
+      this.cameraManager.getCamera().position,
+      this.controls.target
+    );
+  }
+
+  /**
+   * Animate the camera to a hotspot's view
+   * @param {string} id - Annotation id
+   * @param {number} duration - Animation duration in milliseconds
+   * @returns {Promise<boolean>} Success status
+   */
+  async focusAnnotation(
+    id,
+    duration = this.config.annotations?.flyDuration ?? 1000
+  ) {
+    const view = this.annotationManager.getWorldView(id);
+    if (!view) {
+      console.warn(`ProductViewer: Annotation "${id}" not found`);
+      return false;
+    }
+
+    const flight = this.cameraManager.animateToPosition(
+      view.position,
+      view.target,
+      duration
+    );
+    this.cameraFlight = flight;
+    await flight;
+
+    // A later flight owns the controls now
+    if (this.cameraFlight !== flight) return false;
+    this.cameraFlight = null;
+
+    // Orbit around the hotspot from here on
+    if (this.controls) {
+      this.controls.target.copy(view.target);
+      this.controls.update();
+    }
+
+    this.dispatchEvent({ type: 'annotationFocused', id });
+    return true;
+  }
+
+  /**
+   * Configure a model's parts from a variant schema (see ProductConfigurator)
+   * Replaces any configurator already loaded.
+   * @param {Object|string} schema - Variant schema, or the URL of a JSON schema
+   * @param {Object} options - Configurator options
+   * @param {string} options.modelId - Collection id (defaults to the selected model)
+   * @param {Object} options.selections - Initial options by group id (defaults from the schema)
+   * @returns {Promise<ProductConfigurator>} Configurator, driven with setOption/setSelections
+   */
+  async loadConfigurator(schema, options = {}) {
+    const modelId = options.modelId || this.selectedModelId;
+    const entry = this._getModelEntry(modelId);
+    if (!entry) {
+      throw new Error(`ProductViewer: Model "${modelId}" not found`);
+    }
+
+    let definition = schema;
+    if (typeof schema === 'string') {
+      const response = await fetch(schema);
+      if (!response.ok) {
+        throw new Error(
+          `ProductViewer: Failed to load configurator schema (HTTP ${response.status})`
+        );
+      }
+      definition = await response.json();
+    }
+
+    // Throws on an invalid schema, leaving the current configurator in place
+    const configurator = new ProductConfigurator(
+      this.materialManager,
+      definition
+    );
+
+    this.disposeConfigurator();
+    this.configurator = configurator;
+    this.configuratorModelId = modelId;
+
+    if (options.selections) {
+      configurator.setSelections(options.selections);
+    }
+
+    configurator.addEventListener('configurationChanged', event => {
+      this.rendererManager.requestRender();
+      this.dispatchEvent({
+        type: 'configurationChanged',
+        modelId,
+        selections: event.selections,
+        sku: event.sku,
+        changed: event.changed,
+        adjusted: event.adjusted,
+      });
+    });
+
+    configurator.setModel(entry.object);
+    this.rendererManager.requestRender();
+
+    this.dispatchEvent({
+      type: 'configuratorLoaded',
+      modelId,
+      groups: configurator.getGroups(),
+      selections: configurator.getSelections(),
+      sku: configurator.getSku(),
+    });
+    return configurator;
+  }
+
+  /**
+   * Get the loaded product configurator
+   * @returns {ProductConfigurator|null} Configurator or null if none is loaded
+   */
+  getConfigurator() {
+    return this.configurator;
+  }
+
+  /**
+   * Unload the product configurator, the model keeps its configured materials
+   */
+  disposeConfigurator() {
+    if (!this.configurator) return;
+
+    const modelId = this.configuratorModelId;
+    this.configurator.dispose();
+    this.configurator = null;
+    this.configuratorModelId = null;
+
+    this.dispatchEvent({ type: 'configuratorUnloaded', modelId });
+  }
+
+  /**
+   * Render both compare views for the current frame
+   * @private
+   */
+  _renderCompareViews() {
+    const { views, cameraManager, mode, split } = this.compare;
+
+    // Removing a compared model ends compare mode
+    if (views.some(view => view.id && !this._getModelEntry(view.id))) {
+      this.disableCompareMode();
+      return;
+    }
+
+    cameraManager.setCameraState(this.cameraManager.getCameraState());
+
+    // Offset the right camera so both models are seen from the same relative viewpoint
+    const [leftView, rightView] = views;
+    if (leftView.id && rightView.id) {
+      const offset = this._getModelEntry(rightView.id)
+        .bounds.getCenter(new THREE.Vector3())
+        .sub(
+          this._getModelEntry(leftView.id).bounds.getCenter(new THREE.Vector3())
+        );
+      cameraManager.getCamera().position.add(offset);
+    }
+
+    // Each model view hides the other models sharing the scene
+    const models = this.sceneManager.getObjectsByType('model');
+    const cameras = [this.cameraManager.getCamera(), cameraManager.getCamera()];
+
+    this.rendererManager.renderViews(
+      views.map((view, index) => ({
+        scene: view.scene,
+        camera: cameras[index],
+        exclude: view.id
+          ? models
+              .filter(({ id }) => id !== view.id)
+              .map(({ object }) => object)
+          : [],
+      })),
+      { mode, split }
+    );
+  }
+
+  /**
+   * Resolve what a compare view shows
+   * @param {string|THREE.Scene} source - Collection id or scene
+   * @returns {Object|null} View of { id, scene, label }, or null if not found
+   * @private
+   */
+  _resolveCompareSource(source) {
+    if (source?.isScene) {
+      return { id: null, scene: source, label: source.name };
+    }
+
+    const entry = this._getModelEntry(source);
+    if (!entry) {
+      console.warn(`ProductViewer: Model "${source}" not found`);
+      return null;
+    }
+
+    return {
+      id: source,
+      scene: this.sceneManager.getScene(),
+      label: entry.name,
+    };
+  }
+
+  /**
+   * Release the compare camera and divider
+   * @private
+   */
+  _teardownCompare() {
+    if (!this.compare) return;
+
+    this.compare.divider.dispose();
+    this.compare.cameraManager.dispose();
+    this.compare = null;
+  }
+
+  /**
+   * Notify listeners of a compare mode change
+   * @private
+   */
+  _dispatchCompareChange() {
+    this.rendererManager.requestRender();
+    this.dispatchEvent({
+      type: 'compareModeChanged',
+      ...this.getCompareState(),
+    });
+  }
+
+  /**
+   * Add a model to the SceneManager registry, replacing any model with the same id
+   * The model is wrapped in a root group so collection transforms keep the centering
+   * offset applied by ModelManager
+   * @param {string} id - Collection id
+   * @param {THREE.Object3D} model - Model to add
+   * @param {Array<THREE.AnimationClip>} animations - Animation clips
+   * @param {Object} options - Collection settings (name, url, transform)
+   * @returns {Object} Collection entry
+   * @private
+   */
+  _registerModel(id, model, animations = [], options = {}) {
+    this._unregisterModel(id);
+
+    const root = new THREE.Group();
+    root.name = id;
+    root.add(model);
+    this._applyTransform(root, options.transform);
+
+    const entry = {
+      type: 'model',
+      id,
+      object: root,
+      model,
+      animations,
+      name: options.name || this._getModelName(options.fileName || options.url),
+      url: options.url || null,
+      bounds: new THREE.Box3(),
+    };
+
+    this.sceneManager.addObject(root, id, entry);
+    this._updateModelBounds(entry);
+
+    if (animations.length > 0) {
+      this.animationManager.addModel(model, animations);
+    }
+
+    this.dispatchEvent({ type: 'modelAdded', id, model });
+    return entry;
+  }
+
+  /**
+   * Remove a model from the SceneManager registry and release its manager state
+   * @param {string} id - Collection id
+   * @returns {boolean} True if the model existed
+   * @private
+   */
+  _unregisterModel(id) {
+    const entry = this._getModelEntry(id);
+    if (!entry) return false;
+
+    const highlighted = this.nodeHighlight?.userData.target;
+    if (highlighted && entry.object.getObjectById(highlighted.id)) {
+      this.clearNodeHighlight();
+    }
+
+    if (id === this.configuratorModelId) {
+      this.disposeConfigurator();
+    }
+
+    this.annotationManager?.clear(id);
+    this.animationManager.removeModel(entry.model);
+    this.materialManager.removeModel(entry.object);
+    this.sceneManager.removeObject(id);
+    return true;
+  }
+
+  /**
+   * Get a collection entry by id
+   * @param {string} id - Collection id
+   * @returns {Object|null} Collection entry or null if not a model
+   * @private
+   */
+  _getModelEntry(id) {
+    const metadata = this.sceneManager.getMetadata(id);
+    return metadata?.type === 'model' ? metadata : null;
+  }
+
+  /**
+   * Find the collection entry holding a loaded model
+   * @param {THREE.Object3D} model - Model returned by ModelManager
+   * @returns {Object|null} Collection entry or null if not in the collection
+   * @private
+   */
+  _findModelEntry(model) {
+    const match = this.sceneManager
+      .getObjectsByType('model')
+      .find(({ metadata }) => metadata.model === model);
+    return match ? match.metadata : null;
+  }
+
+  /**
+   * Get the collection id of the model containing an object
+   * @param {THREE.Object3D} object - Object within a model
+   * @returns {string|null} Collection id or null if not in the collection
+   * @private
+   */
+  _getModelIdOf(object) {
+    for (let current = object; current; current = current.parent) {
+      if (this._getModelEntry(current.name)?.object === current) {
+        return current.name;
+      }
+    }
+
+    return null;
+  }
 
-    animate();
-    console.log('ProductViewer: Animation loop started');
+  /**
+   * Find a node within the models of the collection
+   * @param {string} uuid - Node uuid
+   * @returns {THREE.Object3D|null} Node or null if not found
+   * @private
+   */
+  _findNode(uuid) {
+    for (const { object } of this.sceneManager.getObjectsByType('model')) {
+      const node = object.getObjectByProperty('uuid', uuid);
+      if (node) return node;
+    }
+
+    return null;
   }
 
   /**
-   * Stop the animation loop
+   * Recompute a model's world-space bounds
+   * @param {Object} entry - Collection entry
+   * @returns {THREE.Box3} Updated bounds
+   * @private
    */
-  stopAnimationLoop() {
-    if (!this.isAnimating) return;
+  _updateModelBounds(entry) {
+    entry.object.updateMatrixWorld(true);
+    return entry.bounds.setFromObject(entry.object);
+  }
 
-    this.isAnimating = false;
+  /**
+   * Apply a partial transform to an object
+   * @param {THREE.Object3D} object - Object to transform
+   * @param {Object} transform - Transform (see setTransform)
+   * @private
+   */
+  _applyTransform(object, transform = {}) {
+    const toArray = value =>
+      Array.isArray(value) ? value : [value.x, value.y, value.z];
+    const { position, rotation, scale } = transform;
 
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+    if (position) {
+      object.position.fromArray(toArray(position));
+    }
+    if (rotation) {
+      object.rotation.fromArray(toArray(rotation));
+    }
+    if (typeof scale === 'number') {
+      object.scale.setScalar(scale);
+    } else if (scale) {
+      object.scale.fromArray(toArray(scale));
     }
-
-    console.log('ProductViewer: Animation loop stopped');
   }
 
   /**
-   * Load a 3D model
-   * @param {string} url - Model URL
-   * @param {Object} options - Loading options
-   * @returns {Promise<THREE.Object3D>} Loaded model
+   * Derive a display name from a model URL or file name
+   * @param {string} source - URL or file name
+   * @returns {string} Display name
+   * @private
    */
-  async loadModel(url, options = {}) {
-    console.log(`ProductViewer: Loading model from ${url}`);
-    return await this.modelManager.loadModel(url, options);
+  _getModelName(source) {
+    if (!source || source.startsWith('blob:')) return 'Untitled Model';
+    return decodeURIComponent(source.split(/[?#]/)[0].split('/').pop());
   }
 
   /**
    * Public API Methods
    */
 
+  /**
+   * Play an animation clip on the current model
+   * @param {string} clipName - Clip name
+   * @param {Object} options - Playback options (crossFade, loop, repetitions)
+   * @returns {boolean} Success status
+   */
+  playAnimation(clipName, options = {}) {
+    if (!this.animationManager) return false;
+    return this.animationManager.play(clipName, options);
+  }
+
+  /**
+   * Pause the current animation
+   */
+  pauseAnimation() {
+    if (this.animationManager) {
+      this.animationManager.pause();
+      this.updateAnimationControls();
+    }
+  }
+
+  /**
+   * Resume the current animation
+   */
+  resumeAnimation() {
+    if (this.animationManager) {
+      this.animationManager.resume();
+      this.updateAnimationControls();
+    }
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  toggleAnimationPlayback() {
+    const state = this.animationManager?.getState();
+    if (!state) return;
+
+    if (!state.clip) {
+      const [firstClip] = this.animationManager.getClips();
+      if (firstClip) {
+        this.playAnimation(firstClip.name);
+      }
+    } else if (state.isPlaying) {
+      this.pauseAnimation();
+    } else {
+      this.resumeAnimation();
+    }
+  }
+
+  /**
+   * Seek the current animation
+   * @param {number} time - Time in seconds
+   */
+  seekAnimation(time) {
+    if (this.animationManager) {
+      this.animationManager.seek(time);
+    }
+  }
+
+  /**
+   * Crossfade to another animation clip
+   * @param {string} clipName - Clip to fade to
+   * @param {number} duration - Fade duration in seconds
+   * @returns {boolean} Success status
+   */
+  crossFadeAnimation(clipName, duration = 0.5) {
+    if (!this.animationManager) return false;
+    return this.animationManager.crossFadeTo(clipName, duration);
+  }
+
+  /**
+   * Set animation loop mode
+   * @param {string} mode - Loop mode ('once', 'repeat', 'pingpong')
+   * @param {number} repetitions - Number of repetitions
+   */
+  setAnimationLoop(mode, repetitions = Infinity) {
+    if (this.animationManager) {
+      this.animationManager.setLoop(mode, repetitions);
+    }
+  }
+
+  /**
+   * Set animation playback speed
+   * @param {number} speed - Speed multiplier
+   */
+  setAnimationSpeed(speed) {
+    if (this.animationManager) {
+      this.animationManager.setSpeed(speed);
+
+      const valueElement = this.ui.controlPanel?.querySelector(
+        '#animation-speed-value'
+      );
+      if (valueElement) {
+        valueElement.textContent = `${speed.toFixed(1)}x`;
+      }
+    }
+  }
+
+  /**
+   * Get animation clips for the current model
+   * @returns {Array} Array of clip information
+   */
+  getAnimationClips() {
+    return this.animationManager ? this.animationManager.getClips() : [];
+  }
+
   /**
    * Toggle auto rotation
    */
@@ -641,21 +2400,340 @@ export class ProductViewer extends THREE.EventDispatcher {
   }
 
   /**
-   * Set material preset for current model
+   * Set material preset for the selected model
    * @param {string} preset - Material preset name
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to change (optional):
+   *   mesh or material name patterns, { meshes, materials }, or picked meshes
    */
-  async setMaterialPreset(preset) {
-    if (this.materialManager && this.currentModel) {
-      const success = await this.materialManager.applyMaterialPreset(preset);
+  async setMaterialPreset(preset, target = null) {
+    if (this.materialManager && this.selectedModelId) {
+      const success = await this.materialManager.applyMaterialPreset(
+        preset,
+        null,
+        target
+      );
       if (success) {
         console.log(`ProductViewer: Applied material preset "${preset}"`);
-        this.dispatchEvent({ type: 'materialPresetChange', preset });
+        this.rendererManager.requestRender();
+        this.dispatchEvent({ type: 'materialPresetChange', preset, target });
       }
     } else {
       console.warn('ProductViewer: No material manager or model available');
     }
   }
 
+  /**
+   * Change a material property on the selected model
+   * @param {string} property - Material property, e.g. 'roughness' or 'color'
+   * @param {*} value - New value
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to change (optional, see setMaterialPreset)
+   */
+  updateMaterialProperty(property, value, target = null) {
+    if (!this.materialManager || !this.selectedModelId) {
+      console.warn('ProductViewer: No material manager or model available');
+      return;
+    }
+
+    // Edit the mesh's own material, not the hover highlight
+    this.pickingManager?.clearHover();
+
+    this.materialManager.updateMaterialProperty(property, value, null, target);
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'materialPropertyChange', property, value });
+  }
+
+  /**
+   * Set or clear a texture slot on the selected model's materials
+   * @param {string} slot - Material property, e.g. 'map' or 'normalMap'
+   * @param {string|null} url - Texture URL or procedural texture URL, or null to remove the texture
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to change (optional, see setMaterialPreset)
+   * @param {Object} options - Texture loading options, see MaterialManager.getTexture (extension, flipY, name)
+   * @returns {Promise<boolean>} Success status
+   */
+  async setMaterialTexture(slot, url, target = null, options = {}) {
+    if (!this.materialManager || !this.selectedModelId) {
+      console.warn('ProductViewer: No material manager or model available');
+      return false;
+    }
+
+    try {
+      const texture = url
+        ? await this.materialManager.getTexture(url, slot, options)
+        : null;
+      this.updateMaterialProperty(slot, texture, target);
+      return true;
+    } catch (error) {
+      console.error(`ProductViewer: Failed to load texture ${url}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the tiling, offset and rotation of a texture slot on the selected model's materials
+   * @param {string} slot - Texture slot, e.g. 'map' or 'normalMap'
+   * @param {Object} transform - { offset: [u, v], rotation, scale: [u, v] } in KHR_texture_transform
+   *   terms, every field optional (see texture-transform.js)
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to change (optional, see setMaterialPreset)
+   * @returns {boolean} True if any texture changed
+   */
+  setTextureTransform(slot, transform, target = null) {
+    if (!this.materialManager || !this.selectedModelId) {
+      console.warn('ProductViewer: No material manager or model available');
+      return false;
+    }
+
+    // Edit the mesh's own material, not the hover highlight
+    this.pickingManager?.clearHover();
+
+    const changed = this.materialManager.setTextureTransform(
+      slot,
+      transform,
+      null,
+      target
+    );
+    if (changed) {
+      this.rendererManager.requestRender();
+      this.dispatchEvent({ type: 'textureTransformChange', slot, transform });
+    }
+    return changed;
+  }
+
+  /**
+   * Undo the last material property change
+   * @returns {boolean} True if a change was undone
+   */
+  undoMaterialChange() {
+    if (!this.materialManager?.undoMaterialProperty()) return false;
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'materialPropertyUndo' });
+    return true;
+  }
+
+  /**
+   * Check if there is a material property change to undo
+   * @returns {boolean} True if undoMaterialChange can undo a change
+   */
+  canUndoMaterialChange() {
+    return !!this.materialManager?.canUndoMaterialProperty();
+  }
+
+  /**
+   * Get the material a mesh shows, without the hover highlight
+   * @param {THREE.Mesh} mesh - Mesh of a model
+   * @returns {THREE.Material|null} Material (the first one for multi-material meshes)
+   */
+  getMeshMaterial(mesh) {
+    const material = this.pickingManager
+      ? this.pickingManager.getMeshMaterial(mesh)
+      : mesh.material;
+    return (Array.isArray(material) ? material[0] : material) || null;
+  }
+
+  /**
+   * Save a mesh's material as a new material preset
+   * @param {string} name - Preset name
+   * @param {THREE.Mesh} mesh - Mesh whose material to save
+   * @returns {string|null} Id of the new preset, or null if the mesh has no material
+   */
+  saveMaterialPreset(name, mesh) {
+    const material = this.getMeshMaterial(mesh);
+    if (!material || !this.materialManager) return null;
+
+    const id = this._createPresetId(name, this.materialManager.presets);
+    this.materialManager.addMaterialPreset(
+      id,
+      this.materialManager.createPresetFromMaterial(material, name.trim() || id)
+    );
+    this.updateMaterialSelector();
+
+    this.dispatchEvent({ type: 'materialPresetSaved', id, name });
+    return id;
+  }
+
+  /**
+   * Derive an unused preset id from a preset name
+   * @param {string} name - Preset name
+   * @param {Map} presets - Existing presets by id
+   * @returns {string} Id, e.g. 'brushed_steel' or 'brushed_steel_2'
+   * @private
+   */
+  _createPresetId(name, presets) {
+    const base =
+      name
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '') || 'custom';
+    let id = base;
+    for (let index = 2; presets.has(id); index++) {
+      id = `${base}_${index}`;
+    }
+    return id;
+  }
+
+  /**
+   * Serialize material and lighting presets to the versioned preset file format
+   * Textures are saved as references: URLs and procedural textures. Textures without a
+   * URL (embedded in a model or dropped as files) are left out.
+   * @param {Object} options - Presets to export (defaults to the user presets)
+   * @param {Array<string>} options.materials - Material preset ids
+   * @param {Array<string>} options.lighting - Lighting preset ids
+   * @returns {Object} Preset file data, ready for JSON.stringify
+   */
+  exportPresets({
+    materials = [...this.userPresets.materials],
+    lighting = [...this.userPresets.lighting],
+  } = {}) {
+    const pick = (ids, presets) => {
+      const picked = {};
+      ids.forEach(id => {
+        if (presets.has(id)) {
+          picked[id] = presets.get(id);
+        } else {
+          console.warn(`ProductViewer: Preset "${id}" not found`);
+        }
+      });
+      return picked;
+    };
+
+    return createPresetFile(
+      {
+        materials: pick(materials, this.materialManager.presets),
+        lighting: pick(lighting, this.lightingManager.lightPresets),
+      },
+      texture => this.materialManager.getTextureUrl(texture)
+    );
+  }
+
+  /**
+   * Download presets as a .json preset file
+   * @param {Object} options - Presets to export (see exportPresets)
+   * @returns {Object|null} Exported preset file data, or null if there was nothing to export
+   */
+  downloadPresets(options = {}) {
+    const file = this.exportPresets(options);
+    const count =
+      Object.keys(file.materials).length + Object.keys(file.lighting).length;
+    if (count === 0) {
+      console.warn('ProductViewer: No presets to export');
+      return null;
+    }
+
+    const url = URL.createObjectURL(
+      new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' })
+    );
+    const link = document.createElement('a');
+    link.download = `presets-${Date.now()}.json`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    console.log(`ProductViewer: Exported ${count} presets`);
+    this.dispatchEvent({ type: 'presetsExported', file, count });
+    return file;
+  }
+
+  /**
+   * Import presets from a preset file
+   * Presets replace existing ones with the same id, and are stored with the user presets.
+   * @param {string|Object} input - Preset file JSON text or parsed data
+   * @returns {Object} { materials, lighting } ids of the imported presets
+   * @throws {Error} PresetFileError describing what is wrong with the file
+   */
+  importPresets(input) {
+    return this._importPresets(parsePresetFile(input));
+  }
+
+  /**
+   * Add validated presets and update the preset selectors
+   * @param {Object} presets - { materials, lighting } presets by id (see parsePresetFile)
+   * @returns {Object} { materials, lighting } ids of the imported presets
+   * @private
+   */
+  _importPresets(presets) {
+    const ids = this._addPresets(presets);
+    this.populateUIPresets();
+
+    console.log(
+      `ProductViewer: Imported ${ids.materials.length} material and ${ids.lighting.length} lighting presets`
+    );
+    this.dispatchEvent({ type: 'presetsImported', ...ids });
+    return ids;
+  }
+
+  /**
+   * Add presets to the material and lighting managers
+   * @param {Object} presets - { materials, lighting } presets by id (see parsePresetFile)
+   * @returns {Object} { materials, lighting } ids of the added presets
+   * @private
+   */
+  _addPresets({ materials = {}, lighting = {} }) {
+    Object.entries(materials).forEach(([id, preset]) => {
+      this.materialManager.addMaterialPreset(id, preset);
+    });
+    Object.entries(lighting).forEach(([id, preset]) => {
+      this.lightingManager.addLightingPreset(id, preset);
+    });
+
+    return {
+      materials: Object.keys(materials),
+      lighting: Object.keys(lighting),
+    };
+  }
+
+  /**
+   * Put the selected model's original materials back
+   * @param {string|RegExp|Array|Object|THREE.Mesh} target - Meshes to restore (optional, see setMaterialPreset)
+   * @returns {boolean} Success status
+   */
+  restoreOriginalMaterials(target = null) {
+    if (!this.materialManager || !this.selectedModelId) return false;
+
+    const success = this.materialManager.restoreOriginalMaterials(null, target);
+    if (success) {
+      if (target === null) {
+        this.updateMaterialSelector();
+      }
+      this.rendererManager.requestRender();
+    }
+    return success;
+  }
+
+  /**
+   * List a model's KHR_materials_variants variants
+   * @param {string} id - Collection id (defaults to the selected model)
+   * @returns {Array<string>} Variant names, empty if the model has none
+   */
+  getMaterialVariants(id = this.selectedModelId) {
+    const entry = id ? this._getModelEntry(id) : null;
+    return entry ? this.materialManager.getMaterialVariants(entry.object) : [];
+  }
+
+  /**
+   * Show one of a model's material variants
+   * @param {string|null} name - Variant name, or null for the authored materials
+   * @param {string} id - Collection id (defaults to the selected model)
+   * @returns {boolean} Success status
+   */
+  setVariant(name, id = this.selectedModelId) {
+    const entry = id ? this._getModelEntry(id) : null;
+    if (!entry) {
+      console.warn(`ProductViewer: Model "${id}" not found`);
+      return false;
+    }
+
+    if (!this.materialManager.setVariant(name, entry.object)) return false;
+
+    if (id === this.selectedModelId) {
+      this.updateMaterialSelector();
+    }
+
+    this.rendererManager.requestRender();
+    this.dispatchEvent({ type: 'materialVariantChange', id, variant: name });
+    return true;
+  }
+
   /**
    * Set lighting preset
    * @param {string} preset - Lighting preset name
@@ -685,14 +2763,100 @@ export class ProductViewer extends THREE.EventDispatcher {
   }
 
   /**
-   * Set material preset (placeholder)
-   * @param {string} preset - Material preset name
+   * Turn light edit mode on or off
+   * Lights show as gizmos that can be clicked and dragged, and clicks no longer pick
+   * model parts. Not available in compare mode.
+   * @param {boolean} enabled - Whether lights can be edited
+   * @returns {boolean} Success status
+   */
+  setLightEditMode(enabled) {
+    if (!this.lightGizmoManager) return false;
+    if (enabled && this.compare) {
+      console.warn(
+        'ProductViewer: Light editing is not available in compare mode'
+      );
+      return false;
+    }
+    if (enabled === this.lightGizmoManager.enabled) return true;
+
+    this.lightGizmoManager.setEnabled(enabled);
+    this._syncPickingEnabled();
+
+    this.dispatchEvent({ type: 'lightEditModeChange', enabled });
+    return true;
+  }
+
+  /**
+   * List the lights in the scene
+   * @returns {Array<Object>} { name, type, selected } in the order the lights were added
+   */
+  listLights() {
+    if (!this.lightingManager) return [];
+
+    return [...this.lightingManager.getAllLights()].map(([name, light]) => ({
+      name,
+      type: light.type,
+      selected: name === this.lightGizmoManager?.selected,
+    }));
+  }
+
+  /**
+   * Select a light for editing and attach the gizmo to it
+   * @param {string|null} name - Light name, or null to clear the selection
+   * @param {string} mode - 'move' the light or 'aim' its target (defaults to the current mode)
+   * @returns {boolean} Success status
+   */
+  selectLight(name, mode) {
+    return this.lightGizmoManager?.select(name, mode) ?? false;
+  }
+
+  /**
+   * Switch the light gizmo between moving the selected light and aiming it
+   * @param {string} mode - 'move' or 'aim'
+   * @returns {boolean} Success status
+   */
+  setLightGizmoMode(mode) {
+    return this.lightGizmoManager?.setMode(mode) ?? false;
+  }
+
+  /**
+   * Change properties of a light, e.g. from the light editor
+   * @param {string} name - Light name
+   * @param {Object} properties - Properties to change (see LightingManager.updateLight)
+   * @returns {boolean} Success status
+   */
+  updateLight(name, properties) {
+    if (!this.lightingManager?.updateLight(name, properties)) return false;
+
+    this.lightGizmoManager?.update();
+    this.rendererManager.requestRender();
+    this.dispatchEvent({
+      type: 'lightChange',
+      name,
+      properties: Object.keys(properties),
+    });
+    return true;
+  }
+
+  /**
+   * Save the lights in the scene as a new lighting preset
+   * @param {string} name - Preset name
+   * @returns {string|null} Id of the new preset, or null without a lighting manager
    */
-  setMaterialPreset(preset) {
-    // This will be implemented when we add the material manager
-    console.log(`ProductViewer: Setting material preset to ${preset}`);
-    this.dispatchEvent({ type: 'materialPresetChange', preset });
+  saveLightingPreset(name) {
+    if (!this.lightingManager) return null;
+
+    const id = this._createPresetId(name, this.lightingManager.lightPresets);
+    this.lightingManager.addLightingPreset(
+      id,
+      this.lightingManager.createPresetFromLights(name.trim() || id)
+    );
+    this.populateUIPresets();
+
+    this.dispatchEvent({ type: 'lightingPresetSaved', id, name });
+    return id;
   }
+
   /**
    * Toggle shadows on/off
    */
@@ -772,6 +2936,60 @@ export class ProductViewer extends THREE.EventDispatcher {
     }
   }
 
+  /**
+   * Update animation controls to reflect available clips and playback state
+   * @param {Array} clips - Available clips (optional, refreshes selector if provided)
+   */
+  updateAnimationControls(clips = null) {
+    const section = this.ui.controlPanel?.querySelector('#animation-section');
+    if (!section || !this.animationManager) return;
+
+    if (clips) {
+      section.classList.toggle('hidden', clips.length === 0);
+
+      const clipSelector = section.querySelector('#animation-clip');
+      if (clipSelector) {
+        clipSelector.innerHTML = '';
+        clips.forEach(clip => {
+          const option = document.createElement('option');
+          option.value = clip.name;
+          option.textContent = `${clip.name} (${clip.duration.toFixed(1)}s)`;
+          clipSelector.appendChild(option);
+        });
+      }
+    }
+
+    const state = this.animationManager.getState();
+    if (!state) return;
+
+    const clipSelector = section.querySelector('#animation-clip');
+    if (clipSelector && state.clip) {
+      clipSelector.value = state.clip;
+    }
+
+    const playPauseBtn = section.querySelector('#animation-play-pause');
+    if (playPauseBtn) {
+      playPauseBtn.textContent = state.isPlaying ? '⏸ Pause' : '▶ Play';
+      playPauseBtn.classList.toggle('active', state.isPlaying);
+    }
+  }
+
+  /**
+   * Update animation scrubber position (called every frame)
+   */
+  updateAnimationTimeline() {
+    if (!this.ui.animationScrubber || this.isScrubbingAnimation) return;
+
+    const state = this.animationManager.getState();
+    if (!state || !state.duration) return;
+
+    this.ui.animationScrubber.value = (state.time / state.duration).toFixed(3);
+
+    if (this.ui.animationTime) {
+      this.ui.animationTime.textContent = `${state.time.toFixed(1)}s / ${state.duration.toFixed(1)}s`;
+    }
+  }
+
   /**
    * Update model information display
    * @param {THREE.Object3D} model - Current model
@@ -989,6 +3207,8 @@ export class ProductViewer extends THREE.EventDispatcher {
       deviceType: this.deviceType,
       environment: this.environment,
       hasCurrentModel: !!this.currentModel,
+      modelCount: this.sceneManager?.getObjectsByType('model').length || 0,
+      selectedModel: this.selectedModelId,
       performance: this.getPerformanceStats(),
       scene: this.sceneManager?.getStats(),
       camera: this.cameraManager?.getInfo(),
@@ -996,6 +3216,21 @@ export class ProductViewer extends THREE.EventDispatcher {
       model: this.modelManager?.getInfo(),
       materials: this.materialManager?.getInfo(),
       lighting: this.lightingManager?.getInfo(),
+      animation: this.animationManager?.getInfo(),
+      picking: this.pickingManager
+        ? {
+            enabled: this.pickingManager.enabled,
+            hoverMode: this.pickingManager.options.hover.mode,
+            hovered: this.pickingManager.getHoveredMesh()?.name || null,
+          }
+        : null,
+      annotations: this.annotationManager?.annotations.size || 0,
+      configurator: this.configurator
+        ? {
+            modelId: this.configuratorModelId,
+            sku: this.configurator.getSku(),
+          }
+        : null,
     };
   }
 
@@ -1027,7 +3262,36 @@ export class ProductViewer extends THREE.EventDispatcher {
       this.controls = null;
     }
 
+    // Release the compare camera and divider
+    this._teardownCompare();
+
+    this.disposeConfigurator();
+
+    // Cancel models still loading into the collection
+    this.pendingModels.forEach(controller => controller.abort());
+    this.pendingModels.clear();
+
     // Dispose of enhanced managers
+    if (this.annotationManager) {
+      this.annotationManager.dispose();
+      this.annotationManager = null;
+    }
+
+    if (this.pickingManager) {
+      this.pickingManager.dispose();
+      this.pickingManager = null;
+    }
+
+    if (this.lightGizmoManager) {
+      this.lightGizmoManager.dispose();
+      this.lightGizmoManager = null;
+    }
+
+    if (this.animationManager) {
+      this.animationManager.dispose();
+      this.animationManager = null;
+    }
+
     if (this.lightingManager) {
       this.lightingManager.dispose();
       this.lightingManager = null;
@@ -1064,6 +3328,7 @@ export class ProductViewer extends THREE.EventDispatcher {
     this.config = null;
     this.ui = null;
     this.currentModel = null;
+    this.selectedModelId = null;
 
     this.isDisposed = true;
     this.dispatchEvent({ type: 'disposed' });
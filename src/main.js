@@ -4,6 +4,10 @@
  */
 
 import { ProductViewer } from './core/viewer.js';
+import { VARIANT_PRESET_PREFIX } from './core/material-manager.js';
+import { SceneGraphPanel } from './ui/components/scene-graph-panel.js';
+import { MaterialEditorPanel } from './ui/components/material-editor-panel.js';
+import { LightEditorPanel } from './ui/components/light-editor-panel.js';
 
 /**
  * Enhanced application class with advanced UI features
@@ -14,6 +18,11 @@ class App {
     this.isInitialized = false;
     this.toastContainer = null;
     this.currentToasts = [];
+    this.sceneGraphPanel = null;
+    this.materialEditor = null;
+    this.editedMesh = null; // Mesh shown in the material editor
+    this.lightEditor = null;
+    this.editedLight = null; // { name, light, mode } of the light selected for editing
 
     // UI state
     this.isFullscreen = false;
@@ -169,12 +178,33 @@ class App {
 
     this.viewer.addEventListener('modelLoadComplete', event => {
       console.log('App: Model loaded successfully', event.model);
-      this.currentModel = event.model;
-      this.updateModelInfo(event.model);
       this.showToast('Model loaded successfully!', 'success');
       this.dismissLoadingToast();
     });
 
+    // The info panel and wireframe toggle follow the selected model
+    this.viewer.addEventListener('selectionChanged', event => {
+      this.currentModel = event.model;
+      this.updateModelInfo(event.model, event.name);
+    });
+
+    // Finer LOD levels add nodes to the hierarchy
+    this.viewer.addEventListener('modelLevelLoaded', () => {
+      this.updateSceneGraph();
+    });
+
+    this.viewer.addEventListener('modelLevelError', () => {
+      this.showToast('Some model detail failed to load', 'warning', 3000);
+    });
+
+    this.viewer.addEventListener('nodeHighlighted', event => {
+      this.sceneGraphPanel?.setSelected(event.uuid);
+    });
+
+    this.viewer.addEventListener('nodeVisibilityChanged', event => {
+      this.sceneGraphPanel?.setNodeVisible(event.uuid, event.visible);
+    });
+
     // Camera events
     this.viewer.addEventListener('cameraChange', () => {
       // Could trigger analytics here
@@ -241,12 +271,21 @@ class App {
     // Setup preset descriptions
     this.setupPresetDescriptions();
 
+    // Report preset file imports and exports
+    this.setupPresetFileEvents();
+
     // Setup advanced controls
     this.setupAdvancedControls();
 
     // Setup model info panel
     this.setupModelInfoPanel();
 
+    // Setup material editor
+    this.setupMaterialEditor();
+
+    // Setup light editor
+    this.setupLightEditor();
+
     // Setup shortcuts help
     this.setupShortcutsHelp();
 
@@ -398,6 +437,224 @@ class App {
         this.hideModelInfo();
       });
     }
+
+    // Scene graph inspector
+    const sceneGraph = document.getElementById('scene-graph');
+    if (sceneGraph) {
+      this.sceneGraphPanel = new SceneGraphPanel(sceneGraph);
+
+      this.sceneGraphPanel.addEventListener('nodeselect', event => {
+        this.viewer?.highlightNode(event.detail.uuid);
+      });
+
+      this.sceneGraphPanel.addEventListener('visibilitytoggle', event => {
+        this.viewer?.setNodeVisibility(event.detail.uuid, event.detail.visible);
+      });
+
+      this.sceneGraphPanel.addEventListener('nodeframe', event => {
+        this.viewer?.frameNode(event.detail.uuid);
+      });
+
+      this.sceneGraphPanel.setTree(null);
+    }
+  }
+
+  /**
+   * Show toasts for imported and exported preset files
+   */
+  setupPresetFileEvents() {
+    if (!this.viewer) return;
+
+    this.viewer.addEventListener('presetsImported', event => {
+      const count = event.materials.length + event.lighting.length;
+      this.showToast(`Imported ${count} presets`, 'success', 2000);
+    });
+
+    this.viewer.addEventListener('presetsExported', event => {
+      this.showToast(`Exported ${event.count} presets`, 'success', 2000);
+    });
+  }
+
+  /**
+   * Setup the material editor for the clicked mesh
+   */
+  setupMaterialEditor() {
+    const container = document.getElementById('material-editor');
+    if (!container) return;
+
+    this.materialEditor = new MaterialEditorPanel(container);
+
+    // Clicking a part of a model opens it in the material editor
+    this.viewer.addEventListener('meshClick', event => {
+      if (event.modelId && event.modelId !== this.viewer.selectedModelId) {
+        this.viewer.selectModel(event.modelId);
+      }
+      this.editMesh(event.mesh);
+    });
+
+    // Show the part a texture image was dropped onto
+    this.viewer.addEventListener('textureDrop', event => {
+      this.editMesh(event.mesh);
+      this.showToast(`Applied ${event.file.name}`, 'success', 1500);
+    });
+
+    // Presets, variants and undo replace or change the edited material
+    [
+      'materialPresetChange',
+      'materialVariantChange',
+      'materialPropertyUndo',
+    ].forEach(type => {
+      this.viewer.addEventListener(type, () => this.updateMaterialEditor());
+    });
+
+    // Clear the editor when the edited mesh leaves the scene (model removed or LOD swapped)
+    ['modelRemoved', 'modelLevelLoaded'].forEach(type => {
+      this.viewer.addEventListener(type, () => {
+        let root = this.editedMesh;
+        while (root?.parent) {
+          root = root.parent;
+        }
+        if (root && !root.isScene) {
+          this.editMesh(null);
+        }
+      });
+    });
+
+    this.materialEditor.addEventListener('propertychange', event => {
+      if (!this.editedMesh) return;
+
+      const { property, value } = event.detail;
+      this.viewer.updateMaterialProperty(property, value, [this.editedMesh]);
+      this.updateMaterialEditor();
+    });
+
+    this.materialEditor.addEventListener('texturechange', async event => {
+      if (!this.editedMesh) return;
+
+      const { slot, url } = event.detail;
+      const success = await this.viewer.setMaterialTexture(slot, url, [
+        this.editedMesh,
+      ]);
+      if (!success) {
+        this.showToast('Could not load texture', 'error', 2000);
+      }
+      this.updateMaterialEditor();
+    });
+
+    this.materialEditor.addEventListener('texturetransform', event => {
+      if (!this.editedMesh) return;
+
+      const { slot, transform } = event.detail;
+      this.viewer.setTextureTransform(slot, transform, [this.editedMesh]);
+      this.updateMaterialEditor();
+    });
+
+    this.materialEditor.addEventListener('undo', () => {
+      this.viewer.undoMaterialChange();
+    });
+
+    this.materialEditor.addEventListener('savepreset', event => {
+      if (!this.editedMesh) return;
+
+      const id = this.viewer.saveMaterialPreset(
+        event.detail.name,
+        this.editedMesh
+      );
+      if (id) {
+        this.showToast(`Saved preset "${event.detail.name}"`, 'success', 1500);
+      }
+    });
+  }
+
+  /**
+   * Setup the light editor and its gizmos in the view
+   */
+  setupLightEditor() {
+    const container = document.getElementById('light-editor');
+    if (!container) return;
+
+    this.lightEditor = new LightEditorPanel(container);
+
+    this.viewer.addEventListener('lightEditModeChange', event => {
+      this.lightEditor.setEditing(event.enabled);
+      this.updateLightEditor();
+    });
+
+    this.viewer.addEventListener('lightSelect', event => {
+      const { name, light, mode } = event;
+      this.editedLight = light ? { name, light, mode } : null;
+      this.updateLightEditor();
+    });
+
+    // Gizmo drags and property edits; presets replace the lights
+    this.viewer.addEventListener('lightChange', () => {
+      this.lightEditor.refresh();
+    });
+    this.viewer.addEventListener('lightingChanged', () => {
+      this.updateLightEditor();
+    });
+
+    this.lightEditor.addEventListener('editmode', event => {
+      if (!this.viewer.setLightEditMode(event.detail.enabled)) {
+        this.showToast('Light editing is not available here', 'warning', 2000);
+      }
+    });
+
+    this.lightEditor.addEventListener('selectlight', event => {
+      this.viewer.selectLight(event.detail.name);
+    });
+
+    this.lightEditor.addEventListener('gizmomode', event => {
+      this.viewer.setLightGizmoMode(event.detail.mode);
+    });
+
+    this.lightEditor.addEventListener('propertychange', event => {
+      if (!this.editedLight) return;
+
+      const { property, value } = event.detail;
+      this.viewer.updateLight(this.editedLight.name, { [property]: value });
+    });
+
+    this.lightEditor.addEventListener('savepreset', event => {
+      const id = this.viewer.saveLightingPreset(event.detail.name);
+      if (id) {
+        this.showToast(`Saved preset "${event.detail.name}"`, 'success', 1500);
+      }
+    });
+  }
+
+  /**
+   * Refresh the light editor from the viewer's lights and the selected light
+   */
+  updateLightEditor() {
+    if (!this.lightEditor || !this.viewer) return;
+
+    const { light = null, name = '', mode } = this.editedLight || {};
+    this.lightEditor.setLights(this.viewer.listLights());
+    this.lightEditor.setLight(light, name, mode);
+  }
+
+  /**
+   * Show a mesh's material in the material editor
+   * @param {THREE.Mesh|null} mesh - Mesh to edit, or null to clear the editor
+   */
+  editMesh(mesh) {
+    this.editedMesh = mesh;
+    this.updateMaterialEditor();
+  }
+
+  /**
+   * Refresh the material editor from the edited mesh
+   */
+  updateMaterialEditor() {
+    if (!this.materialEditor || !this.viewer) return;
+
+    const mesh = this.editedMesh;
+    this.materialEditor.setMaterial(
+      mesh ? this.viewer.getMeshMaterial(mesh) : null,
+      mesh?.name
+    );
+    this.materialEditor.setUndoAvailable(this.viewer.canUndoMaterialChange());
   }
 
   /**
@@ -534,6 +791,13 @@ class App {
         }
         break;
 
+      case 'z':
+        if (ctrl) {
+          event.preventDefault();
+          this.viewer.undoMaterialChange();
+        }
+        break;
+
       case 'f':
         event.preventDefault();
         this.toggleFullscreen();
@@ -619,6 +883,10 @@ class App {
       carbon_fiber: 'Woven carbon fiber pattern',
     };
 
+    if (preset.startsWith(VARIANT_PRESET_PREFIX)) {
+      descriptions[preset] = 'Colorway authored in the model';
+    }
+
     const descElement = document.getElementById('material-description');
     if (descElement && descriptions[preset]) {
       descElement.textContent = descriptions[preset];
@@ -842,12 +1110,15 @@ class App {
 
   /**
    * Update model information display
-   * @param {THREE.Object3D} model - Current model
+   * @param {THREE.Object3D|null} model - Selected model, or null to clear the panel
+   * @param {string} name - Model display name
    */
-  updateModelInfo(model) {
+  updateModelInfo(model, name = 'Current Model') {
     if (!this.viewer || !this.viewer.modelManager) return;
 
-    const stats = this.viewer.modelManager._getModelStats(model);
+    const stats = model
+      ? this.viewer.modelManager._getModelStats(model)
+      : { meshCount: '--', materialCount: '--', vertexCount: '--' };
 
     // Update model info panel
     const elements = {
@@ -858,13 +1129,26 @@ class App {
       vertices: document.getElementById('model-vertices'),
     };
 
-    if (elements.filename) elements.filename.textContent = 'Current Model';
+    if (elements.filename) {
+      elements.filename.textContent = model ? name : 'No Model Selected';
+    }
     if (elements.filesize) elements.filesize.textContent = '--';
     if (elements.meshes) elements.meshes.textContent = stats.meshCount;
     if (elements.materials)
       elements.materials.textContent = stats.materialCount;
     if (elements.vertices)
       elements.vertices.textContent = stats.vertexCount.toLocaleString();
+
+    this.updateSceneGraph();
+  }
+
+  /**
+   * Show the selected model's hierarchy in the scene graph inspector
+   */
+  updateSceneGraph() {
+    if (!this.viewer || !this.sceneGraphPanel) return;
+
+    this.sceneGraphPanel.setTree(this.viewer.getSceneGraph());
   }
 
   /**
@@ -936,7 +1220,9 @@ class App {
           await this.viewer.loadModel(defaultUrl);
         }
       } catch (error) {
-        this.handleViewerError('modelLoading', error);
+        if (error.name !== 'AbortError') {
+          this.handleViewerError('modelLoading', error);
+        }
       }
     }
   }
@@ -1002,6 +1288,26 @@ class App {
     this.currentToasts.forEach(toast => this.removeToast(toast));
     this.currentToasts = [];
 
+    // Dispose of scene graph inspector
+    if (this.sceneGraphPanel) {
+      this.sceneGraphPanel.dispose();
+      this.sceneGraphPanel = null;
+    }
+
+    // Dispose of material editor
+    if (this.materialEditor) {
+      this.materialEditor.dispose();
+      this.materialEditor = null;
+    }
+    this.editedMesh = null;
+
+    // Dispose of light editor
+    if (this.lightEditor) {
+      this.lightEditor.dispose();
+      this.lightEditor = null;
+    }
+    this.editedLight = null;
+
     // Dispose of viewer
     if (this.viewer) {
       this.viewer.dispose();
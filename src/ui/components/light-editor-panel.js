@@ -0,0 +1,410 @@
+const POSITIONAL_LIGHTS = ['PointLight', 'SpotLight'];
+const SHADOW_LIGHTS = ['DirectionalLight', 'PointLight', 'SpotLight'];
+
+/**
+ * Light properties the editor shows, in display order
+ * Fields with types only show for those light types. Angles are edited in degrees.
+ */
+const LIGHT_FIELDS = [
+  { property: 'color', label: 'Color', type: 'color' },
+  {
+    property: 'groundColor',
+    label: 'Ground',
+    type: 'color',
+    types: ['HemisphereLight'],
+  },
+  { property: 'intensity', label: 'Intensity', min: 0, max: 10, step: 0.05 },
+  {
+    property: 'distance',
+    label: 'Distance',
+    min: 0,
+    max: 100,
+    step: 0.5,
+    types: POSITIONAL_LIGHTS,
+  },
+  {
+    property: 'decay',
+    label: 'Decay',
+    min: 0,
+    max: 3,
+    step: 0.1,
+    types: POSITIONAL_LIGHTS,
+  },
+  {
+    property: 'angle',
+    label: 'Angle °',
+    min: 1,
+    max: 90,
+    step: 1,
+    degrees: true,
+    types: ['SpotLight'],
+  },
+  {
+    property: 'penumbra',
+    label: 'Penumbra',
+    min: 0,
+    max: 1,
+    step: 0.01,
+    types: ['SpotLight'],
+  },
+  {
+    property: 'castShadow',
+    label: 'Shadows',
+    type: 'checkbox',
+    types: SHADOW_LIGHTS,
+  },
+  {
+    property: 'shadowBias',
+    label: 'Shadow bias',
+    min: -0.005,
+    max: 0.005,
+    step: 0.0001,
+    digits: 4,
+    types: SHADOW_LIGHTS,
+  },
+];
+
+/**
+ * LightEditorPanel edits the lights of the scene in light edit mode
+ * The gizmos in the view move and aim lights; the panel picks a light, switches between
+ * moving and aiming, and edits the selected light's type-specific properties.
+ * Dispatches 'editmode' { enabled }, 'selectlight' { name }, 'gizmomode' { mode },
+ * 'propertychange' { property, value } and 'savepreset' { name }.
+ */
+export class LightEditorPanel extends EventTarget {
+  constructor(container) {
+    super();
+
+    this.container = container;
+
+    this.editing = false;
+    this.light = null;
+    this.fields = new Map(); // Field elements by property
+
+    this.handleInput = this.handleInput.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    this.render();
+
+    this.container.addEventListener('input', this.handleInput);
+    this.container.addEventListener('change', this.handleChange);
+    this.container.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * Build the panel's elements
+   */
+  render() {
+    this.container.replaceChildren();
+
+    this.toggleButton = this.createButton('toggle', '');
+    const toggle = document.createElement('div');
+    toggle.className = 'button-group';
+    toggle.appendChild(this.toggleButton);
+
+    this.editor = this.createElement('div', 'light-editor-body', '');
+
+    this.lightSelect = document.createElement('select');
+    this.lightSelect.className = 'preset-selector';
+    this.lightSelect.title = 'Light to edit';
+
+    this.moveButton = this.createButton('move', '✥ Move');
+    this.aimButton = this.createButton('aim', '🎯 Aim');
+    const modes = document.createElement('div');
+    modes.className = 'button-group light-editor-modes';
+    modes.append(this.moveButton, this.aimButton);
+
+    this.hint = this.createElement(
+      'div',
+      'light-editor-empty',
+      'Click a light in the view or pick one above'
+    );
+
+    const properties = document.createElement('div');
+    properties.className = 'light-editor-properties';
+    LIGHT_FIELDS.forEach(field => {
+      properties.appendChild(this.createField(field));
+    });
+
+    this.presetName = document.createElement('input');
+    this.presetName.type = 'text';
+    this.presetName.className = 'material-editor-preset-name';
+    this.presetName.placeholder = 'Preset name';
+
+    const actions = document.createElement('div');
+    actions.className = 'button-group material-editor-actions';
+    actions.append(
+      this.presetName,
+      this.createButton('save', '💾 Save preset')
+    );
+
+    this.editor.append(this.lightSelect, modes, this.hint, properties, actions);
+    this.container.append(toggle, this.editor);
+
+    this.setEditing(false);
+    this.setLight(null);
+  }
+
+  /**
+   * Create the row for a light property
+   * @param {Object} field - Field from LIGHT_FIELDS
+   * @returns {HTMLElement} Row element
+   */
+  createField(field) {
+    const row = document.createElement('div');
+    row.className = 'slider-container material-editor-field';
+
+    const id = `light-editor-${field.property}`;
+    const label = this.createElement('label', '', field.label);
+    label.htmlFor = id;
+
+    const input = document.createElement('input');
+    input.id = id;
+    input.dataset.property = field.property;
+
+    if (field.type === 'color') {
+      input.type = 'color';
+      input.className = 'material-editor-color';
+    } else if (field.type === 'checkbox') {
+      input.type = 'checkbox';
+    } else {
+      input.type = 'range';
+      input.className = 'slider';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+    }
+
+    const value = this.createElement('span', 'slider-value', '');
+    row.append(label, input, value);
+
+    this.fields.set(field.property, { field, row, input, value });
+    return row;
+  }
+
+  /**
+   * Create an action button
+   * @param {string} action - Action name, see handleClick
+   * @param {string} text - Button text
+   * @returns {HTMLButtonElement} Button
+   */
+  createButton(action, text) {
+    const button = this.createElement('button', 'control-button', text);
+    button.type = 'button';
+    button.dataset.action = action;
+    return button;
+  }
+
+  /**
+   * Create an element with a class and text
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} Element
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Show whether light edit mode is on
+   * @param {boolean} editing - Whether lights are being edited
+   */
+  setEditing(editing) {
+    this.editing = editing;
+    this.editor.hidden = !editing;
+    this.toggleButton.textContent = editing ? '✓ Done' : '✏️ Edit lights';
+    this.toggleButton.classList.toggle('active', editing);
+  }
+
+  /**
+   * Fill the light choices
+   * @param {Array<Object>} lights - { name, type, selected }, see ProductViewer.listLights
+   */
+  setLights(lights) {
+    const option = (value, text) => {
+      const element = document.createElement('option');
+      element.value = value;
+      element.textContent = text;
+      return element;
+    };
+
+    this.lightSelect.replaceChildren(option('', 'Select a light'));
+    lights.forEach(({ name, type }) => {
+      this.lightSelect.appendChild(
+        option(name, `${name} · ${type.replace('Light', '')}`)
+      );
+    });
+    this.lightSelect.value = lights.find(light => light.selected)?.name || '';
+  }
+
+  /**
+   * Show a light's values
+   * @param {THREE.Light|null} light - Light to edit, or null to clear
+   * @param {string} name - Light name
+   * @param {string} mode - Gizmo mode, 'move' or 'aim'
+   */
+  setLight(light, name = '', mode = 'move') {
+    this.light = light;
+    this.lightSelect.value = light ? name : '';
+    this.hint.hidden = !!light;
+
+    this.moveButton.disabled = !light || light.isAmbientLight;
+    this.aimButton.disabled = !light?.target;
+    this.moveButton.classList.toggle('active', !!light && mode === 'move');
+    this.aimButton.classList.toggle('active', !!light && mode === 'aim');
+
+    this.refresh();
+  }
+
+  /**
+   * Re-read the shown light's values, e.g. after a gizmo drag
+   */
+  refresh() {
+    const { light } = this;
+
+    this.fields.forEach(({ field, row, input, value }) => {
+      row.hidden = !light || (field.types && !field.types.includes(light.type));
+      if (row.hidden) return;
+
+      const current = this.getValue(light, field);
+      if (field.type === 'color') {
+        const hex = `#${current.getHexString()}`;
+        // Leave the picker alone while it is being used
+        if (document.activeElement !== input) {
+          input.value = hex;
+        }
+        value.textContent = hex;
+      } else if (field.type === 'checkbox') {
+        input.checked = current;
+        value.textContent = current ? 'On' : 'Off';
+      } else {
+        if (document.activeElement !== input) {
+          input.value = current;
+        }
+        value.textContent = current.toFixed(field.digits ?? 2);
+      }
+    });
+  }
+
+  /**
+   * Read a field's value from a light
+   * @param {THREE.Light} light - Light
+   * @param {Object} field - Field from LIGHT_FIELDS
+   * @returns {*} Value in the field's units
+   */
+  getValue(light, { property, degrees }) {
+    switch (property) {
+      case 'intensity':
+        // Without the global intensity multiplier
+        return light.userData.originalIntensity ?? light.intensity;
+      case 'castShadow':
+        return light.userData.castShadow ?? light.castShadow;
+      case 'shadowBias':
+        return light.shadow.bias;
+      default:
+        return degrees ? (light[property] * 180) / Math.PI : light[property];
+    }
+  }
+
+  /**
+   * Dispatch property changes while sliders and pickers move
+   * @param {Event} e - Input event
+   */
+  handleInput(e) {
+    const { property } = e.target.dataset;
+    const entry = property && this.fields.get(property);
+    if (!entry || entry.field.type === 'checkbox') return;
+
+    const { field } = entry;
+    if (field.type === 'color') {
+      entry.value.textContent = e.target.value;
+      this.dispatchProperty(property, e.target.value);
+      return;
+    }
+
+    const number = parseFloat(e.target.value);
+    entry.value.textContent = number.toFixed(field.digits ?? 2);
+    this.dispatchProperty(
+      property,
+      field.degrees ? (number * Math.PI) / 180 : number
+    );
+  }
+
+  /**
+   * Dispatch light selection and checkbox changes
+   * @param {Event} e - Change event
+   */
+  handleChange(e) {
+    if (e.target === this.lightSelect) {
+      this.dispatchEvent(
+        new CustomEvent('selectlight', {
+          detail: { name: e.target.value || null },
+        })
+      );
+      return;
+    }
+
+    const { property } = e.target.dataset;
+    if (this.fields.get(property)?.field.type === 'checkbox') {
+      this.dispatchProperty(property, e.target.checked);
+    }
+  }
+
+  /**
+   * Dispatch a property change
+   * @param {string} property - Light property
+   * @param {*} value - New value
+   */
+  dispatchProperty(property, value) {
+    this.dispatchEvent(
+      new CustomEvent('propertychange', { detail: { property, value } })
+    );
+  }
+
+  /**
+   * Handle the edit mode, gizmo mode and save buttons
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const { action } = button.dataset;
+    if (action === 'toggle') {
+      this.dispatchEvent(
+        new CustomEvent('editmode', { detail: { enabled: !this.editing } })
+      );
+    } else if (action === 'move' || action === 'aim') {
+      this.dispatchEvent(
+        new CustomEvent('gizmomode', { detail: { mode: action } })
+      );
+    } else if (action === 'save') {
+      const name = this.presetName.value.trim();
+      if (!name) {
+        this.presetName.focus();
+        return;
+      }
+
+      this.dispatchEvent(new CustomEvent('savepreset', { detail: { name } }));
+      this.presetName.value = '';
+    }
+  }
+
+  /**
+   * Remove listeners and rendered controls
+   */
+  dispose() {
+    this.container.removeEventListener('input', this.handleInput);
+    this.container.removeEventListener('change', this.handleChange);
+    this.container.removeEventListener('click', this.handleClick);
+    this.container.replaceChildren();
+    this.fields.clear();
+    this.container = null;
+    this.light = null;
+  }
+}
@@ -0,0 +1,478 @@
+import { getTextureTransform } from '../../utils/texture-transform.js';
+
+/**
+ * Material properties the editor shows, in display order
+ * Physical properties (clearcoat, transmission, IOR, sheen) turn standard materials into
+ * MeshPhysicalMaterial; until then their defaults are shown.
+ */
+const MATERIAL_FIELDS = [
+  { property: 'color', label: 'Color', type: 'color' },
+  { property: 'metalness', label: 'Metalness', min: 0, max: 1, step: 0.01 },
+  { property: 'roughness', label: 'Roughness', min: 0, max: 1, step: 0.01 },
+  { property: 'clearcoat', label: 'Clearcoat', min: 0, max: 1, step: 0.01 },
+  {
+    property: 'clearcoatRoughness',
+    label: 'Coat rough.',
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    property: 'transmission',
+    label: 'Transmission',
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
+  {
+    property: 'ior',
+    label: 'IOR',
+    min: 1,
+    max: 2.333,
+    step: 0.01,
+    default: 1.5,
+  },
+  { property: 'sheen', label: 'Sheen', min: 0, max: 1, step: 0.01 },
+  {
+    property: 'sheenColor',
+    label: 'Sheen color',
+    type: 'color',
+    default: '#000000',
+  },
+  { property: 'emissive', label: 'Emissive', type: 'color' },
+  {
+    property: 'emissiveIntensity',
+    label: 'Emissive int.',
+    min: 0,
+    max: 10,
+    step: 0.1,
+  },
+];
+
+/**
+ * Texture slots the editor shows
+ */
+const MAP_SLOTS = [
+  { slot: 'map', label: 'Base color' },
+  { slot: 'normalMap', label: 'Normal' },
+  { slot: 'roughnessMap', label: 'Roughness' },
+  { slot: 'metalnessMap', label: 'Metalness' },
+  { slot: 'aoMap', label: 'Occlusion' },
+  { slot: 'emissiveMap', label: 'Emissive' },
+];
+
+/**
+ * Transform controls shown under a slot that holds a texture
+ * Values are in KHR_texture_transform terms, rotation in degrees.
+ */
+const TRANSFORM_FIELDS = [
+  { key: 'scaleU', label: 'Tile U', step: 0.1 },
+  { key: 'scaleV', label: 'Tile V', step: 0.1 },
+  { key: 'offsetU', label: 'Offset U', step: 0.05 },
+  { key: 'offsetV', label: 'Offset V', step: 0.05 },
+  { key: 'rotation', label: 'Rotate °', step: 5 },
+];
+
+/**
+ * MaterialEditorPanel shows live controls for one material
+ * Controls are built once and refreshed in place, so sliders keep focus while dragging.
+ * Dispatches 'propertychange' { property, value }, 'texturechange' { slot, url },
+ * 'texturetransform' { slot, transform }, 'undo' and 'savepreset' { name }.
+ */
+export class MaterialEditorPanel extends EventTarget {
+  constructor(container, options = {}) {
+    super();
+
+    this.container = container;
+    this.options = {
+      // Procedural textures offered for each slot, see procedural-textures.js
+      textures: ['weave', 'brushed', 'knurl', 'leather', 'noise'],
+      ...options,
+    };
+
+    this.material = null;
+    this.fields = new Map(); // Field elements by property
+    this.slots = new Map(); // Texture slot rows by slot
+
+    this.handleInput = this.handleInput.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    this.render();
+
+    this.container.addEventListener('input', this.handleInput);
+    this.container.addEventListener('change', this.handleChange);
+    this.container.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * Build the panel's elements
+   */
+  render() {
+    this.container.replaceChildren();
+
+    this.empty = this.createElement(
+      'div',
+      'material-editor-empty',
+      'Click a part of the model to edit its material'
+    );
+    this.editor = this.createElement('div', 'material-editor-body', '');
+    this.title = this.createElement('div', 'material-editor-title', '');
+
+    const properties = document.createElement('div');
+    properties.className = 'material-editor-properties';
+    MATERIAL_FIELDS.forEach(field => {
+      properties.appendChild(this.createField(field));
+    });
+
+    const maps = document.createElement('div');
+    maps.className = 'material-editor-maps';
+    MAP_SLOTS.forEach(slot => {
+      maps.appendChild(this.createSlot(slot));
+    });
+
+    this.undoButton = this.createElement('button', 'control-button', '↶ Undo');
+    this.undoButton.type = 'button';
+    this.undoButton.dataset.action = 'undo';
+
+    this.presetName = document.createElement('input');
+    this.presetName.type = 'text';
+    this.presetName.className = 'material-editor-preset-name';
+    this.presetName.placeholder = 'Preset name';
+
+    const saveButton = this.createElement(
+      'button',
+      'control-button',
+      '💾 Save preset'
+    );
+    saveButton.type = 'button';
+    saveButton.dataset.action = 'save';
+
+    const actions = document.createElement('div');
+    actions.className = 'button-group material-editor-actions';
+    actions.append(this.undoButton, this.presetName, saveButton);
+
+    this.editor.append(this.title, properties, maps, actions);
+    this.container.append(this.empty, this.editor);
+
+    this.setMaterial(null);
+    this.setUndoAvailable(false);
+  }
+
+  /**
+   * Create the row for a material property
+   * @param {Object} field - Field from MATERIAL_FIELDS
+   * @returns {HTMLElement} Row element
+   */
+  createField(field) {
+    const row = document.createElement('div');
+    row.className = 'slider-container material-editor-field';
+
+    const id = `material-editor-${field.property}`;
+    const label = this.createElement('label', '', field.label);
+    label.htmlFor = id;
+
+    const input = document.createElement('input');
+    input.id = id;
+    input.dataset.property = field.property;
+
+    if (field.type === 'color') {
+      input.type = 'color';
+      input.className = 'material-editor-color';
+    } else {
+      input.type = 'range';
+      input.className = 'slider';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+    }
+
+    const value = this.createElement('span', 'slider-value', '');
+    row.append(label, input, value);
+
+    this.fields.set(field.property, { field, row, input, value });
+    return row;
+  }
+
+  /**
+   * Create the row for a texture slot
+   * @param {Object} slot - Slot from MAP_SLOTS
+   * @returns {HTMLElement} Row element
+   */
+  createSlot({ slot, label }) {
+    const container = document.createElement('div');
+
+    const row = document.createElement('div');
+    row.className = 'material-editor-slot';
+
+    const id = `material-editor-${slot}`;
+    const text = this.createElement('label', '', label);
+    text.htmlFor = id;
+
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'preset-selector';
+    select.dataset.slot = slot;
+
+    row.append(text, select);
+
+    const transform = document.createElement('div');
+    transform.className = 'material-editor-transform';
+    const inputs = new Map();
+    TRANSFORM_FIELDS.forEach(field => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = field.step;
+      input.title = field.label;
+      input.dataset.transformSlot = slot;
+      inputs.set(field.key, input);
+
+      const fieldLabel = this.createElement('label', '', field.label);
+      fieldLabel.append(input);
+      transform.appendChild(fieldLabel);
+    });
+
+    container.append(row, transform);
+    this.slots.set(slot, { row: container, select, transform, inputs });
+    return container;
+  }
+
+  /**
+   * Create an element with a class and text
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} Element
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Show a material's values
+   * @param {THREE.Material|null} material - Material to edit, or null to clear
+   * @param {string} label - Name of what is being edited, e.g. the mesh name
+   */
+  setMaterial(material, label = '') {
+    this.material = material;
+    this.empty.hidden = !!material;
+    this.editor.hidden = !material;
+    if (!material) return;
+
+    this.title.textContent = `${label || 'Mesh'} · ${material.name || material.type}`;
+    this.refresh();
+  }
+
+  /**
+   * Re-read the shown material's values, e.g. after an undo
+   */
+  refresh() {
+    const { material } = this;
+    if (!material) return;
+
+    // Standard materials gain the physical properties when one is changed
+    const editable = property =>
+      property in material || !!material.isMeshStandardMaterial;
+
+    this.fields.forEach(({ field, row, input, value }, property) => {
+      row.hidden = !editable(property);
+      if (row.hidden) return;
+
+      const current = material[property];
+      if (field.type === 'color') {
+        const hex = current?.isColor
+          ? `#${current.getHexString()}`
+          : field.default || '#ffffff';
+        // Leave the picker alone while it is being used
+        if (document.activeElement !== input) {
+          input.value = hex;
+        }
+        value.textContent = hex;
+      } else {
+        const number =
+          typeof current === 'number' ? current : (field.default ?? field.min);
+        if (document.activeElement !== input) {
+          input.value = number;
+        }
+        value.textContent = number.toFixed(2);
+      }
+    });
+
+    this.slots.forEach(({ row, select, transform, inputs }, slot) => {
+      row.hidden = !(slot in material);
+      if (row.hidden) return;
+
+      const texture = material[slot];
+      this.updateSlotOptions(select, texture);
+
+      transform.hidden = !texture?.isTexture;
+      if (transform.hidden) return;
+
+      const { offset, rotation, scale } = getTextureTransform(texture);
+      const values = {
+        scaleU: scale[0],
+        scaleV: scale[1],
+        offsetU: offset[0],
+        offsetV: offset[1],
+        rotation: (rotation * 180) / Math.PI,
+      };
+      inputs.forEach((input, key) => {
+        // Leave the field alone while it is being typed in
+        if (document.activeElement !== input) {
+          input.value = parseFloat(values[key].toFixed(3));
+        }
+      });
+    });
+  }
+
+  /**
+   * Fill a texture slot's choices and select the current texture
+   * @param {HTMLSelectElement} select - Slot select
+   * @param {THREE.Texture|null} texture - Current texture
+   */
+  updateSlotOptions(select, texture) {
+    const option = (value, text) => {
+      const element = document.createElement('option');
+      element.value = value;
+      element.textContent = text;
+      return element;
+    };
+
+    const name = texture?.name || '';
+    const procedural = name.startsWith('procedural:')
+      ? name.slice('procedural:'.length).split('?')[0]
+      : null;
+
+    select.replaceChildren(option('', 'None'));
+
+    // Textures from the model or a file can be kept or removed, but not picked again
+    if (texture && !procedural) {
+      const current = option('current', name || 'Model texture');
+      current.disabled = true;
+      select.appendChild(current);
+    }
+
+    this.options.textures.forEach(texture => {
+      select.appendChild(
+        option(`procedural:${texture}`, `Procedural: ${texture}`)
+      );
+    });
+
+    if (procedural) {
+      select.value = `procedural:${procedural}`;
+    } else {
+      select.value = texture ? 'current' : '';
+    }
+  }
+
+  /**
+   * Enable or disable the undo button
+   * @param {boolean} available - Whether there is a change to undo
+   */
+  setUndoAvailable(available) {
+    this.undoButton.disabled = !available;
+  }
+
+  /**
+   * Dispatch property changes while sliders and pickers move
+   * @param {Event} e - Input event
+   */
+  handleInput(e) {
+    if (e.target.dataset.transformSlot) {
+      this.dispatchTransform(e.target.dataset.transformSlot);
+      return;
+    }
+
+    const { property } = e.target.dataset;
+    const entry = property && this.fields.get(property);
+    if (!entry) return;
+
+    const value =
+      entry.field.type === 'color'
+        ? e.target.value
+        : parseFloat(e.target.value);
+    entry.value.textContent =
+      typeof value === 'number' ? value.toFixed(2) : value;
+
+    this.dispatchEvent(
+      new CustomEvent('propertychange', { detail: { property, value } })
+    );
+  }
+
+  /**
+   * Dispatch a slot's texture transform from its fields
+   * Nothing is dispatched while a field holds no number, e.g. while typing a minus sign.
+   * @param {string} slot - Texture slot
+   */
+  dispatchTransform(slot) {
+    const { inputs } = this.slots.get(slot);
+    const value = key => parseFloat(inputs.get(key).value);
+    if (TRANSFORM_FIELDS.some(({ key }) => !Number.isFinite(value(key)))) {
+      return;
+    }
+
+    const transform = {
+      offset: [value('offsetU'), value('offsetV')],
+      rotation: (value('rotation') * Math.PI) / 180,
+      scale: [value('scaleU'), value('scaleV')],
+    };
+
+    this.dispatchEvent(
+      new CustomEvent('texturetransform', { detail: { slot, transform } })
+    );
+  }
+
+  /**
+   * Dispatch texture slot changes
+   * @param {Event} e - Change event
+   */
+  handleChange(e) {
+    const { slot } = e.target.dataset;
+    if (!slot) return;
+
+    this.dispatchEvent(
+      new CustomEvent('texturechange', {
+        detail: { slot, url: e.target.value || null },
+      })
+    );
+  }
+
+  /**
+   * Handle the undo and save buttons
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'undo') {
+      this.dispatchEvent(new CustomEvent('undo'));
+    } else if (button.dataset.action === 'save') {
+      const name = this.presetName.value.trim();
+      if (!name) {
+        this.presetName.focus();
+        return;
+      }
+
+      this.dispatchEvent(new CustomEvent('savepreset', { detail: { name } }));
+      this.presetName.value = '';
+    }
+  }
+
+  /**
+   * Remove listeners and rendered controls
+   */
+  dispose() {
+    this.container.removeEventListener('input', this.handleInput);
+    this.container.removeEventListener('change', this.handleChange);
+    this.container.removeEventListener('click', this.handleClick);
+    this.container.replaceChildren();
+    this.fields.clear();
+    this.slots.clear();
+    this.container = null;
+    this.material = null;
+  }
+}
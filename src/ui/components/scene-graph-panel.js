@@ -0,0 +1,277 @@
+/**
+ * SceneGraphPanel renders a collapsible tree of a model's hierarchy
+ * Rows show name, type, triangle count and material, with visibility and frame buttons.
+ * Dispatches 'nodeselect', 'visibilitytoggle' and 'nodeframe' with the node uuid.
+ */
+export class SceneGraphPanel extends EventTarget {
+  constructor(container, options = {}) {
+    super();
+
+    this.container = container;
+    this.options = {
+      expandDepth: 1, // Levels expanded when a tree is shown
+      ...options,
+    };
+
+    this.root = null;
+    this.selectedUuid = null;
+
+    // Rendered rows by node uuid, children are rendered on first expand
+    this.rows = new Map();
+
+    this.handleClick = this.handleClick.bind(this);
+    this.container.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * Show a hierarchy
+   * @param {Object|null} root - Root node from describeSceneGraph, or null to clear
+   */
+  setTree(root) {
+    this.root = root;
+    this.rows.clear();
+    this.container.replaceChildren();
+
+    if (!root) {
+      const empty = document.createElement('div');
+      empty.className = 'scene-graph-empty';
+      empty.textContent = 'No model selected';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'scene-graph-tree';
+    list.setAttribute('role', 'tree');
+    list.appendChild(this.createNode(root, 0));
+    this.container.appendChild(list);
+
+    // Keep the selection if the node still exists
+    this.setSelected(
+      this.rows.has(this.selectedUuid) ? this.selectedUuid : null
+    );
+  }
+
+  /**
+   * Create the list item for a node
+   * @param {Object} node - Node description
+   * @param {number} depth - Depth in the tree
+   * @returns {HTMLElement} List item
+   */
+  createNode(node, depth) {
+    const item = document.createElement('li');
+    item.className = 'scene-graph-node';
+    item.setAttribute('role', 'treeitem');
+
+    const row = this.createRow(node);
+    item.appendChild(row);
+    this.rows.set(node.uuid, { node, item, row, depth, children: null });
+
+    if (node.children.length > 0) {
+      this.setExpanded(node.uuid, depth < this.options.expandDepth);
+    }
+
+    return item;
+  }
+
+  /**
+   * Create the row showing a node's details and actions
+   * @param {Object} node - Node description
+   * @returns {HTMLElement} Row element
+   */
+  createRow(node) {
+    const row = document.createElement('div');
+    row.className = 'scene-graph-row';
+    row.dataset.uuid = node.uuid;
+    row.dataset.action = 'select';
+    row.classList.toggle('is-hidden', !node.visible);
+
+    const toggle = this.createElement('button', 'scene-graph-toggle', '');
+    toggle.type = 'button';
+    if (node.children.length > 0) {
+      toggle.dataset.action = 'expand';
+      toggle.setAttribute('aria-label', 'Expand');
+    } else {
+      toggle.disabled = true;
+    }
+
+    const name = this.createElement(
+      'span',
+      'scene-graph-name',
+      node.name || `(${node.type})`
+    );
+    name.title = node.name || node.type;
+
+    row.append(
+      toggle,
+      name,
+      this.createElement('span', 'scene-graph-type', node.type),
+      this.createElement(
+        'span',
+        'scene-graph-triangles',
+        `${node.totalTriangles.toLocaleString()} ▲`
+      ),
+      this.createElement(
+        'span',
+        'scene-graph-material',
+        this.formatMaterials(node.materials)
+      ),
+      this.createButton(
+        'visibility',
+        node.visible ? '👁' : '—',
+        'Toggle visibility'
+      ),
+      this.createButton('frame', '⌖', 'Frame this node')
+    );
+
+    return row;
+  }
+
+  /**
+   * Create an element with a class and text
+   * @param {string} tag - Tag name
+   * @param {string} className - Class name
+   * @param {string} text - Text content
+   * @returns {HTMLElement} Element
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Create a row action button
+   * @param {string} action - Action name
+   * @param {string} label - Button text
+   * @param {string} title - Tooltip
+   * @returns {HTMLButtonElement} Button
+   */
+  createButton(action, label, title) {
+    const button = this.createElement(
+      'button',
+      `scene-graph-action scene-graph-${action}`,
+      label
+    );
+    button.type = 'button';
+    button.title = title;
+    button.dataset.action = action;
+    return button;
+  }
+
+  /**
+   * Summarize a node's materials
+   * @param {Array<Object>} materials - Materials as { name, type }
+   * @returns {string} Summary text
+   */
+  formatMaterials(materials) {
+    if (materials.length === 0) return '';
+
+    const [first] = materials;
+    const label = first.name || first.type;
+    return materials.length > 1 ? `${label} +${materials.length - 1}` : label;
+  }
+
+  /**
+   * Expand or collapse a node
+   * @param {string} uuid - Node uuid
+   * @param {boolean} expanded - Expanded state
+   */
+  setExpanded(uuid, expanded) {
+    const entry = this.rows.get(uuid);
+    if (!entry || entry.node.children.length === 0) return;
+
+    if (expanded && !entry.children) {
+      entry.children = document.createElement('ul');
+      entry.children.setAttribute('role', 'group');
+      entry.node.children.forEach(child => {
+        entry.children.appendChild(this.createNode(child, entry.depth + 1));
+      });
+      entry.item.appendChild(entry.children);
+    }
+
+    if (entry.children) {
+      entry.children.hidden = !expanded;
+    }
+
+    entry.item.setAttribute('aria-expanded', expanded);
+    entry.row.querySelector('.scene-graph-toggle').textContent = expanded
+      ? '▾'
+      : '▸';
+  }
+
+  /**
+   * Mark a node as selected
+   * @param {string|null} uuid - Node uuid, or null to clear
+   */
+  setSelected(uuid) {
+    this.rows.get(this.selectedUuid)?.row.classList.remove('is-selected');
+    this.selectedUuid = uuid;
+    this.rows.get(uuid)?.row.classList.add('is-selected');
+  }
+
+  /**
+   * Reflect a node's visibility
+   * @param {string} uuid - Node uuid
+   * @param {boolean} visible - Visibility
+   */
+  setNodeVisible(uuid, visible) {
+    const entry = this.rows.get(uuid);
+    if (!entry) return;
+
+    entry.node.visible = visible;
+    entry.row.classList.toggle('is-hidden', !visible);
+    entry.row.querySelector('.scene-graph-visibility').textContent = visible
+      ? '👁'
+      : '—';
+  }
+
+  /**
+   * Handle clicks on rows and row actions
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    const target = e.target.closest('[data-action]');
+    const row = e.target.closest('.scene-graph-row');
+    if (!target || !row) return;
+
+    const { uuid } = row.dataset;
+    const entry = this.rows.get(uuid);
+
+    switch (target.dataset.action) {
+      case 'expand':
+        this.setExpanded(uuid, entry.children?.hidden !== false);
+        break;
+      case 'visibility':
+        this.dispatchEvent(
+          new CustomEvent('visibilitytoggle', {
+            detail: { uuid, visible: !entry.node.visible },
+          })
+        );
+        break;
+      case 'frame':
+        this.dispatchEvent(new CustomEvent('nodeframe', { detail: { uuid } }));
+        break;
+      default: {
+        // Clicking the selected node again clears the selection
+        const selected = uuid === this.selectedUuid ? null : uuid;
+        this.setSelected(selected);
+        this.dispatchEvent(
+          new CustomEvent('nodeselect', { detail: { uuid: selected } })
+        );
+      }
+    }
+  }
+
+  /**
+   * Remove listeners and rendered rows
+   */
+  dispose() {
+    this.container.removeEventListener('click', this.handleClick);
+    this.container.replaceChildren();
+    this.rows.clear();
+    this.container = null;
+    this.root = null;
+  }
+}
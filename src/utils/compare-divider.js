@@ -0,0 +1,245 @@
+/**
+ * CompareDivider is the draggable line between the two views of compare mode
+ * Dispatches 'change' with the divider position as a fraction of the container width
+ */
+export class CompareDivider extends EventTarget {
+  constructor(container, options = {}) {
+    super();
+
+    this.container = container;
+    this.options = {
+      split: 0.5,
+      minSplit: 0.05,
+      maxSplit: 0.95,
+      keyboardStep: 0.02,
+      labels: [],
+      ...options,
+    };
+
+    this.element = null;
+    this.split = this.options.split;
+    this.isDragging = false;
+
+    // Bind methods
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Create the divider and its labels
+   */
+  init() {
+    this.addDividerStyles();
+
+    this.element = document.createElement('div');
+    this.element.className = 'compare-divider';
+    this.element.tabIndex = 0;
+    this.element.setAttribute('role', 'separator');
+    this.element.setAttribute('aria-orientation', 'vertical');
+    this.element.setAttribute('aria-label', 'Comparison divider');
+    this.element.innerHTML = '<div class="compare-divider-handle"></div>';
+
+    const [leftLabel, rightLabel] = this.options.labels;
+    this.leftLabel = this.createLabel(leftLabel, 'left');
+    this.rightLabel = this.createLabel(rightLabel, 'right');
+
+    this.element.addEventListener('pointerdown', this.handlePointerDown);
+    this.element.addEventListener('keydown', this.handleKeyDown);
+
+    this.container.appendChild(this.element);
+    this.setSplit(this.split);
+  }
+
+  /**
+   * Create a view label
+   * @param {string} text - Label text
+   * @param {string} side - 'left' or 'right'
+   * @returns {HTMLElement|null} Label element, or null without text
+   */
+  createLabel(text, side) {
+    if (!text) return null;
+
+    const label = document.createElement('div');
+    label.className = `compare-label compare-label-${side}`;
+    label.textContent = text;
+
+    this.container.appendChild(label);
+    return label;
+  }
+
+  /**
+   * Add CSS styles for the divider
+   */
+  addDividerStyles() {
+    if (document.getElementById('compare-divider-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'compare-divider-styles';
+    styles.textContent = `
+      .compare-divider {
+        position: absolute;
+        top: 0;
+        bottom: 0;
+        width: 24px;
+        margin-left: -12px;
+        cursor: ew-resize;
+        touch-action: none;
+        z-index: 500;
+      }
+
+      .compare-divider::before {
+        content: '';
+        position: absolute;
+        top: 0;
+        bottom: 0;
+        left: 11px;
+        width: 2px;
+        background: rgba(255, 255, 255, 0.9);
+        box-shadow: 0 0 4px rgba(0, 0, 0, 0.4);
+      }
+
+      .compare-divider-handle {
+        position: absolute;
+        top: 50%;
+        left: 0;
+        width: 24px;
+        height: 48px;
+        margin-top: -24px;
+        border-radius: 12px;
+        background: rgba(255, 255, 255, 0.95);
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+      }
+
+      .compare-divider:focus-visible .compare-divider-handle {
+        outline: 2px solid #2196f3;
+      }
+
+      .compare-label {
+        position: absolute;
+        top: 12px;
+        padding: 4px 10px;
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.6);
+        color: white;
+        font-size: 12px;
+        pointer-events: none;
+        z-index: 500;
+      }
+
+      .compare-label-left {
+        left: 12px;
+      }
+
+      .compare-label-right {
+        right: 12px;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Move the divider
+   * @param {number} split - Position as a fraction of the container width
+   */
+  setSplit(split) {
+    const { minSplit, maxSplit } = this.options;
+    this.split = Math.min(maxSplit, Math.max(minSplit, split));
+
+    this.element.style.left = `${this.split * 100}%`;
+    this.element.setAttribute('aria-valuenow', Math.round(this.split * 100));
+  }
+
+  /**
+   * Move the divider in response to user input and notify listeners
+   * @param {number} split - Requested position
+   */
+  updateSplit(split) {
+    const previous = this.split;
+    this.setSplit(split);
+
+    if (this.split !== previous) {
+      this.dispatchEvent(
+        new CustomEvent('change', { detail: { split: this.split } })
+      );
+    }
+  }
+
+  /**
+   * Start dragging the divider
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    e.preventDefault();
+    this.isDragging = true;
+    this.element.setPointerCapture(e.pointerId);
+    this.element.addEventListener('pointermove', this.handlePointerMove);
+    this.element.addEventListener('pointerup', this.handlePointerUp);
+    this.element.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Follow the pointer while dragging
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    if (!this.isDragging) return;
+
+    const rect = this.container.getBoundingClientRect();
+    this.updateSplit((e.clientX - rect.left) / rect.width);
+  }
+
+  /**
+   * Stop dragging the divider
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    this.isDragging = false;
+    this.element.releasePointerCapture(e.pointerId);
+    this.element.removeEventListener('pointermove', this.handlePointerMove);
+    this.element.removeEventListener('pointerup', this.handlePointerUp);
+    this.element.removeEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Move the divider with the arrow keys
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    const step = this.options.keyboardStep;
+
+    if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      this.updateSplit(this.split - step);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      this.updateSplit(this.split + step);
+    }
+  }
+
+  /**
+   * Remove the divider and its labels
+   */
+  dispose() {
+    this.element.removeEventListener('pointerdown', this.handlePointerDown);
+    this.element.removeEventListener('keydown', this.handleKeyDown);
+    this.element.removeEventListener('pointermove', this.handlePointerMove);
+    this.element.removeEventListener('pointerup', this.handlePointerUp);
+    this.element.removeEventListener('pointercancel', this.handlePointerUp);
+
+    [this.element, this.leftLabel, this.rightLabel].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+
+    this.element = null;
+    this.leftLabel = null;
+    this.rightLabel = null;
+    this.container = null;
+  }
+}
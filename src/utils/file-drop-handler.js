@@ -1,6 +1,18 @@
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import {
+  MODEL_EXTENSIONS,
+  MODEL_HEADER_SIZE,
+  matchesModelFormat,
+} from './model-formats.js';
+import { parsePresetFile } from './preset-serializer.js';
+
 /**
  * FileDropHandler handles drag and drop file uploads
- * Supports 3D model files (GLB, GLTF) with validation and preview
+ * Supports 3D model files (GLB, GLTF, OBJ, FBX, STL, PLY, 3MF) with validation and preview
+ * Multi-file and folder drops resolve a .gltf's external buffers and textures
+ * ZIP bundles are unpacked in the browser into the same virtual file map
+ * Material and lighting preset files (.json) are validated and handed over for import
+ * Images dropped on their own are handed over with the drop position, to texture the mesh there
  */
 export class FileDropHandler extends EventTarget {
   constructor(container, options = {}) {
@@ -8,8 +20,22 @@ export class FileDropHandler extends EventTarget {
 
     this.container = container;
     this.options = {
-      allowedExtensions: ['.glb', '.gltf'],
+      allowedExtensions: Object.keys(MODEL_EXTENSIONS),
+      resourceExtensions: [
+        '.bin',
+        '.mtl',
+        '.png',
+        '.jpg',
+        '.jpeg',
+        '.webp',
+        '.ktx2',
+      ],
+      environmentExtensions: ['.hdr', '.exr'],
+      archiveExtensions: ['.zip'],
+      presetExtensions: ['.json'],
+      textureExtensions: ['.png', '.jpg', '.jpeg', '.webp', '.ktx2'],
       maxFileSize: 50 * 1024 * 1024, // 50MB default
+      maxArchiveSize: 200 * 1024 * 1024, // 200MB total unpacked
       showDropZone: true,
       autoProcess: true,
       ...options,
@@ -23,6 +49,7 @@ export class FileDropHandler extends EventTarget {
     this.isDragOver = false;
     this.isProcessing = false;
     this.currentFile = null;
+    this.dropPosition = null; // Client coordinates of the last drop, null for browsed files
 
     // Validation
     this.supportedTypes = new Set([
@@ -30,6 +57,16 @@ export class FileDropHandler extends EventTarget {
       'model/gltf+json',
       'application/octet-stream', // GLB files might have this MIME type
       'application/json', // GLTF files might have this MIME type
+      'model/obj',
+      'model/stl',
+      'model/3mf',
+      'model/x.stl-binary',
+      'model/vnd.fbx',
+      'application/vnd.ms-pki.stl',
+      'application/vnd.ms-package.3dmanufacturing-3dmodel+xml',
+      'text/plain', // OBJ, ASCII STL and PLY are often reported as text
+      'application/zip',
+      'application/x-zip-compressed',
     ]);
 
     this.init();
@@ -63,7 +100,7 @@ export class FileDropHandler extends EventTarget {
       <div class="drop-zone-content">
         <div class="drop-icon">📁</div>
         <h3>Drop 3D Model Here</h3>
-        <p>Supports GLB and GLTF files</p>
+        <p>Supports GLB, GLTF, OBJ, FBX, STL, PLY and 3MF files, or a folder or ZIP bundle with textures, or a .json preset file. Drop an image onto the model to texture it.</p>
         <p class="file-size-limit">Max size: ${this.formatFileSize(this.options.maxFileSize)}</p>
         <button class="browse-button" type="button">Or Browse Files</button>
       </div>
@@ -78,10 +115,18 @@ export class FileDropHandler extends EventTarget {
     // Create hidden file input
     this.fileInput = document.createElement('input');
     this.fileInput.type = 'file';
-    this.fileInput.accept = this.options.allowedExtensions.join(',');
+    this.fileInput.multiple = true;
+    this.fileInput.accept = [
+      ...this.options.allowedExtensions,
+      ...this.options.resourceExtensions,
+      ...this.options.environmentExtensions,
+      ...this.options.archiveExtensions,
+      ...this.options.presetExtensions,
+    ].join(',');
     this.fileInput.style.display = 'none';
     this.fileInput.addEventListener('change', e => {
       if (e.target.files.length > 0) {
+        this.dropPosition = null;
         this.handleFiles(e.target.files);
       }
     });
@@ -296,8 +341,27 @@ export class FileDropHandler extends EventTarget {
       this.dropOverlay.classList.remove('drag-over');
     }
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
+    const { files, items } = e.dataTransfer;
+    this.dropPosition = { x: e.clientX, y: e.clientY };
+
+    // Entries must be captured synchronously, the DataTransfer is cleared after this handler
+    const entries = items
+      ? Array.from(items)
+          .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+          .filter(Boolean)
+      : [];
+
+    if (entries.some(entry => entry.isDirectory)) {
+      this.collectEntryFiles(entries)
+        .then(entryFiles => this.handleFiles(entryFiles))
+        .catch(error => {
+          console.error(
+            'FileDropHandler: Failed to read dropped folder:',
+            error
+          );
+          this.showErrorState('Failed to read dropped folder');
+        });
+    } else if (files.length > 0) {
       this.handleFiles(files);
     }
 
@@ -306,9 +370,298 @@ export class FileDropHandler extends EventTarget {
     );
   }
 
+  /**
+   * Recursively collect files from dropped file system entries
+   * @param {Array<FileSystemEntry>} entries - Dropped entries
+   * @returns {Promise<Array<{file: File, path: string}>>} Files with their relative paths
+   */
+  async collectEntryFiles(entries) {
+    const results = [];
+
+    const readEntry = async entry => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) =>
+          entry.file(resolve, reject)
+        );
+        results.push({ file, path: entry.fullPath.replace(/^\//, '') });
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+
+        // readEntries returns results in batches until an empty batch
+        let batch;
+        do {
+          batch = await new Promise((resolve, reject) =>
+            reader.readEntries(resolve, reject)
+          );
+          for (const child of batch) {
+            await readEntry(child);
+          }
+        } while (batch.length > 0);
+      }
+    };
+
+    for (const entry of entries) {
+      await readEntry(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Normalize files into path records
+   * @param {FileList|Array<File>|Array<{file: File, path: string}>} files - Input files
+   * @returns {Array<{file: File, path: string}>} Files with their relative paths
+   */
+  normalizeFileList(files) {
+    return Array.from(files).map(item =>
+      item instanceof File
+        ? { file: item, path: item.webkitRelativePath || item.name }
+        : item
+    );
+  }
+
+  /**
+   * Replace dropped archives with the files they contain
+   * @param {Array<{file: File, path: string}>} records - File records
+   * @returns {Promise<Array<{file: File, path: string}>>} Expanded file records
+   */
+  async expandArchives(records) {
+    const expanded = [];
+
+    for (const record of records) {
+      const extension = this.getFileExtension(record.file.name);
+      if (this.options.archiveExtensions.includes(extension)) {
+        expanded.push(...(await this.unpackArchive(record.file)));
+      } else {
+        expanded.push(record);
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Unpack a ZIP archive into virtual file records
+   * @param {File} archive - ZIP file
+   * @returns {Promise<Array<{file: File, path: string}>>} Unpacked file records
+   */
+  async unpackArchive(archive) {
+    if (archive.size > this.options.maxFileSize) {
+      throw new Error(
+        `Archive size (${this.formatFileSize(archive.size)}) exceeds maximum allowed size (${this.formatFileSize(this.options.maxFileSize)})`
+      );
+    }
+
+    const data = new Uint8Array(await archive.arrayBuffer());
+
+    // Check ZIP local file header magic number "PK\x03\x04"
+    if (
+      data.length < 4 ||
+      data[0] !== 0x50 ||
+      data[1] !== 0x4b ||
+      data[2] !== 0x03 ||
+      data[3] !== 0x04
+    ) {
+      throw new Error('Invalid ZIP archive format');
+    }
+
+    console.log(`FileDropHandler: Unpacking archive "${archive.name}"`);
+
+    // Check declared sizes before inflating anything
+    let totalSize = 0;
+    const entries = unzipSync(data, {
+      filter: entry => {
+        // Skip folders, macOS metadata and hidden files
+        if (
+          entry.name.endsWith('/') ||
+          /(^|\/)(__MACOSX\/|\.)/.test(entry.name)
+        ) {
+          return false;
+        }
+
+        if (entry.originalSize > this.options.maxFileSize) {
+          throw new Error(
+            `"${entry.name}" (${this.formatFileSize(entry.originalSize)}) exceeds maximum allowed size (${this.formatFileSize(this.options.maxFileSize)})`
+          );
+        }
+
+        totalSize += entry.originalSize;
+        if (totalSize > this.options.maxArchiveSize) {
+          throw new Error(
+            `Archive contents exceed maximum unpacked size (${this.formatFileSize(this.options.maxArchiveSize)})`
+          );
+        }
+
+        return true;
+      },
+    });
+
+    return Object.entries(entries).map(([path, bytes]) => ({
+      file: new File([bytes], path.split('/').pop()),
+      path,
+    }));
+  }
+
+  /**
+   * Find model files among dropped files
+   * @param {Array<{file: File, path: string}>} records - File records
+   * @returns {Array<{file: File, path: string}>} Model records, shallowest first
+   */
+  findModelCandidates(records) {
+    const candidates = records.filter(({ file }) =>
+      this.options.allowedExtensions.includes(this.getFileExtension(file.name))
+    );
+
+    candidates.sort(
+      (a, b) => a.path.split('/').length - b.path.split('/').length
+    );
+
+    return candidates;
+  }
+
+  /**
+   * Pick the primary model file, asking the user when there are several
+   * @param {Array<{file: File, path: string}>} records - File records
+   * @returns {Promise<{file: File, path: string}|null>} Primary model record, or null if cancelled
+   */
+  async selectPrimaryFile(records) {
+    const candidates = this.findModelCandidates(records);
+
+    if (candidates.length <= 1) {
+      return candidates[0] || records[0] || null;
+    }
+
+    return this.promptFileChoice(candidates);
+  }
+
+  /**
+   * Add CSS styles for the model file chooser
+   */
+  addFileChoiceStyles() {
+    if (document.getElementById('file-choice-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'file-choice-styles';
+    styles.textContent = `
+      .file-choice-list {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        margin-top: 16px;
+        max-height: 240px;
+        overflow-y: auto;
+      }
+
+      .file-choice-button {
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        padding: 10px 14px;
+        border-radius: 6px;
+        font-size: 14px;
+        text-align: left;
+        cursor: pointer;
+        word-break: break-all;
+        transition: background 0.3s ease;
+      }
+
+      .file-choice-button:hover {
+        background: rgba(33, 150, 243, 0.4);
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Ask the user to choose between several model files
+   * @param {Array<{file: File, path: string}>} candidates - Model records
+   * @returns {Promise<{file: File, path: string}|null>} Chosen record, or null if cancelled
+   */
+  promptFileChoice(candidates) {
+    return this.promptChoice({
+      icon: '🗂️',
+      title: 'Choose a Model',
+      message: `This upload contains ${candidates.length} model files`,
+      choices: candidates.map(record => ({
+        label: `${record.path} (${this.formatFileSize(record.file.size)})`,
+        value: record,
+      })),
+    });
+  }
+
+  /**
+   * Ask the user to pick one of several choices in the drop overlay
+   * @param {Object} prompt - Prompt to show
+   * @param {string} prompt.icon - Icon shown above the title
+   * @param {string} prompt.title - Title
+   * @param {string} prompt.message - Explanation below the title
+   * @param {Array<{label: string, value: *}>} prompt.choices - Choices, in display order
+   * @returns {Promise<*>} Value of the chosen choice, or null if cancelled
+   */
+  promptChoice({ icon, title, message, choices }) {
+    if (!this.dropOverlay) {
+      return Promise.resolve(choices[0]?.value ?? null);
+    }
+
+    this.addFileChoiceStyles();
+
+    return new Promise(resolve => {
+      const content = this.dropOverlay.querySelector('.drop-zone-content');
+      content.innerHTML = `
+        <div class="drop-icon"></div>
+        <h3></h3>
+        <p></p>
+        <div class="file-choice-list"></div>
+        <button class="browse-button" type="button">Cancel</button>
+      `;
+
+      // Use textContent so file and mesh names are never parsed as HTML
+      content.querySelector('.drop-icon').textContent = icon;
+      content.querySelector('h3').textContent = title;
+      content.querySelector('p').textContent = message;
+
+      const list = content.querySelector('.file-choice-list');
+      choices.forEach(choice => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'file-choice-button';
+        button.textContent = choice.label;
+        button.addEventListener('click', () => {
+          this.resetState();
+          resolve(choice.value);
+        });
+        list.appendChild(button);
+      });
+
+      content.querySelector('.browse-button').addEventListener('click', () => {
+        this.hideDropZone();
+        this.resetState();
+        resolve(null);
+      });
+
+      this.showDropZone();
+    });
+  }
+
+  /**
+   * Build object URLs for every dropped file keyed by relative path
+   * @param {Array<{file: File, path: string}>} records - File records
+   * @returns {Map<string, string>} Relative path to object URL map
+   */
+  createUrlMap(records) {
+    const urlMap = new Map();
+
+    for (const { file, path } of records) {
+      urlMap.set(path, URL.createObjectURL(file));
+    }
+
+    return urlMap;
+  }
+
   /**
    * Handle dropped or selected files
-   * @param {FileList} files - Files to process
+   * @param {FileList|Array} files - Files to process (File objects or {file, path} records)
    */
   async handleFiles(files) {
     if (this.isProcessing) {
@@ -316,24 +669,64 @@ export class FileDropHandler extends EventTarget {
       return;
     }
 
-    const file = files[0]; // Only handle first file for now
+    let records = this.normalizeFileList(files);
 
-    if (!file) {
+    if (records.length === 0) {
       console.warn('FileDropHandler: No file provided');
       return;
     }
 
-    console.log(`FileDropHandler: Processing file "${file.name}"`);
+    // Block further drops while archives are unpacked or the user is choosing
+    this.isProcessing = true;
+    let { file } = records[0];
 
     try {
+      records = await this.expandArchives(records);
+
+      // Preset files are imported rather than loaded as a model
+      if (records.every(record => this.isPresetFile(record.file))) {
+        for (const record of records) {
+          ({ file } = record);
+          await this.processPresetFile(file);
+        }
+        this.isProcessing = false;
+        return;
+      }
+
+      // Images dropped on their own texture the mesh under the cursor
+      if (records.every(record => this.isTextureFile(record.file))) {
+        if (records.length > 1) {
+          throw new Error('Drop one texture image at a time');
+        }
+        ({ file } = records[0]);
+        await this.processTextureFile(file);
+        return;
+      }
+
+      const primary = await this.selectPrimaryFile(records);
+      if (!primary) {
+        console.log('FileDropHandler: File selection cancelled');
+        this.isProcessing = false;
+        return;
+      }
+      ({ file } = primary);
+
+      console.log(
+        `FileDropHandler: Processing file "${file.name}" (${records.length} files dropped)`
+      );
+
       // Validate file
       const validation = await this.validateFile(file);
       if (!validation.valid) {
         throw new Error(validation.error);
       }
 
+      // Validate external resources and drop anything unrelated
+      const accepted = this.filterResourceFiles(
+        records.filter(record => record !== primary)
+      );
+
       this.currentFile = file;
-      this.isProcessing = true;
 
       // Show processing state
       this.showProcessingState();
@@ -346,21 +739,11 @@ export class FileDropHandler extends EventTarget {
       );
 
       if (this.options.autoProcess) {
-        // Create object URL and dispatch for loading
-        const objectUrl = URL.createObjectURL(file);
-
-        this.dispatchEvent(
-          new CustomEvent('fileready', {
-            detail: {
-              file,
-              url: objectUrl,
-              cleanup: () => URL.revokeObjectURL(objectUrl),
-            },
-          })
-        );
+        this.dispatchFileReady(primary, accepted);
       }
     } catch (error) {
       console.error('FileDropHandler: File processing failed:', error);
+      this.isProcessing = false;
       this.showErrorState(error.message);
 
       this.dispatchEvent(
@@ -371,6 +754,183 @@ export class FileDropHandler extends EventTarget {
     }
   }
 
+  /**
+   * Check if a file is a material and lighting preset file
+   * @param {File} file - File to check
+   * @returns {boolean} True for preset files
+   */
+  isPresetFile(file) {
+    return this.options.presetExtensions.includes(
+      this.getFileExtension(file.name)
+    );
+  }
+
+  /**
+   * Read and validate a preset file and dispatch presetready
+   * @param {File} file - Preset file
+   */
+  async processPresetFile(file) {
+    if (file.size > this.options.maxFileSize) {
+      throw new Error(
+        `File size (${this.formatFileSize(file.size)}) exceeds maximum allowed size (${this.formatFileSize(this.options.maxFileSize)})`
+      );
+    }
+
+    let presets;
+    try {
+      presets = parsePresetFile(await file.text());
+    } catch (error) {
+      throw new Error(`Invalid preset file "${file.name}": ${error.message}`);
+    }
+
+    console.log(`FileDropHandler: Preset file "${file.name}" is valid`);
+    this.hideDropZone();
+
+    this.dispatchEvent(
+      new CustomEvent('presetready', { detail: { file, presets } })
+    );
+  }
+
+  /**
+   * Check if a file is a texture image
+   * @param {File} file - File to check
+   * @returns {boolean} True for texture images
+   */
+  isTextureFile(file) {
+    return this.options.textureExtensions.includes(
+      this.getFileExtension(file.name)
+    );
+  }
+
+  /**
+   * Validate a dropped texture image and dispatch textureready
+   * The handler stays busy until the listener calls setProcessingComplete or showErrorState.
+   * @param {File} file - Texture image
+   */
+  async processTextureFile(file) {
+    if (file.size > this.options.maxFileSize) {
+      throw new Error(
+        `File size (${this.formatFileSize(file.size)}) exceeds maximum allowed size (${this.formatFileSize(this.options.maxFileSize)})`
+      );
+    }
+
+    const extension = this.getFileExtension(file.name);
+    const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+    if (!this.matchesTextureFormat(extension, header)) {
+      throw new Error(
+        `Invalid ${extension.slice(1).toUpperCase()} image "${file.name}"`
+      );
+    }
+
+    this.currentFile = file;
+    const url = URL.createObjectURL(file);
+
+    this.dispatchEvent(
+      new CustomEvent('textureready', {
+        detail: {
+          file,
+          url,
+          extension,
+          position: this.dropPosition,
+          cleanup: () => URL.revokeObjectURL(url),
+        },
+      })
+    );
+  }
+
+  /**
+   * Check an image's magic bytes against its extension
+   * @param {string} extension - File extension
+   * @param {Uint8Array} bytes - First 12 bytes of the file
+   * @returns {boolean} True if the bytes match the format
+   */
+  matchesTextureFormat(extension, bytes) {
+    const startsWith = (signature, offset = 0) =>
+      signature.every((byte, index) => bytes[offset + index] === byte);
+    const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+    switch (extension) {
+      case '.png':
+        return startsWith([0x89, 0x50, 0x4e, 0x47]);
+      case '.jpg':
+      case '.jpeg':
+        return startsWith([0xff, 0xd8, 0xff]);
+      case '.webp':
+        return startsWith(ascii('RIFF')) && startsWith(ascii('WEBP'), 8);
+      case '.ktx2':
+        return startsWith([
+          0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a,
+          0x0a,
+        ]);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Validate external resources, dropping unrelated files
+   * @param {Array<{file: File, path: string}>} records - Non-primary file records
+   * @returns {Array<{file: File, path: string}>} Accepted resource records
+   */
+  filterResourceFiles(records) {
+    const accepted = [];
+
+    for (const record of records) {
+      const validation = this.validateResourceFile(record.file);
+      if (validation.valid) {
+        accepted.push(record);
+      } else if (validation.fatal) {
+        throw new Error(validation.error);
+      } else {
+        console.warn(
+          `FileDropHandler: Ignoring "${record.path}": ${validation.error}`
+        );
+      }
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Create object URLs for the primary file and its resources and dispatch fileready
+   * @param {{file: File, path: string}} primary - Primary model record
+   * @param {Array<{file: File, path: string}>} resources - Accepted resource records
+   */
+  dispatchFileReady(primary, resources) {
+    const { file } = primary;
+    const objectUrl = URL.createObjectURL(file);
+
+    // External resources resolve relative to the primary file's directory
+    const urlMap = this.createUrlMap(resources);
+    const rootPath = primary.path.includes('/')
+      ? primary.path.slice(0, primary.path.lastIndexOf('/') + 1)
+      : '';
+
+    // Bundled environment maps are loaded through the same URL map
+    const environment = resources.find(record =>
+      this.options.environmentExtensions.includes(
+        this.getFileExtension(record.file.name)
+      )
+    );
+
+    this.dispatchEvent(
+      new CustomEvent('fileready', {
+        detail: {
+          file,
+          url: objectUrl,
+          files: resources.map(record => record.file),
+          urlMap: urlMap.size > 0 ? urlMap : null,
+          rootPath,
+          environmentPath: environment ? environment.path : null,
+          cleanup: () => {
+            URL.revokeObjectURL(objectUrl);
+            urlMap.forEach(url => URL.revokeObjectURL(url));
+          },
+        },
+      })
+    );
+  }
+
   /**
    * Validate uploaded file
    * @param {File} file - File to validate
@@ -418,6 +978,34 @@ export class FileDropHandler extends EventTarget {
     return { valid: true };
   }
 
+  /**
+   * Validate an external resource file accompanying a .gltf
+   * @param {File} file - Resource file
+   * @returns {Object} Validation result (fatal errors abort the whole drop)
+   */
+  validateResourceFile(file) {
+    const extension = this.getFileExtension(file.name);
+    if (
+      !this.options.resourceExtensions.includes(extension) &&
+      !this.options.environmentExtensions.includes(extension)
+    ) {
+      return {
+        valid: false,
+        error: `File type "${extension}" is not a supported model resource`,
+      };
+    }
+
+    if (file.size > this.options.maxFileSize) {
+      return {
+        valid: false,
+        fatal: true,
+        error: `Resource "${file.name}" (${this.formatFileSize(file.size)}) exceeds maximum allowed size (${this.formatFileSize(this.options.maxFileSize)})`,
+      };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Validate file content (basic checks)
    * @param {File} file - File to validate
@@ -464,6 +1052,16 @@ export class FileDropHandler extends EventTarget {
             });
             return;
           }
+        } else if (
+          MODEL_EXTENSIONS[extension] &&
+          !matchesModelFormat(MODEL_EXTENSIONS[extension], data, file.size)
+        ) {
+          // Check the format's magic bytes or text signature
+          resolve({
+            valid: false,
+            error: `Invalid ${extension.slice(1).toUpperCase()} file format`,
+          });
+          return;
         }
 
         resolve({ valid: true });
@@ -476,8 +1074,8 @@ export class FileDropHandler extends EventTarget {
         });
       };
 
-      // Read first 1KB for validation
-      const blob = file.slice(0, 1024);
+      // Read the header for validation
+      const blob = file.slice(0, MODEL_HEADER_SIZE);
       reader.readAsArrayBuffer(blob);
     });
   }
@@ -513,9 +1111,12 @@ export class FileDropHandler extends EventTarget {
       content.innerHTML = `
         <div class="drop-icon">❌</div>
         <h3>Upload Failed</h3>
-        <p>${errorMessage}</p>
+        <p></p>
         <button class="browse-button" onclick="location.reload()">Try Again</button>
       `;
+
+      // Messages quote file, archive entry and preset names, never parse them as HTML
+      content.querySelector('p').textContent = errorMessage;
     }
 
     // Hide after 5 seconds
@@ -578,7 +1179,7 @@ export class FileDropHandler extends EventTarget {
       content.innerHTML = `
         <div class="drop-icon">📁</div>
         <h3>Drop 3D Model Here</h3>
-        <p>Supports GLB and GLTF files</p>
+        <p>Supports GLB, GLTF, OBJ, FBX, STL, PLY and 3MF files, or a folder or ZIP bundle with textures, or a .json preset file. Drop an image onto the model to texture it.</p>
         <p class="file-size-limit">Max size: ${this.formatFileSize(this.options.maxFileSize)}</p>
         <button class="browse-button" type="button">Or Browse Files</button>
       `;
@@ -0,0 +1,269 @@
+import { deserializeScene } from './scene-transfer.js';
+
+/**
+ * GLTFWorkerLoader runs glTF fetching, decoding and parsing in a Web Worker
+ * Geometry buffers and images are transferred back and the scene graph is rebuilt on
+ * the main thread. Models the worker cannot handle reject with a WorkerFallbackError so
+ * the caller can parse them on the main thread instead.
+ */
+export class GLTFWorkerLoader {
+  constructor(options = {}) {
+    this.options = {
+      dracoDecoderPath: null,
+      basisTranscoderPath: null,
+      ktx2Support: null,
+      enableMeshOpt: true,
+      ...options,
+    };
+
+    this.worker = null;
+    this.requests = new Map();
+    this.nextRequestId = 1;
+
+    // Set when the environment cannot run the worker path at all
+    this.disabledReason = null;
+  }
+
+  /**
+   * Check if module workers with ImageBitmap decoding can be used
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined'
+    );
+  }
+
+  /**
+   * Check if the worker path can be used for the next load
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return !this.disabledReason && GLTFWorkerLoader.isSupported();
+  }
+
+  /**
+   * Create the worker on first use
+   * @returns {Worker} Worker instance
+   * @private
+   */
+  _getWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(
+      new URL('../workers/gltf-parse-worker.js', import.meta.url),
+      { type: 'module' }
+    );
+    this.worker.onmessage = event => this._handleMessage(event.data);
+
+    // A worker that fails to start (e.g. no module worker support) disables the path
+    this.worker.onerror = event => {
+      event.preventDefault();
+      this._disable(event.message || 'Worker failed to start');
+    };
+
+    this.worker.postMessage({
+      type: 'init',
+      config: {
+        dracoDecoderPath: this._absoluteUrl(this.options.dracoDecoderPath),
+        basisTranscoderPath: this._absoluteUrl(
+          this.options.basisTranscoderPath
+        ),
+        ktx2Support: this.options.ktx2Support,
+        enableMeshOpt: this.options.enableMeshOpt,
+      },
+    });
+
+    return this.worker;
+  }
+
+  /**
+   * Resolve a URL against the page, since relative URLs in a worker resolve against its script
+   * @param {string} url - URL to resolve
+   * @returns {string|null} Absolute URL
+   * @private
+   */
+  _absoluteUrl(url) {
+    return url ? new URL(url, globalThis.location?.href).href : null;
+  }
+
+  /**
+   * Load and parse a glTF/GLB model in the worker
+   * @param {string} url - Model URL
+   * @param {Object} options - Load options
+   * @param {Object} options.resolver - External resource resolution (see createUrlModifier)
+   * @param {AbortSignal} options.signal - Signal that cancels the request
+   * @param {Function} options.onProgress - Download progress callback
+   * @returns {Promise<Object>} { scene, animations, userData }
+   */
+  load(url, options = {}) {
+    const { resolver = {}, signal, onProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Worker load aborted', 'AbortError'));
+        return;
+      }
+
+      const id = this.nextRequestId++;
+      const onAbort = () => {
+        this.worker?.postMessage({ type: 'abort', id });
+        this._settle(id);
+        reject(new DOMException('Worker load aborted', 'AbortError'));
+      };
+
+      this.requests.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        cleanup: () => signal?.removeEventListener('abort', onAbort),
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        this._getWorker().postMessage({
+          type: 'load',
+          id,
+          url: this._absoluteUrl(url),
+          resolver: {
+            ...resolver,
+            rootUrl: this._absoluteUrl(resolver.rootUrl || url),
+            originalUrl: this._absoluteUrl(resolver.originalUrl),
+          },
+        });
+      } catch (error) {
+        this._settle(id);
+        this._disable(error.message);
+        reject(this._createFallbackError(error.message));
+      }
+    });
+  }
+
+  /**
+   * Remove a pending request
+   * @param {number} id - Request id
+   * @returns {Object|null} Removed request
+   * @private
+   */
+  _settle(id) {
+    const request = this.requests.get(id);
+    if (!request) return null;
+
+    request.cleanup();
+    this.requests.delete(id);
+    return request;
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - Worker message
+   * @private
+   */
+  _handleMessage(message) {
+    // Requests that were aborted have already been settled
+    if (message.type === 'progress') {
+      this.requests.get(message.id)?.onProgress?.(message);
+      return;
+    }
+
+    const request = this._settle(message.id);
+    if (!request) return;
+
+    switch (message.type) {
+      case 'load':
+        this._resolveScene(request, message.data);
+        break;
+      case 'fallback':
+        if (message.permanent) {
+          this._disable(message.reason);
+        }
+        request.reject(this._createFallbackError(message.reason));
+        break;
+      default:
+        request.reject(this._createWorkerError(message));
+    }
+  }
+
+  /**
+   * Rebuild a transferred scene and resolve its request
+   * A scene that fails to rebuild is handed back for main-thread parsing
+   * @param {Object} request - Pending request
+   * @param {Object} data - Serialized scene data
+   * @private
+   */
+  _resolveScene(request, data) {
+    try {
+      const { scene, animations } = deserializeScene(data);
+      request.resolve({ scene, animations, userData: data.userData || {} });
+    } catch (error) {
+      console.error('GLTFWorkerLoader: Failed to rebuild scene:', error);
+      request.reject(this._createFallbackError(error.message));
+    }
+  }
+
+  /**
+   * Recreate an error raised in the worker
+   * Keeps the name and HTTP status so retry classification still applies
+   * @param {Object} message - Error message ({ name, message, status })
+   * @returns {Error} Error
+   * @private
+   */
+  _createWorkerError(message) {
+    const error =
+      message.name === 'TypeError'
+        ? new TypeError(message.message)
+        : new Error(message.message);
+    error.name = message.name;
+
+    if (typeof message.status === 'number') {
+      error.response = { status: message.status };
+    }
+
+    return error;
+  }
+
+  /**
+   * Create the error that tells the caller to parse on the main thread
+   * @param {string} reason - Why the worker path cannot be used
+   * @returns {Error} Error named WorkerFallbackError
+   * @private
+   */
+  _createFallbackError(reason) {
+    const error = new Error(reason);
+    error.name = 'WorkerFallbackError';
+    return error;
+  }
+
+  /**
+   * Disable the worker path and hand pending requests back to the caller
+   * @param {string} reason - Why the worker path is unavailable
+   * @private
+   */
+  _disable(reason) {
+    if (this.disabledReason) return;
+
+    this.disabledReason = reason;
+    console.warn(`GLTFWorkerLoader: Disabled (${reason})`);
+
+    for (const id of Array.from(this.requests.keys())) {
+      this._settle(id).reject(this._createFallbackError(reason));
+    }
+
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  /**
+   * Terminate the worker and reject pending requests
+   */
+  dispose() {
+    for (const id of Array.from(this.requests.keys())) {
+      this._settle(id).reject(
+        new DOMException('Worker loader disposed', 'AbortError')
+      );
+    }
+
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Mesh selection by name
+ * Patterns are exact names, globs with * and ? wildcards, or regular expressions
+ */
+
+/**
+ * Create a test for one name pattern
+ * @param {string|RegExp} pattern - Name, glob or regular expression
+ * @returns {Function} Returns true for matching names
+ */
+export function createNameMatcher(pattern) {
+  if (pattern instanceof RegExp) {
+    return name => {
+      // Global and sticky expressions keep state between tests
+      pattern.lastIndex = 0;
+      return pattern.test(name);
+    };
+  }
+
+  if (!/[*?]/.test(pattern)) {
+    return name => name === pattern;
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const expression = new RegExp(`^${source}$`);
+
+  return name => expression.test(name);
+}
+
+/**
+ * Check a name against several patterns
+ * @param {string} name - Name to test
+ * @param {Array<string|RegExp>} patterns - Patterns (see createNameMatcher)
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesName(name, patterns) {
+  return patterns.some(pattern => createNameMatcher(pattern)(name));
+}
+
+/**
+ * Find the meshes of a model matching mesh or material name patterns
+ * @param {THREE.Object3D} root - Model to search
+ * @param {Object} selector - Patterns to match
+ * @param {Array<string|RegExp>} selector.meshes - Mesh name patterns
+ * @param {Array<string|RegExp>} selector.materials - Material name patterns
+ * @param {Function} getMaterial - Returns the material(s) to match a mesh by (defaults to mesh.material)
+ * @returns {Array<THREE.Mesh>} Meshes matching any pattern, in traversal order
+ */
+export function selectMeshes(
+  root,
+  selector = {},
+  getMaterial = mesh => mesh.material
+) {
+  const meshMatchers = (selector.meshes || []).map(createNameMatcher);
+  const materialMatchers = (selector.materials || []).map(createNameMatcher);
+  const meshes = [];
+
+  root.traverse(child => {
+    if (!child.isMesh) return;
+
+    const material = getMaterial(child);
+    const materialNames = (Array.isArray(material) ? material : [material])
+      .filter(Boolean)
+      .map(({ name }) => name);
+
+    if (
+      meshMatchers.some(matches => matches(child.name)) ||
+      materialMatchers.some(matches => materialNames.some(matches))
+    ) {
+      meshes.push(child);
+    }
+  });
+
+  return meshes;
+}
+
+/**
+ * Resolve a target selector to the meshes of a model
+ * A selector is a name pattern or list of patterns (matching mesh or material names),
+ * { meshes, materials } patterns, or a mesh or list of meshes (e.g. picked ones).
+ * @param {THREE.Object3D} root - Model to search
+ * @param {string|RegExp|Array|Object|THREE.Mesh|null} target - Selector, or null for every mesh
+ * @param {Function} getMaterial - Returns the material(s) to match a mesh by (defaults to mesh.material)
+ * @returns {Array<THREE.Mesh>} Meshes of the model matching the selector
+ */
+export function selectTargetMeshes(root, target = null, getMaterial) {
+  if (target === null || target === undefined) {
+    return selectMeshes(root, { meshes: ['*'] });
+  }
+
+  const targets = Array.isArray(target) ? target : [target];
+
+  // Mesh objects are taken as they are, as long as they belong to the model
+  if (targets.length > 0 && targets.every(item => item?.isObject3D)) {
+    return targets.filter(
+      item => item.isMesh && root.getObjectById(item.id) === item
+    );
+  }
+
+  if (
+    targets.every(item => typeof item === 'string' || item instanceof RegExp)
+  ) {
+    return selectMeshes(
+      root,
+      { meshes: targets, materials: targets },
+      getMaterial
+    );
+  }
+
+  return selectMeshes(root, target, getMaterial);
+}
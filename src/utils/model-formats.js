@@ -0,0 +1,106 @@
+/**
+ * Model format detection utilities
+ * Shared magic-byte signatures used by ModelManager and FileDropHandler
+ */
+
+/**
+ * Number of header bytes needed to sniff every supported format
+ */
+export const MODEL_HEADER_SIZE = 1024;
+
+/**
+ * Model format keyed by file extension
+ */
+export const MODEL_EXTENSIONS = {
+  '.glb': 'gltf',
+  '.gltf': 'gltf',
+  '.fbx': 'fbx',
+  '.ply': 'ply',
+  '.3mf': '3mf',
+  '.stl': 'stl',
+  '.obj': 'obj',
+};
+
+/**
+ * Decode header bytes as Latin-1 so binary data maps 1:1 to characters
+ * @param {Uint8Array} bytes - Header bytes
+ * @returns {string} Decoded header text
+ */
+function decodeHeader(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+/**
+ * Check if a header belongs to a binary STL of the given total size
+ * Binary STL has an 80-byte header, a uint32 triangle count and 50 bytes per triangle
+ * @param {Uint8Array} bytes - Header bytes
+ * @param {number} size - Total file size in bytes
+ * @returns {boolean} True if the size matches the triangle count
+ */
+function isBinarySTL(bytes, size) {
+  if (!size || bytes.length < 84) return false;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const triangles = view.getUint32(80, true);
+
+  return 84 + triangles * 50 === size;
+}
+
+/**
+ * Magic-byte signatures keyed by format name, checked in declaration order
+ * Text-based formats with weak signatures (STL, OBJ) are checked last
+ */
+export const MODEL_SIGNATURES = {
+  gltf: (bytes, text) => text.startsWith('glTF') || /^\s*\{/.test(text),
+  fbx: (bytes, text) =>
+    text.startsWith('Kaydara FBX Binary') || /^\s*;\s*FBX/.test(text),
+  ply: (bytes, text) => /^ply\r?\n/.test(text),
+  '3mf': (bytes, text) =>
+    text.startsWith('PK\x03\x04') &&
+    /\[Content_Types\]\.xml|_rels\/|3D\//.test(text),
+  stl: (bytes, text, size) =>
+    isBinarySTL(bytes, size) ||
+    (/^\s*solid/.test(text) && /facet|endsolid/.test(text)),
+  obj: (bytes, text) =>
+    !text.includes('\0') && /^\s*(#|v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(text),
+};
+
+/**
+ * Detect model format from header bytes
+ * @param {Uint8Array|ArrayBuffer} header - First bytes of the file
+ * @param {number} size - Total file size in bytes (optional, improves STL detection)
+ * @param {Array<string>} formats - Formats to consider (defaults to all known signatures)
+ * @returns {string|null} Detected format name or null
+ */
+export function detectModelFormat(
+  header,
+  size = 0,
+  formats = Object.keys(MODEL_SIGNATURES)
+) {
+  const bytes = header instanceof Uint8Array ? header : new Uint8Array(header);
+  const text = decodeHeader(bytes.subarray(0, MODEL_HEADER_SIZE));
+
+  for (const format of formats) {
+    const signature = MODEL_SIGNATURES[format];
+    if (signature && signature(bytes, text, size)) {
+      return format;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check header bytes against a specific format signature
+ * @param {string} format - Format name
+ * @param {Uint8Array|ArrayBuffer} header - First bytes of the file
+ * @param {number} size - Total file size in bytes (optional)
+ * @returns {boolean} True if the header matches
+ */
+export function matchesModelFormat(format, header, size = 0) {
+  return detectModelFormat(header, size, [format]) === format;
+}
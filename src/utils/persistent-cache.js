@@ -0,0 +1,294 @@
+/**
+ * PersistentModelCache stores raw model bytes in IndexedDB across sessions
+ * Entries are keyed by URL with an ETag or content hash version, kept under a byte budget with LRU eviction
+ */
+export class PersistentModelCache {
+  constructor(options = {}) {
+    this.options = {
+      dbName: 'product-viewer-model-cache',
+      maxBytes: 200 * 1024 * 1024, // 200MB default
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days for entries without validators
+      ...options,
+    };
+
+    // Metadata is kept apart from the bytes so eviction never reads model data
+    this.metaStore = 'entries';
+    this.blobStore = 'blobs';
+
+    this.totalBytes = 0;
+    this.entryCount = 0;
+
+    this._dbPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is available in this environment
+   * @returns {boolean} True if available
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating stores on first use
+   * @returns {Promise<IDBDatabase>} Database connection
+   * @private
+   */
+  _open() {
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const meta = db.createObjectStore(this.metaStore, { keyPath: 'url' });
+        meta.createIndex('lastAccess', 'lastAccess');
+        db.createObjectStore(this.blobStore);
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async db => {
+      await this._refreshTotals(db);
+      return db;
+    });
+
+    // Allow a later call to retry after a failed open
+    this._dbPromise.catch(() => {
+      this._dbPromise = null;
+    });
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Run a transaction and resolve when it completes
+   * @param {IDBDatabase} db - Database connection
+   * @param {string} mode - Transaction mode
+   * @param {Function} callback - Receives the meta and blob stores, may return a request
+   * @returns {Promise<*>} Result of the returned request, if any
+   * @private
+   */
+  _transaction(db, mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        [this.metaStore, this.blobStore],
+        mode
+      );
+      const request = callback(
+        transaction.objectStore(this.metaStore),
+        transaction.objectStore(this.blobStore)
+      );
+
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Recount stored entries and bytes from metadata
+   * @param {IDBDatabase} db - Database connection
+   * @private
+   */
+  async _refreshTotals(db) {
+    const entries = await this._transaction(db, 'readonly', meta =>
+      meta.getAll()
+    );
+
+    this.entryCount = entries.length;
+    this.totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  /**
+   * Get a stored entry and mark it as recently used
+   * @param {string} url - Model URL
+   * @returns {Promise<Object|null>} Entry metadata with blob, or null if missing
+   */
+  async get(url) {
+    const db = await this._open();
+
+    const meta = await this._transaction(db, 'readonly', store =>
+      store.get(url)
+    );
+    if (!meta) return null;
+
+    const blob = await this._transaction(db, 'readonly', (store, blobs) =>
+      blobs.get(url)
+    );
+    if (!blob) {
+      await this.delete(url);
+      return null;
+    }
+
+    await this.touch(url);
+    return { ...meta, blob };
+  }
+
+  /**
+   * Update the last access time of an entry
+   * @param {string} url - Model URL
+   * @param {Object} changes - Additional metadata to update (e.g. storedAt after revalidation)
+   */
+  async touch(url, changes = {}) {
+    const db = await this._open();
+
+    await this._transaction(db, 'readwrite', meta => {
+      const request = meta.get(url);
+      request.onsuccess = () => {
+        if (request.result) {
+          meta.put({ ...request.result, lastAccess: Date.now(), ...changes });
+        }
+      };
+    });
+  }
+
+  /**
+   * Check if an entry can be served without revalidating
+   * Entries with an ETag or Last-Modified validator are always revalidated
+   * @param {Object} entry - Entry metadata
+   * @returns {boolean} True if the entry is fresh
+   */
+  isFresh(entry) {
+    if (entry.etag || entry.lastModified) return false;
+    return Date.now() - entry.storedAt < this.options.maxAge;
+  }
+
+  /**
+   * Store model bytes, evicting least recently used entries to fit the budget
+   * @param {string} url - Model URL
+   * @param {Blob} blob - Raw model bytes
+   * @param {Object} validators - Version information (etag, lastModified, hash)
+   * @returns {Promise<boolean>} True if stored
+   */
+  async put(url, blob, validators = {}) {
+    if (blob.size > this.options.maxBytes) {
+      console.warn(
+        `PersistentModelCache: ${url} (${blob.size} bytes) exceeds the cache budget`
+      );
+      return false;
+    }
+
+    const db = await this._open();
+
+    // Replacing an entry frees its bytes first
+    await this.delete(url);
+    await this._evictToFit(db, blob.size);
+
+    const now = Date.now();
+    const entry = {
+      url,
+      size: blob.size,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      hash: validators.hash || null,
+      storedAt: now,
+      lastAccess: now,
+    };
+
+    await this._transaction(db, 'readwrite', (meta, blobs) => {
+      meta.put(entry);
+      blobs.put(blob, url);
+    });
+
+    this.entryCount++;
+    this.totalBytes += blob.size;
+
+    console.log(
+      `PersistentModelCache: Stored ${url} (${blob.size} bytes, ${this.totalBytes} total)`
+    );
+    return true;
+  }
+
+  /**
+   * Evict least recently used entries until the new bytes fit
+   * @param {IDBDatabase} db - Database connection
+   * @param {number} incomingBytes - Size of the entry being added
+   * @private
+   */
+  async _evictToFit(db, incomingBytes) {
+    if (this.totalBytes + incomingBytes <= this.options.maxBytes) return;
+
+    const entries = await this._transaction(db, 'readonly', meta =>
+      meta.index('lastAccess').getAll()
+    );
+
+    for (const entry of entries) {
+      if (this.totalBytes + incomingBytes <= this.options.maxBytes) break;
+
+      await this.delete(entry.url);
+      console.log(`PersistentModelCache: Evicted ${entry.url}`);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} url - Model URL
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async delete(url) {
+    const db = await this._open();
+
+    const meta = await this._transaction(db, 'readwrite', (store, blobs) => {
+      const request = store.get(url);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.delete(url);
+          blobs.delete(url);
+        }
+      };
+      return request;
+    });
+
+    if (!meta) return false;
+
+    this.entryCount--;
+    this.totalBytes -= meta.size;
+    return true;
+  }
+
+  /**
+   * Remove all entries
+   */
+  async clear() {
+    const db = await this._open();
+
+    await this._transaction(db, 'readwrite', (meta, blobs) => {
+      meta.clear();
+      blobs.clear();
+    });
+
+    this.entryCount = 0;
+    this.totalBytes = 0;
+    console.log('PersistentModelCache: Cleared');
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Object} Entry count and byte usage
+   */
+  getStats() {
+    return {
+      entries: this.entryCount,
+      bytes: this.totalBytes,
+      maxBytes: this.options.maxBytes,
+    };
+  }
+
+  /**
+   * Close the database connection
+   */
+  async dispose() {
+    if (!this._dbPromise) return;
+
+    try {
+      const db = await this._dbPromise;
+      db.close();
+    } catch {
+      // Nothing to close if the database never opened
+    }
+
+    this._dbPromise = null;
+  }
+}
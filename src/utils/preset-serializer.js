@@ -0,0 +1,556 @@
+/**
+ * Preset serialization
+ * Material and lighting presets are shared as versioned JSON files:
+ * { format: 'product-viewer-presets', version: 1, materials: { id: preset }, lighting: { id: preset } }
+ * Colors are written as '#rrggbb' strings, textures as URLs or procedural texture references,
+ * with texture transforms in KHR_texture_transform terms.
+ */
+import {
+  MAX_PROCEDURAL_TEXTURE_SIZE,
+  PROCEDURAL_OUTPUTS,
+  PROCEDURAL_TEXTURES,
+  isProceduralTextureUrl,
+  parseProceduralTextureUrl,
+} from './procedural-textures.js';
+import {
+  toKHRTextureTransform,
+  validateTextureTransform,
+} from './texture-transform.js';
+
+export const PRESET_FILE_FORMAT = 'product-viewer-presets';
+export const PRESET_FILE_VERSION = 1;
+
+const MATERIAL_TYPES = [
+  'MeshStandardMaterial',
+  'MeshPhysicalMaterial',
+  'MeshLambertMaterial',
+  'MeshPhongMaterial',
+];
+
+// See PRESET_MODES in material-manager.js
+const MATERIAL_MODES = ['replace', 'override'];
+
+const MATERIAL_COLOR_PROPERTIES = [
+  'color',
+  'emissive',
+  'sheenColor',
+  'specular',
+  'specularColor',
+  'attenuationColor',
+];
+
+// See PRESET_PROPERTIES in material-manager.js
+const MATERIAL_NUMBER_PROPERTIES = [
+  'metalness',
+  'roughness',
+  'emissiveIntensity',
+  'opacity',
+  'clearcoat',
+  'clearcoatRoughness',
+  'transmission',
+  'thickness',
+  'ior',
+  'sheen',
+  'sheenRoughness',
+];
+const MATERIAL_BOOLEAN_PROPERTIES = ['transparent'];
+
+const LIGHT_TYPES = [
+  'DirectionalLight',
+  'PointLight',
+  'SpotLight',
+  'AmbientLight',
+  'HemisphereLight',
+];
+
+const LIGHT_COLORS = ['color', 'skyColor', 'groundColor'];
+const LIGHT_NUMBERS = [
+  'intensity',
+  'distance',
+  'decay',
+  'angle',
+  'penumbra',
+  'shadowBias',
+  'shadowNormalBias',
+];
+const LIGHT_VECTORS = ['position', 'target'];
+
+/**
+ * Preset ids double as option values, so they are kept to simple slugs
+ */
+const PRESET_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Problems listed in the error message, the rest are counted
+ */
+const MAX_LISTED_PROBLEMS = 3;
+
+/**
+ * Create the error thrown for preset files that cannot be read
+ * @param {Array<string>} problems - Problem descriptions
+ * @returns {Error} Error named PresetFileError, with the full list in error.problems
+ */
+function invalid(problems) {
+  const listed = problems.slice(0, MAX_LISTED_PROBLEMS).join('; ');
+  const more = problems.length - MAX_LISTED_PROBLEMS;
+
+  const error = new Error(more > 0 ? `${listed} (and ${more} more)` : listed);
+  error.name = 'PresetFileError';
+  error.problems = problems;
+  return error;
+}
+
+const isObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isColorValue = value =>
+  (Number.isInteger(value) && value >= 0 && value <= 0xffffff) ||
+  (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value));
+
+/**
+ * Write a color as a '#rrggbb' string
+ * @param {THREE.Color|number|string} value - Color, hex number or CSS hex string
+ * @returns {string} Hex string (other strings are returned as they are)
+ */
+function toHexColor(value) {
+  if (value?.isColor) return `#${value.getHexString()}`;
+  if (typeof value === 'number') {
+    return `#${value.toString(16).padStart(6, '0')}`;
+  }
+  return value;
+}
+
+/**
+ * Serialize a material preset's texture references
+ * Textures without a shareable URL (embedded in a model, or object URLs of dropped files)
+ * are left out.
+ * @param {Object} preset - Material preset
+ * @param {Function} resolveTexture - Returns the URL of a texture object, or null
+ * @returns {Object} Texture references by slot
+ */
+function serializeTextures(preset, resolveTexture) {
+  const textures = {};
+
+  for (const [slot, reference] of Object.entries(preset.textures || {})) {
+    let value = reference;
+    if (reference?.isTexture) {
+      const url = isProceduralTextureUrl(reference.name)
+        ? reference.name
+        : resolveTexture(reference);
+      const transform = url ? toKHRTextureTransform(reference) : null;
+      value = transform ? { url, transform } : url;
+    } else if (isObject(reference)) {
+      value = { ...reference };
+    }
+
+    const url = typeof value === 'string' ? value : value?.url;
+    if (!value || url?.startsWith('blob:')) {
+      console.warn(
+        `PresetSerializer: Texture "${slot}" of "${preset.name}" has no shareable URL and is left out`
+      );
+      continue;
+    }
+
+    textures[slot] = value;
+  }
+
+  return textures;
+}
+
+/**
+ * Serialize a material preset to plain JSON data
+ * @param {Object} preset - Material preset (see MaterialManager.addMaterialPreset)
+ * @param {Function} resolveTexture - Returns the URL of a texture object, or null (optional)
+ * @returns {Object} JSON-ready preset
+ */
+export function serializeMaterialPreset(preset, resolveTexture = () => null) {
+  const properties = {};
+  for (const [key, value] of Object.entries(preset.properties || {})) {
+    properties[key] =
+      value?.isColor || MATERIAL_COLOR_PROPERTIES.includes(key)
+        ? toHexColor(value)
+        : value;
+  }
+
+  return {
+    name: preset.name,
+    ...(preset.description ? { description: preset.description } : {}),
+    type: preset.type || 'MeshStandardMaterial',
+    ...(preset.mode ? { mode: preset.mode } : {}),
+    properties,
+    textures: serializeTextures(preset, resolveTexture),
+  };
+}
+
+/**
+ * Serialize a lighting preset to plain JSON data
+ * @param {Object} preset - Lighting preset (see LightingManager.addLightingPreset)
+ * @returns {Object} JSON-ready preset
+ */
+export function serializeLightingPreset(preset) {
+  const lights = (preset.lights || []).map(light => {
+    const data = { ...light };
+    LIGHT_COLORS.forEach(key => {
+      if (data[key] !== undefined) data[key] = toHexColor(data[key]);
+    });
+    LIGHT_VECTORS.forEach(key => {
+      if (data[key]) data[key] = Array.from(data[key]);
+    });
+    return data;
+  });
+
+  return {
+    name: preset.name,
+    ...(preset.description ? { description: preset.description } : {}),
+    lights,
+    environment: preset.environment ?? null,
+  };
+}
+
+/**
+ * Create a preset file from material and lighting presets
+ * @param {Object} presets - Presets to include
+ * @param {Object} presets.materials - Material presets by id
+ * @param {Object} presets.lighting - Lighting presets by id
+ * @param {Function} resolveTexture - Returns the URL of a texture object, or null (optional)
+ * @returns {Object} Preset file data, ready for JSON.stringify
+ */
+export function createPresetFile(
+  { materials = {}, lighting = {} },
+  resolveTexture
+) {
+  const file = {
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    materials: {},
+    lighting: {},
+  };
+
+  for (const [id, preset] of Object.entries(materials)) {
+    file.materials[id] = serializeMaterialPreset(preset, resolveTexture);
+  }
+  for (const [id, preset] of Object.entries(lighting)) {
+    file.lighting[id] = serializeLightingPreset(preset);
+  }
+
+  return file;
+}
+
+/**
+ * Check the parameters of a procedural texture reference
+ * Generating a texture is costly, so sizes are checked against the limit here rather than
+ * clamped when a shared preset is applied.
+ * @param {Object} params - Parameters by name
+ * @param {string} path - Location in the file, for messages
+ * @param {Array<string>} problems - Problems found so far
+ */
+function validateProceduralParams(params, path, problems) {
+  for (const [key, value] of Object.entries(params)) {
+    const location = `${path}.${key}`;
+
+    if (key === 'size') {
+      if (
+        !Number.isFinite(value) ||
+        value < 2 ||
+        value > MAX_PROCEDURAL_TEXTURE_SIZE
+      ) {
+        problems.push(
+          `${location} must be a number from 2 to ${MAX_PROCEDURAL_TEXTURE_SIZE}`
+        );
+      }
+    } else if (key === 'scale' || key === 'octaves') {
+      if (!(Number.isInteger(value) && value > 0)) {
+        problems.push(`${location} must be a positive whole number`);
+      }
+    } else if (key === 'repeat' || key === 'strength') {
+      if (!Number.isFinite(value)) {
+        problems.push(`${location} must be a number`);
+      }
+    } else if (key === 'output') {
+      if (!PROCEDURAL_OUTPUTS.includes(value)) {
+        problems.push(
+          `${location} must be one of ${PROCEDURAL_OUTPUTS.join(', ')}`
+        );
+      }
+    } else if (typeof value !== 'number' && typeof value !== 'string') {
+      problems.push(`${location} must be a number or string parameter`);
+    }
+  }
+}
+
+/**
+ * Check a texture reference
+ * @param {*} reference - URL, procedural texture URL, { url, transform } or
+ *   { procedural: name, ...params, transform }
+ * @param {string} path - Location in the file, for messages
+ * @param {Array<string>} problems - Problems found so far
+ */
+function validateTextureReference(reference, path, problems) {
+  if (isObject(reference) && reference.transform !== undefined) {
+    const problem = validateTextureTransform(reference.transform);
+    if (problem) {
+      problems.push(`${path}.transform: ${problem}`);
+    }
+  }
+
+  let url = reference;
+  let name = null;
+  let params = {};
+  if (isObject(reference) && typeof reference.url === 'string') {
+    ({ url } = reference);
+  }
+
+  if (typeof url === 'string' && url !== '') {
+    if (!isProceduralTextureUrl(url)) return;
+    ({ name, params } = parseProceduralTextureUrl(url));
+  } else if (isObject(reference) && typeof reference.procedural === 'string') {
+    name = reference.procedural;
+    params = Object.fromEntries(
+      Object.entries(reference).filter(
+        ([key]) => key !== 'procedural' && key !== 'transform'
+      )
+    );
+  } else {
+    problems.push(
+      `${path} must be a texture URL, { "url": url } or { "procedural": name, ...params }`
+    );
+    return;
+  }
+
+  if (!PROCEDURAL_TEXTURES[name]) {
+    problems.push(
+      `${path} uses unknown procedural texture "${name}" (available: ${Object.keys(PROCEDURAL_TEXTURES).join(', ')})`
+    );
+  }
+  validateProceduralParams(params, path, problems);
+}
+
+/**
+ * Check a material preset
+ * @param {*} preset - Preset data
+ * @param {string} path - Location in the file, for messages
+ * @param {Array<string>} problems - Problems found so far
+ */
+function validateMaterialPreset(preset, path, problems) {
+  if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+    problems.push(`${path}.name must be a non-empty string`);
+  }
+  if (
+    preset.description !== undefined &&
+    typeof preset.description !== 'string'
+  ) {
+    problems.push(`${path}.description must be a string`);
+  }
+  if (preset.type !== undefined && !MATERIAL_TYPES.includes(preset.type)) {
+    problems.push(`${path}.type must be one of ${MATERIAL_TYPES.join(', ')}`);
+  }
+  if (preset.mode !== undefined && !MATERIAL_MODES.includes(preset.mode)) {
+    problems.push(`${path}.mode must be one of ${MATERIAL_MODES.join(', ')}`);
+  }
+
+  if (preset.properties !== undefined && !isObject(preset.properties)) {
+    problems.push(`${path}.properties must be an object`);
+  } else {
+    for (const [key, value] of Object.entries(preset.properties || {})) {
+      if (MATERIAL_COLOR_PROPERTIES.includes(key)) {
+        if (!isColorValue(value)) {
+          problems.push(
+            `${path}.properties.${key} must be a "#rrggbb" color or a number`
+          );
+        }
+      } else if (MATERIAL_NUMBER_PROPERTIES.includes(key)) {
+        if (!Number.isFinite(value)) {
+          problems.push(`${path}.properties.${key} must be a number`);
+        }
+      } else if (MATERIAL_BOOLEAN_PROPERTIES.includes(key)) {
+        if (typeof value !== 'boolean') {
+          problems.push(`${path}.properties.${key} must be true or false`);
+        }
+      } else {
+        problems.push(
+          `${path}.properties.${key} is not a supported material property`
+        );
+      }
+    }
+  }
+
+  if (preset.textures !== undefined && !isObject(preset.textures)) {
+    problems.push(`${path}.textures must be an object`);
+  } else {
+    for (const [slot, reference] of Object.entries(preset.textures || {})) {
+      if (!/^(map|[a-z]\w*Map)$/.test(slot)) {
+        problems.push(`${path}.textures.${slot} is not a texture slot`);
+      } else {
+        validateTextureReference(
+          reference,
+          `${path}.textures.${slot}`,
+          problems
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Check one light of a lighting preset
+ * @param {*} light - Light data
+ * @param {string} path - Location in the file, for messages
+ * @param {Array<string>} problems - Problems found so far
+ */
+function validateLight(light, path, problems) {
+  if (!isObject(light)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  if (!LIGHT_TYPES.includes(light.type)) {
+    problems.push(`${path}.type must be one of ${LIGHT_TYPES.join(', ')}`);
+  }
+  if (light.name !== undefined && typeof light.name !== 'string') {
+    problems.push(`${path}.name must be a string`);
+  }
+  if (light.castShadow !== undefined && typeof light.castShadow !== 'boolean') {
+    problems.push(`${path}.castShadow must be true or false`);
+  }
+
+  LIGHT_COLORS.forEach(key => {
+    if (light[key] !== undefined && !isColorValue(light[key])) {
+      problems.push(`${path}.${key} must be a "#rrggbb" color or a number`);
+    }
+  });
+  LIGHT_NUMBERS.forEach(key => {
+    if (light[key] !== undefined && !Number.isFinite(light[key])) {
+      problems.push(`${path}.${key} must be a number`);
+    }
+  });
+  LIGHT_VECTORS.forEach(key => {
+    const value = light[key];
+    if (
+      value !== undefined &&
+      !(
+        Array.isArray(value) &&
+        value.length === 3 &&
+        value.every(Number.isFinite)
+      )
+    ) {
+      problems.push(`${path}.${key} must be an [x, y, z] array of numbers`);
+    }
+  });
+}
+
+/**
+ * Check a lighting preset
+ * @param {*} preset - Preset data
+ * @param {string} path - Location in the file, for messages
+ * @param {Array<string>} problems - Problems found so far
+ */
+function validateLightingPreset(preset, path, problems) {
+  if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+    problems.push(`${path}.name must be a non-empty string`);
+  }
+  if (
+    preset.description !== undefined &&
+    typeof preset.description !== 'string'
+  ) {
+    problems.push(`${path}.description must be a string`);
+  }
+
+  if (!Array.isArray(preset.lights)) {
+    problems.push(`${path}.lights must be an array`);
+  } else {
+    preset.lights.forEach((light, index) =>
+      validateLight(light, `${path}.lights[${index}]`, problems)
+    );
+  }
+
+  const { environment = null } = preset;
+  if (
+    environment !== null &&
+    typeof environment !== 'string' &&
+    !(
+      Array.isArray(environment) &&
+      environment.length === 6 &&
+      environment.every(face => typeof face === 'string')
+    )
+  ) {
+    problems.push(
+      `${path}.environment must be null, a URL or an array of six cube face URLs`
+    );
+  }
+}
+
+/**
+ * Check one group of presets (materials or lighting)
+ * @param {*} group - Presets by id
+ * @param {string} key - Group key in the file
+ * @param {Function} validate - Validates one preset
+ * @param {Array<string>} problems - Problems found so far
+ */
+function validateGroup(group, key, validate, problems) {
+  if (group === undefined) return;
+  if (!isObject(group)) {
+    problems.push(`"${key}" must be an object of presets by id`);
+    return;
+  }
+
+  for (const [id, preset] of Object.entries(group)) {
+    const path = `${key}.${id}`;
+    if (!PRESET_ID.test(id)) {
+      problems.push(
+        `${key} id "${id}" may only contain letters, digits, "_" and "-"`
+      );
+    } else if (!isObject(preset)) {
+      problems.push(`${path} must be an object`);
+    } else {
+      validate(preset, path, problems);
+    }
+  }
+}
+
+/**
+ * Read and validate a preset file
+ * @param {string|Object} input - JSON text or parsed JSON data
+ * @returns {Object} { materials, lighting } presets by id, ready for the managers
+ * @throws {Error} PresetFileError describing what is wrong with the file
+ */
+export function parsePresetFile(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw invalid([`Not valid JSON (${error.message})`]);
+    }
+  }
+
+  if (!isObject(data) || data.format !== PRESET_FILE_FORMAT) {
+    throw invalid([
+      `Not a preset file: expected "format": "${PRESET_FILE_FORMAT}"`,
+    ]);
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw invalid(['"version" must be a whole number of 1 or more']);
+  }
+  if (data.version > PRESET_FILE_VERSION) {
+    throw invalid([
+      `Preset file version ${data.version} is newer than this viewer reads (version ${PRESET_FILE_VERSION})`,
+    ]);
+  }
+
+  const problems = [];
+  validateGroup(data.materials, 'materials', validateMaterialPreset, problems);
+  validateGroup(data.lighting, 'lighting', validateLightingPreset, problems);
+  if (problems.length > 0) {
+    throw invalid(problems);
+  }
+
+  const materials = data.materials || {};
+  const lighting = data.lighting || {};
+  if (Object.keys(materials).length + Object.keys(lighting).length === 0) {
+    throw invalid(['The file contains no presets']);
+  }
+
+  // Copies, so presets added to the managers do not share objects with the caller's data
+  return structuredClone({ materials, lighting });
+}
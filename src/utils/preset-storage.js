@@ -0,0 +1,84 @@
+import { parsePresetFile } from './preset-serializer.js';
+
+/**
+ * PresetStorage keeps user material and lighting presets in localStorage across sessions
+ * Presets are stored in the preset file format, so stored data is validated like an imported file.
+ */
+export class PresetStorage {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'product-viewer-presets',
+      ...options,
+    };
+  }
+
+  /**
+   * Check if localStorage is available in this environment
+   * @returns {boolean} True if available
+   */
+  static isSupported() {
+    try {
+      // Reading localStorage throws when storage is blocked, e.g. for sandboxed frames
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read the stored presets
+   * Stored data that no longer validates is ignored rather than blocking startup.
+   * @returns {Object|null} { materials, lighting } presets by id, or null if nothing is stored
+   */
+  load() {
+    let text = null;
+    try {
+      text = localStorage.getItem(this.options.storageKey);
+    } catch (error) {
+      console.warn('PresetStorage: Failed to read stored presets:', error);
+      return null;
+    }
+    if (!text) return null;
+
+    try {
+      return parsePresetFile(text);
+    } catch (error) {
+      console.warn(`PresetStorage: Ignoring stored presets: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store presets, replacing what was stored before
+   * @param {Object} file - Preset file data (see createPresetFile)
+   * @returns {boolean} True if stored, false if storage is full or blocked
+   */
+  save(file) {
+    const count =
+      Object.keys(file.materials || {}).length +
+      Object.keys(file.lighting || {}).length;
+
+    try {
+      if (count === 0) {
+        localStorage.removeItem(this.options.storageKey);
+      } else {
+        localStorage.setItem(this.options.storageKey, JSON.stringify(file));
+      }
+      return true;
+    } catch (error) {
+      console.warn('PresetStorage: Failed to store presets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the stored presets
+   */
+  clear() {
+    try {
+      localStorage.removeItem(this.options.storageKey);
+    } catch (error) {
+      console.warn('PresetStorage: Failed to clear stored presets:', error);
+    }
+  }
+}
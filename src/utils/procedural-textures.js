@@ -0,0 +1,467 @@
+/**
+ * Procedural texture generation
+ * Tiling height fields (weave, brushed metal, knurl, leather grain, noise) rendered
+ * into color, normal, roughness or height maps at runtime
+ */
+import * as THREE from 'three';
+
+/**
+ * Prefix of texture URLs that name a procedural texture,
+ * e.g. 'procedural:weave?scale=16&output=normal'
+ */
+export const PROCEDURAL_TEXTURE_PREFIX = 'procedural:';
+
+/**
+ * Maps a procedural texture can be rendered into
+ */
+export const PROCEDURAL_OUTPUTS = ['color', 'normal', 'roughness', 'height'];
+
+/**
+ * Map output generated for a material property when none is given
+ */
+const OUTPUT_BY_PROPERTY = {
+  map: 'color',
+  emissiveMap: 'color',
+  sheenColorMap: 'color',
+  normalMap: 'normal',
+  clearcoatNormalMap: 'normal',
+  roughnessMap: 'roughness',
+};
+
+/**
+ * Largest texture generated, in pixels per side
+ * Textures are generated on the main thread, larger sizes are clamped to this.
+ */
+export const MAX_PROCEDURAL_TEXTURE_SIZE = 2048;
+
+/**
+ * Most noise octaves, each one samples the noise again for every pixel
+ */
+export const MAX_PROCEDURAL_OCTAVES = 8;
+
+/**
+ * Parameters shared by every procedural texture
+ */
+const COMMON_DEFAULTS = {
+  size: 256, // pixels per side
+  scale: 8, // pattern repeats across the texture
+  seed: 1,
+  repeat: 1, // texture repeats across the UVs
+  strength: 1, // normal map strength
+  output: 'height', // see PROCEDURAL_OUTPUTS
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+const lerp = (a, b, t) => a + (b - a) * t;
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Hash lattice coordinates to a number in [0, 1)
+ * @param {number} x - Lattice x
+ * @param {number} y - Lattice y
+ * @param {number} seed - Seed
+ * @returns {number} Pseudo-random value
+ */
+function hash(x, y, seed) {
+  let h =
+    (Math.imul(x, 374761393) +
+      Math.imul(y, 668265263) +
+      Math.imul(seed, 1274126177)) |
+    0;
+  h = Math.imul(h ^ (h >>> 13), 1103515245);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Tiling value noise
+ * @param {number} u - Texture u in [0, 1)
+ * @param {number} v - Texture v in [0, 1)
+ * @param {Array<number>} cells - Whole lattice cells across and down the texture
+ * @param {number} seed - Seed
+ * @returns {number} Noise in [0, 1)
+ */
+function valueNoise(u, v, [periodX, periodY], seed) {
+  const x = u * periodX;
+  const y = v * periodY;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = smoothstep(0, 1, x - x0);
+  const ty = smoothstep(0, 1, y - y0);
+  const corner = (i, j) =>
+    hash(mod(x0 + i, periodX), mod(y0 + j, periodY), seed);
+
+  return lerp(
+    lerp(corner(0, 0), corner(1, 0), tx),
+    lerp(corner(0, 1), corner(1, 1), tx),
+    ty
+  );
+}
+
+/**
+ * Tiling fractal noise
+ * @param {number} u - Texture u in [0, 1)
+ * @param {number} v - Texture v in [0, 1)
+ * @param {Object} options - { scale: lattice cells of the first octave, octaves, seed }
+ * @returns {number} Noise in [0, 1)
+ */
+function fractalNoise(u, v, { scale, octaves, seed }) {
+  let sum = 0;
+  let weight = 0;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    const frequency = scale * 2 ** octave;
+    const amplitude = 0.5 ** octave;
+    sum += amplitude * valueNoise(u, v, [frequency, frequency], seed + octave);
+    weight += amplitude;
+  }
+
+  return sum / weight;
+}
+
+/**
+ * Triangle wave, 0 at whole numbers and 1 halfway between
+ * @param {number} value - Input
+ * @returns {number} Wave in [0, 1]
+ */
+function triangleWave(value) {
+  return 1 - Math.abs(2 * (value - Math.floor(value)) - 1);
+}
+
+/**
+ * Registered procedural textures
+ * Each has default parameters, an optional scaleStep the scale is rounded to so the
+ * pattern tiles, and a height function of (u, v, params) returning [0, 1].
+ * Color and roughness outputs blend from color/roughness at height 0 to color2/roughness2 at 1.
+ */
+export const PROCEDURAL_TEXTURES = {
+  weave: {
+    scaleStep: 4, // the twill repeats every four tows
+    defaults: {
+      scale: 16, // tows across the texture
+      pattern: 'twill', // 'twill' | 'plain'
+      color: 0x0c0c0c,
+      color2: 0x3a3a3a,
+      roughness: 0.6,
+      roughness2: 0.3,
+    },
+    height(u, v, { scale, pattern, seed }) {
+      const x = u * scale;
+      const y = v * scale;
+      const i = Math.floor(x);
+      const j = Math.floor(y);
+
+      // 2/2 twill steps one tow per row; plain weave alternates every tow
+      const horizontal =
+        pattern === 'plain' ? mod(i + j, 2) === 0 : mod(i + j, 4) < 2;
+      const across = horizontal ? y - j : x - i;
+      const along = horizontal ? x - i : y - j;
+
+      const profile = Math.sqrt(Math.sin(Math.PI * across));
+      const fibers = valueNoise(
+        u,
+        v,
+        horizontal ? [scale * 2, scale * 48] : [scale * 48, scale * 2],
+        seed
+      );
+
+      return (
+        profile * (0.75 + 0.25 * Math.sin(Math.PI * along)) * 0.9 + fibers * 0.1
+      );
+    },
+  },
+
+  brushed: {
+    defaults: {
+      scale: 64, // streak density
+      color: 0x8c8c8c,
+      color2: 0xd2d2d2,
+      roughness: 0.2,
+      roughness2: 0.45,
+    },
+    height(u, v, { scale, seed }) {
+      // Long streaks along u: few cells horizontally, many vertically
+      const coarse = valueNoise(u, v, [4, scale], seed);
+      const fine = valueNoise(u, v, [8, scale * 4], seed + 1);
+      return coarse * 0.6 + fine * 0.4;
+    },
+  },
+
+  knurl: {
+    defaults: {
+      scale: 16, // diamonds across the texture
+      color: 0x6e6e6e,
+      color2: 0xbdbdbd,
+      roughness: 0.5,
+      roughness2: 0.25,
+    },
+    height(u, v, { scale }) {
+      // Two sets of crossing diagonal grooves leave diamond pyramids
+      return Math.min(
+        triangleWave((u + v) * scale),
+        triangleWave((u - v) * scale)
+      );
+    },
+  },
+
+  leather: {
+    defaults: {
+      scale: 24, // grain cells across the texture
+      color: 0x3b2416,
+      color2: 0x6b4329,
+      roughness: 0.8,
+      roughness2: 0.55,
+    },
+    height(u, v, { scale, seed }) {
+      const x = u * scale;
+      const y = v * scale;
+      const i = Math.floor(x);
+      const j = Math.floor(y);
+
+      // Cellular noise: creases run where the two nearest cell points are equally close
+      let nearest = Infinity;
+      let second = Infinity;
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let di = -1; di <= 1; di++) {
+          const ci = mod(i + di, scale);
+          const cj = mod(j + dj, scale);
+          const dx = i + di + hash(ci, cj, seed) - x;
+          const dy = j + dj + hash(ci, cj, seed + 1) - y;
+          const distance = Math.hypot(dx, dy);
+
+          if (distance < nearest) {
+            second = nearest;
+            nearest = distance;
+          } else if (distance < second) {
+            second = distance;
+          }
+        }
+      }
+
+      const grain = smoothstep(0, 0.3, second - nearest);
+      return (
+        grain * 0.85 +
+        fractalNoise(u, v, { scale, octaves: 2, seed: seed + 2 }) * 0.15
+      );
+    },
+  },
+
+  noise: {
+    defaults: {
+      scale: 8,
+      octaves: 4,
+      color: 0x000000,
+      color2: 0xffffff,
+      roughness: 0.3,
+      roughness2: 0.7,
+    },
+    height(u, v, { scale, octaves, seed }) {
+      return fractalNoise(u, v, { scale, octaves, seed });
+    },
+  },
+};
+
+/**
+ * Register a procedural texture
+ * @param {string} name - Texture name
+ * @param {Object} definition - { defaults, scaleStep, height(u, v, params) }
+ */
+export function registerProceduralTexture(name, definition) {
+  if (typeof definition?.height !== 'function') {
+    throw new Error(
+      `Procedural texture "${name}" needs a height(u, v, params) function`
+    );
+  }
+  PROCEDURAL_TEXTURES[name] = { defaults: {}, ...definition };
+}
+
+/**
+ * Check if a texture URL names a procedural texture
+ * @param {string} url - Texture URL
+ * @returns {boolean} True for procedural texture URLs
+ */
+export function isProceduralTextureUrl(url) {
+  return typeof url === 'string' && url.startsWith(PROCEDURAL_TEXTURE_PREFIX);
+}
+
+/**
+ * Build the URL of a procedural texture
+ * Parameters are sorted, so equal textures share a URL and a texture cache entry.
+ * @param {string} name - Texture name
+ * @param {Object} params - Parameters
+ * @returns {string} Procedural texture URL
+ */
+export function createProceduralTextureUrl(name, params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => [key, String(value)])
+  ).toString();
+
+  return `${PROCEDURAL_TEXTURE_PREFIX}${name}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Read the name and parameters of a procedural texture URL
+ * @param {string} url - Procedural texture URL
+ * @returns {Object} { name, params }
+ */
+export function parseProceduralTextureUrl(url) {
+  const [name, query = ''] = url
+    .slice(PROCEDURAL_TEXTURE_PREFIX.length)
+    .split('?');
+  const params = {};
+
+  new URLSearchParams(query).forEach((value, key) => {
+    const number = Number(value);
+    params[key] = value !== '' && !Number.isNaN(number) ? number : value;
+  });
+
+  return { name, params };
+}
+
+/**
+ * Get the output a material property needs from a procedural texture
+ * @param {string} property - Material property, e.g. 'normalMap'
+ * @returns {string} Output name
+ */
+export function getProceduralOutput(property) {
+  return OUTPUT_BY_PROPERTY[property] || 'height';
+}
+
+/**
+ * Check the options of a texture to generate, clamping the costly ones
+ * @param {string} name - Texture name, for messages
+ * @param {Object} options - Parameters merged with the defaults, octaves are clamped in place
+ * @returns {number} Texture size in pixels per side
+ * @throws {Error} If size, scale or octaves is not a usable number
+ */
+function checkOptions(name, options) {
+  if (!Number.isFinite(options.size)) {
+    throw new Error(`Procedural texture "${name}" size must be a number`);
+  }
+  ['scale', 'octaves'].forEach(key => {
+    const value = options[key];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(
+        `Procedural texture "${name}" ${key} must be a positive whole number`
+      );
+    }
+  });
+
+  if (options.octaves > MAX_PROCEDURAL_OCTAVES) {
+    options.octaves = MAX_PROCEDURAL_OCTAVES;
+  }
+  return Math.min(
+    MAX_PROCEDURAL_TEXTURE_SIZE,
+    Math.max(2, Math.round(options.size))
+  );
+}
+
+/**
+ * Generate a procedural texture
+ * @param {string} name - Texture name (see PROCEDURAL_TEXTURES)
+ * @param {Object} params - Parameters overriding the texture's defaults
+ * @returns {THREE.DataTexture} Tiling texture
+ */
+export function createProceduralTexture(name, params = {}) {
+  const definition = PROCEDURAL_TEXTURES[name];
+  if (!definition) {
+    throw new Error(`Unknown procedural texture "${name}"`);
+  }
+
+  const options = { ...COMMON_DEFAULTS, ...definition.defaults, ...params };
+  const size = checkOptions(name, options);
+
+  // Whole pattern repeats keep the texture seamless
+  const step = definition.scaleStep || 1;
+  options.scale = Math.max(step, Math.round(options.scale / step) * step);
+
+  const heights = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      heights[y * size + x] = definition.height(
+        (x + 0.5) / size,
+        (y + 0.5) / size,
+        options
+      );
+    }
+  }
+
+  const data = new Uint8Array(size * size * 4);
+  const write = (index, r, g, b) => {
+    data[index * 4] = Math.round(Math.min(Math.max(r, 0), 1) * 255);
+    data[index * 4 + 1] = Math.round(Math.min(Math.max(g, 0), 1) * 255);
+    data[index * 4 + 2] = Math.round(Math.min(Math.max(b, 0), 1) * 255);
+    data[index * 4 + 3] = 255;
+  };
+
+  const color = new THREE.Color(options.color ?? 0x000000);
+  const color2 = new THREE.Color(options.color2 ?? 0xffffff);
+  const blended = new THREE.Color();
+  const normal = new THREE.Vector3();
+  const slope = (options.strength * size) / 64;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const index = y * size + x;
+      const height = heights[index];
+
+      switch (options.output) {
+        case 'color':
+          // Colors blend in linear space; the map is stored as sRGB
+          blended.copy(color).lerp(color2, height);
+          blended.convertLinearToSRGB();
+          write(index, blended.r, blended.g, blended.b);
+          break;
+        case 'normal': {
+          const left = heights[y * size + mod(x - 1, size)];
+          const right = heights[y * size + mod(x + 1, size)];
+          const down = heights[mod(y - 1, size) * size + x];
+          const up = heights[mod(y + 1, size) * size + x];
+          normal
+            .set((left - right) * slope, (down - up) * slope, 1)
+            .normalize();
+          write(
+            index,
+            normal.x * 0.5 + 0.5,
+            normal.y * 0.5 + 0.5,
+            normal.z * 0.5 + 0.5
+          );
+          break;
+        }
+        case 'roughness': {
+          const roughness = lerp(
+            options.roughness ?? 0,
+            options.roughness2 ?? 1,
+            height
+          );
+          write(index, roughness, roughness, roughness);
+          break;
+        }
+        default:
+          write(index, height, height, height);
+      }
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+  texture.name = createProceduralTextureUrl(name, params);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(options.repeat, options.repeat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.colorSpace =
+    options.output === 'color'
+      ? THREE.SRGBColorSpace
+      : THREE.LinearSRGBColorSpace;
+  texture.userData.procedural = { name, params: options };
+  texture.needsUpdate = true;
+
+  return texture;
+}
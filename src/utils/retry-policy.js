@@ -0,0 +1,124 @@
+/**
+ * Retry policy utilities
+ * Exponential backoff with jitter for transient network failures
+ */
+
+/**
+ * HTTP status codes worth retrying (timeouts, rate limiting, server errors)
+ */
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Read retry settings from the viewer configuration
+ * @param {Object} config - Viewer configuration
+ * @returns {Object} Retry options (maxRetries, retryDelay)
+ */
+export function getRetryOptions(config = {}) {
+  return {
+    maxRetries: config.errors?.maxRetries ?? 3,
+    retryDelay: config.errors?.retryDelay ?? 1000,
+  };
+}
+
+/**
+ * Check if an error is a transient network failure that may succeed on retry
+ * Parse errors, client errors and cancellations are never retried
+ * @param {Error} error - Error to classify
+ * @returns {boolean} True if the operation should be retried
+ */
+export function isTransientError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+
+  // Loader timeouts
+  if (error.name === 'TimeoutError') {
+    return true;
+  }
+
+  // HTTP errors from three.js FileLoader carry the response
+  const status = error.response?.status ?? error.status;
+  if (typeof status === 'number') {
+    return RETRYABLE_STATUS.has(status);
+  }
+
+  // fetch() rejects with a TypeError when the request never completes
+  return (
+    error instanceof TypeError &&
+    /fetch|network|load failed/i.test(error.message)
+  );
+}
+
+/**
+ * Calculate the delay before a retry attempt
+ * Doubles per attempt, with half of the delay randomized to avoid synchronized retries
+ * @param {number} attempt - Retry attempt (1-based)
+ * @param {number} baseDelay - Delay before the first retry in milliseconds
+ * @param {number} maxDelay - Upper bound in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, baseDelay = 1000, maxDelay = 30000) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException('Retry aborted', 'AbortError'));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff
+ * @param {Function} operation - async (attempt) => result, attempt starts at 0
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Maximum number of retries after the first attempt
+ * @param {number} options.retryDelay - Delay before the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for a single delay in milliseconds
+ * @param {AbortSignal} options.signal - Signal that stops further attempts
+ * @param {Function} options.shouldRetry - Error classifier (defaults to isTransientError)
+ * @param {Function} options.onRetry - Called before each retry with { attempt, maxRetries, delay, error }
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(operation, options = {}) {
+  const {
+    maxRetries = 3,
+    retryDelay = 1000,
+    maxDelay = 30000,
+    signal,
+    shouldRetry = isTransientError,
+    onRetry,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt + 1, retryDelay, maxDelay);
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, maxRetries, delay, error });
+      }
+
+      await wait(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Scene graph inspection utilities
+ * Describe a model's hierarchy as plain data for inspector panels
+ */
+
+/**
+ * Count the triangles a mesh draws, including all instances
+ * @param {THREE.Mesh} mesh - Mesh to count
+ * @returns {number} Triangle count
+ */
+export function countTriangles(mesh) {
+  const { geometry } = mesh;
+  const position = geometry?.attributes?.position;
+  if (!position) return 0;
+
+  const count = geometry.index ? geometry.index.count : position.count;
+  const triangles = Math.floor(Math.min(count, geometry.drawRange.count) / 3);
+
+  return mesh.isInstancedMesh ? triangles * mesh.count : triangles;
+}
+
+/**
+ * Describe the materials of an object
+ * @param {THREE.Object3D} object - Object to describe
+ * @returns {Array<Object>} Materials as { name, type }
+ */
+function describeMaterials(object) {
+  if (!object.material) return [];
+
+  const materials = Array.isArray(object.material)
+    ? object.material
+    : [object.material];
+
+  return materials.map(material => ({
+    name: material.name,
+    type: material.type,
+  }));
+}
+
+/**
+ * Describe an object and its descendants
+ * @param {THREE.Object3D} object - Root object
+ * @returns {Object} Node of { uuid, name, type, visible, triangles, totalTriangles, materials, children }
+ */
+export function describeSceneGraph(object) {
+  const children = object.children.map(describeSceneGraph);
+  const triangles = object.isMesh ? countTriangles(object) : 0;
+
+  return {
+    uuid: object.uuid,
+    name: object.name,
+    type: object.isInstancedMesh ? 'InstancedMesh' : object.type,
+    visible: object.visible,
+    triangles,
+    totalTriangles: children.reduce(
+      (sum, child) => sum + child.totalTriangles,
+      triangles
+    ),
+    materials: describeMaterials(object),
+    children,
+  };
+}
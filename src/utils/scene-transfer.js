@@ -0,0 +1,763 @@
+import * as THREE from 'three';
+
+/**
+ * Scene transfer utilities
+ * Serialize a loaded scene into structured-clone data whose geometry buffers, animation
+ * keyframes and images are transferable, and rebuild the scene graph on the receiving thread
+ */
+
+/**
+ * Object types that can be rebuilt, keyed by Object3D.type
+ */
+const NODE_TYPES = {
+  Object3D: THREE.Object3D,
+  Group: THREE.Group,
+  Bone: THREE.Bone,
+  Mesh: THREE.Mesh,
+  SkinnedMesh: THREE.SkinnedMesh,
+  InstancedMesh: THREE.InstancedMesh,
+  Points: THREE.Points,
+  Line: THREE.Line,
+  LineSegments: THREE.LineSegments,
+  LineLoop: THREE.LineLoop,
+  PerspectiveCamera: THREE.PerspectiveCamera,
+  OrthographicCamera: THREE.OrthographicCamera,
+  DirectionalLight: THREE.DirectionalLight,
+  PointLight: THREE.PointLight,
+  SpotLight: THREE.SpotLight,
+};
+
+/**
+ * Material types that can be rebuilt, keyed by Material.type
+ */
+const MATERIAL_TYPES = {
+  MeshStandardMaterial: THREE.MeshStandardMaterial,
+  MeshPhysicalMaterial: THREE.MeshPhysicalMaterial,
+  MeshBasicMaterial: THREE.MeshBasicMaterial,
+  MeshLambertMaterial: THREE.MeshLambertMaterial,
+  MeshPhongMaterial: THREE.MeshPhongMaterial,
+  PointsMaterial: THREE.PointsMaterial,
+  LineBasicMaterial: THREE.LineBasicMaterial,
+  LineDashedMaterial: THREE.LineDashedMaterial,
+};
+
+/**
+ * Keyframe track types keyed by ValueTypeName
+ */
+const TRACK_TYPES = {
+  number: THREE.NumberKeyframeTrack,
+  vector: THREE.VectorKeyframeTrack,
+  quaternion: THREE.QuaternionKeyframeTrack,
+  color: THREE.ColorKeyframeTrack,
+  bool: THREE.BooleanKeyframeTrack,
+  string: THREE.StringKeyframeTrack,
+};
+
+const OBJECT_PROPERTIES = [
+  'uuid',
+  'name',
+  'visible',
+  'castShadow',
+  'receiveShadow',
+  'frustumCulled',
+  'renderOrder',
+  'userData',
+  'morphTargetInfluences',
+  'morphTargetDictionary',
+];
+
+const LIGHT_PROPERTIES = [
+  'intensity',
+  'distance',
+  'decay',
+  'angle',
+  'penumbra',
+];
+
+const CAMERA_PROPERTIES = [
+  'fov',
+  'aspect',
+  'near',
+  'far',
+  'zoom',
+  'left',
+  'right',
+  'top',
+  'bottom',
+];
+
+const TEXTURE_PROPERTIES = [
+  'name',
+  'mapping',
+  'channel',
+  'wrapS',
+  'wrapT',
+  'magFilter',
+  'minFilter',
+  'anisotropy',
+  'format',
+  'internalFormat',
+  'type',
+  'colorSpace',
+  'flipY',
+  'generateMipmaps',
+  'premultiplyAlpha',
+  'unpackAlignment',
+  'rotation',
+  'userData',
+];
+
+/**
+ * Material keys that are never copied (identity, bookkeeping and type flags)
+ */
+const SKIPPED_MATERIAL_KEYS = /^(uuid|type|version|is[A-Z].*)$/;
+
+/**
+ * Create the error thrown for scene content that cannot be transferred
+ * @param {string} feature - Description of the unsupported content
+ * @returns {Error} Error named UnsupportedSceneError
+ */
+function unsupported(feature) {
+  const error = new Error(`${feature} cannot be transferred`);
+  error.name = 'UnsupportedSceneError';
+  return error;
+}
+
+/**
+ * Convert three.js math values to arrays, leaving other values untouched
+ * @param {*} value - Value to convert
+ * @returns {*} Array for math types, otherwise the value
+ */
+function toPlainValue(value) {
+  if (
+    value &&
+    (value.isColor ||
+      value.isVector2 ||
+      value.isVector3 ||
+      value.isVector4 ||
+      value.isEuler ||
+      value.isMatrix3 ||
+      value.isMatrix4)
+  ) {
+    return value.toArray();
+  }
+  return value;
+}
+
+/**
+ * Serialize a scene for postMessage
+ * @param {THREE.Object3D} scene - Root object
+ * @param {Array<THREE.AnimationClip>} animations - Animation clips
+ * @returns {Object} { data, transfer } where transfer lists the transferable objects
+ * @throws {Error} UnsupportedSceneError for content that cannot be rebuilt
+ */
+export function serializeScene(scene, animations = []) {
+  const transfer = new Set();
+  const nodeIndex = new Map();
+  const geometryIndex = new Map();
+  const materialIndex = new Map();
+  const textureIndex = new Map();
+
+  const data = {
+    nodes: [],
+    geometries: [],
+    materials: [],
+    textures: [],
+    animations: [],
+  };
+
+  // String and boolean keyframes are plain arrays and are cloned instead
+  const addBuffer = array => {
+    if (ArrayBuffer.isView(array)) {
+      transfer.add(array.buffer);
+    }
+    return array;
+  };
+
+  const serializeAttribute = attribute => {
+    if (attribute.isInterleavedBufferAttribute) {
+      return {
+        interleaved: {
+          array: addBuffer(attribute.data.array),
+          stride: attribute.data.stride,
+        },
+        itemSize: attribute.itemSize,
+        offset: attribute.offset,
+        normalized: attribute.normalized,
+      };
+    }
+
+    return {
+      array: addBuffer(attribute.array),
+      itemSize: attribute.itemSize,
+      normalized: attribute.normalized,
+    };
+  };
+
+  const getTexture = texture => {
+    if (!textureIndex.has(texture)) {
+      textureIndex.set(texture, data.textures.length);
+      data.textures.push(serializeTexture(texture, addBuffer, transfer));
+    }
+    return textureIndex.get(texture);
+  };
+
+  const getMaterial = material => {
+    if (!materialIndex.has(material)) {
+      materialIndex.set(material, data.materials.length);
+      data.materials.push(serializeMaterial(material, getTexture));
+    }
+    return materialIndex.get(material);
+  };
+
+  const getGeometry = geometry => {
+    if (!geometryIndex.has(geometry)) {
+      geometryIndex.set(geometry, data.geometries.length);
+      data.geometries.push(serializeGeometry(geometry, serializeAttribute));
+    }
+    return geometryIndex.get(geometry);
+  };
+
+  // Index every node first so skins can reference bones anywhere in the graph
+  scene.traverse(object => nodeIndex.set(object, nodeIndex.size));
+
+  const context = { nodeIndex, getGeometry, getMaterial, serializeAttribute };
+  scene.traverse(object => {
+    data.nodes.push(serializeNode(object, scene, context));
+  });
+
+  data.animations = animations.map(clip => serializeClip(clip, addBuffer));
+
+  return { data, transfer: Array.from(transfer) };
+}
+
+/**
+ * Serialize a scene graph node, registering its geometry, materials and buffers
+ * @param {THREE.Object3D} object - Node to serialize
+ * @param {THREE.Object3D} scene - Root object
+ * @param {Object} context - Shared indices and serializers from serializeScene
+ * @returns {Object} Node data
+ */
+function serializeNode(object, scene, context) {
+  const { nodeIndex, getGeometry, getMaterial, serializeAttribute } = context;
+
+  // InstancedMesh keeps the 'Mesh' type name
+  const type = object.isInstancedMesh ? 'InstancedMesh' : object.type;
+  if (!NODE_TYPES[type] && object !== scene) {
+    throw unsupported(`${type} objects`);
+  }
+
+  object.updateMatrix();
+
+  const node = {
+    type: NODE_TYPES[type] ? type : 'Group',
+    parent: object === scene ? -1 : nodeIndex.get(object.parent),
+    matrix: object.matrix.toArray(),
+  };
+
+  OBJECT_PROPERTIES.forEach(key => {
+    if (object[key] !== undefined) node[key] = object[key];
+  });
+
+  if (object.geometry) {
+    node.geometry = getGeometry(object.geometry);
+  }
+
+  if (object.material) {
+    node.material = Array.isArray(object.material)
+      ? object.material.map(getMaterial)
+      : getMaterial(object.material);
+  }
+
+  if (object.isSkinnedMesh) {
+    node.skin = serializeSkin(object, nodeIndex);
+  }
+
+  if (object.isInstancedMesh) {
+    node.instances = {
+      count: object.count,
+      matrix: serializeAttribute(object.instanceMatrix),
+      color: object.instanceColor
+        ? serializeAttribute(object.instanceColor)
+        : null,
+    };
+  }
+
+  if (object.isLight) {
+    node.color = object.color.toArray();
+    LIGHT_PROPERTIES.forEach(key => {
+      if (object[key] !== undefined) node[key] = object[key];
+    });
+  }
+
+  if (object.isCamera) {
+    CAMERA_PROPERTIES.forEach(key => {
+      if (object[key] !== undefined) node[key] = object[key];
+    });
+  }
+
+  // Directional and spot lights aim at a child target object
+  if (object.parent?.isLight && object.parent.target === object) {
+    node.lightTarget = true;
+  }
+
+  return node;
+}
+
+/**
+ * Serialize geometry attributes, index, morph targets and bounds
+ * @param {THREE.BufferGeometry} geometry - Geometry to serialize
+ * @param {Function} serializeAttribute - Attribute serializer
+ * @returns {Object} Geometry data
+ */
+function serializeGeometry(geometry, serializeAttribute) {
+  const attributes = {};
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    attributes[name] = serializeAttribute(attribute);
+  }
+
+  const morphAttributes = {};
+  for (const [name, targets] of Object.entries(geometry.morphAttributes)) {
+    morphAttributes[name] = targets.map(serializeAttribute);
+  }
+
+  const { boundingBox, boundingSphere } = geometry;
+
+  return {
+    name: geometry.name,
+    attributes,
+    index: geometry.index ? serializeAttribute(geometry.index) : null,
+    morphAttributes,
+    morphTargetsRelative: geometry.morphTargetsRelative,
+    groups: geometry.groups,
+    boundingBox: boundingBox
+      ? [...boundingBox.min.toArray(), ...boundingBox.max.toArray()]
+      : null,
+    boundingSphere: boundingSphere
+      ? [...boundingSphere.center.toArray(), boundingSphere.radius]
+      : null,
+    userData: geometry.userData,
+  };
+}
+
+/**
+ * Serialize material properties, replacing textures with indices
+ * @param {THREE.Material} material - Material to serialize
+ * @param {Function} getTexture - Returns the index of a texture
+ * @returns {Object} Material data
+ */
+function serializeMaterial(material, getTexture) {
+  if (!MATERIAL_TYPES[material.type]) {
+    throw unsupported(`${material.type} materials`);
+  }
+
+  const properties = {};
+  const textures = {};
+
+  for (const [ownKey, value] of Object.entries(material)) {
+    // Accessor-backed properties (alphaTest, sheen, transmission...) are stored as _name
+    const key =
+      ownKey.startsWith('_') && ownKey.slice(1) in material
+        ? ownKey.slice(1)
+        : ownKey;
+
+    if (
+      key.startsWith('_') ||
+      SKIPPED_MATERIAL_KEYS.test(key) ||
+      typeof value === 'function'
+    ) {
+      continue;
+    }
+
+    if (value && value.isTexture) {
+      textures[key] = getTexture(value);
+    } else {
+      properties[key] = toPlainValue(value);
+    }
+  }
+
+  return { type: material.type, properties, textures };
+}
+
+/**
+ * Serialize a texture, transferring its image or mip data
+ * @param {THREE.Texture} texture - Texture to serialize
+ * @param {Function} addBuffer - Registers a typed array for transfer
+ * @param {Set} transfer - Transfer list
+ * @returns {Object} Texture data
+ */
+function serializeTexture(texture, addBuffer, transfer) {
+  const { image } = texture;
+  const data = {
+    kind: null,
+    offset: texture.offset.toArray(),
+    repeat: texture.repeat.toArray(),
+    center: texture.center.toArray(),
+  };
+
+  TEXTURE_PROPERTIES.forEach(key => {
+    data[key] = texture[key];
+  });
+
+  const mipmaps = (texture.mipmaps || []).filter(mip => mip && mip.data);
+
+  if (texture.isCompressedTexture && !texture.isCompressedArrayTexture) {
+    data.kind = 'compressed';
+    data.width = image.width;
+    data.height = image.height;
+  } else if (texture.isDataTexture) {
+    data.kind = 'data';
+    data.image = {
+      data: addBuffer(image.data),
+      width: image.width,
+      height: image.height,
+    };
+  } else if (
+    typeof ImageBitmap !== 'undefined' &&
+    image instanceof ImageBitmap
+  ) {
+    data.kind = 'bitmap';
+    data.image = image;
+    transfer.add(image);
+  } else {
+    throw unsupported('Textures without transferable images');
+  }
+
+  data.mipmaps = mipmaps.map(mip => ({
+    data: addBuffer(mip.data),
+    width: mip.width,
+    height: mip.height,
+  }));
+
+  return data;
+}
+
+/**
+ * Serialize a skinned mesh binding
+ * @param {THREE.SkinnedMesh} mesh - Skinned mesh
+ * @param {Map} nodeIndex - Node indices
+ * @returns {Object} Skin data
+ */
+function serializeSkin(mesh, nodeIndex) {
+  const { bones, boneInverses } = mesh.skeleton;
+
+  if (bones.some(bone => !nodeIndex.has(bone))) {
+    throw unsupported('Skeletons with bones outside the scene');
+  }
+
+  return {
+    bindMode: mesh.bindMode,
+    bindMatrix: mesh.bindMatrix.toArray(),
+    bones: bones.map(bone => nodeIndex.get(bone)),
+    boneInverses: boneInverses.map(matrix => matrix.toArray()),
+  };
+}
+
+/**
+ * Serialize an animation clip with transferable keyframe arrays
+ * @param {THREE.AnimationClip} clip - Animation clip
+ * @param {Function} addBuffer - Registers a typed array for transfer
+ * @returns {Object} Clip data
+ */
+function serializeClip(clip, addBuffer) {
+  return {
+    name: clip.name,
+    duration: clip.duration,
+    blendMode: clip.blendMode,
+    tracks: clip.tracks.map(track => {
+      // Custom interpolants (glTF cubic spline) live in loader code
+      const interpolation = track.getInterpolation();
+      if (!TRACK_TYPES[track.ValueTypeName] || interpolation === undefined) {
+        throw unsupported(`Animation track "${track.name}"`);
+      }
+
+      return {
+        type: track.ValueTypeName,
+        name: track.name,
+        times: addBuffer(track.times),
+        values: addBuffer(track.values),
+        interpolation,
+      };
+    }),
+  };
+}
+
+/**
+ * Rebuild a scene serialized with serializeScene
+ * @param {Object} data - Serialized scene data
+ * @returns {Object} { scene, animations }
+ */
+export function deserializeScene(data) {
+  const sources = new Map();
+  const textures = data.textures.map(texture =>
+    createTexture(texture, sources)
+  );
+  const materials = data.materials.map(material =>
+    createMaterial(material, textures)
+  );
+
+  const interleavedBuffers = new Map();
+  const createAttribute = attribute =>
+    createBufferAttribute(attribute, interleavedBuffers);
+  const geometries = data.geometries.map(geometry =>
+    createGeometry(geometry, createAttribute)
+  );
+
+  const nodes = [];
+  data.nodes.forEach(node => {
+    const object = createNode(node, geometries, materials, createAttribute);
+    nodes.push(object);
+
+    if (node.parent >= 0) {
+      nodes[node.parent].add(object);
+    }
+  });
+
+  // Bind skeletons and light targets once every node exists
+  data.nodes.forEach((node, index) => {
+    const object = nodes[index];
+
+    if (node.skin) {
+      const { bindMode, bindMatrix, bones, boneInverses } = node.skin;
+      object.bindMode = bindMode;
+      object.bind(
+        new THREE.Skeleton(
+          bones.map(boneIndex => nodes[boneIndex]),
+          boneInverses.map(matrix => new THREE.Matrix4().fromArray(matrix))
+        ),
+        new THREE.Matrix4().fromArray(bindMatrix)
+      );
+    }
+
+    if (node.lightTarget) {
+      nodes[node.parent].target = object;
+    }
+  });
+
+  const animations = data.animations.map(createClip);
+
+  return { scene: nodes[0], animations };
+}
+
+/**
+ * Rebuild a buffer attribute, sharing interleaved buffers between attributes
+ * @param {Object} data - Attribute data
+ * @param {Map} interleavedBuffers - Interleaved buffers keyed by array
+ * @returns {THREE.BufferAttribute|THREE.InterleavedBufferAttribute} Attribute
+ */
+function createBufferAttribute(data, interleavedBuffers) {
+  if (data.interleaved) {
+    const { array, stride } = data.interleaved;
+    if (!interleavedBuffers.has(array)) {
+      interleavedBuffers.set(array, new THREE.InterleavedBuffer(array, stride));
+    }
+
+    return new THREE.InterleavedBufferAttribute(
+      interleavedBuffers.get(array),
+      data.itemSize,
+      data.offset,
+      data.normalized
+    );
+  }
+
+  return new THREE.BufferAttribute(data.array, data.itemSize, data.normalized);
+}
+
+/**
+ * Rebuild a geometry
+ * @param {Object} data - Geometry data
+ * @param {Function} createAttribute - Attribute factory
+ * @returns {THREE.BufferGeometry} Geometry
+ */
+function createGeometry(data, createAttribute) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.name = data.name;
+  geometry.userData = data.userData;
+
+  for (const [name, attribute] of Object.entries(data.attributes)) {
+    geometry.setAttribute(name, createAttribute(attribute));
+  }
+
+  if (data.index) {
+    geometry.setIndex(createAttribute(data.index));
+  }
+
+  for (const [name, targets] of Object.entries(data.morphAttributes)) {
+    geometry.morphAttributes[name] = targets.map(createAttribute);
+  }
+  geometry.morphTargetsRelative = data.morphTargetsRelative;
+
+  data.groups.forEach(group => {
+    geometry.addGroup(group.start, group.count, group.materialIndex);
+  });
+
+  if (data.boundingBox) {
+    geometry.boundingBox = new THREE.Box3(
+      new THREE.Vector3().fromArray(data.boundingBox, 0),
+      new THREE.Vector3().fromArray(data.boundingBox, 3)
+    );
+  }
+
+  if (data.boundingSphere) {
+    geometry.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3().fromArray(data.boundingSphere),
+      data.boundingSphere[3]
+    );
+  }
+
+  return geometry;
+}
+
+/**
+ * Rebuild a material
+ * @param {Object} data - Material data
+ * @param {Array<THREE.Texture>} textures - Rebuilt textures
+ * @returns {THREE.Material} Material
+ */
+function createMaterial(data, textures) {
+  const material = new MATERIAL_TYPES[data.type]();
+
+  for (const [key, value] of Object.entries(data.properties)) {
+    const current = material[key];
+
+    if (current && typeof current.fromArray === 'function') {
+      current.fromArray(value);
+    } else {
+      material[key] = value;
+    }
+  }
+
+  for (const [key, index] of Object.entries(data.textures)) {
+    material[key] = textures[index];
+  }
+
+  material.needsUpdate = true;
+  return material;
+}
+
+/**
+ * Rebuild a texture, sharing sources between textures that used the same image
+ * @param {Object} data - Texture data
+ * @param {Map} sources - Sources keyed by image
+ * @returns {THREE.Texture} Texture
+ */
+function createTexture(data, sources) {
+  let texture;
+
+  if (data.kind === 'compressed') {
+    texture = new THREE.CompressedTexture(
+      data.mipmaps,
+      data.width,
+      data.height,
+      data.format,
+      data.type
+    );
+  } else if (data.kind === 'data') {
+    const { image } = data;
+    texture = new THREE.DataTexture(
+      image.data,
+      image.width,
+      image.height,
+      data.format,
+      data.type
+    );
+    texture.mipmaps = data.mipmaps;
+  } else {
+    if (!sources.has(data.image)) {
+      sources.set(data.image, new THREE.Source(data.image));
+    }
+    texture = new THREE.Texture();
+    texture.source = sources.get(data.image);
+  }
+
+  TEXTURE_PROPERTIES.forEach(key => {
+    texture[key] = data[key];
+  });
+  texture.offset.fromArray(data.offset);
+  texture.repeat.fromArray(data.repeat);
+  texture.center.fromArray(data.center);
+
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Rebuild a scene graph node
+ * @param {Object} data - Node data
+ * @param {Array<THREE.BufferGeometry>} geometries - Rebuilt geometries
+ * @param {Array<THREE.Material>} materials - Rebuilt materials
+ * @param {Function} createAttribute - Attribute factory
+ * @returns {THREE.Object3D} Node
+ */
+function createNode(data, geometries, materials, createAttribute) {
+  const NodeType = NODE_TYPES[data.type];
+  const geometry =
+    data.geometry !== undefined ? geometries[data.geometry] : undefined;
+
+  let material;
+  if (Array.isArray(data.material)) {
+    material = data.material.map(index => materials[index]);
+  } else if (data.material !== undefined) {
+    material = materials[data.material];
+  }
+
+  let object;
+  if (data.instances) {
+    object = new NodeType(geometry, material, data.instances.count);
+    object.instanceMatrix = createAttribute(data.instances.matrix);
+    if (data.instances.color) {
+      object.instanceColor = createAttribute(data.instances.color);
+    }
+  } else if (geometry) {
+    object = new NodeType(geometry, material);
+  } else {
+    object = new NodeType();
+  }
+
+  object.matrix.fromArray(data.matrix);
+  object.matrix.decompose(object.position, object.quaternion, object.scale);
+
+  OBJECT_PROPERTIES.forEach(key => {
+    if (data[key] !== undefined) object[key] = data[key];
+  });
+
+  if (object.isLight) {
+    object.color.fromArray(data.color);
+    LIGHT_PROPERTIES.forEach(key => {
+      if (data[key] !== undefined) object[key] = data[key];
+    });
+  }
+
+  if (object.isCamera) {
+    CAMERA_PROPERTIES.forEach(key => {
+      if (data[key] !== undefined) object[key] = data[key];
+    });
+    object.updateProjectionMatrix();
+  }
+
+  return object;
+}
+
+/**
+ * Rebuild an animation clip
+ * @param {Object} data - Clip data
+ * @returns {THREE.AnimationClip} Animation clip
+ */
+function createClip(data) {
+  const tracks = data.tracks.map(
+    track =>
+      new TRACK_TYPES[track.type](
+        track.name,
+        track.times,
+        track.values,
+        track.interpolation
+      )
+  );
+
+  return new THREE.AnimationClip(
+    data.name,
+    data.duration,
+    tracks,
+    data.blendMode
+  );
+}
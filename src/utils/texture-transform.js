@@ -0,0 +1,97 @@
+/**
+ * Texture transforms in KHR_texture_transform terms
+ * { offset: [u, v], rotation: radians, scale: [u, v], texCoord: uv set } maps onto a texture's
+ * offset, rotation, repeat and channel the way GLTFLoader and GLTFExporter map them, so a
+ * transform read from a glTF material and changed here is written back on export.
+ * Rotation turns about the UV origin: the extension has no pivot, so texture.center stays put.
+ */
+
+/**
+ * Read a texture's transform
+ * @param {THREE.Texture} texture - Texture to read
+ * @returns {Object} { offset, rotation, scale, texCoord }
+ */
+export function getTextureTransform(texture) {
+  return {
+    offset: texture.offset.toArray(),
+    rotation: texture.rotation,
+    scale: texture.repeat.toArray(),
+    texCoord: texture.channel,
+  };
+}
+
+/**
+ * Check a transform, naming the first invalid value
+ * @param {Object} transform - Transform to check (every field optional)
+ * @returns {string|null} Problem description, or null if valid
+ */
+export function validateTextureTransform(transform) {
+  if (transform === null || typeof transform !== 'object') {
+    return 'transform must be an object';
+  }
+
+  for (const key of ['offset', 'scale']) {
+    const value = transform[key];
+    if (
+      value !== undefined &&
+      !(
+        Array.isArray(value) &&
+        value.length === 2 &&
+        value.every(Number.isFinite)
+      )
+    ) {
+      return `${key} must be a [u, v] array of numbers`;
+    }
+  }
+
+  if (
+    transform.rotation !== undefined &&
+    !Number.isFinite(transform.rotation)
+  ) {
+    return 'rotation must be a number of radians';
+  }
+
+  if (
+    transform.texCoord !== undefined &&
+    !(Number.isInteger(transform.texCoord) && transform.texCoord >= 0)
+  ) {
+    return 'texCoord must be a UV set index';
+  }
+
+  return null;
+}
+
+/**
+ * Apply a transform to a texture
+ * Fields left out keep their current values.
+ * @param {THREE.Texture} texture - Texture to change
+ * @param {Object} transform - { offset, rotation, scale, texCoord }, every field optional
+ */
+export function applyTextureTransform(texture, transform) {
+  if (transform.offset) texture.offset.fromArray(transform.offset);
+  if (transform.rotation !== undefined) texture.rotation = transform.rotation;
+  if (transform.scale) texture.repeat.fromArray(transform.scale);
+  if (transform.texCoord !== undefined) texture.channel = transform.texCoord;
+}
+
+/**
+ * Describe a texture's transform as a KHR_texture_transform extension object
+ * Like GLTFExporter, only values that differ from the identity are written.
+ * @param {THREE.Texture} texture - Texture to describe
+ * @returns {Object|null} Extension object, or null if the texture is not transformed
+ */
+export function toKHRTextureTransform(texture) {
+  const extension = {};
+
+  if (texture.offset.x !== 0 || texture.offset.y !== 0) {
+    extension.offset = texture.offset.toArray();
+  }
+  if (texture.rotation !== 0) {
+    extension.rotation = texture.rotation;
+  }
+  if (texture.repeat.x !== 1 || texture.repeat.y !== 1) {
+    extension.scale = texture.repeat.toArray();
+  }
+
+  return Object.keys(extension).length > 0 ? extension : null;
+}
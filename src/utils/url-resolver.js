@@ -0,0 +1,132 @@
+import { LoaderUtils } from 'three';
+
+/**
+ * Loader URL resolution utilities
+ * Shared by ModelManager and the glTF parse worker so both resolve external resources alike
+ */
+
+/**
+ * Object URLs created by URL.createObjectURL end in a UUID
+ */
+const OBJECT_URL_PATTERN =
+  /^blob:.*\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check if a URL is an object URL created by URL.createObjectURL
+ * Loaders create these for embedded images, they must never be rewritten
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is an object URL
+ */
+export function isObjectUrl(url) {
+  return OBJECT_URL_PATTERN.test(url);
+}
+
+/**
+ * Normalize a relative path by resolving "." and ".." segments
+ * @param {string} path - Path to normalize
+ * @returns {string} Normalized path
+ */
+export function normalizePath(path) {
+  const segments = [];
+
+  for (const segment of path.replace(/\\/g, '/').split('/')) {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Create a URL modifier that resolves a model's external resources
+ * With a URL map, resources resolve to dropped files (multi-file drops where a .gltf
+ * references .bin and texture files by relative path). With an original URL, resources
+ * of a model read from an object URL copy resolve against the directory it came from.
+ * @param {Object} resolver - Resolution settings
+ * @param {string} resolver.rootUrl - URL of the root model file
+ * @param {Map<string, string>} resolver.urlMap - Map of relative file path to object URL (optional)
+ * @param {string} resolver.rootPath - Directory of the root file within the map (e.g. "model/")
+ * @param {string} resolver.originalUrl - URL the root file bytes were fetched from (optional)
+ * @returns {Function|null} URL modifier, or null if URLs need no rewriting
+ */
+export function createUrlModifier(resolver) {
+  const {
+    rootUrl,
+    urlMap = null,
+    rootPath = '',
+    originalUrl = null,
+  } = resolver;
+
+  if (urlMap) {
+    return createUrlMapModifier(rootUrl, urlMap, rootPath);
+  }
+
+  if (originalUrl) {
+    return createRebasingModifier(rootUrl, originalUrl);
+  }
+
+  return null;
+}
+
+/**
+ * Create a modifier resolving relative paths through a URL map
+ * @param {string} rootUrl - URL of the root model file
+ * @param {Map<string, string>} urlMap - Map of relative file path to object URL
+ * @param {string} rootPath - Directory of the root file within the map
+ * @returns {Function} URL modifier
+ */
+function createUrlMapModifier(rootUrl, urlMap, rootPath) {
+  const baseUrl = LoaderUtils.extractUrlBase(rootUrl);
+
+  // Index by file name as a fallback for flattened or re-rooted exports
+  const byFileName = new Map();
+  for (const [path, objectUrl] of urlMap) {
+    byFileName.set(path.split('/').pop().toLowerCase(), objectUrl);
+  }
+
+  return url => {
+    if (url === rootUrl || url.startsWith('data:') || isObjectUrl(url)) {
+      return url;
+    }
+
+    let relativePath = decodeURI(url);
+    if (relativePath.startsWith(baseUrl)) {
+      relativePath = relativePath.slice(baseUrl.length);
+    }
+
+    const resolvedPath = normalizePath(rootPath + relativePath);
+    if (urlMap.has(resolvedPath)) {
+      return urlMap.get(resolvedPath);
+    }
+
+    const fileName = resolvedPath.split('/').pop().toLowerCase();
+    if (byFileName.has(fileName)) {
+      return byFileName.get(fileName);
+    }
+
+    console.warn(`ModelManager: Unresolved external resource "${url}"`);
+    return url;
+  };
+}
+
+/**
+ * Create a modifier that rebases relative resources of an object URL copy
+ * @param {string} objectUrl - Object URL of the model bytes
+ * @param {string} originalUrl - URL the bytes were fetched from
+ * @returns {Function} URL modifier
+ */
+function createRebasingModifier(objectUrl, originalUrl) {
+  const objectBase = LoaderUtils.extractUrlBase(objectUrl);
+  const originalBase = LoaderUtils.extractUrlBase(originalUrl);
+
+  return url => {
+    if (url === objectUrl || isObjectUrl(url) || !url.startsWith(objectBase)) {
+      return url;
+    }
+
+    return originalBase + url.slice(objectBase.length);
+  };
+}
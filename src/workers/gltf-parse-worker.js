@@ -0,0 +1,195 @@
+import { LoadingManager } from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { createUrlModifier } from '../utils/url-resolver.js';
+import { serializeScene } from '../utils/scene-transfer.js';
+
+/**
+ * glTF parse worker
+ * Fetches, decodes (Draco, Meshopt, KTX2) and parses glTF off the main thread, then
+ * transfers geometry buffers and images back for ModelManager to rebuild the scene
+ *
+ * Messages in:  { type: 'init', config } | { type: 'load', id, url, resolver } | { type: 'abort', id }
+ * Messages out: { type: 'progress' | 'load' | 'error' | 'fallback', id, ... }
+ */
+
+/**
+ * glTF extensions whose results depend on the main-thread parser
+ * (variant materials are loaded through parser.getDependency after the scene)
+ */
+const UNSUPPORTED_EXTENSIONS = ['MSFT_lod', 'KHR_materials_variants'];
+
+let config = {};
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// Loading managers of in-flight requests, aborted on request
+const managers = new Map();
+
+/**
+ * Create the error that asks the main thread to parse the model itself
+ * @param {string} reason - Why the worker cannot handle the model
+ * @param {boolean} permanent - True if no later model can be handled either
+ * @returns {Error} Error named WorkerFallbackError
+ */
+function fallback(reason, permanent = false) {
+  const error = new Error(reason);
+  error.name = 'WorkerFallbackError';
+  error.permanent = permanent;
+  return error;
+}
+
+/**
+ * Create a GLTFLoader with the compression support enabled on the main thread
+ * @param {LoadingManager} manager - Loading manager for this request
+ * @returns {GLTFLoader} Configured loader
+ */
+function createLoader(manager) {
+  const loader = new GLTFLoader(manager);
+
+  if (config.dracoDecoderPath) {
+    dracoLoader = dracoLoader || new DRACOLoader();
+    dracoLoader.setDecoderPath(config.dracoDecoderPath);
+    dracoLoader.setDecoderConfig({ type: 'js' });
+    loader.setDRACOLoader(dracoLoader);
+  }
+
+  if (config.basisTranscoderPath && config.ktx2Support) {
+    ktx2Loader = ktx2Loader || new KTX2Loader();
+    ktx2Loader.setTranscoderPath(config.basisTranscoderPath);
+    // Support flags come from the main thread, where the renderer lives
+    ktx2Loader.workerConfig = config.ktx2Support;
+    loader.setKTX2Loader(ktx2Loader);
+  }
+
+  if (config.enableMeshOpt) {
+    loader.setMeshoptDecoder(MeshoptDecoder);
+  }
+
+  // Hand models back before any work is done when the worker cannot rebuild them
+  loader.register(parser => {
+    const extensions = parser.json.extensionsUsed || [];
+    const extension = UNSUPPORTED_EXTENSIONS.find(name =>
+      extensions.includes(name)
+    );
+    if (extension) {
+      throw fallback(`${extension} is parsed on the main thread`);
+    }
+
+    // Without ImageBitmap decoding, images need the DOM
+    if (!parser.textureLoader.isImageBitmapLoader && parser.json.images) {
+      throw fallback('ImageBitmap decoding is unavailable in workers', true);
+    }
+
+    return { name: 'viewer_worker_support' };
+  });
+
+  return loader;
+}
+
+/**
+ * Compute the geometry data ModelManager would otherwise compute on the main thread
+ * @param {Object3D} scene - Parsed scene
+ */
+function prepareGeometry(scene) {
+  scene.traverse(child => {
+    if (!child.isMesh || !child.geometry) return;
+
+    const { geometry } = child;
+    if (!geometry.attributes.normal) {
+      geometry.computeVertexNormals();
+    }
+    if (!geometry.boundingSphere) {
+      geometry.computeBoundingSphere();
+    }
+    if (!geometry.boundingBox) {
+      geometry.computeBoundingBox();
+    }
+  });
+}
+
+/**
+ * Load, parse and transfer a model
+ * @param {Object} request - Load request ({ id, url, resolver })
+ */
+async function load(request) {
+  const { id, url, resolver } = request;
+
+  const manager = new LoadingManager();
+  const modifier = createUrlModifier(resolver);
+  if (modifier) {
+    manager.setURLModifier(modifier);
+  }
+  managers.set(id, manager);
+
+  try {
+    const gltf = await createLoader(manager).loadAsync(url, progress => {
+      self.postMessage({
+        type: 'progress',
+        id,
+        lengthComputable: progress.lengthComputable,
+        loaded: progress.loaded,
+        total: progress.total,
+      });
+    });
+
+    prepareGeometry(gltf.scene);
+
+    const { data, transfer } = serializeScene(gltf.scene, gltf.animations);
+    data.userData = gltf.userData;
+
+    self.postMessage({ type: 'load', id, data }, transfer);
+  } catch (error) {
+    postError(id, error);
+  } finally {
+    managers.delete(id);
+  }
+}
+
+/**
+ * Report a failed request
+ * Content the worker cannot handle is reported as a fallback, not a failure
+ * @param {number} id - Request id
+ * @param {Error} error - Error raised while loading
+ */
+function postError(id, error) {
+  if (
+    error.name === 'WorkerFallbackError' ||
+    error.name === 'UnsupportedSceneError' ||
+    error.name === 'DataCloneError'
+  ) {
+    self.postMessage({
+      type: 'fallback',
+      id,
+      reason: error.message,
+      permanent: !!error.permanent,
+    });
+    return;
+  }
+
+  self.postMessage({
+    type: 'error',
+    id,
+    name: error.name,
+    message: error.message,
+    status: error.response?.status,
+  });
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      ({ config } = data);
+      break;
+    case 'load':
+      load(data);
+      break;
+    case 'abort':
+      managers.get(data.id)?.abort();
+      break;
+    default:
+      console.warn(`glTF worker: Unknown message "${data.type}"`);
+  }
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { MaterialManager } from '../src/core/material-manager.js';
+
+describe('MaterialManager physical upgrade', () => {
+  it('keeps the PHYSICAL define when the editor upgrades a standard material', () => {
+    const manager = new MaterialManager();
+    const material = new THREE.MeshStandardMaterial({ roughness: 0.3 });
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), material);
+    const model = new THREE.Group().add(mesh);
+
+    manager.updateMaterialProperty('ior', 1.8, model);
+
+    expect(mesh.material.isMeshPhysicalMaterial).toBe(true);
+    expect(mesh.material.defines).toEqual({ STANDARD: '', PHYSICAL: '' });
+    expect(mesh.material.ior).toBe(1.8);
+    expect(mesh.material.roughness).toBe(0.3);
+  });
+
+  it('keeps the PHYSICAL define for physical override presets', () => {
+    const manager = new MaterialManager();
+    const original = new THREE.MeshStandardMaterial();
+
+    const material = manager.createOverrideMaterial(original, {
+      name: 'Glass',
+      type: 'MeshPhysicalMaterial',
+      properties: { ior: 1.45, transmission: 1 },
+    });
+
+    expect(material.defines).toEqual({ STANDARD: '', PHYSICAL: '' });
+    expect(material.ior).toBe(1.45);
+    expect(material.transmission).toBe(1);
+  });
+
+  it('only sets override properties matching the kind of property', () => {
+    const manager = new MaterialManager();
+    const original = new THREE.MeshStandardMaterial();
+
+    const material = manager.createOverrideMaterial(original, {
+      name: 'Tampered',
+      properties: {
+        normalMap: 'evil',
+        roughness: 'high',
+        metalness: 0.5,
+        color: '#ff0000',
+        transparent: true,
+      },
+    });
+
+    expect(material.normalMap).toBeNull();
+    expect(material.roughness).toBe(original.roughness);
+    expect(material.metalness).toBe(0.5);
+    expect(material.color.getHexString()).toBe('ff0000');
+    expect(material.transparent).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import {
+  createNameMatcher,
+  matchesName,
+  selectMeshes,
+  selectTargetMeshes,
+} from '../src/utils/mesh-selector.js';
+
+const createMesh = (name, materialName) => {
+  const mesh = new THREE.Mesh(
+    new THREE.BufferGeometry(),
+    new THREE.MeshStandardMaterial({ name: materialName })
+  );
+  mesh.name = name;
+  return mesh;
+};
+
+const createModel = () => {
+  const model = new THREE.Group();
+  const legs = new THREE.Group();
+  legs.name = 'Legs';
+  legs.add(createMesh('Leg_1', 'Metal'), createMesh('Leg_2', 'Metal'));
+  model.add(createMesh('Seat', 'Fabric.001'), legs, createMesh('Back', 'Wood'));
+  return model;
+};
+
+const names = meshes => meshes.map(mesh => mesh.name);
+
+describe('createNameMatcher', () => {
+  it('matches exact names', () => {
+    const matches = createNameMatcher('Seat');
+    expect(matches('Seat')).toBe(true);
+    expect(matches('Seat_1')).toBe(false);
+  });
+
+  it('matches * and ? globs against the whole name', () => {
+    expect(createNameMatcher('Leg_*')('Leg_12')).toBe(true);
+    expect(createNameMatcher('Leg_?')('Leg_12')).toBe(false);
+    expect(createNameMatcher('Leg_?')('Leg_1')).toBe(true);
+    expect(createNameMatcher('*Leg')('Leg_1')).toBe(false);
+  });
+
+  it('treats other characters in globs literally', () => {
+    const matches = createNameMatcher('Fabric.*');
+    expect(matches('Fabric.001')).toBe(true);
+    expect(matches('Fabric_001')).toBe(false);
+    expect(createNameMatcher('(a+)*')('(a+)b')).toBe(true);
+  });
+
+  it('resets global regular expressions between names', () => {
+    const matches = createNameMatcher(/leg/gi);
+    expect(matches('Leg_1')).toBe(true);
+    expect(matches('Leg_2')).toBe(true);
+  });
+
+  it('matches any of several patterns', () => {
+    expect(matchesName('Back', ['Seat', /^Ba/])).toBe(true);
+    expect(matchesName('Back', ['Seat', 'Leg_*'])).toBe(false);
+  });
+});
+
+describe('selectMeshes', () => {
+  it('finds meshes by mesh or material name in traversal order', () => {
+    const model = createModel();
+
+    expect(names(selectMeshes(model, { meshes: ['Leg_*'] }))).toEqual([
+      'Leg_1',
+      'Leg_2',
+    ]);
+    expect(
+      names(selectMeshes(model, { meshes: ['Back'], materials: ['Fabric*'] }))
+    ).toEqual(['Seat', 'Back']);
+  });
+
+  it('matches materials through getMaterial', () => {
+    const model = createModel();
+    const original = new THREE.MeshStandardMaterial({ name: 'Original' });
+
+    expect(
+      names(selectMeshes(model, { materials: ['Original'] }, () => original))
+    ).toEqual(['Seat', 'Leg_1', 'Leg_2', 'Back']);
+  });
+});
+
+describe('selectTargetMeshes', () => {
+  it('selects every mesh without a target', () => {
+    expect(names(selectTargetMeshes(createModel()))).toEqual([
+      'Seat',
+      'Leg_1',
+      'Leg_2',
+      'Back',
+    ]);
+  });
+
+  it('matches name patterns against meshes and materials', () => {
+    expect(names(selectTargetMeshes(createModel(), ['Metal', 'Back']))).toEqual(
+      ['Leg_1', 'Leg_2', 'Back']
+    );
+  });
+
+  it('only keeps mesh objects that belong to the model', () => {
+    const model = createModel();
+    const seat = model.getObjectByName('Seat');
+
+    expect(
+      selectTargetMeshes(model, [seat, createMesh('Other', 'Metal')])
+    ).toEqual([seat]);
+  });
+});
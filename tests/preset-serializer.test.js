@@ -0,0 +1,258 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import {
+  createPresetFile,
+  parsePresetFile,
+} from '../src/utils/preset-serializer.js';
+
+const presetFile = materials => ({
+  format: 'product-viewer-presets',
+  version: 1,
+  materials,
+});
+
+describe('parsePresetFile material properties', () => {
+  it('accepts the properties presets save', () => {
+    const { materials } = parsePresetFile(
+      presetFile({
+        steel: {
+          name: 'Steel',
+          properties: {
+            color: '#cccccc',
+            metalness: 1,
+            roughness: 0.2,
+            transparent: false,
+          },
+        },
+      })
+    );
+
+    expect(materials.steel.properties.metalness).toBe(1);
+  });
+
+  it('rejects properties that are not material settings', () => {
+    expect(() =>
+      parsePresetFile(
+        presetFile({
+          evil: {
+            name: 'Evil',
+            properties: { normalMap: 'evil', visible: false },
+          },
+        })
+      )
+    ).toThrow(
+      'materials.evil.properties.normalMap is not a supported material property; materials.evil.properties.visible is not a supported material property'
+    );
+  });
+
+  it('rejects values of the wrong kind', () => {
+    expect(() =>
+      parsePresetFile(
+        presetFile({
+          odd: {
+            name: 'Odd',
+            properties: { roughness: 'high', transparent: 1 },
+          },
+        })
+      )
+    ).toThrow(/roughness must be a number.*transparent must be true or false/);
+  });
+});
+
+describe('parsePresetFile files', () => {
+  it('rejects text that is not a preset file', () => {
+    expect(() => parsePresetFile('{ nope')).toThrow(/^Not valid JSON/);
+    expect(() => parsePresetFile({ format: 'other', version: 1 })).toThrow(
+      'Not a preset file: expected "format": "product-viewer-presets"'
+    );
+  });
+
+  it('rejects missing, invalid and newer versions', () => {
+    const file = presetFile({ steel: { name: 'Steel' } });
+
+    expect(() => parsePresetFile({ ...file, version: undefined })).toThrow(
+      '"version" must be a whole number of 1 or more'
+    );
+    expect(() => parsePresetFile({ ...file, version: 2 })).toThrow(
+      'Preset file version 2 is newer than this viewer reads (version 1)'
+    );
+  });
+
+  it('rejects files without presets', () => {
+    expect(() => parsePresetFile(presetFile({}))).toThrow(
+      'The file contains no presets'
+    );
+  });
+
+  it('lists every problem on a PresetFileError', () => {
+    let error;
+    try {
+      parsePresetFile({
+        ...presetFile({ 'bad id': { name: 'Bad' } }),
+        lighting: {
+          studio: {
+            name: '',
+            lights: [{ type: 'AreaLight', position: [0, 1] }],
+          },
+        },
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.name).toBe('PresetFileError');
+    expect(error.problems).toEqual([
+      'materials id "bad id" may only contain letters, digits, "_" and "-"',
+      'lighting.studio.name must be a non-empty string',
+      'lighting.studio.lights[0].type must be one of DirectionalLight, PointLight, SpotLight, AmbientLight, HemisphereLight',
+      'lighting.studio.lights[0].position must be an [x, y, z] array of numbers',
+    ]);
+  });
+
+  it('checks texture references and transforms', () => {
+    expect(() =>
+      parsePresetFile(
+        presetFile({
+          tiles: {
+            name: 'Tiles',
+            textures: {
+              map: { procedural: 'sparkles' },
+              normalMap: { url: 'normal.png', transform: { scale: [2] } },
+              diffuse: 'tiles.png',
+            },
+          },
+        })
+      )
+    ).toThrow(
+      /uses unknown procedural texture "sparkles".*normalMap\.transform: scale must be a \[u, v\] array of numbers.*diffuse is not a texture slot/
+    );
+  });
+
+  it('checks procedural texture parameters', () => {
+    let error;
+    try {
+      parsePresetFile(
+        presetFile({
+          noisy: {
+            name: 'Noisy',
+            textures: {
+              map: { procedural: 'noise', size: 40000, scale: '8' },
+              normalMap: 'procedural:noise?octaves=2.5&output=bump',
+              roughnessMap: { procedural: 'knurl', repeat: 'x', size: 512 },
+            },
+          },
+        })
+      );
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.problems).toEqual([
+      'materials.noisy.textures.map.size must be a number from 2 to 2048',
+      'materials.noisy.textures.map.scale must be a positive whole number',
+      'materials.noisy.textures.normalMap.octaves must be a positive whole number',
+      'materials.noisy.textures.normalMap.output must be one of color, normal, roughness, height',
+      'materials.noisy.textures.roughnessMap.repeat must be a number',
+    ]);
+  });
+});
+
+describe('preset file round-trip', () => {
+  it('reads back the presets it writes', () => {
+    const texture = new THREE.Texture();
+    texture.repeat.set(4, 4);
+
+    const file = createPresetFile(
+      {
+        materials: {
+          brushed: {
+            name: 'Brushed',
+            type: 'MeshPhysicalMaterial',
+            mode: 'override',
+            properties: {
+              color: new THREE.Color(0xff8000),
+              emissive: 0x000010,
+              metalness: 1,
+              clearcoat: 0.5,
+            },
+            textures: { map: texture, roughnessMap: 'rough.png' },
+          },
+        },
+        lighting: {
+          studio: {
+            name: 'Studio',
+            description: 'Soft key light',
+            lights: [
+              {
+                type: 'DirectionalLight',
+                color: 0xffffff,
+                intensity: 2,
+                position: new THREE.Vector3(1, 2, 3),
+                castShadow: true,
+                shadowBias: -0.0005,
+              },
+            ],
+          },
+        },
+      },
+      () => 'brushed.png'
+    );
+
+    const parsed = parsePresetFile(JSON.stringify(file));
+
+    expect(parsed.materials.brushed).toEqual({
+      name: 'Brushed',
+      type: 'MeshPhysicalMaterial',
+      mode: 'override',
+      properties: {
+        color: '#ff8000',
+        emissive: '#000010',
+        metalness: 1,
+        clearcoat: 0.5,
+      },
+      textures: {
+        map: { url: 'brushed.png', transform: { scale: [4, 4] } },
+        roughnessMap: 'rough.png',
+      },
+    });
+    expect(parsed.lighting.studio).toEqual({
+      name: 'Studio',
+      description: 'Soft key light',
+      lights: [
+        {
+          type: 'DirectionalLight',
+          color: '#ffffff',
+          intensity: 2,
+          position: [1, 2, 3],
+          castShadow: true,
+          shadowBias: -0.0005,
+        },
+      ],
+      environment: null,
+    });
+  });
+
+  it('leaves out textures without a shareable URL', () => {
+    const file = createPresetFile({
+      materials: {
+        dropped: {
+          name: 'Dropped',
+          textures: { map: new THREE.Texture(), normalMap: 'blob:abc' },
+        },
+      },
+    });
+
+    expect(file.materials.dropped.textures).toEqual({});
+  });
+
+  it('returns copies of the parsed presets', () => {
+    const file = presetFile({
+      steel: { name: 'Steel', properties: { metalness: 1 } },
+    });
+
+    const { materials } = parsePresetFile(file);
+    materials.steel.properties.metalness = 0;
+
+    expect(file.materials.steel.properties.metalness).toBe(1);
+  });
+});
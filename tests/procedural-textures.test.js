@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_PROCEDURAL_TEXTURE_SIZE,
+  createProceduralTexture,
+} from '../src/utils/procedural-textures.js';
+
+describe('createProceduralTexture', () => {
+  it('generates a square texture of the requested size', () => {
+    const texture = createProceduralTexture('knurl', { size: 16 });
+
+    expect([texture.image.width, texture.image.height]).toEqual([16, 16]);
+    expect(texture.image.data).toHaveLength(16 * 16 * 4);
+  });
+
+  it('clamps sizes above the maximum', () => {
+    const texture = createProceduralTexture('knurl', { size: 40000 });
+
+    expect(texture.image.width).toBe(MAX_PROCEDURAL_TEXTURE_SIZE);
+  });
+
+  it('rejects sizes, scales and octaves that are not numbers', () => {
+    expect(() => createProceduralTexture('noise', { size: 'big' })).toThrow(
+      'Procedural texture "noise" size must be a number'
+    );
+    expect(() => createProceduralTexture('noise', { scale: '8' })).toThrow(
+      'Procedural texture "noise" scale must be a positive whole number'
+    );
+    expect(() => createProceduralTexture('noise', { octaves: 0 })).toThrow(
+      'Procedural texture "noise" octaves must be a positive whole number'
+    );
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, expect, it } from 'vitest';
+import { ProductConfigurator } from '../src/core/product-configurator.js';
+
+const schema = {
+  id: 'chair',
+  groups: [
+    {
+      id: 'frame',
+      targets: { meshes: ['Frame*'] },
+      default: 'oak',
+      options: [
+        { id: 'oak', preset: 'wood', sku: 'OK' },
+        { id: 'steel', preset: 'chrome', sku: 'ST' },
+      ],
+    },
+    {
+      id: 'seat',
+      targets: { materials: ['/^seat/i'] },
+      options: [
+        { id: 'fabric', preset: 'fabric', sku: 'FB' },
+        { id: 'leather', preset: 'leather', sku: 'LT' },
+        { id: 'mesh', preset: 'plastic' },
+      ],
+    },
+  ],
+  rules: [
+    { when: { frame: 'steel' }, exclude: { seat: 'fabric' } },
+    { when: { seat: 'mesh' }, require: { frame: 'steel' } },
+  ],
+  sku: { prefix: 'CH', separator: '/' },
+};
+
+// Without a model no presets are applied, so no material manager is needed
+const createConfigurator = (definition = schema) =>
+  new ProductConfigurator(null, definition);
+
+describe('ProductConfigurator rules', () => {
+  it('starts from the defaults and the first options', () => {
+    expect(createConfigurator().getSelections()).toEqual({
+      frame: 'oak',
+      seat: 'fabric',
+    });
+  });
+
+  it('adjusts other groups when a choice breaks an exclude rule', () => {
+    const configurator = createConfigurator();
+    const events = [];
+    configurator.addEventListener('configurationChanged', event =>
+      events.push(event)
+    );
+
+    expect(configurator.setOption('frame', 'steel')).toBe(true);
+
+    expect(configurator.getSelections()).toEqual({
+      frame: 'steel',
+      seat: 'leather',
+    });
+    expect(events).toHaveLength(1);
+    expect(events[0].changed).toEqual(['frame', 'seat']);
+    expect(events[0].adjusted).toEqual(['seat']);
+  });
+
+  it('adjusts other groups when a choice breaks a require rule', () => {
+    const configurator = createConfigurator();
+
+    configurator.setOption('seat', 'mesh');
+
+    expect(configurator.getSelections()).toEqual({
+      frame: 'steel',
+      seat: 'mesh',
+    });
+  });
+
+  it('refuses combinations the rules forbid', () => {
+    const configurator = createConfigurator();
+
+    expect(configurator.setSelections({ frame: 'steel', seat: 'fabric' })).toBe(
+      false
+    );
+    expect(configurator.setOption('seat', 'velvet')).toBe(false);
+    expect(configurator.getSelections()).toEqual({
+      frame: 'oak',
+      seat: 'fabric',
+    });
+  });
+
+  it('reports options the current selections do not allow', () => {
+    const configurator = createConfigurator();
+    configurator.setOption('frame', 'steel');
+
+    expect(configurator.isOptionAvailable('seat', 'fabric')).toBe(false);
+    expect(configurator.isOptionAvailable('seat', 'mesh')).toBe(true);
+    expect(
+      configurator
+        .getGroups()[1]
+        .options.map(({ id, available }) => [id, available])
+    ).toEqual([
+      ['fabric', false],
+      ['leather', true],
+      ['mesh', true],
+    ]);
+  });
+
+  it('returns to the defaults on reset', () => {
+    const configurator = createConfigurator();
+    configurator.setOption('seat', 'mesh');
+
+    expect(configurator.reset()).toBe(true);
+    expect(configurator.getSelections()).toEqual({
+      frame: 'oak',
+      seat: 'fabric',
+    });
+  });
+
+  it('rejects schemas naming unknown options or leaving no valid default', () => {
+    expect(() =>
+      createConfigurator({
+        ...schema,
+        rules: [{ when: { frame: 'brass' }, exclude: { seat: 'fabric' } }],
+      })
+    ).toThrow('rule 0 names unknown option "frame.brass"');
+
+    expect(() =>
+      createConfigurator({
+        groups: [schema.groups[0]],
+        rules: [
+          { when: { frame: 'oak' }, require: { frame: 'steel' } },
+          { when: { frame: 'steel' }, require: { frame: 'oak' } },
+        ],
+      })
+    ).toThrow('the rules leave no valid default configuration');
+  });
+});
+
+describe('ProductConfigurator SKU', () => {
+  it('joins the prefix and option codes in group order', () => {
+    const configurator = createConfigurator();
+    expect(configurator.getSku()).toBe('CH/OK/FB');
+
+    configurator.setOption('seat', 'mesh');
+    expect(configurator.getSku()).toBe('CH/ST/mesh');
+  });
+
+  it('defaults to no prefix and a dash separator', () => {
+    expect(createConfigurator({ ...schema, sku: undefined }).getSku()).toBe(
+      'OK-FB'
+    );
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import {
+  getRetryDelay,
+  isTransientError,
+  withRetry,
+} from '../src/utils/retry-policy.js';
+
+const httpError = status => {
+  const error = new Error(`fetch for "model.glb" responded with ${status}`);
+  error.response = { status };
+  return error;
+};
+
+describe('isTransientError', () => {
+  it('retries timeouts, rate limiting and server errors', () => {
+    [408, 425, 429, 500, 502, 503, 504].forEach(status => {
+      expect(isTransientError(httpError(status))).toBe(true);
+    });
+
+    const timeout = new Error('Timed out');
+    timeout.name = 'TimeoutError';
+    expect(isTransientError(timeout)).toBe(true);
+  });
+
+  it('retries requests that never completed', () => {
+    expect(isTransientError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(
+      isTransientError(new TypeError('NetworkError when attempting to fetch'))
+    ).toBe(true);
+    expect(isTransientError(new TypeError('Load failed'))).toBe(true);
+  });
+
+  it('reads the status of errors without a response', () => {
+    const error = new Error('Service unavailable');
+    error.status = 503;
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  it('does not retry client errors, parse errors or cancellations', () => {
+    expect(isTransientError(httpError(404))).toBe(false);
+    expect(isTransientError(httpError(403))).toBe(false);
+    expect(isTransientError(new SyntaxError('Unexpected token'))).toBe(false);
+    expect(isTransientError(new TypeError('x is not a function'))).toBe(false);
+    expect(isTransientError(new DOMException('Aborted', 'AbortError'))).toBe(
+      false
+    );
+    expect(isTransientError(null)).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('doubles per attempt with up to half of the delay as jitter', () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const delay = getRetryDelay(attempt, 100);
+      const full = 100 * 2 ** (attempt - 1);
+      expect(delay).toBeGreaterThanOrEqual(full / 2);
+      expect(delay).toBeLessThanOrEqual(full);
+    }
+  });
+
+  it('stays under the maximum delay', () => {
+    expect(getRetryDelay(20, 1000, 5000)).toBeLessThanOrEqual(5000);
+  });
+});
+
+describe('withRetry', () => {
+  const failWith = (status, attempts) => async attempt => {
+    attempts.push(attempt);
+    throw httpError(status);
+  };
+
+  it('retries transient failures until an attempt succeeds', () => {
+    const retries = [];
+    const operation = async attempt => {
+      if (attempt < 2) throw httpError(503);
+      return 'loaded';
+    };
+
+    return withRetry(operation, {
+      retryDelay: 1,
+      onRetry: ({ attempt }) => retries.push(attempt),
+    }).then(result => {
+      expect(result).toBe('loaded');
+      expect(retries).toEqual([1, 2]);
+    });
+  });
+
+  it('throws other errors without retrying', () => {
+    const attempts = [];
+
+    return expect(withRetry(failWith(404, attempts), { retryDelay: 1 }))
+      .rejects.toThrow('responded with 404')
+      .then(() => expect(attempts).toEqual([0]));
+  });
+
+  it('gives up after maxRetries', () => {
+    const attempts = [];
+
+    return expect(
+      withRetry(failWith(500, attempts), { maxRetries: 2, retryDelay: 1 })
+    )
+      .rejects.toThrow('responded with 500')
+      .then(() => expect(attempts).toEqual([0, 1, 2]));
+  });
+});
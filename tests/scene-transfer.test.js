@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import {
+  deserializeScene,
+  serializeScene,
+} from '../src/utils/scene-transfer.js';
+
+// What postMessage does to the data, without detaching the transferred buffers
+const transferScene = (scene, animations) => {
+  const { data, transfer } = serializeScene(scene, animations);
+  return { ...deserializeScene(structuredClone(data)), transfer };
+};
+
+describe('scene transfer', () => {
+  it('rebuilds the scene graph, geometry and shared materials', () => {
+    const texture = new THREE.DataTexture(new Uint8Array(16), 2, 2);
+    texture.repeat.set(2, 2);
+    const material = new THREE.MeshPhysicalMaterial({
+      name: 'Paint',
+      color: 0x336699,
+      transmission: 0.5,
+      map: texture,
+    });
+    const geometry = new THREE.BoxGeometry(1, 2, 3);
+    geometry.computeBoundingBox();
+
+    const scene = new THREE.Group();
+    scene.name = 'Root';
+    const body = new THREE.Mesh(geometry, material);
+    body.name = 'Body';
+    body.position.set(1, 2, 3);
+    body.userData = { part: 'body' };
+    const door = new THREE.Mesh(geometry, material);
+    door.name = 'Door';
+    door.visible = false;
+    body.add(door);
+    scene.add(body);
+
+    const { scene: copy, transfer } = transferScene(scene);
+
+    expect(transfer).toContain(geometry.attributes.position.array.buffer);
+    expect(transfer).toContain(texture.image.data.buffer);
+
+    const copyBody = copy.getObjectByName('Body');
+    const copyDoor = copyBody.getObjectByName('Door');
+    expect(copy.name).toBe('Root');
+    expect(copyBody.position.toArray()).toEqual([1, 2, 3]);
+    expect(copyBody.userData).toEqual({ part: 'body' });
+    expect(copyDoor.visible).toBe(false);
+
+    // Shared resources stay shared
+    expect(copyDoor.geometry).toBe(copyBody.geometry);
+    expect(copyDoor.material).toBe(copyBody.material);
+
+    const copyGeometry = copyBody.geometry;
+    expect(copyGeometry.attributes.position.array).toEqual(
+      geometry.attributes.position.array
+    );
+    expect(copyGeometry.index.array).toEqual(geometry.index.array);
+    expect(copyGeometry.groups).toEqual(geometry.groups);
+    expect(copyGeometry.boundingBox.equals(geometry.boundingBox)).toBe(true);
+
+    const copyMaterial = copyBody.material;
+    expect(copyMaterial.isMeshPhysicalMaterial).toBe(true);
+    expect(copyMaterial.name).toBe('Paint');
+    expect(copyMaterial.color.getHex()).toBe(0x336699);
+    expect(copyMaterial.transmission).toBe(0.5);
+    expect(copyMaterial.map.isDataTexture).toBe(true);
+    expect(copyMaterial.map.repeat.toArray()).toEqual([2, 2]);
+  });
+
+  it('rebuilds lights with their targets', () => {
+    const scene = new THREE.Scene();
+    const light = new THREE.SpotLight(0xff0000, 3, 10, 0.5, 0.2);
+    light.target.position.set(0, -1, 0);
+    light.add(light.target);
+    scene.add(light);
+
+    const { scene: copy } = transferScene(scene);
+    const copyLight = copy.children[0];
+
+    expect(copy.isGroup).toBe(true);
+    expect(copyLight.isSpotLight).toBe(true);
+    expect(copyLight.color.getHex()).toBe(0xff0000);
+    expect([copyLight.intensity, copyLight.distance]).toEqual([3, 10]);
+    expect([copyLight.angle, copyLight.penumbra]).toEqual([0.5, 0.2]);
+    expect(copyLight.target.parent).toBe(copyLight);
+    expect(copyLight.target.position.toArray()).toEqual([0, -1, 0]);
+  });
+
+  it('rebinds skeletons and rebuilds animation clips', () => {
+    const root = new THREE.Bone();
+    root.name = 'Root';
+    const tip = new THREE.Bone();
+    tip.name = 'Tip';
+    tip.position.y = 1;
+    root.add(tip);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.Float32BufferAttribute([0, 0, 0, 0, 1, 0], 3)
+    );
+    geometry.setAttribute(
+      'skinIndex',
+      new THREE.Uint16BufferAttribute([0, 0, 0, 0, 1, 0, 0, 0], 4)
+    );
+    geometry.setAttribute(
+      'skinWeight',
+      new THREE.Float32BufferAttribute([1, 0, 0, 0, 1, 0, 0, 0], 4)
+    );
+
+    const mesh = new THREE.SkinnedMesh(geometry, new THREE.MeshBasicMaterial());
+    const scene = new THREE.Group();
+    scene.add(root, mesh);
+    mesh.bind(new THREE.Skeleton([root, tip]));
+
+    const clip = new THREE.AnimationClip('Wave', 1, [
+      new THREE.VectorKeyframeTrack('Tip.position', [0, 1], [0, 1, 0, 0, 2, 0]),
+    ]);
+
+    const { scene: copy, animations } = transferScene(scene, [clip]);
+    const copyMesh = copy.children.find(child => child.isSkinnedMesh);
+
+    expect(copyMesh.skeleton.bones.map(bone => bone.name)).toEqual([
+      'Root',
+      'Tip',
+    ]);
+    expect(copyMesh.skeleton.bones[0]).toBe(copy.getObjectByName('Root'));
+
+    expect(animations).toHaveLength(1);
+    expect(animations[0].name).toBe('Wave');
+    expect(animations[0].tracks[0]).toBeInstanceOf(THREE.VectorKeyframeTrack);
+    expect(Array.from(animations[0].tracks[0].values)).toEqual([
+      0, 1, 0, 0, 2, 0,
+    ]);
+  });
+
+  it('refuses content it cannot rebuild', () => {
+    const scene = new THREE.Group();
+    scene.add(
+      new THREE.Mesh(new THREE.BufferGeometry(), new THREE.ShaderMaterial())
+    );
+
+    expect(() => serializeScene(scene)).toThrow(
+      'ShaderMaterial materials cannot be transferred'
+    );
+
+    const image = new THREE.Texture({ width: 1, height: 1 });
+    scene.children[0].material = new THREE.MeshBasicMaterial({ map: image });
+    expect(() => serializeScene(scene)).toThrow(
+      'Textures without transferable images cannot be transferred'
+    );
+  });
+});
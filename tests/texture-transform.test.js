@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import {
+  applyTextureTransform,
+  getTextureTransform,
+  toKHRTextureTransform,
+  validateTextureTransform,
+} from '../src/utils/texture-transform.js';
+
+describe('texture transforms', () => {
+  it('maps offset, rotation, scale and texCoord onto the texture', () => {
+    const texture = new THREE.Texture();
+
+    applyTextureTransform(texture, {
+      offset: [0.25, 0.5],
+      rotation: Math.PI / 2,
+      scale: [2, 3],
+      texCoord: 1,
+    });
+
+    expect(texture.offset.toArray()).toEqual([0.25, 0.5]);
+    expect(texture.rotation).toBe(Math.PI / 2);
+    expect(texture.repeat.toArray()).toEqual([2, 3]);
+    expect(texture.channel).toBe(1);
+    expect(texture.center.toArray()).toEqual([0, 0]);
+    expect(getTextureTransform(texture)).toEqual({
+      offset: [0.25, 0.5],
+      rotation: Math.PI / 2,
+      scale: [2, 3],
+      texCoord: 1,
+    });
+  });
+
+  it('keeps the fields a transform leaves out', () => {
+    const texture = new THREE.Texture();
+    applyTextureTransform(texture, { offset: [0.1, 0.2], rotation: 1 });
+
+    applyTextureTransform(texture, { scale: [4, 4] });
+
+    expect(getTextureTransform(texture)).toEqual({
+      offset: [0.1, 0.2],
+      rotation: 1,
+      scale: [4, 4],
+      texCoord: 0,
+    });
+  });
+
+  it('writes only the values that differ from the identity', () => {
+    const texture = new THREE.Texture();
+    expect(toKHRTextureTransform(texture)).toBeNull();
+
+    applyTextureTransform(texture, { scale: [2, 2], texCoord: 1 });
+    expect(toKHRTextureTransform(texture)).toEqual({ scale: [2, 2] });
+
+    applyTextureTransform(texture, { offset: [0, 0.5], rotation: 0.5 });
+    expect(toKHRTextureTransform(texture)).toEqual({
+      offset: [0, 0.5],
+      rotation: 0.5,
+      scale: [2, 2],
+    });
+  });
+
+  it('names the first invalid value', () => {
+    expect(validateTextureTransform({ offset: [0, 1], scale: [2, 2] })).toBe(
+      null
+    );
+    expect(validateTextureTransform(null)).toBe('transform must be an object');
+    expect(validateTextureTransform({ offset: [0] })).toBe(
+      'offset must be a [u, v] array of numbers'
+    );
+    expect(validateTextureTransform({ scale: [1, Infinity] })).toBe(
+      'scale must be a [u, v] array of numbers'
+    );
+    expect(validateTextureTransform({ rotation: '90' })).toBe(
+      'rotation must be a number of radians'
+    );
+    expect(validateTextureTransform({ texCoord: -1 })).toBe(
+      'texCoord must be a UV set index'
+    );
+  });
+});